@@ -29,6 +29,7 @@ module.exports = {
     Item: "readonly",
     Scene: "readonly",
     fromUuid: "readonly",
+    fromUuidSync: "readonly",
     CONST: "readonly",
     // Additional Foundry/core globals referenced in legacy areas
     JournalEntry: "readonly",
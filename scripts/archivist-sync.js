@@ -10,12 +10,33 @@
 import { CONFIG } from './modules/config.js';
 import { settingsManager } from './modules/settings-manager.js';
 import { archivistApi } from './services/archivist-api.js';
+import { writeQueue } from './services/write-queue.js';
+import {
+  writeCoalescer,
+  isFlagOnlyChange,
+} from './services/write-coalescer.js';
+import { syncCursor } from './services/sync-cursor.js';
+import { remotePoller } from './services/remote-poller.js';
+import { tombstones } from './services/tombstones.js';
+import { imageUploader } from './services/image-upload.js';
+import { syncPolicy } from './services/sync-policy.js';
+import { syncScope, SCOPE_DOCUMENT_TYPES } from './services/sync-scope.js';
+import { gmLeader } from './services/gm-leader.js';
+import { describeApiFailure } from './services/api-error.js';
 import { Utils } from './modules/utils.js';
 import { linkIndexer } from './modules/links/indexer.js';
 import { AskChatWindow } from './dialogs/ask-chat-window.js';
 import { ensureChatSlot } from './sidebar/ask-chat-tab.js';
+import {
+  injectDirectoryBadges,
+  refreshSyncBadges,
+} from './sidebar/sync-status-badges.js';
+import { scopeContextOptions } from './sidebar/sync-scope-menu.js';
 import { SyncDialog } from './dialogs/sync-dialog.js';
+import { BeatsWindow } from './dialogs/beats-window.js';
 import { WorldSetupDialog } from './dialogs/world-setup-dialog.js';
+import { ConflictDialog } from './dialogs/conflict-dialog.js';
+import { RecentlyDeletedWindow } from './dialogs/recently-deleted-window.js';
 // import { openV2SheetFor } from './modules/sheets/v2-sheets.js';
 import { LinkHelpers } from './modules/links/helpers.js';
 
@@ -30,6 +51,8 @@ Hooks.once('init', async function () {
   // Register settings as early as possible so other early hooks can read them
   try {
     settingsManager.registerSettings?.();
+    // Point the API client at the configured server profile
+    archivistApi.setBaseUrl(settingsManager.getApiRootUrl());
   } catch (e) {
     console.warn(
       '[Archivist Sync] Settings registration failed during init',
@@ -391,6 +414,30 @@ Hooks.once('ready', async function () {
     console.warn('[Archivist Sync] Link index build failed', e);
   }
 
+  // Elect the one GM client that sends changes to Archivist; the others
+  // relay their writes to it
+  await settingsManager.migrateApiKey();
+  gmLeader.init();
+  Hooks.on('archivistSyncLeaderChanged', ({ isLeader }) => {
+    // Chat shows whether a GM is online to answer
+    try {
+      window.__ARCHIVIST_SIDEBAR_CHAT__?.render?.(false);
+    } catch (_) {}
+    try {
+      if (isLeader) {
+        writeQueue.start();
+        tombstones.start();
+        if (settingsManager.isWorldSelected()) remotePoller.start();
+      } else {
+        writeQueue.stop();
+        tombstones.stop();
+        remotePoller.stop();
+      }
+    } catch (e) {
+      console.warn('[Archivist Sync] Failed to hand over sync duties', e);
+    }
+  });
+
   // Install Real-Time Sync listeners (CRUD) if enabled and world is selected
   try {
     if (
@@ -411,6 +458,13 @@ Hooks.once('ready', async function () {
     );
   }
 
+  // Background pull of remote edits (opt-in, primary GM only)
+  try {
+    if (settingsManager.isWorldSelected()) remotePoller.start();
+  } catch (e) {
+    console.warn('[Archivist Sync] Failed to start background pull', e);
+  }
+
   // Inject a Journal Directory header button to open Sync Dialog
   Hooks.on('renderJournalDirectory', (app, html) => {
     try {
@@ -444,11 +498,77 @@ Hooks.once('ready', async function () {
           } catch (_) {}
         });
         header.appendChild(btn);
+        const beatsBtn = document.createElement('button');
+        beatsBtn.type = 'button';
+        beatsBtn.className = 'archivist-sync-btn archivist-beats-btn';
+        beatsBtn.innerHTML = '<i class="fas fa-timeline"></i> Beats';
+        beatsBtn.title = 'Open the Archivist beat timeline';
+        beatsBtn.addEventListener('click', (ev) => {
+          ev.preventDefault();
+          try {
+            new BeatsWindow().render(true);
+          } catch (_) {}
+        });
+        header.appendChild(beatsBtn);
+        const deletedBtn = document.createElement('button');
+        deletedBtn.type = 'button';
+        deletedBtn.className = 'archivist-sync-btn archivist-deleted-btn';
+        deletedBtn.innerHTML = '<i class="fas fa-trash-can-arrow-up"></i>';
+        deletedBtn.title = 'Recently deleted: restore within the undo window';
+        deletedBtn.addEventListener('click', (ev) => {
+          ev.preventDefault();
+          try {
+            RecentlyDeletedWindow.open();
+          } catch (_) {}
+        });
+        header.appendChild(deletedBtn);
+        const queueBtn = document.createElement('button');
+        queueBtn.type = 'button';
+        queueBtn.className = 'archivist-sync-btn archivist-queue-btn';
+        queueBtn.addEventListener('click', (ev) => {
+          ev.preventDefault();
+          writeQueue.flush();
+        });
+        header.appendChild(queueBtn);
+        updateWriteQueueIndicator(writeQueue.depth);
       });
     } catch (e) {
       console.warn('[Archivist Sync] Failed to inject sync button', e);
     }
   });
+  Hooks.on('archivistSyncWriteQueueChanged', (depth) =>
+    updateWriteQueueIndicator(depth)
+  );
+  // Real-time updates held because the entity also changed in Archivist
+  Hooks.on('archivistSyncWriteConflict', (conflict) => {
+    try {
+      ConflictDialog.show(conflict);
+    } catch (e) {
+      console.warn('[Archivist Sync] Failed to open conflict dialog', e);
+    }
+  });
+
+  // Sync state badges on Archivist rows of the Journal Directory
+  Hooks.on('renderJournalDirectory', (app, html) => {
+    if (!game.user?.isGM || !settingsManager.isWorldInitialized?.()) return;
+    const root = app?.element || html?.[0] || html;
+    requestAnimationFrame(() => {
+      try {
+        injectDirectoryBadges(root);
+      } catch (e) {
+        console.warn('[Archivist Sync] Failed to inject sync badges', e);
+      }
+    });
+  });
+  const refreshBadges = (doc, changes) => {
+    const flags = changes?.flags?.[CONFIG.MODULE_ID];
+    if (!game.user?.isGM || !(flags?.syncState || flags?.archivist)) return;
+    try {
+      refreshSyncBadges(doc);
+    } catch (_) {}
+  };
+  Hooks.on('updateJournalEntry', refreshBadges);
+  Hooks.on('updateItem', refreshBadges);
 
   // Inject quick-create buttons for Archivist sheets in the Journal Directory header
   Hooks.on('renderJournalDirectory', (app, html) => {
@@ -909,16 +1029,51 @@ function initializeDebugInterface() {
     CONFIG,
     settingsManager,
     archivistApi,
+    writeQueue,
+    syncCursor,
     updateChatAvailability: updateArchivistChatAvailability,
     installRealtimeSyncListeners,
     Utils,
     AskChatWindow,
+    BeatsWindow,
     async projection() {
       const { SlotResolver } = await import(
         './modules/projection/slot-resolver.js'
       );
       return SlotResolver;
     },
+    /**
+     * Route all API calls to an in-memory fake Archivist (development only).
+     * Call archivistApi.setTransport(null) to return to the live service.
+     * @param {object} [options] - FakeArchivist options (seed, latencyMs, ...)
+     */
+    async fakeArchivist(options) {
+      const { FakeArchivist } = await import('./services/fake-archivist.js');
+      const fake = new FakeArchivist(options);
+      archivistApi.setTransport(fake.transport);
+      return fake;
+    },
+    /** Request scheduler queue depth, throughput and rate-limit state. */
+    requestStats() {
+      return archivistApi.getRequestStats();
+    },
+    /** Real-time updates held for conflict resolution. */
+    conflicts() {
+      return writeQueue.conflicts;
+    },
+    /** Check Archivist for remote edits now, as the background pull does. */
+    pullNow() {
+      return remotePoller.poll();
+    },
+    /** Point imported documents at local copies of their images. */
+    async mirrorImages() {
+      const { imageMirror } = await import('./services/image-mirror.js');
+      return imageMirror.mirrorWorld();
+    },
+    /** Response cache entry count and hit counters. */
+    cacheStats() {
+      return archivistApi.getCacheStats();
+    },
   };
 
   Utils.log(
@@ -929,6 +1084,22 @@ function initializeDebugInterface() {
 // Export main components for potential use by other modules
 export { CONFIG, settingsManager, archivistApi, Utils };
 
+/**
+ * Show the number of queued real-time sync writes on the Journal Directory
+ * header button; hidden when nothing is pending.
+ * @param {number} depth
+ */
+function updateWriteQueueIndicator(depth) {
+  try {
+    const n = Math.max(0, Number(depth) || 0);
+    document.querySelectorAll('.archivist-queue-btn').forEach((btn) => {
+      btn.hidden = n === 0;
+      btn.innerHTML = `<i class="fas fa-cloud-arrow-up"></i> ${n} pending`;
+      btn.title = `${n} change${n === 1 ? '' : 's'} waiting to sync to Archivist. Click to retry now.`;
+    });
+  } catch (_) {}
+}
+
 /**
  * Real-Time Sync: listen to Foundry CRUD and POST/PATCH/DELETE to Archivist
  * Only runs for GMs and when a world is selected & setting enabled.
@@ -937,9 +1108,9 @@ function installRealtimeSyncListeners() {
   const isGM = game.user?.isGM;
   if (!isGM) return; // Only the GM client should perform API writes
 
-  const apiKey = settingsManager.getApiKey();
+  // GMs without an API key still listen; their writes relay to the leader
   const worldId = settingsManager.getSelectedWorldId();
-  if (!apiKey || !worldId) return;
+  if (!worldId) return;
 
   const toItemPayload = (item) => {
     const name = item?.name || 'Item';
@@ -991,9 +1162,81 @@ function installRealtimeSyncListeners() {
   const getPageMeta = (page) => Utils.getPageArchivistMeta(page) || {};
   const getPageMetaType = (page) =>
     String(getPageMeta(page)?.type || '').toLowerCase();
+  const entityTypeFor = (sheetType) =>
+    sheetType === 'pc' || sheetType === 'npc' || sheetType === 'character'
+      ? 'character'
+      : sheetType;
+
+  // Update hooks fire on every client. The GM who made a change sends it
+  // (relayed to the sync leader by the write queue); the leader also sends
+  // changes made by players.
+  const ownsChange = (userId) =>
+    userId === game.user.id ||
+    (!game.users?.get?.(userId)?.isGM && gmLeader.isLeader);
+
+  // Writes go through the durable queue so offline edits are replayed later.
+  // docUuid names the document holding the remote version, so the queue can
+  // detect edits made in Archivist since the last sync. Updates wait briefly
+  // in the coalescer so one sheet edit sends one PATCH per entity.
+  writeQueue.start();
+  tombstones.start();
+  // Fields the sync policy does not send are dropped; Foundry-authoritative
+  // fields overwrite remote edits instead of being held as conflicts.
+  const submitUpdate = (type, targetId, payload, label, docUuid, policy) => {
+    const sent = syncPolicy.filterPayload(policy || type, payload);
+    if (!sent) return null;
+    return writeCoalescer.update({
+      action: 'update',
+      type,
+      targetId,
+      payload: sent,
+      label,
+      docUuid,
+      ...(syncPolicy.foundryWins(policy || type, sent) ? { force: true } : {}),
+    });
+  };
+  // Deletes wait out the undo window as tombstones before they are sent.
+  // Called before any await so the document's data can still be captured.
+  const submitDelete = (type, targetId, label, doc) =>
+    tombstones.hold(doc, { type, targetId, label });
+  // Edits to a sheet whose create is still queued collapse into that create
+  const submitPendingCreateUpdate = (entry, sheetType, payload) => {
+    if (!writeQueue.hasPendingCreate(entry?.uuid)) return null;
+    return writeCoalescer.update({
+      action: 'update',
+      type: entityTypeFor(sheetType),
+      docUuid: entry.uuid,
+      payload,
+      label: entry.name,
+    });
+  };
+  // Local images (worlds/..., modules/...) are uploaded through the queue;
+  // https images travel in the payloads
+  const submitImage = (type, doc, targetId, src) => {
+    const policy = doc.documentName === 'Actor' ? 'actor' : type;
+    if (!syncPolicy.pushes(policy, 'image')) return null;
+    if (!imageUploader.accepts(type, src)) return null;
+    if (!targetId && !writeQueue.hasPendingCreate(doc.uuid)) return null;
+    return writeQueue.submit({
+      action: 'image',
+      type,
+      targetId,
+      docUuid: doc.uuid,
+      src,
+      label: doc.name,
+    });
+  };
+  // Writes the API rejected (422) get a field-level explanation
+  const reportRejected = (res, name) => {
+    if (!res || res.success || !res.error?.isValidation) return false;
+    ui.notifications?.error?.(describeApiFailure(res, { name }), {
+      permanent: true,
+    });
+    return true;
+  };
 
   // Create
-  Hooks.on('createActor', async (doc) => {
+  Hooks.on('createActor', async (doc, options, userId) => {
     try {
       // Always-on realtime rules; respect suppression during bulk ops
       if (
@@ -1001,8 +1244,20 @@ function installRealtimeSyncListeners() {
         settingsManager.isRealtimeSyncSuppressed?.()
       )
         return;
-      // Do not auto-create Archivist Characters from Foundry actor creations
-      return;
+      // New Actors create Archivist Characters only if the policy says so
+      if (game.user.id !== userId) return;
+      if (!syncPolicy.pushes('actor', 'create')) return;
+      if (!syncScope.allows(doc)) return;
+      if (doc.getFlag(CONFIG.MODULE_ID, 'archivistId')) return;
+      // The queue links the new Archivist id back onto the actor's flags
+      await writeQueue.submit({
+        action: 'create',
+        type: 'character',
+        docUuid: doc.uuid,
+        sheetType: 'actor',
+        payload: toCharacterPayload(doc),
+        label: doc.name,
+      });
     } catch (e) {
       console.warn('[RTS] createActor failed', e);
     }
@@ -1025,10 +1280,11 @@ function installRealtimeSyncListeners() {
 
       // Skip if already linked
       if (flags.archivistId) return;
+      if (!syncPolicy.pushes(sheetType, 'create')) return;
+      if (!syncScope.allows(entry)) return;
 
-      const apiKey = settingsManager.getApiKey();
       const worldId = settingsManager.getSelectedWorldId();
-      if (!apiKey || !worldId) return;
+      if (!worldId) return;
 
       // Gather description from first text page
       const pages = entry.pages?.contents || [];
@@ -1036,78 +1292,69 @@ function installRealtimeSyncListeners() {
       const html = textPage?.text?.content || '';
       const description = Utils.toMarkdownIfHtml?.(html) || html || '';
 
-      let res = { success: false, data: null };
+      let payload = null;
       if (
         sheetType === 'pc' ||
         sheetType === 'npc' ||
         sheetType === 'character'
       ) {
-        const payload = {
+        payload = {
           character_name: entry.name || 'Character',
           description,
           type: sheetType === 'npc' ? 'NPC' : 'PC',
           campaign_id: worldId,
         };
-        res = await archivistApi.createCharacter(apiKey, payload);
       } else if (sheetType === 'item') {
-        res = await archivistApi.createItem(apiKey, {
+        payload = {
           name: entry.name || 'Item',
           description,
           campaign_id: worldId,
-        });
+        };
       } else if (sheetType === 'location') {
         const rawImg = String(entry?.img || '').trim();
         const image = rawImg.startsWith('https://') ? rawImg : undefined;
-        res = await archivistApi.createLocation(apiKey, {
+        payload = {
           name: entry.name || 'Location',
           description,
           ...(image ? { image } : {}),
           campaign_id: worldId,
-        });
+        };
       } else if (sheetType === 'faction') {
         const rawImg = String(entry?.img || '').trim();
         const image = rawImg.startsWith('https://') ? rawImg : undefined;
-        res = await archivistApi.createFaction(apiKey, {
+        payload = {
           name: entry.name || 'Faction',
           description,
           ...(image ? { image } : {}),
           campaign_id: worldId,
-        });
+        };
       } else if (sheetType === 'quest') {
-        res = await archivistApi.createQuest(apiKey, {
-          worldId,
-          questName: entry.name || 'Quest',
-        });
+        payload = { worldId, questName: entry.name || 'Quest' };
       } else if (sheetType === 'journal') {
-        res = await archivistApi.createJournal(apiKey, {
+        payload = {
           world_id: worldId,
           title: entry.name || 'Journal',
           content: description,
-        });
-      }
-
-      if (res.success && res.data?.id) {
-        await entry.setFlag(CONFIG.MODULE_ID, 'archivist', {
-          sheetType,
-          archivistId: res.data.id,
-          archivistWorldId: worldId,
-          archivistRefs: {
-            characters: [],
-            items: [],
-            entries: [],
-            factions: [],
-            locationsAssociative: [],
-          },
-          foundryRefs: { actors: [], items: [], scenes: [], journals: [] },
-        });
+        };
       }
+      if (!payload) return;
+
+      // The queue links the new Archivist id back onto the entry's flags
+      await writeQueue.submit({
+        action: 'create',
+        type: entityTypeFor(sheetType),
+        docUuid: entry.uuid,
+        sheetType,
+        payload,
+        label: entry.name,
+      });
     } catch (e) {
       console.warn('[RTS] createJournalEntry (flags) failed', e);
     }
   });
 
   // Update
-  Hooks.on('updateActor', async (doc, changes) => {
+  Hooks.on('updateActor', async (doc, changes, options, userId) => {
     try {
       // Always-on realtime rules; respect suppression during bulk ops
       if (
@@ -1115,37 +1362,64 @@ function installRealtimeSyncListeners() {
         settingsManager.isRealtimeSyncSuppressed?.()
       )
         return;
-      // Do not PATCH Archivist Characters from Foundry actor updates
-      return;
+      // Actor names and portraits reach the Character as far as the
+      // 'actor' policy row allows; descriptions come from the sheets
+      if (!ownsChange(userId)) return;
+      const id = doc.getFlag(CONFIG.MODULE_ID, 'archivistId');
+      if (!id || !syncScope.allows(doc)) return;
+      if ('img' in (changes || {})) {
+        await submitImage('character', doc, id, doc.img);
+      }
+      if ('name' in (changes || {})) {
+        const payload = { character_name: doc.name };
+        await submitUpdate('character', id, payload, doc.name, null, 'actor');
+      }
     } catch (e) {
       console.warn('[RTS] updateActor failed', e);
     }
   });
-  Hooks.on('updateItem', async (doc, changes) => {
+  Hooks.on('updateItem', async (doc, changes, options, userId) => {
     try {
       if (
         !settingsManager.isRealtimeSyncEnabled?.() ||
         settingsManager.isRealtimeSyncSuppressed?.()
       )
         return;
+      if (!ownsChange(userId)) return;
+      // Flag-only changes (remote version, op marker) have nothing to send
+      if (isFlagOnlyChange(changes)) return;
+      // Op marker: ignore our own flag writes (e.g. the remote version)
+      if (
+        Object.prototype.hasOwnProperty.call(
+          changes?.flags?.[CONFIG.MODULE_ID] || {},
+          'op'
+        )
+      )
+        return;
       const id = doc.getFlag(CONFIG.MODULE_ID, 'archivistId');
-      if (!id) return;
-      const res = await archivistApi.updateItem(apiKey, id, toItemPayload(doc));
-      if (!res?.success) {
-        if (res.isDescriptionTooLong) {
-          ui.notifications?.error?.(
-            `Failed to sync ${res.entityName || doc?.name}: Description exceeds the maximum length of 10,000 characters. Please shorten the description and try again.`,
-            { permanent: true }
-          );
-        } else {
-          console.warn('[RTS] updateItem failed');
-        }
+      if (!id || !syncScope.allows(doc)) return;
+      if ('img' in changes) await submitImage('item', doc, id, doc.img);
+      const res = await submitUpdate(
+        'item',
+        id,
+        toItemPayload(doc),
+        doc.name,
+        doc.uuid
+      );
+      if (
+        res &&
+        !res.success &&
+        !res.queued &&
+        !res.held &&
+        !reportRejected(res, doc?.name)
+      ) {
+        console.warn('[RTS] updateItem failed');
       }
     } catch (e) {
       console.warn('[RTS] updateItem failed', e);
     }
   });
-  Hooks.on('updateJournalEntryPage', async (page, changes) => {
+  Hooks.on('updateJournalEntryPage', async (page, changes, options, userId) => {
     try {
       // Always-on realtime rules; respect suppression during bulk ops
       if (
@@ -1153,89 +1427,105 @@ function installRealtimeSyncListeners() {
         settingsManager.isRealtimeSyncSuppressed?.()
       )
         return;
+      if (!ownsChange(userId)) return;
+      // Flag-only changes (meta, op marker, lastProjectionAt) send nothing
+      if (isFlagOnlyChange(changes)) return;
       // Op marker: ignore our projection-originated write operations
       try {
         const mod = changes?.flags?.[CONFIG.MODULE_ID];
         if (mod && Object.prototype.hasOwnProperty.call(mod, 'op')) return;
       } catch (_) {}
+      // Out-of-scope pages (or pages of out-of-scope journals) stay local
+      if (!syncScope.allows(page)) return;
       const meta = getPageMeta(page);
       const metaType = getPageMetaType(page);
       let res;
       if (meta?.id && metaType === 'faction') {
-        res = await archivistApi.updateFaction(
-          apiKey,
+        res = await submitUpdate(
+          'faction',
           meta.id,
-          toFactionPayload(page)
+          toFactionPayload(page),
+          page.name,
+          page.uuid
         );
-        if (!res?.success && res?.isDescriptionTooLong) {
-          ui.notifications?.error?.(
-            `Failed to sync ${res.entityName || page?.name}: Description exceeds the maximum length of 10,000 characters. Please shorten the description and try again.`,
-            { permanent: true }
-          );
-        }
+        reportRejected(res, page?.name);
         return;
       }
       if (meta?.id && metaType === 'location') {
-        res = await archivistApi.updateLocation(
-          apiKey,
+        res = await submitUpdate(
+          'location',
           meta.id,
-          toLocationPayload(page)
+          toLocationPayload(page),
+          page.name,
+          page.uuid
         );
-        if (!res?.success && res?.isDescriptionTooLong) {
-          ui.notifications?.error?.(
-            `Failed to sync ${res.entityName || page?.name}: Description exceeds the maximum length of 10,000 characters. Please shorten the description and try again.`,
-            { permanent: true }
-          );
-        }
+        reportRejected(res, page?.name);
         return;
       }
       if (meta?.id && metaType === 'recap') {
         const title = page.name;
         const html = Utils.extractPageHtml(page);
-        await archivistApi.updateSession(apiKey, meta.id, {
+        await submitUpdate(
+          'session',
+          meta.id,
+          { title, summary: Utils.toMarkdownIfHtml?.(html) || html },
           title,
-          summary: Utils.toMarkdownIfHtml?.(html) || html,
-        });
+          page.uuid
+        );
         return;
       }
 
       const parent = page?.parent;
       const flags = parent?.getFlag?.(CONFIG.MODULE_ID, 'archivist') || {};
       const sheetType = String(flags?.sheetType || '').toLowerCase();
-      if (!sheetType || !flags.archivistId) return;
+      if (!sheetType) return;
 
       const html = Utils.extractPageHtml(page);
       const payload = { description: Utils.toMarkdownIfHtml?.(html) || html };
+      if (!flags.archivistId) {
+        if (sheetType === 'journal') {
+          await submitPendingCreateUpdate(parent, sheetType, {
+            content: payload.description,
+          });
+        } else if (sheetType !== 'quest' && sheetType !== 'recap') {
+          await submitPendingCreateUpdate(parent, sheetType, payload);
+        }
+        return;
+      }
+      const label = parent?.name || page.name;
 
       if (
         sheetType === 'pc' ||
         sheetType === 'npc' ||
         sheetType === 'character'
       ) {
-        res = await archivistApi.updateCharacter(
-          apiKey,
+        res = await submitUpdate(
+          'character',
           flags.archivistId,
-          payload
+          payload,
+          label,
+          parent.uuid
         );
-      } else if (sheetType === 'item') {
-        res = await archivistApi.updateItem(apiKey, flags.archivistId, payload);
-      } else if (sheetType === 'location') {
-        res = await archivistApi.updateLocation(
-          apiKey,
+      } else if (
+        sheetType === 'item' ||
+        sheetType === 'location' ||
+        sheetType === 'faction'
+      ) {
+        res = await submitUpdate(
+          sheetType,
           flags.archivistId,
-          payload
+          payload,
+          label,
+          parent.uuid
         );
-      } else if (sheetType === 'faction') {
-        res = await archivistApi.updateFaction(
-          apiKey,
+      } else if (sheetType === 'recap') {
+        await submitUpdate(
+          'session',
           flags.archivistId,
-          payload
+          { title: label, summary: payload.description },
+          label,
+          parent.uuid
         );
-      } else if (sheetType === 'recap') {
-        await archivistApi.updateSession(apiKey, flags.archivistId, {
-          title: parent?.name || page.name,
-          summary: payload.description,
-        });
         return;
       } else if (sheetType === 'quest') {
         // Quest page content is not a synced API field (quests use structured
@@ -1244,59 +1534,59 @@ function installRealtimeSyncListeners() {
         // page-content edit has nothing to push — skip the redundant PATCH.
         return;
       } else if (sheetType === 'journal') {
-        res = await archivistApi.updateJournal(apiKey, {
-          id: flags.archivistId,
-          title: parent?.name || page.name,
-          content: Utils.toMarkdownIfHtml?.(html) || html,
-        });
+        await submitUpdate(
+          'journal',
+          flags.archivistId,
+          { title: label, content: payload.description },
+          label,
+          parent.uuid
+        );
         return;
       }
 
-      if (res && !res?.success && res?.isDescriptionTooLong) {
-        ui.notifications?.error?.(
-          `Failed to sync ${res.entityName || parent?.name}: Description exceeds the maximum length of 10,000 characters. Please shorten the description and try again.`,
-          { permanent: true }
-        );
-      }
+      reportRejected(res, label);
     } catch (e) {
       console.warn('[RTS] updateJournalEntryPage failed', e);
     }
   });
 
   // When a sheet's title changes, PATCH the corresponding Archivist entity name/title
-  Hooks.on('updateJournalEntry', async (entry, diff) => {
+  Hooks.on('updateJournalEntry', async (entry, diff, options, userId) => {
     try {
       if (
         !settingsManager.isRealtimeSyncEnabled?.() ||
         settingsManager.isRealtimeSyncSuppressed?.()
       )
         return;
+      if (!ownsChange(userId)) return;
+      if (isFlagOnlyChange(diff)) return;
       // Op marker: ignore projection-originated writes
       try {
         const mod = diff?.flags?.[CONFIG.MODULE_ID];
         if (mod && Object.prototype.hasOwnProperty.call(mod, 'op')) return;
       } catch (_) {}
+      if (!syncScope.allows(entry)) return;
       const flags = entry.getFlag(CONFIG.MODULE_ID, 'archivist') || {};
       const id = flags?.archivistId;
       const st = String(flags?.sheetType || '');
-      if (!id || !diff?.name) return;
+      if ('img' in diff) {
+        await submitImage(entityTypeFor(st), entry, id, entry.img);
+      }
+      if (!diff?.name) return;
       const name = String(diff.name);
       const isCharacter = st === 'pc' || st === 'npc' || st === 'character';
-      if (isCharacter) {
-        await archivistApi.updateCharacter(apiKey, id, {
-          character_name: name,
-        });
-      } else if (st === 'item') {
-        await archivistApi.updateItem(apiKey, id, { name });
-      } else if (st === 'location') {
-        await archivistApi.updateLocation(apiKey, id, { name });
-      } else if (st === 'faction') {
-        await archivistApi.updateFaction(apiKey, id, { name });
-      } else if (st === 'quest') {
-        await archivistApi.updateQuest(apiKey, id, { questName: name });
-      } else if (st === 'journal') {
-        await archivistApi.updateJournal(apiKey, { id, title: name });
+      let payload = null;
+      if (isCharacter) payload = { character_name: name };
+      else if (st === 'item' || st === 'location' || st === 'faction')
+        payload = { name };
+      else if (st === 'quest') payload = { questName: name };
+      else if (st === 'journal') payload = { title: name };
+      if (!payload) return;
+      if (!id) {
+        await submitPendingCreateUpdate(entry, st, payload);
+        return;
       }
+      await submitUpdate(entityTypeFor(st), id, payload, name, entry.uuid);
     } catch (e) {
       console.warn('[RTS] updateJournalEntry (title sync) failed', e);
     }
@@ -1311,8 +1601,9 @@ function installRealtimeSyncListeners() {
       )
         return;
       const id = doc.getFlag(CONFIG.MODULE_ID, 'archivistId');
-      if (!id) return;
-      // No deleteCharacter API currently; we skip or could introduce one in API later
+      if (!id || !syncPolicy.pushes('actor', 'create')) return;
+      if (!syncScope.allows(doc)) return;
+      await submitDelete('character', id, doc.name, doc);
     } catch (e) {
       console.warn('[RTS] preDeleteActor failed', e);
     }
@@ -1325,8 +1616,9 @@ function installRealtimeSyncListeners() {
       )
         return;
       const id = doc.getFlag(CONFIG.MODULE_ID, 'archivistId');
-      if (!id) return;
-      if (archivistApi.deleteItem) await archivistApi.deleteItem(apiKey, id);
+      if (!id || !syncPolicy.pushes('item', 'create')) return;
+      if (!syncScope.allows(doc)) return;
+      await submitDelete('item', id, doc.name, doc);
     } catch (e) {
       console.warn('[RTS] preDeleteItem failed', e);
     }
@@ -1340,12 +1632,11 @@ function installRealtimeSyncListeners() {
         return;
       const meta = getPageMeta(page);
       const metaType = getPageMetaType(page);
-      if (!meta?.id) return;
-      if (metaType === 'recap') return; // Recaps still managed elsewhere
-      if (metaType === 'faction' && archivistApi.deleteFaction) {
-        await archivistApi.deleteFaction(apiKey, meta.id);
-      } else if (metaType === 'location' && archivistApi.deleteLocation) {
-        await archivistApi.deleteLocation(apiKey, meta.id);
+      if (!meta?.id || !syncScope.allows(page)) return;
+      // Recaps cannot be deleted through the API; the policy never sends them
+      if (!syncPolicy.pushes(metaType, 'create')) return;
+      if (metaType === 'faction' || metaType === 'location') {
+        await submitDelete(metaType, meta.id, page.name, page);
       }
     } catch (e) {
       console.warn('[RTS] preDeleteJournalEntryPage failed', e);
@@ -1363,30 +1654,39 @@ function installRealtimeSyncListeners() {
       const flags = entry.getFlag(CONFIG.MODULE_ID, 'archivist') || {};
       const id = flags?.archivistId;
       const st = String(flags?.sheetType || '').toLowerCase();
-      if (!id) return;
-      if (st === 'recap') return; // Never create/delete recaps
-      if (
-        (st === 'pc' || st === 'npc' || st === 'character') &&
-        archivistApi.deleteCharacter
-      ) {
-        await archivistApi.deleteCharacter(apiKey, id);
-      } else if (st === 'item' && archivistApi.deleteItem) {
-        await archivistApi.deleteItem(apiKey, id);
-      } else if (st === 'location' && archivistApi.deleteLocation) {
-        await archivistApi.deleteLocation(apiKey, id);
-      } else if (st === 'faction' && archivistApi.deleteFaction) {
-        await archivistApi.deleteFaction(apiKey, id);
-      } else if (st === 'quest') {
-        await archivistApi.deleteQuest(apiKey, id);
-      } else if (st === 'journal') {
-        await archivistApi.deleteJournal(apiKey, id);
+      if (!st) return;
+      if (!id) {
+        // Deleting before the queued create was sent cancels both
+        if (writeQueue.hasPendingCreate(entry.uuid)) {
+          await writeCoalescer.flush({
+            type: entityTypeFor(st),
+            docUuid: entry.uuid,
+          });
+          await writeQueue.submit({
+            action: 'delete',
+            type: entityTypeFor(st),
+            docUuid: entry.uuid,
+            label: entry.name,
+          });
+        }
+        return;
       }
+      if (!syncPolicy.pushes(st, 'create')) return; // recaps never are
+      if (!syncScope.allows(entry)) return;
+      await submitDelete(entityTypeFor(st), id, entry.name, entry);
     } catch (e) {
       console.warn('[RTS] preDeleteJournalEntry failed', e);
     }
   });
 }
 
+// "Don't sync with Archivist" toggles in the directory context menus
+for (const documentName of Object.keys(SCOPE_DOCUMENT_TYPES)) {
+  Hooks.on(`get${documentName}ContextOptions`, (app, options) => {
+    options.push(...scopeContextOptions(documentName));
+  });
+}
+
 // Header controls (v13): add quick-create buttons to Journal Directory
 Hooks.on('getJournalDirectoryHeaderButtons', (app, buttons) => {
   try {
@@ -1548,3 +1848,80 @@ Hooks.on('renderJournalDirectory', (app, html) => {
     console.warn('[Archivist Sync] Failed to inject eye buttons', e);
   }
 });
+
+// Settings: test the selected Archivist server and show its version/environment
+Hooks.on('renderSettingsConfig', (app, html) => {
+  try {
+    if (!game.user?.isGM) return;
+    const root =
+      app?.element || (html instanceof HTMLElement ? html : html?.[0]);
+    const profileSelect = root?.querySelector?.(
+      `[name="${CONFIG.MODULE_ID}.apiProfile"]`
+    );
+    const customInput = root?.querySelector?.(
+      `[name="${CONFIG.MODULE_ID}.apiCustomUrl"]`
+    );
+    const group = customInput?.closest?.('.form-group');
+    if (!profileSelect || !group) return;
+    if (group.parentElement?.querySelector('.archivist-endpoint-status'))
+      return;
+
+    const status = document.createElement('div');
+    status.className = 'archivist-endpoint-status';
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.innerHTML = `<i class="fas fa-plug"></i> ${game.i18n.localize('ARCHIVIST_SYNC.Settings.ApiCustomUrl.Status.Test')}`;
+    const text = document.createElement('span');
+    text.className = 'status-text';
+    status.append(button, text);
+    group.after(status);
+
+    // Test what is in the form, not what is saved, so a URL can be checked before saving
+    const selectedRoot = () =>
+      profileSelect.value === 'custom'
+        ? customInput.value.trim() || CONFIG.API_PROFILES.production
+        : CONFIG.API_PROFILES[profileSelect.value] ||
+          CONFIG.API_PROFILES.production;
+    const syncCustomState = () => {
+      customInput.disabled = profileSelect.value !== 'custom';
+    };
+    const check = async () => {
+      const url = archivistApi._normalizeRootUrl(selectedRoot());
+      status.dataset.state = 'pending';
+      text.textContent = game.i18n.localize(
+        'ARCHIVIST_SYNC.Settings.ApiCustomUrl.Status.Checking'
+      );
+      const res = await archivistApi.checkHealth(url);
+      status.dataset.state = res.success ? 'ok' : 'error';
+      text.textContent = res.success
+        ? game.i18n.format(
+            'ARCHIVIST_SYNC.Settings.ApiCustomUrl.Status.Connected',
+            {
+              url,
+              version: res.data.version,
+              environment: res.data.environment,
+            }
+          )
+        : game.i18n.format(
+            'ARCHIVIST_SYNC.Settings.ApiCustomUrl.Status.Failed',
+            {
+              url,
+              message: res.message,
+            }
+          );
+    };
+
+    button.addEventListener('click', (ev) => {
+      ev.preventDefault();
+      check();
+    });
+    profileSelect.addEventListener('change', () => {
+      syncCustomState();
+      check();
+    });
+    syncCustomState();
+    check();
+  } catch (e) {
+    console.warn('[Archivist Sync] Failed to add server status to settings', e);
+  }
+});
@@ -1,6 +1,7 @@
 import { CONFIG, SETTINGS } from '../modules/config.js';
 import { settingsManager } from '../modules/settings-manager.js';
-import { archivistApi } from '../services/archivist-api.js';
+import { apiRelay } from '../services/api-relay.js';
+import { gmLeader } from '../services/gm-leader.js';
 // Hub removed
 
 /**
@@ -82,9 +83,26 @@ export class AskChatWindow {
       messages: enriched,
       isStreaming: this._isStreaming,
       placeholder: game.i18n.localize('ARCHIVIST_SYNC.chat.placeholder'),
+      unavailable: this._unavailableNotice(),
     };
   }
 
+  /**
+   * Why Archivist can't be asked right now, or '' when it can. Clients
+   * without an API key ask through a connected GM that has one.
+   * @returns {string}
+   */
+  _unavailableNotice() {
+    if (apiRelay.available) return '';
+    if (game.user?.isGM) {
+      return game.i18n.localize('ARCHIVIST_SYNC.chat.noApi');
+    }
+    if (!gmLeader.leaderId) {
+      return game.i18n.localize('ARCHIVIST_SYNC.chat.noGm');
+    }
+    return game.i18n.localize('ARCHIVIST_SYNC.chat.noGmKey');
+  }
+
   /**
    * Convert Markdown text to enriched, sanitized HTML using a tiny local pipeline.
    * Prefers markdown-it, falls back to marked, else a minimal formatter.
@@ -254,11 +272,8 @@ export class AskChatWindow {
   }
 
   async _onSend(text) {
-    if (!settingsManager.isApiConfigured()) {
-      return ui.notifications?.warn(
-        game.i18n.localize('ARCHIVIST_SYNC.chat.noApi')
-      );
-    }
+    const unavailable = this._unavailableNotice();
+    if (unavailable) return ui.notifications?.warn(unavailable);
     if (!settingsManager.isWorldSelected()) {
       return ui.notifications?.warn(
         game.i18n.localize('ARCHIVIST_SYNC.chat.noWorld')
@@ -290,7 +305,6 @@ export class AskChatWindow {
       .filter((m) => m.role === 'user' || m.role === 'assistant')
       .slice(-10);
 
-    const apiKey = settingsManager.getApiKey();
     const worldId = settingsManager.getSelectedWorldId();
     const gmPermissions =
       !!game.user?.isGM && !!settingsManager.getChatGmPermissionsEnabled?.();
@@ -299,8 +313,7 @@ export class AskChatWindow {
     const controller = new AbortController();
     this._streamAbort = controller;
     try {
-      await archivistApi.askStream(
-        apiKey,
+      await apiRelay.askStream(
         worldId,
         recent,
         gmPermissions,
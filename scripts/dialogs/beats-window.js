@@ -0,0 +1,575 @@
+import { settingsManager } from '../modules/settings-manager.js';
+import { archivistApi } from '../services/archivist-api.js';
+import { describeApiFailure } from '../services/api-error.js';
+
+const BEAT_TYPES = [
+  { value: 'major', label: 'Major' },
+  { value: 'minor', label: 'Minor' },
+  { value: 'step', label: 'Step' },
+];
+
+/**
+ * BeatsWindow — campaign beat timeline
+ * Shows the ordered, nested beat tree (index within parent_id) and lets the GM
+ * create/edit/delete beats, reorder them and re-parent them by drag-and-drop.
+ * Reorders are sent as JSON Merge Patches of only the fields that changed.
+ */
+export class BeatsWindow extends foundry.applications.api.HandlebarsApplicationMixin(
+  foundry.applications.api.ApplicationV2
+) {
+  constructor(options = {}) {
+    super(options);
+    this.isLoading = false;
+    this.isSaving = false;
+    this.beats = [];
+    this.sessions = [];
+    this._collapsed = new Set();
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: 'archivist-beats-window',
+    window: {
+      title: 'Archivist Beats',
+      icon: 'fas fa-timeline',
+      resizable: true,
+    },
+    position: { width: 720, height: 640 },
+    classes: ['archivist-sync-dialog', 'beats-window'],
+    actions: {
+      refresh: BeatsWindow.prototype._onRefresh,
+      addBeat: BeatsWindow.prototype._onAddBeat,
+      editBeat: BeatsWindow.prototype._onEditBeat,
+      deleteBeat: BeatsWindow.prototype._onDeleteBeat,
+      toggleCollapse: BeatsWindow.prototype._onToggleCollapse,
+    },
+  };
+
+  static PARTS = {
+    form: { template: 'modules/archivist-sync/templates/beats-window.hbs' },
+  };
+
+  async _prepareContext() {
+    if (!this._initialized) {
+      this._loadBeats().then(() => {
+        this._initialized = true;
+        this.render({ force: true });
+      });
+      return { isLoading: true, rows: [], stats: { beats: 0 } };
+    }
+    return {
+      isLoading: this.isLoading,
+      isSaving: this.isSaving,
+      rows: this._buildRows(),
+      stats: { beats: this.beats.length },
+    };
+  }
+
+  async _onRender(context, options) {
+    await super._onRender?.(context, options);
+    const root = this.element;
+    if (!root) return;
+
+    const clearMarkers = () => {
+      root
+        .querySelectorAll('.drop-before, .drop-after, .drop-inside')
+        .forEach((el) =>
+          el.classList.remove('drop-before', 'drop-after', 'drop-inside')
+        );
+    };
+
+    for (const row of root.querySelectorAll('.beat-row[data-beat-id]')) {
+      row.addEventListener('dragstart', (ev) => {
+        ev.dataTransfer?.setData(
+          'text/plain',
+          JSON.stringify({ archivistBeatId: row.dataset.beatId })
+        );
+        if (ev.dataTransfer) ev.dataTransfer.effectAllowed = 'move';
+        row.classList.add('dragging');
+      });
+      row.addEventListener('dragend', () => {
+        row.classList.remove('dragging');
+        clearMarkers();
+      });
+      row.addEventListener('dragover', (ev) => {
+        ev.preventDefault();
+        const position = this._dropPosition(row, ev);
+        clearMarkers();
+        row.classList.add(`drop-${position}`);
+      });
+      row.addEventListener('dragleave', () => {
+        row.classList.remove('drop-before', 'drop-after', 'drop-inside');
+      });
+      row.addEventListener('drop', async (ev) => {
+        ev.preventDefault();
+        ev.stopPropagation();
+        const position = this._dropPosition(row, ev);
+        clearMarkers();
+        const dragId = this._readDragId(ev);
+        if (!dragId) return;
+        await this._moveBeat(dragId, row.dataset.beatId, position);
+      });
+    }
+
+    // Dropping on the trailing zone moves a beat to the end of the top level
+    const rootZone = root.querySelector('.beats-root-drop');
+    if (rootZone) {
+      rootZone.addEventListener('dragover', (ev) => {
+        ev.preventDefault();
+        rootZone.classList.add('drop-inside');
+      });
+      rootZone.addEventListener('dragleave', () =>
+        rootZone.classList.remove('drop-inside')
+      );
+      rootZone.addEventListener('drop', async (ev) => {
+        ev.preventDefault();
+        rootZone.classList.remove('drop-inside');
+        const dragId = this._readDragId(ev);
+        if (!dragId) return;
+        await this._moveBeat(dragId, null, 'inside');
+      });
+    }
+  }
+
+  /**
+   * Top quarter of a row inserts before it, bottom quarter after it, and the
+   * middle nests the dragged beat as the row's last child.
+   * @private
+   */
+  _dropPosition(row, ev) {
+    const rect = row.getBoundingClientRect();
+    const offset = (ev.clientY - rect.top) / Math.max(1, rect.height);
+    if (offset < 0.25) return 'before';
+    if (offset > 0.75) return 'after';
+    return 'inside';
+  }
+
+  /** @private */
+  _readDragId(ev) {
+    try {
+      const raw = ev.dataTransfer?.getData('text/plain') || '';
+      const data = JSON.parse(raw);
+      return data?.archivistBeatId ? String(data.archivistBeatId) : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  async _loadBeats() {
+    this.isLoading = true;
+    try {
+      const apiKey = settingsManager.getApiKey?.();
+      const campaignId = settingsManager.getSelectedWorldId?.();
+      if (!apiKey || !campaignId) {
+        this.beats = [];
+        this.sessions = [];
+        return;
+      }
+      const [beats, sessions] = await Promise.all([
+        archivistApi.listBeats(apiKey, campaignId),
+        archivistApi.listSessions(apiKey, campaignId),
+      ]);
+      if (!beats?.success) {
+        ui.notifications?.error?.(
+          `Failed to load beats: ${beats?.message || 'unknown error'}`
+        );
+      }
+      this.beats = (beats?.success ? beats.data : []) || [];
+      this.sessions = (sessions?.success ? sessions.data : []) || [];
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  /**
+   * Children of a parent (null = top level) ordered by index, then label.
+   * @param {string|null} parentId
+   * @returns {Array<object>}
+   * @private
+   */
+  _childrenOf(parentId) {
+    const pid = parentId ? String(parentId) : null;
+    return this.beats
+      .filter((b) => (b.parent_id ? String(b.parent_id) : null) === pid)
+      .sort((a, b) => {
+        const ia = Number.isFinite(Number(a.index)) ? Number(a.index) : 0;
+        const ib = Number.isFinite(Number(b.index)) ? Number(b.index) : 0;
+        if (ia !== ib) return ia - ib;
+        return String(a.label || '').localeCompare(String(b.label || ''));
+      });
+  }
+
+  /**
+   * Flatten the beat tree depth-first into template rows. Beats whose parent
+   * is missing from the list are shown at the top level so they stay reachable.
+   * @private
+   */
+  _buildRows() {
+    const ids = new Set(this.beats.map((b) => String(b.id)));
+    const sessionTitles = new Map(
+      this.sessions.map((s) => [String(s.id), s.title || s.name || 'Session'])
+    );
+    const rows = [];
+    const seen = new Set();
+    const visit = (beat, depth) => {
+      const id = String(beat.id);
+      if (seen.has(id)) return;
+      seen.add(id);
+      const children = this._childrenOf(id);
+      const collapsed = this._collapsed.has(id);
+      const type = String(beat.type || 'step').toLowerCase();
+      rows.push({
+        id,
+        label: beat.label || 'Untitled Beat',
+        type,
+        typeLabel: BEAT_TYPES.find((t) => t.value === type)?.label || type,
+        description: String(beat.description || '').slice(0, 160),
+        sessionTitle: beat.game_session_id
+          ? sessionTitles.get(String(beat.game_session_id)) || ''
+          : '',
+        depth,
+        indent: depth * 20,
+        hasChildren: children.length > 0,
+        collapsed,
+      });
+      if (collapsed) {
+        for (const c of children) this._markSeen(c, seen);
+        return;
+      }
+      for (const c of children) visit(c, depth + 1);
+    };
+    for (const b of this._childrenOf(null)) visit(b, 0);
+    for (const b of this.beats) {
+      if (b.parent_id && !ids.has(String(b.parent_id))) visit(b, 0);
+    }
+    return rows;
+  }
+
+  /** @private */
+  _markSeen(beat, seen) {
+    const id = String(beat.id);
+    if (seen.has(id)) return;
+    seen.add(id);
+    for (const c of this._childrenOf(id)) this._markSeen(c, seen);
+  }
+
+  /** @private */
+  _isDescendant(candidateId, ancestorId) {
+    const byId = new Map(this.beats.map((b) => [String(b.id), b]));
+    let cur = byId.get(String(candidateId));
+    const guard = new Set();
+    while (cur?.parent_id && !guard.has(String(cur.id))) {
+      guard.add(String(cur.id));
+      if (String(cur.parent_id) === String(ancestorId)) return true;
+      cur = byId.get(String(cur.parent_id));
+    }
+    return false;
+  }
+
+  /**
+   * Move a beat relative to a target row, renumbering the affected sibling
+   * lists and PATCHing only the beats whose index or parent changed.
+   * @param {string} beatId
+   * @param {string|null} targetId - null with 'inside' means top level
+   * @param {'before'|'after'|'inside'} position
+   */
+  async _moveBeat(beatId, targetId, position) {
+    const beat = this.beats.find((b) => String(b.id) === String(beatId));
+    if (!beat || String(beatId) === String(targetId)) return;
+    const target = targetId
+      ? this.beats.find((b) => String(b.id) === String(targetId))
+      : null;
+    if (targetId && !target) return;
+    if (targetId && this._isDescendant(targetId, beatId)) {
+      ui.notifications?.warn?.(
+        'A beat cannot be moved inside its own sub-beats.'
+      );
+      return;
+    }
+
+    const oldParent = beat.parent_id ? String(beat.parent_id) : null;
+    const newParent =
+      position === 'inside'
+        ? target
+          ? String(target.id)
+          : null
+        : target?.parent_id
+          ? String(target.parent_id)
+          : null;
+
+    const siblings = this._childrenOf(newParent).filter(
+      (b) => String(b.id) !== String(beatId)
+    );
+    let insertAt = siblings.length;
+    if (position !== 'inside') {
+      const idx = siblings.findIndex((b) => String(b.id) === String(targetId));
+      insertAt =
+        idx < 0 ? siblings.length : idx + (position === 'after' ? 1 : 0);
+    }
+    siblings.splice(insertAt, 0, beat);
+
+    const patches = new Map();
+    const renumber = (list, parentId) => {
+      list.forEach((b, i) => {
+        const patch = {};
+        if (Number(b.index) !== i) patch.index = i;
+        const currentParent = b.parent_id ? String(b.parent_id) : null;
+        if (currentParent !== parentId) patch.parent_id = parentId;
+        if (Object.keys(patch).length) {
+          patches.set(String(b.id), {
+            ...(patches.get(String(b.id)) || {}),
+            ...patch,
+          });
+        }
+      });
+    };
+    renumber(siblings, newParent);
+    if (oldParent !== newParent) {
+      renumber(
+        this._childrenOf(oldParent).filter(
+          (b) => String(b.id) !== String(beatId)
+        ),
+        oldParent
+      );
+    }
+    if (!patches.size) return;
+
+    // Apply locally first so the tree reflects the move immediately
+    for (const [id, patch] of patches) {
+      const b = this.beats.find((x) => String(x.id) === id);
+      if (b) Object.assign(b, patch);
+    }
+    if (newParent) this._collapsed.delete(newParent);
+    await this._savePatches(patches);
+  }
+
+  /** @private */
+  async _savePatches(patches) {
+    const apiKey = settingsManager.getApiKey?.();
+    if (!apiKey) return;
+    this.isSaving = true;
+    await this.render();
+    let failed = 0;
+    try {
+      for (const [id, patch] of patches) {
+        const res = await archivistApi.updateBeat(apiKey, id, patch);
+        if (!res?.success) {
+          failed++;
+          console.warn(
+            '[Archivist Sync] Beat reorder failed',
+            id,
+            res?.message
+          );
+        }
+      }
+    } finally {
+      this.isSaving = false;
+    }
+    if (failed) {
+      ui.notifications?.error?.(
+        `Failed to save ${failed} beat change${failed > 1 ? 's' : ''}. Reloading from Archivist.`
+      );
+      await this._loadBeats();
+    }
+    await this.render();
+  }
+
+  async _onRefresh(event) {
+    event?.preventDefault?.();
+    this.isLoading = true;
+    await this.render();
+    try {
+      await this._loadBeats();
+    } finally {
+      await this.render();
+    }
+  }
+
+  async _onToggleCollapse(event) {
+    event?.preventDefault?.();
+    const id = event?.target?.closest?.('[data-beat-id]')?.dataset?.beatId;
+    if (!id) return;
+    if (this._collapsed.has(id)) this._collapsed.delete(id);
+    else this._collapsed.add(id);
+    await this.render();
+  }
+
+  async _onAddBeat(event) {
+    event?.preventDefault?.();
+    const parentId =
+      event?.target?.closest?.('[data-beat-id]')?.dataset?.beatId || null;
+    const parent = parentId
+      ? this.beats.find((b) => String(b.id) === String(parentId))
+      : null;
+    const data = await this._promptBeat({
+      title: parent ? `Add Beat under ${parent.label}` : 'Add Beat',
+      beat: {
+        type: parent ? this._childType(parent.type) : 'major',
+        game_session_id: parent?.game_session_id || '',
+      },
+    });
+    if (!data) return;
+    const apiKey = settingsManager.getApiKey?.();
+    const campaignId = settingsManager.getSelectedWorldId?.();
+    if (!apiKey || !campaignId) {
+      ui.notifications?.warn?.('Archivist world not configured.');
+      return;
+    }
+    const payload = {
+      ...data,
+      campaign_id: campaignId,
+      index: this._childrenOf(parentId).length,
+      ...(parentId ? { parent_id: String(parentId) } : {}),
+    };
+    const res = await archivistApi.createBeat(apiKey, payload);
+    if (!res?.success) {
+      ui.notifications?.error?.(`Failed to create beat: ${res?.message || ''}`);
+      return;
+    }
+    this.beats.push({ ...payload, ...(res.data || {}) });
+    if (parentId) this._collapsed.delete(String(parentId));
+    await this.render();
+  }
+
+  async _onEditBeat(event) {
+    event?.preventDefault?.();
+    const id = event?.target?.closest?.('[data-beat-id]')?.dataset?.beatId;
+    const beat = this.beats.find((b) => String(b.id) === String(id));
+    if (!beat) return;
+    const data = await this._promptBeat({ title: 'Edit Beat', beat });
+    if (!data) return;
+    const patch = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (String(beat[key] ?? '') !== String(value ?? '')) patch[key] = value;
+    }
+    if (!Object.keys(patch).length) return;
+    const apiKey = settingsManager.getApiKey?.();
+    const res = await archivistApi.updateBeat(apiKey, beat.id, patch);
+    if (!res?.success) {
+      if (res?.error?.isValidation) {
+        ui.notifications?.error?.(
+          describeApiFailure(res, { action: 'update', name: beat.label }),
+          { permanent: true }
+        );
+      } else {
+        ui.notifications?.error?.(
+          `Failed to update beat: ${res?.message || ''}`
+        );
+      }
+      return;
+    }
+    Object.assign(beat, patch, res.data || {});
+    await this.render();
+  }
+
+  async _onDeleteBeat(event) {
+    event?.preventDefault?.();
+    const id = event?.target?.closest?.('[data-beat-id]')?.dataset?.beatId;
+    const beat = this.beats.find((b) => String(b.id) === String(id));
+    if (!beat) return;
+    const childCount = this._childrenOf(beat.id).length;
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: 'Delete Beat' },
+      content: `<p>Delete <strong>${foundry.utils.escapeHTML(String(beat.label || ''))}</strong> from Archivist?</p>${
+        childCount
+          ? `<p>Its ${childCount} sub-beat${childCount > 1 ? 's' : ''} will move up to its parent.</p>`
+          : ''
+      }<p>This cannot be undone.</p>`,
+      yes: { label: 'Delete', icon: 'fas fa-trash' },
+      no: { label: 'Cancel' },
+    });
+    if (!confirmed) return;
+    const apiKey = settingsManager.getApiKey?.();
+    // Move sub-beats up to the deleted beat's parent before removing it
+    const parentId = beat.parent_id ? String(beat.parent_id) : null;
+    const start = this._childrenOf(parentId).length;
+    const rehomed = this._childrenOf(beat.id);
+    for (const [i, child] of rehomed.entries()) {
+      const res = await archivistApi.updateBeat(apiKey, child.id, {
+        parent_id: parentId,
+        index: start + i,
+      });
+      if (!res?.success) {
+        console.warn(
+          '[Archivist Sync] Failed to re-home sub-beat',
+          child.id,
+          res?.message
+        );
+      }
+    }
+    const res = await archivistApi.deleteBeat(apiKey, beat.id);
+    if (!res?.success) {
+      ui.notifications?.error?.(`Failed to delete beat: ${res?.message || ''}`);
+    }
+    await this._loadBeats();
+    await this.render();
+  }
+
+  /** @private */
+  _childType(parentType) {
+    const t = String(parentType || '').toLowerCase();
+    return t === 'major' ? 'minor' : 'step';
+  }
+
+  /**
+   * Prompt for beat fields.
+   * @param {{title:string, beat:object}} opts
+   * @returns {Promise<{label:string,type:string,description:string,game_session_id:string|null}|null>}
+   * @private
+   */
+  async _promptBeat({ title, beat }) {
+    const esc = (v) => foundry.utils.escapeHTML(String(v ?? ''));
+    const typeOptions = BEAT_TYPES.map(
+      (t) =>
+        `<option value="${t.value}" ${String(beat?.type || '') === t.value ? 'selected' : ''}>${t.label}</option>`
+    ).join('');
+    const sessionOptions = [
+      `<option value="">— None —</option>`,
+      ...this.sessions.map(
+        (s) =>
+          `<option value="${esc(s.id)}" ${String(beat?.game_session_id || '') === String(s.id) ? 'selected' : ''}>${esc(s.title || s.name || 'Session')}</option>`
+      ),
+    ].join('');
+    try {
+      return await foundry.applications.api.DialogV2.prompt({
+        window: { title },
+        content: `
+          <div class="form-group">
+            <label>Label:</label>
+            <input type="text" name="label" value="${esc(beat?.label)}" autofocus style="width: 100%;" />
+          </div>
+          <div class="form-group">
+            <label>Type:</label>
+            <select name="type">${typeOptions}</select>
+          </div>
+          <div class="form-group">
+            <label>Session:</label>
+            <select name="game_session_id">${sessionOptions}</select>
+          </div>
+          <div class="form-group stacked">
+            <label>Description:</label>
+            <textarea name="description" rows="5" style="width: 100%;">${esc(beat?.description)}</textarea>
+          </div>
+        `,
+        ok: {
+          icon: '<i class="fas fa-check"></i>',
+          label: 'Save',
+          callback: (event, button) => {
+            const els = button.form.elements;
+            const label = els.label.value.trim();
+            if (!label) return null;
+            return {
+              label,
+              type: els.type.value,
+              game_session_id: els.game_session_id.value || null,
+              description: els.description.value,
+            };
+          },
+        },
+        cancel: { icon: '<i class="fas fa-times"></i>', label: 'Cancel' },
+        rejectClose: true,
+      });
+    } catch (_) {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,143 @@
+import { writeQueue } from '../services/write-queue.js';
+import { remoteVersion } from '../services/remote-version.js';
+import { hasConflictMarkers } from '../modules/merge/three-way-merge.js';
+
+const FIELD_TITLES = {
+  character_name: 'Name',
+  name: 'Name',
+  description: 'Description',
+};
+
+/**
+ * ConflictDialog — resolve a real-time update that was held because the
+ * entity changed in Archivist since the last sync.
+ * Shows the last synced text, the Foundry edit and the Archivist copy side by
+ * side with an editable three-way merge. Keeping either side or saving the
+ * merge sends the result and brings the Foundry document in line with it.
+ */
+export class ConflictDialog extends foundry.applications.api.HandlebarsApplicationMixin(
+  foundry.applications.api.ApplicationV2
+) {
+  /** Open dialogs by held-write uid, so a repeated conflict refocuses one. */
+  static _open = new Map();
+
+  /**
+   * Show the dialog for a held write, or bring its open dialog to the front.
+   * @param {{uid:string, op:object, conflicts:Array, remote:object}} conflict
+   */
+  static show(conflict) {
+    const open = ConflictDialog._open.get(conflict.uid);
+    if (open) {
+      open.bringToFront?.();
+      return open;
+    }
+    const dialog = new ConflictDialog(conflict);
+    ConflictDialog._open.set(conflict.uid, dialog);
+    dialog.render({ force: true });
+    return dialog;
+  }
+
+  constructor(conflict, options = {}) {
+    super({ ...options, id: `archivist-conflict-${conflict.uid}` });
+    this.conflict = conflict;
+    this.isSaving = false;
+  }
+
+  static DEFAULT_OPTIONS = {
+    window: {
+      title: 'Archivist Sync Conflict',
+      icon: 'fas fa-code-merge',
+      resizable: true,
+    },
+    position: { width: 860, height: 'auto' },
+    classes: ['archivist-sync-dialog', 'conflict-dialog'],
+    actions: {
+      keepMine: ConflictDialog.prototype._onKeepMine,
+      keepTheirs: ConflictDialog.prototype._onKeepTheirs,
+      saveMerged: ConflictDialog.prototype._onSaveMerged,
+    },
+  };
+
+  static PARTS = {
+    form: { template: 'modules/archivist-sync/templates/conflict-dialog.hbs' },
+  };
+
+  async _prepareContext() {
+    const { op, conflicts } = this.conflict;
+    return {
+      label: op.label || op.targetId,
+      type: op.type,
+      isSaving: this.isSaving,
+      fields: conflicts.map((c) => {
+        const multiline = c.field === 'description';
+        return {
+          ...c,
+          title: FIELD_TITLES[c.field] || c.field,
+          multiline,
+          // A one-line field cannot show conflict markers; start from ours
+          merged: multiline || c.clean ? c.merged : c.mine,
+        };
+      }),
+    };
+  }
+
+  _onClose(options) {
+    ConflictDialog._open.delete(this.conflict.uid);
+    super._onClose?.(options);
+  }
+
+  async _onKeepMine() {
+    await this._resolve(
+      Object.fromEntries(this.conflict.conflicts.map((c) => [c.field, c.mine]))
+    );
+  }
+
+  async _onKeepTheirs() {
+    await this._resolve(
+      Object.fromEntries(
+        this.conflict.conflicts.map((c) => [c.field, c.theirs])
+      )
+    );
+  }
+
+  async _onSaveMerged() {
+    const values = {};
+    for (const c of this.conflict.conflicts) {
+      const input = this.element?.querySelector?.(`[name="${c.field}"]`);
+      values[c.field] = String(input?.value ?? c.merged);
+    }
+    if (Object.values(values).some(hasConflictMarkers)) {
+      ui.notifications?.warn?.(
+        'Resolve the <<<<<<< / >>>>>>> conflict markers before saving the merge.'
+      );
+      return;
+    }
+    await this._resolve(values);
+  }
+
+  /**
+   * Send the chosen field values and mirror them into the Foundry document.
+   * @param {Object<string,string>} values - API field → value
+   */
+  async _resolve(values) {
+    if (this.isSaving) return;
+    this.isSaving = true;
+    await this.render();
+    const { uid, op } = this.conflict;
+    try {
+      const doc = op.docUuid ? await fromUuid(op.docUuid) : null;
+      if (doc) await remoteVersion.applyLocally(doc, op.type, values);
+      const res = await writeQueue.resolveConflict(uid, { values });
+      if (res && !res.success && !res.queued && !res.held) {
+        ui.notifications?.error?.(
+          `Archivist Sync: failed to save ${op.label || op.type} (${res.message || 'unknown error'}).`
+        );
+      }
+      await this.close();
+    } catch (e) {
+      console.warn('[Archivist Sync] Conflict resolution failed', e);
+      this.isSaving = false;
+      await this.render();
+    }
+  }
+}
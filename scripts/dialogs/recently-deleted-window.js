@@ -0,0 +1,132 @@
+import { tombstones } from '../services/tombstones.js';
+import { describeApiFailure } from '../services/api-error.js';
+
+const TYPE_LABELS = {
+  character: 'Character',
+  item: 'Item',
+  location: 'Location',
+  faction: 'Faction',
+  quest: 'Quest',
+  journal: 'Journal',
+};
+
+/** "in 12 min", "in 2 h 5 min" or "due now" */
+function timeLeft(ms) {
+  if (ms <= 0) return 'due now';
+  const minutes = Math.ceil(ms / 60000);
+  if (minutes < 60) return `in ${minutes} min`;
+  const rest = minutes % 60;
+  return `in ${Math.floor(minutes / 60)} h${rest ? ` ${rest} min` : ''}`;
+}
+
+/**
+ * RecentlyDeletedWindow — Archivist entities deleted in Foundry whose remote
+ * delete is still held (see TombstoneService). Restore brings the Foundry
+ * document back with its flags; Delete now sends the Archivist delete
+ * without waiting for the undo window.
+ */
+export class RecentlyDeletedWindow extends foundry.applications.api.HandlebarsApplicationMixin(
+  foundry.applications.api.ApplicationV2
+) {
+  constructor(options = {}) {
+    super(options);
+    this.busy = new Set();
+    this._onChanged = () => this.render();
+  }
+
+  /** Bring the open window to the front, or open a new one. */
+  static open() {
+    const open = foundry.applications.instances?.get(this.DEFAULT_OPTIONS.id);
+    if (open) {
+      if (open.minimized) open.maximize();
+      open.bringToFront();
+      return open;
+    }
+    const app = new this();
+    app.render(true);
+    return app;
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: 'archivist-recently-deleted',
+    window: {
+      title: 'Recently Deleted',
+      icon: 'fas fa-trash-can-arrow-up',
+      resizable: true,
+    },
+    position: { width: 560, height: 'auto' },
+    classes: ['archivist-sync-dialog', 'recently-deleted-window'],
+    actions: {
+      restore: RecentlyDeletedWindow.prototype._onRestore,
+      deleteNow: RecentlyDeletedWindow.prototype._onDeleteNow,
+    },
+  };
+
+  static PARTS = {
+    form: {
+      template: 'modules/archivist-sync/templates/recently-deleted-window.hbs',
+    },
+  };
+
+  async _prepareContext() {
+    const now = Date.now();
+    return {
+      rows: tombstones.list.map((t) => ({
+        uid: t.uid,
+        label: t.label,
+        type: TYPE_LABELS[t.type] || t.type,
+        deletedAt: new Date(t.deletedAt).toLocaleString(),
+        timeLeft: timeLeft(t.expiresAt - now),
+        busy: this.busy.has(t.uid),
+      })),
+    };
+  }
+
+  _onFirstRender(context, options) {
+    Hooks.on('archivistSyncTombstonesChanged', this._onChanged);
+    super._onFirstRender?.(context, options);
+  }
+
+  _onClose(options) {
+    Hooks.off('archivistSyncTombstonesChanged', this._onChanged);
+    super._onClose?.(options);
+  }
+
+  async _onRestore(event, target) {
+    const uid = target?.closest?.('[data-uid]')?.dataset?.uid;
+    if (!uid) return;
+    await this._busy(uid, async () => {
+      const res = await tombstones.restore(uid);
+      if (res.success) {
+        ui.notifications?.info?.(`Archivist Sync: restored ${res.data?.name}.`);
+      } else {
+        ui.notifications?.error?.(
+          `Archivist Sync: could not restore (${res.message}).`
+        );
+      }
+    });
+  }
+
+  async _onDeleteNow(event, target) {
+    const uid = target?.closest?.('[data-uid]')?.dataset?.uid;
+    if (!uid) return;
+    await this._busy(uid, async () => {
+      const res = await tombstones.deleteNow(uid);
+      if (res && !res.success && !res.queued) {
+        ui.notifications?.error?.(describeApiFailure(res));
+      }
+    });
+  }
+
+  async _busy(uid, fn) {
+    if (this.busy.has(uid)) return;
+    this.busy.add(uid);
+    await this.render();
+    try {
+      await fn();
+    } finally {
+      this.busy.delete(uid);
+      await this.render();
+    }
+  }
+}
@@ -1,5 +1,13 @@
 import { settingsManager } from '../modules/settings-manager.js';
 import { archivistApi } from '../services/archivist-api.js';
+import { FetchProgress } from '../services/fetch-progress.js';
+import { syncCursor } from '../services/sync-cursor.js';
+import { remoteVersion } from '../services/remote-version.js';
+import { syncState, SYNC_STATES } from '../services/sync-state.js';
+import { tombstones } from '../services/tombstones.js';
+import { imageMirror } from '../services/image-mirror.js';
+import { syncPolicy } from '../services/sync-policy.js';
+import { syncScope } from '../services/sync-scope.js';
 import { CONFIG } from '../modules/config.js';
 import { Utils } from '../modules/utils.js';
 
@@ -40,6 +48,8 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
       sync: SyncDialog.prototype._onSync,
       cancel: SyncDialog.prototype._onCancel,
       refresh: SyncDialog.prototype._onRefresh,
+      fullRescan: SyncDialog.prototype._onFullRescan,
+      cancelFetch: SyncDialog.prototype._onCancelFetch,
     },
   };
 
@@ -133,6 +143,24 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
     }
   }
 
+  /** Start tracking a new round of list fetches; cancelFetch aborts it. */
+  _beginFetch() {
+    this._fetchProgress = new FetchProgress((p) =>
+      this._updateFetchProgressUI(p)
+    );
+    return this._fetchProgress;
+  }
+
+  /** Update the fetch progress bar in place while list pages arrive. */
+  _updateFetchProgressUI({ loaded, total, percent }) {
+    const panel = this.element?.querySelector?.('.loading-panel');
+    if (!panel) return;
+    const fill = panel.querySelector('.fetch-progress-fill');
+    if (fill) fill.style.width = `${percent}%`;
+    const textEl = panel.querySelector('.fetch-progress-text');
+    if (textEl) textEl.textContent = `Fetched ${loaded} / ${total} records…`;
+  }
+
   _captureScrollPosition() {
     const content = this.element?.querySelector?.('.sync-dialog-content');
     if (content) {
@@ -152,6 +180,7 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
         imports: [],
         stats: { diffs: 0, imports: 0 },
         syncProgress: null,
+        fetchProgress: this._fetchProgress?.snapshot || null,
       };
     }
     const hasSelected =
@@ -162,7 +191,9 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
       diffs: this.model.diffs,
       imports: this.model.imports,
       stats: this.model.stats,
+      delta: this.model.delta || null,
       syncProgress: this.syncProgress || null,
+      fetchProgress: this._fetchProgress?.snapshot || null,
       hasSelected,
     };
   }
@@ -218,16 +249,27 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
     row.createCore = !row.createCore;
   }
 
-  async _onRefresh(event) {
+  async _onRefresh(event, _target, { full = false } = {}) {
     event?.preventDefault?.();
     this.isLoading = true;
+    // Show the loading panel (and its Cancel button) while pages arrive
+    this._beginFetch();
+    await this.render();
     try {
-      await this._loadModel(true);
+      await this._loadModel(true, { full });
     } finally {
       await this.render();
     }
   }
 
+  /**
+   * Re-fetch everything instead of only changes since the last sync. Finds
+   * entities and links deleted in Archivist, which a delta fetch cannot see.
+   */
+  async _onFullRescan(event, target) {
+    return this._onRefresh(event, target, { full: true });
+  }
+
   async _onSync(event) {
     event.preventDefault();
     const apiKey = settingsManager.getApiKey?.();
@@ -326,6 +368,13 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
       this.syncProgress.processed = processed;
       this._updateProgressUI();
 
+      // Resolve [[wikilinks]] in applied text now that imported sheets exist
+      try {
+        await Utils.resolveWikilinksInWorld(this._archivistRows || []);
+      } catch (e) {
+        console.warn('[SyncDialog] Wikilink resolution failed', e);
+      }
+
       this.syncProgress = null;
 
       const hasRecapDiffs = selectedDiffs.some(
@@ -397,9 +446,16 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
 
   async _onCancel(event) {
     event?.preventDefault?.();
+    this._fetchProgress?.cancel();
     this.close();
   }
 
+  /** Stop fetching Archivist lists; the previous comparison stays on screen. */
+  async _onCancelFetch(event) {
+    event?.preventDefault?.();
+    this._fetchProgress?.cancel();
+  }
+
   /** Force-refresh Foundry UI directories and open Archivist windows after a sync */
   async _refreshUIAfterSync() {
     try {
@@ -443,6 +499,87 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
     );
   }
 
+  /**
+   * Link changes for a linked sheet: outgoing Archivist links missing from
+   * its local refs, and (when `removals`) outbound refs Archivist no longer has.
+   * @param {object} flags - the journal's archivist flags
+   * @param {Array<{id:string,type:string}>} [wantList] - outgoing Archivist links
+   * @param {{removals?:boolean}} [options]
+   * @returns {{add:Array, remove:Array}|null}
+   */
+  _diffLinks(flags, wantList = [], { removals = true } = {}) {
+    try {
+      const wantIds = new Set(wantList.map((x) => String(x.id)));
+      // Additions: API wants a link that isn't in our local refs (any bucket)
+      const localRefs = new Set();
+      Object.values(flags.archivistRefs || {}).forEach((arr) => {
+        if (Array.isArray(arr)) for (const x of arr) localRefs.add(String(x));
+      });
+      const toAdd = wantList.filter((x) => !localRefs.has(String(x.id)));
+
+      // Removals: only consider links that this sheet believes are outbound
+      const haveOutbound = new Set();
+      Object.values(flags.archivistOutbound || {}).forEach((arr) => {
+        if (Array.isArray(arr))
+          for (const x of arr) haveOutbound.add(String(x));
+      });
+      const toRemove = removals
+        ? [...haveOutbound].filter((x) => !wantIds.has(String(x)))
+        : [];
+
+      return toAdd.length || toRemove.length
+        ? { add: toAdd, remove: toRemove }
+        : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /** Last full rescan time for the toolbar note. */
+  _deltaInfo(campaignId) {
+    const { fullAt } = syncCursor.getTimes('syncDialog', campaignId);
+    return { fullAt: fullAt ? new Date(fullAt).toLocaleString() : null };
+  }
+
+  /**
+   * Move each type's delta-sync mark past the rows this load settled. Types
+   * with diffs or imports still on screen stay at the oldest of those rows so
+   * they are offered again until applied.
+   * @param {string} campaignId
+   * @param {object} A - fetched rows by collection
+   * @param {object|null} marks - marks this load fetched with
+   * @param {boolean} full - whether this load fetched everything
+   */
+  async _advanceCursor(campaignId, A, marks, full) {
+    const rowsByType = {
+      Character: A.characters,
+      Item: A.items,
+      Location: A.locations,
+      Faction: A.factions,
+      Session: A.sessions,
+      Journal: A.journals,
+      Quest: A.quests,
+      Link: A.links,
+    };
+    const next = {};
+    for (const [type, rows] of Object.entries(rowsByType)) {
+      const pending = [...this.model.diffs, ...this.model.imports]
+        .filter((r) => r.type === type && !r.deleted)
+        .map((r) => ({ updated_at: r.updatedAt }));
+      // Link rows are not tracked per diff; hold the mark while any are shown
+      const linksPending =
+        type === 'Link' && this.model.diffs.some((d) => d.changes?.links);
+      next[type] = linksPending
+        ? (marks?.Link ?? null)
+        : syncCursor.nextMark(rows, pending, marks?.[type] ?? null);
+    }
+    try {
+      await syncCursor.advance('syncDialog', campaignId, next, { full });
+    } catch (e) {
+      console.warn('[SyncDialog] Failed to save sync cursor', e);
+    }
+  }
+
   /** Normalize quest objectives for stable JSON comparison. */
   _normalizeQuestObjectives(arr) {
     return JSON.stringify(
@@ -549,8 +686,17 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
     return questChanges;
   }
 
-  // Build model: diffs and imports
-  async _loadModel(force = false) {
+  /**
+   * Build model: diffs and imports.
+   *
+   * Runs as a delta sync when the dialog has cursors for this campaign: each
+   * list fetches only rows updated since its type's mark, and only journals
+   * linked to those rows are diffed. Deletions are only detected by a full
+   * rescan, which also runs when no cursor exists yet.
+   * @param {boolean} [force]
+   * @param {{full?:boolean}} [options]
+   */
+  async _loadModel(force = false, { full = false } = {}) {
     if (this.isLoading && !force) return;
     this.isLoading = true;
     try {
@@ -565,16 +711,30 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
         return;
       }
 
-      const [chars, items, locs, facs, sessions, links, journals, quests] = await Promise.all([
-        archivistApi.listCharacters(apiKey, campaignId),
-        archivistApi.listItems(apiKey, campaignId),
-        archivistApi.listLocations(apiKey, campaignId),
-        archivistApi.listFactions(apiKey, campaignId),
-        archivistApi.listSessions(apiKey, campaignId),
-        archivistApi.listLinks(apiKey, campaignId),
-        archivistApi.listJournals(apiKey, campaignId),
-        archivistApi.listQuests(apiKey, campaignId),
+      const progress = this._fetchProgress || this._beginFetch();
+      const marks = full ? null : syncCursor.getMarks('syncDialog', campaignId);
+      const delta = !!marks;
+      const opts = (key, type) => ({
+        ...progress.track(key),
+        ...(marks?.[type] ? { updatedSince: marks[type] } : {}),
+      });
+      const results = await Promise.all([
+        archivistApi.listCharacters(apiKey, campaignId, opts('characters', 'Character')),
+        archivistApi.listItems(apiKey, campaignId, opts('items', 'Item')),
+        archivistApi.listLocations(apiKey, campaignId, opts('locations', 'Location')),
+        archivistApi.listFactions(apiKey, campaignId, opts('factions', 'Faction')),
+        archivistApi.listSessions(apiKey, campaignId, opts('sessions', 'Session')),
+        archivistApi.listLinks(apiKey, campaignId, opts('links', 'Link')),
+        archivistApi.listJournals(apiKey, campaignId, opts('journals', 'Journal')),
+        archivistApi.listQuests(apiKey, campaignId, opts('quests', 'Quest')),
       ]);
+      const [chars, items, locs, facs, sessions, links, journals, quests] = results;
+      // Partial lists would show every unfetched entity as deleted; keep the
+      // previous comparison instead
+      if (progress.cancelled) {
+        ui.notifications?.info?.('Fetch cancelled.');
+        return;
+      }
       const A = {
         characters: (chars?.success ? chars.data : []) || [],
         items: (items?.success ? items.data : []) || [],
@@ -585,6 +745,15 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
         journals: (journals?.success ? journals.data : []) || [],
         quests: (quests?.success ? quests.data : []) || [],
       };
+      this._archivistRows = [
+        ...A.characters,
+        ...A.items,
+        ...A.locations,
+        ...A.factions,
+        ...A.sessions,
+        ...A.journals,
+        ...A.quests,
+      ];
       console.debug('[SyncDialog] Fetched Archivist data:', {
         characters: A.characters.length,
         items: A.items.length,
@@ -628,6 +797,9 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
         const archId = f.archivistId ? String(f.archivistId) : null;
         const st = String(f.sheetType || '').toLowerCase();
         if (!archId) continue;
+        // Out-of-scope sheets are not compared; their ids stay linked below
+        // so the entity is not offered as an import either
+        if (!syncScope.allows(j)) continue;
         const type =
           st === 'pc' || st === 'npc' || st === 'character'
             ? 'Character'
@@ -645,8 +817,29 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
                         ? 'Quest'
                         : null;
         if (!type) continue;
+        // Only the fields the sync policy takes from Archivist are compared
+        const policyType = type.toLowerCase();
         const arch = byId[type].get(archId) || null;
+        if (!arch && delta) {
+          // Unchanged since the last sync, apart from any new outgoing links
+          const links =
+            type === 'Quest' || !syncPolicy.pulls(policyType, 'links')
+              ? null
+              : this._diffLinks(f, outgoing.get(archId), { removals: false });
+          if (links) {
+            diffs.push({
+              type,
+              id: archId,
+              name: j.name,
+              journalId: j.id,
+              changes: { links },
+              selected: false,
+            });
+          }
+          continue;
+        }
         if (!arch) {
+          if (!syncPolicy.pulls(policyType, 'create')) continue;
           diffs.push({
             type,
             id: archId,
@@ -734,45 +927,26 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
         }
         // Links diff: only outgoing links (from_id == this sheet's archivistId), ignore alias
         // Quest relationships live in relatedEntityRefs, not the generic links table.
+        // A delta fetch only sees new links, so it cannot judge removals.
         if (type !== 'Quest') {
-          try {
-            const wantList = outgoing.get(archId) || [];
-            const wantIds = new Set(wantList.map((x) => String(x.id)));
-            // Additions: API wants a link that isn't in our local refs (any bucket)
-            const localRefs = new Set();
-            const refs = f.archivistRefs || {};
-            Object.values(refs).forEach((arr) => {
-              if (Array.isArray(arr))
-                for (const x of arr) localRefs.add(String(x));
-            });
-            const toAdd = wantList.filter((x) => !localRefs.has(String(x.id)));
-
-            // Removals: only consider links that this sheet believes are outbound
-            const outbound = f.archivistOutbound || {};
-            const haveOutbound = new Set();
-            Object.values(outbound).forEach((arr) => {
-              if (Array.isArray(arr))
-                for (const x of arr) haveOutbound.add(String(x));
-            });
-            const toRemove =
-              haveOutbound.size > 0
-                ? [...haveOutbound].filter((x) => !wantIds.has(String(x)))
-                : [];
-
-            if (toAdd.length || toRemove.length)
-              changes.links = { add: toAdd, remove: toRemove };
-          } catch (_) {
-            /* ignore */
-          }
+          const links = this._diffLinks(f, outgoing.get(archId), {
+            removals: !delta,
+          });
+          if (links) changes.links = links;
         }
-        if (Object.keys(changes).length > 0) {
+        // Sheets that match Archivist take its version as their sync base
+        await remoteVersion.observe(j, policyType, arch);
+        const pulled = syncPolicy.filterChanges(policyType, changes);
+        if (Object.keys(pulled).length > 0) {
           diffs.push({
             type,
             id: archId,
             name: archName || j.name,
             journalId: j.id,
-            changes,
+            changes: pulled,
             selected: false,
+            updatedAt: arch.updated_at || null,
+            version: remoteVersion.fingerprint(type.toLowerCase(), arch),
           });
         }
       }
@@ -802,6 +976,8 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
           /* ignore */
         }
       }
+      // Entities deleted in Foundry but still in their undo window
+      for (const t of tombstones.list) linkedIds.add(String(t.targetId));
       console.debug('[SyncDialog] Linked Archivist IDs found in Foundry:', {
         count: linkedIds.size,
         ids: Array.from(linkedIds).slice(0, 10),
@@ -812,6 +988,8 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
       const skipped = []; // for logging
       const pushImport = (type, row) => {
         const id = String(row.id);
+        // Types whose creation is not taken from Archivist are not offered
+        if (!syncPolicy.pulls(type.toLowerCase(), 'create')) return;
         if (linkedIds.has(id)) {
           skipped.push({
             type,
@@ -823,7 +1001,9 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
         // Determine coreType for this import
         const coreType =
           type === 'Character'
-            ? 'actor'
+            ? syncPolicy.pulls('actor', 'create')
+              ? 'actor'
+              : null
             : type === 'Item'
               ? 'item'
               : type === 'Location'
@@ -845,6 +1025,8 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
           image: row.image || '',
           selected: false,
           createCore: false,
+          updatedAt: row.updated_at || null,
+          version: remoteVersion.fingerprint(type.toLowerCase(), row),
           coreType,
           ...(characterKind ? { characterKind } : {}),
         });
@@ -874,9 +1056,21 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
         diffs,
         imports,
         stats: { diffs: diffs.length, imports: imports.length },
+        delta: delta ? this._deltaInfo(campaignId) : null,
       };
+      // Sheets whose entity is gone from Archivist say so until resolved
+      for (const d of diffs.filter((x) => x.deleted)) {
+        const j = game.journal?.get?.(d.journalId);
+        await syncState.set(j, SYNC_STATES.DELETED);
+      }
+
+      // Only a run where every list loaded counts as a successful sync
+      if (results.every((r) => r?.success)) {
+        await this._advanceCursor(campaignId, A, marks, !delta);
+      }
     } finally {
       this.isLoading = false;
+      this._fetchProgress = null;
     }
   }
 
@@ -900,7 +1094,10 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
     }
     if (changes.image) {
       const imageUrl = String(changes.image.to || '');
-      await Utils.ensureJournalLeadImage(j, imageUrl);
+      await Utils.ensureJournalLeadImage(
+        j,
+        await imageMirror.localize(imageUrl)
+      );
       // Update the archivist.image flag so diff detection recognizes the change
       const nextFlags = { ...(f || {}) };
       nextFlags.image = imageUrl;
@@ -1012,6 +1209,10 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
       }
       await j.setFlag(CONFIG.MODULE_ID, 'archivist', next);
     }
+    // The journal now matches Archivist; later real-time edits are checked
+    // against this version
+    if (d.version) await remoteVersion.store(j, d.version);
+    await syncState.set(j, SYNC_STATES.SYNCED);
   }
 
   async _applyImport(row, campaignId, apiKey) {
@@ -1084,10 +1285,13 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
       console.warn('[Sync Dialog] Failed to resolve folder destination:', e);
     }
 
+    // Local copy of the Archivist image when mirroring is on
+    const localImg = await imageMirror.localize(row.image);
     const journal = await Utils.createCustomJournalForImport({
       name: row.name,
       html: htmlContent,
       imageUrl: String(row.image || ''),
+      img: localImg,
       sheetType,
       archivistId: row.id,
       worldId: campaignId,
@@ -1095,6 +1299,7 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
       sort,
     });
     if (!journal) return;
+    if (row.version) await remoteVersion.store(journal, row.version);
     // For journals, set GM-only default permissions
     if (sheetType === 'journal') {
       try {
@@ -1231,19 +1436,25 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
         row.coreType === 'actor' &&
         (sheetType === 'pc' || sheetType === 'npc')
       ) {
-        const img = String(row.image || '').trim();
+        const img = localImg;
         const actor = await Actor.create(
           {
             name: row.name,
             type: sheetType === 'pc' ? 'character' : 'npc',
             ...(img ? { img } : {}),
+            flags: {
+              [CONFIG.MODULE_ID]: {
+                archivistId: row.id,
+                archivistWorldId: campaignId,
+              },
+            },
           },
           { render: false }
         );
         if (actor?.id) flags.foundryRefs.actors = [actor.id];
       }
       if (row.createCore && row.coreType === 'item' && sheetType === 'item') {
-        const img = String(row.image || '').trim();
+        const img = localImg;
         const safeType = Utils.resolveItemType({ type: row?.type });
         const itm = await Item.create(
           { name: row.name, type: safeType, ...(img ? { img } : {}) },
@@ -1256,7 +1467,7 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
         row.coreType === 'scene' &&
         sheetType === 'location'
       ) {
-        const img = String(row.image || '').trim();
+        const img = localImg;
         const sc = await Scene.create(
           { name: row.name, ...(img ? { thumb: img, img } : {}) },
           { render: false }
@@ -1268,11 +1479,9 @@ export class SyncDialog extends foundry.applications.api.HandlebarsApplicationMi
       // After creation, hydrate outgoing links from Archivist (from_id == row.id)
       try {
         if (apiKey && campaignId && row.id) {
-          const resp = await archivistApi.listLinksByFromId(
-            apiKey,
-            campaignId,
-            String(row.id)
-          );
+          const resp = await archivistApi.queryLinks(apiKey, campaignId, {
+            from_id: String(row.id),
+          });
           if (resp?.success) {
             const keyForType = (t) => {
               const s = String(t || '').toLowerCase();
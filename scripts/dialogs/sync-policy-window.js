@@ -0,0 +1,76 @@
+import {
+  syncPolicy,
+  SyncPolicyService,
+  POLICY_FIELDS,
+  POLICY_TYPES,
+  SYNC_DIRECTION_LABELS,
+} from '../services/sync-policy.js';
+
+/**
+ * SyncPolicyWindow — edits the sync direction matrix (see SyncPolicyService):
+ * one row per entity type, one select per field that applies to it.
+ */
+export class SyncPolicyWindow extends foundry.applications.api.HandlebarsApplicationMixin(
+  foundry.applications.api.ApplicationV2
+) {
+  static DEFAULT_OPTIONS = {
+    id: 'archivist-sync-policy',
+    window: {
+      title: 'Sync Direction Policy',
+      icon: 'fas fa-arrows-left-right',
+      resizable: true,
+    },
+    position: { width: 860, height: 'auto' },
+    classes: ['archivist-sync-dialog', 'sync-policy-window'],
+    actions: {
+      save: SyncPolicyWindow.prototype._onSave,
+      reset: SyncPolicyWindow.prototype._onReset,
+    },
+  };
+
+  static PARTS = {
+    form: {
+      template: 'modules/archivist-sync/templates/sync-policy-window.hbs',
+    },
+  };
+
+  async _prepareContext() {
+    const matrix = syncPolicy.matrix;
+    return {
+      fields: Object.values(POLICY_FIELDS),
+      rows: Object.entries(POLICY_TYPES).map(([type, def]) => ({
+        type,
+        label: def.label,
+        cells: Object.keys(POLICY_FIELDS).map((field) => ({
+          field,
+          options: SyncPolicyService.choicesFor(type, field).map((value) => ({
+            value,
+            label: SYNC_DIRECTION_LABELS[value],
+            selected: matrix[type][field] === value,
+          })),
+        })),
+      })),
+    };
+  }
+
+  async _onSave() {
+    const matrix = {};
+    for (const select of this.element.querySelectorAll('select[data-field]')) {
+      const { type, field } = select.dataset;
+      (matrix[type] ||= {})[field] = select.value;
+    }
+    try {
+      await syncPolicy.save(matrix);
+      ui.notifications?.info?.('Archivist Sync: sync policy saved.');
+      await this.close();
+    } catch (e) {
+      console.error('[Archivist Sync] Failed to save sync policy', e);
+      ui.notifications?.error?.('Failed to save sync policy');
+    }
+  }
+
+  async _onReset() {
+    await syncPolicy.reset();
+    await this.render();
+  }
+}
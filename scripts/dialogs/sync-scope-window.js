@@ -0,0 +1,148 @@
+import { CONFIG } from '../modules/config.js';
+import {
+  syncScope,
+  SCOPE_DOCUMENT_TYPES,
+  PLAYER_ACCESS_LEVELS,
+} from '../services/sync-scope.js';
+
+/**
+ * SyncScopeWindow — edits the include/exclude rules (see SyncScopeService):
+ * per-folder include/exclude, excluded document and actor types, the
+ * minimum player access, and the documents marked "Do not sync".
+ */
+export class SyncScopeWindow extends foundry.applications.api.HandlebarsApplicationMixin(
+  foundry.applications.api.ApplicationV2
+) {
+  static DEFAULT_OPTIONS = {
+    id: 'archivist-sync-scope',
+    window: {
+      title: 'Sync Scope Rules',
+      icon: 'fas fa-filter',
+      resizable: true,
+    },
+    position: { width: 640, height: 'auto' },
+    classes: ['archivist-sync-dialog', 'sync-scope-window'],
+    actions: {
+      save: SyncScopeWindow.prototype._onSave,
+      clearFlag: SyncScopeWindow.prototype._onClearFlag,
+    },
+  };
+
+  static PARTS = {
+    form: {
+      template: 'modules/archivist-sync/templates/sync-scope-window.hbs',
+    },
+  };
+
+  async _prepareContext() {
+    const rules = syncScope.rules;
+    const folderRule = (id) => {
+      if (rules.excludeFolders.includes(id)) return 'exclude';
+      if (rules.includeFolders.includes(id)) return 'include';
+      return '';
+    };
+    const folderGroups = Object.entries(SCOPE_DOCUMENT_TYPES)
+      .map(([type, label]) => ({
+        label,
+        folders: (game.folders?.contents || [])
+          .filter((f) => f.type === type)
+          .map((f) => ({
+            id: f.id,
+            name: this._folderPath(f),
+            rule: folderRule(f.id),
+          }))
+          .sort((a, b) => a.name.localeCompare(b.name)),
+      }))
+      .filter((g) => g.folders.length);
+
+    const actorTypeLabels = globalThis.CONFIG?.Actor?.typeLabels || {};
+    const actorTypes = (game.documentTypes?.Actor || [])
+      .filter((t) => t !== 'base')
+      .map((value) => ({
+        value,
+        label: game.i18n.localize(actorTypeLabels[value] || value),
+        checked: rules.excludeActorTypes.includes(value),
+      }));
+
+    const flagged = [];
+    for (const coll of [game.journal, game.actors, game.items, game.scenes]) {
+      for (const doc of coll?.contents || []) {
+        if (doc.getFlag?.(CONFIG.MODULE_ID, 'doNotSync')) {
+          flagged.push({
+            uuid: doc.uuid,
+            name: doc.name,
+            type: doc.documentName,
+          });
+        }
+      }
+    }
+
+    return {
+      folderGroups,
+      documentTypes: Object.entries(SCOPE_DOCUMENT_TYPES).map(
+        ([value, label]) => ({
+          value,
+          label,
+          checked: rules.excludeDocumentTypes.includes(value),
+        })
+      ),
+      actorTypes,
+      accessLevels: [
+        { value: 0, label: 'Any', selected: !rules.minPlayerAccess },
+        ...Object.entries(PLAYER_ACCESS_LEVELS).map(([value, label]) => ({
+          value,
+          label,
+          selected: Number(value) === rules.minPlayerAccess,
+        })),
+      ],
+      flagged,
+    };
+  }
+
+  /** "Parent / Child" path of a folder. */
+  _folderPath(folder) {
+    const names = [];
+    for (let f = folder; f && names.length < 10; f = f.folder) {
+      names.unshift(f.name);
+    }
+    return names.join(' / ');
+  }
+
+  async _onSave() {
+    const root = this.element;
+    const checked = (name) =>
+      [...root.querySelectorAll(`input[name="${name}"]:checked`)].map(
+        (el) => el.value
+      );
+    const rules = {
+      includeFolders: [],
+      excludeFolders: [],
+      excludeDocumentTypes: checked('excludeDocumentTypes'),
+      excludeActorTypes: checked('excludeActorTypes'),
+      minPlayerAccess: root.querySelector('select[name="minPlayerAccess"]')
+        ?.value,
+    };
+    for (const select of root.querySelectorAll('select[data-folder]')) {
+      if (select.value === 'include') {
+        rules.includeFolders.push(select.dataset.folder);
+      } else if (select.value === 'exclude') {
+        rules.excludeFolders.push(select.dataset.folder);
+      }
+    }
+    try {
+      await syncScope.save(rules);
+      ui.notifications?.info?.('Archivist Sync: sync scope saved.');
+      await this.close();
+    } catch (e) {
+      console.error('[Archivist Sync] Failed to save sync scope', e);
+      ui.notifications?.error?.('Failed to save sync scope rules');
+    }
+  }
+
+  async _onClearFlag(_event, target) {
+    const doc = await fromUuid(target?.dataset?.uuid);
+    if (!doc) return;
+    await syncScope.setExcluded(doc, false);
+    await this.render();
+  }
+}
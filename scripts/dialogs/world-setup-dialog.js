@@ -1,9 +1,19 @@
 import { CONFIG, SETTINGS } from '../modules/config.js';
 import { settingsManager } from '../modules/settings-manager.js';
 import { archivistApi } from '../services/archivist-api.js';
+import { describeApiFailure } from '../services/api-error.js';
+import { FetchProgress } from '../services/fetch-progress.js';
+import { remoteVersion } from '../services/remote-version.js';
+import { syncScope } from '../services/sync-scope.js';
 import { Utils } from '../modules/utils.js';
 import { AdapterRegistry } from '../modules/projection/adapter-registry.js';
 
+// Initial import traffic yields to sheet edits and other interactive requests
+const bulkApi = archivistApi.withPriority('bulk');
+// Up to this many linked journals, links are queried per journal (from_id);
+// beyond it one paged read of the campaign's link table is cheaper
+const LINK_QUERY_MAX_IDS = 20;
+
 /**
  * World Setup Dialog - Step-by-step initialization process for new Foundry worlds
  * Guides users through the process of connecting their Foundry world to Archivist
@@ -17,6 +27,8 @@ export class WorldSetupDialog extends foundry.applications.api.HandlebarsApplica
     this.totalSteps = 6; // Steps: 1 Welcome, 2 API, 3 Campaign, 4 Reconcile, 5 Create Foundry Objects, 6 Summary
     this.isLoading = false;
     this.isValidatingApi = false;
+    // Step 2 server check: null, { pending }, or { ok, url, version, environment, message }
+    this.serverHealth = null;
     this.worlds = [];
     this.setupData = {
       apiKey: '',
@@ -181,6 +193,7 @@ export class WorldSetupDialog extends foundry.applications.api.HandlebarsApplica
       beginSync: WorldSetupDialog.prototype._onBeginSync,
       completeSetup: WorldSetupDialog.prototype._onCompleteSetup,
       cancel: WorldSetupDialog.prototype._onCancel,
+      cancelFetch: WorldSetupDialog.prototype._onCancelFetch,
     },
   };
 
@@ -204,6 +217,9 @@ export class WorldSetupDialog extends foundry.applications.api.HandlebarsApplica
       totalSteps: this.totalSteps,
       isLoading: this.isLoading,
       isValidatingApi: this.isValidatingApi,
+      serverUrl: archivistApi.rootUrl,
+      serverHealth: this.serverHealth,
+      fetchProgress: this._fetchProgress?.snapshot || null,
       foundryWorldTitle: game.world.title,
       foundryWorldDescription: game.world.description || '',
       worlds: this.worlds,
@@ -566,6 +582,13 @@ export class WorldSetupDialog extends foundry.applications.api.HandlebarsApplica
     this.setupData.apiKeyValid = false;
     await this.render();
 
+    // /health is only advice: it can be blocked (e.g. by CORS) or briefly
+    // down while the API answers, so the key is checked either way
+    if (!this.serverHealth?.ok) await this._checkServerHealth();
+    const healthNote = this.serverHealth?.ok
+      ? ''
+      : ` The health check of ${archivistApi.rootUrl} also failed: ${this.serverHealth?.message || 'no response'}`;
+
     try {
       // Test the API key by trying to fetch campaigns
       const response = await archivistApi.fetchCampaignsList(apiKey);
@@ -576,7 +599,7 @@ export class WorldSetupDialog extends foundry.applications.api.HandlebarsApplica
         this.setupData.apiKeyValid = true;
 
         // Save to settings
-        await settingsManager.setSetting('apiKey', apiKey);
+        await settingsManager.setApiKey(apiKey);
 
         ui.notifications.info('API key validated successfully!');
 
@@ -594,8 +617,9 @@ export class WorldSetupDialog extends foundry.applications.api.HandlebarsApplica
         // API key is invalid
         this.setupData.apiKeyValid = false;
         ui.notifications.error(
-          response.message ||
-            'Invalid API key. Please check your key and try again.'
+          (response.message ||
+            'Invalid API key. Please check your key and try again.') +
+            healthNote
         );
       }
     } catch (error) {
@@ -715,6 +739,8 @@ export class WorldSetupDialog extends foundry.applications.api.HandlebarsApplica
     try {
       console.debug('[World Setup] Starting _onPrepareSelections');
       this.isLoading = true;
+      const progress = new FetchProgress((p) => this._updateFetchProgressUI(p));
+      this._fetchProgress = progress;
       await this.render();
       const apiKey = this.setupData.apiKey || settingsManager.getApiKey();
       // Always prefer the explicit selection from Step 3; fallback to saved setting only if necessary
@@ -729,8 +755,10 @@ export class WorldSetupDialog extends foundry.applications.api.HandlebarsApplica
         await this.render();
         return;
       }
-      // Foundry side — gather all Actors, Items, and Scenes (exclude compendium packs)
-      const getAll = (coll) => (coll?.contents || []).filter((d) => !d?.pack);
+      // Foundry side — gather Actors, Items, and Scenes (exclude compendium
+      // packs and documents outside the sync scope rules)
+      const getAll = (coll) =>
+        (coll?.contents || []).filter((d) => !d?.pack && syncScope.allows(d));
       const foundryActors = getAll(game.actors);
       const foundryItems = getAll(game.items);
       const foundryScenes = getAll(game.scenes);
@@ -742,16 +770,23 @@ export class WorldSetupDialog extends foundry.applications.api.HandlebarsApplica
 
       // Archivist side
       console.debug('[World Setup] Fetching Archivist data...');
+      const track = (key) => progress.track(key);
       const [chars, its, locs, facs, sessions, journals, journalFolders, quests] = await Promise.all([
-        archivistApi.listCharacters(apiKey, campaignId),
-        archivistApi.listItems(apiKey, campaignId),
-        archivistApi.listLocations(apiKey, campaignId),
-        archivistApi.listFactions(apiKey, campaignId),
-        archivistApi.listSessions(apiKey, campaignId),
-        archivistApi.listJournals(apiKey, campaignId),
-        archivistApi.listJournalFolders(apiKey, campaignId),
-        archivistApi.listQuests(apiKey, campaignId),
+        bulkApi.listCharacters(apiKey, campaignId, track('characters')),
+        bulkApi.listItems(apiKey, campaignId, track('items')),
+        bulkApi.listLocations(apiKey, campaignId, track('locations')),
+        bulkApi.listFactions(apiKey, campaignId, track('factions')),
+        bulkApi.listSessions(apiKey, campaignId, track('sessions')),
+        bulkApi.listJournals(apiKey, campaignId, track('journals')),
+        bulkApi.listJournalFolders(apiKey, campaignId),
+        bulkApi.listQuests(apiKey, campaignId, track('quests')),
       ]);
+      if (progress.cancelled) {
+        ui.notifications.info(
+          'Fetch cancelled. Click "Re-fetch Data" to load the campaign again.'
+        );
+        return;
+      }
       console.debug('[World Setup] Archivist API responses:', {
         chars,
         its,
@@ -852,6 +887,7 @@ export class WorldSetupDialog extends foundry.applications.api.HandlebarsApplica
       ui.notifications.error('Failed to prepare selections');
     } finally {
       this.isLoading = false;
+      this._fetchProgress = null;
       try {
         await this.render();
       } catch (_) {
@@ -1438,12 +1474,28 @@ export class WorldSetupDialog extends foundry.applications.api.HandlebarsApplica
       // 3) Create Recaps journals from game sessions
       await this._syncRecapsFromSessions(apiKey, campaignId);
 
+      // Resolve [[wikilinks]] in imported text once every sheet exists
+      try {
+        const c = this.archivistCandidates || {};
+        await Utils.resolveWikilinksInWorld([
+          ...(c.characters || []),
+          ...(c.items || []),
+          ...(c.locations || []),
+          ...(c.factions || []),
+          ...(c.recaps || []),
+          ...(c.journals || []),
+          ...(c.quests || []),
+        ]);
+      } catch (e) {
+        console.warn('[World Setup] Wikilink resolution failed', e);
+      }
+
       // 4) Proceed with Archivist export/link jobs
       for (const job of work) {
         this.syncStatus.current = `${job.kind}: ${job.name}`;
         await this.render();
         const doc = await getDoc(job.kind, job.foundryId);
-        if (!doc) {
+        if (!doc || !syncScope.allows(doc)) {
           this.syncStatus.processed++;
           continue;
         }
@@ -1574,7 +1626,7 @@ export class WorldSetupDialog extends foundry.applications.api.HandlebarsApplica
             name: payload.character_name,
             campaignId,
           });
-          res = await archivistApi.createCharacter(apiKey, payload);
+          res = await bulkApi.createCharacter(apiKey, payload);
         } else if (job.kind === 'Item') {
           const payload = {
             ...getMappedFields('Item', doc),
@@ -1584,7 +1636,7 @@ export class WorldSetupDialog extends foundry.applications.api.HandlebarsApplica
             name: payload.name,
             campaignId,
           });
-          res = await archivistApi.createItem(apiKey, payload);
+          res = await bulkApi.createItem(apiKey, payload);
         } else if (job.kind === 'Location') {
           // Creating Location from Foundry Scene (no description)
           const name = doc?.name || 'Location';
@@ -1603,11 +1655,11 @@ export class WorldSetupDialog extends foundry.applications.api.HandlebarsApplica
             name: payload.name,
             campaignId,
           });
-          res = await archivistApi.createLocation(apiKey, payload);
+          res = await bulkApi.createLocation(apiKey, payload);
         }
 
         // Track description length errors
-        if (!res.success && res.isDescriptionTooLong) {
+        if (!res.success && res.error?.isDescriptionTooLong) {
           this.syncStatus.descriptionTooLongErrors.push({
             name: res.entityName || doc?.name || 'Unknown',
             type: res.entityType || job.kind,
@@ -1620,6 +1672,12 @@ export class WorldSetupDialog extends foundry.applications.api.HandlebarsApplica
           continue;
         }
 
+        if (!res.success) {
+          this.syncStatus.logs.push(
+            `❌ ${describeApiFailure(res, { action: 'create', name: doc.name })}`
+          );
+        }
+
         const newId = res?.data?.id;
         if (res.success && newId) {
           await setArchivistFlag(job.kind, doc, newId);
@@ -2174,6 +2232,7 @@ export class WorldSetupDialog extends foundry.applications.api.HandlebarsApplica
             worldId: campaignId,
             folderId: targetFolderId || null,
           });
+          if (journal) await remoteVersion.record(journal, 'character', c);
           if (journal) {
             const flags = journal.getFlag(CONFIG.MODULE_ID, 'archivist') || {};
             flags.foundryRefs = flags.foundryRefs || {
@@ -2298,6 +2357,7 @@ export class WorldSetupDialog extends foundry.applications.api.HandlebarsApplica
             worldId: campaignId,
             folderId: targetFolderId || null,
           });
+          if (journal) await remoteVersion.record(journal, 'item', i);
           if (journal) {
             const flags = journal.getFlag(CONFIG.MODULE_ID, 'archivist') || {};
             flags.foundryRefs = flags.foundryRefs || {
@@ -2362,6 +2422,7 @@ export class WorldSetupDialog extends foundry.applications.api.HandlebarsApplica
             worldId: campaignId,
             folderId: targetFolderId || null,
           });
+          if (journal) await remoteVersion.record(journal, sheetType, e);
           // Ensure the journal has a visible thumbnail and lead image when provided
           try {
             if (journal && imageUrl)
@@ -2542,7 +2603,7 @@ export class WorldSetupDialog extends foundry.applications.api.HandlebarsApplica
           let fullQuest = q;
           if (!q.objectives && q.id) {
             try {
-              const resp = await archivistApi.getQuest(apiKey, q.id);
+              const resp = await bulkApi.getQuest(apiKey, q.id);
               if (resp.success && resp.data) fullQuest = resp.data;
             } catch (_) {}
           }
@@ -2648,13 +2709,48 @@ export class WorldSetupDialog extends foundry.applications.api.HandlebarsApplica
     }
   }
 
+  /**
+   * Links whose source is one of the given Archivist ids. Small sets are
+   * queried per id; large ones read the campaign's whole link table.
+   * @param {string} apiKey
+   * @param {string} campaignId
+   * @param {string[]} fromIds
+   * @returns {Promise<Array<object>|null>} null when the lookup failed
+   */
+  async _fetchLinksFrom(apiKey, campaignId, fromIds) {
+    if (!fromIds.length) return [];
+    if (fromIds.length > LINK_QUERY_MAX_IDS) {
+      const resp = await bulkApi.listLinks(apiKey, campaignId);
+      return resp?.success && Array.isArray(resp.data) ? resp.data : null;
+    }
+    const results = await Promise.all(
+      fromIds.map((id) =>
+        bulkApi.queryLinks(apiKey, campaignId, { from_id: id })
+      )
+    );
+    if (results.some((r) => !r?.success)) return null;
+    const byId = new Map();
+    for (const L of results.flatMap((r) => r.data || [])) {
+      byId.set(String(L?.id ?? `${L?.from_id}>${L?.to_id}`), L);
+    }
+    return [...byId.values()];
+  }
+
   /**
    * Build journal link flags from Archivist Links API
    */
   async _hydrateLinksFromArchivist(apiKey, campaignId) {
-    const resp = await archivistApi.listLinks(apiKey, campaignId);
-    if (!resp?.success) return;
-    const links = Array.isArray(resp.data) ? resp.data : [];
+    const fromIds = [
+      ...new Set(
+        (game.journal?.contents || [])
+          .map((j) =>
+            String(j.getFlag(CONFIG.MODULE_ID, 'archivist')?.archivistId || '')
+          )
+          .filter(Boolean)
+      ),
+    ];
+    const links = await this._fetchLinksFrom(apiKey, campaignId, fromIds);
+    if (!links) return;
 
     // Helper: find a JournalEntry by Archivist ID
     const findJournalByArchivistId = (id) => {
@@ -2736,7 +2832,7 @@ export class WorldSetupDialog extends foundry.applications.api.HandlebarsApplica
    */
   async _syncRecapsFromSessions(apiKey, campaignId) {
     try {
-      const sessionsResp = await archivistApi.listSessions(apiKey, campaignId);
+      const sessionsResp = await bulkApi.listSessions(apiKey, campaignId);
       if (!sessionsResp.success) return;
       const sessions = Array.isArray(sessionsResp.data) ? sessionsResp.data.slice() : [];
 
@@ -2914,9 +3010,42 @@ export class WorldSetupDialog extends foundry.applications.api.HandlebarsApplica
 
   async _onCancel(event) {
     event.preventDefault();
+    this._fetchProgress?.cancel();
     await this.close();
   }
 
+  /** Stop the Step 4 Archivist fetch. */
+  async _onCancelFetch(event) {
+    event?.preventDefault?.();
+    this._fetchProgress?.cancel();
+  }
+
+  /** Update the Step 4 fetch progress bar in place while pages arrive. */
+  _updateFetchProgressUI({ loaded, total, percent }) {
+    const box = this.element?.querySelector?.('.ws-loading-state');
+    if (!box) return;
+    const fill = box.querySelector('.ws-fetch-progress-fill');
+    if (fill) fill.style.width = `${percent}%`;
+    const textEl = box.querySelector('.ws-loading-subtitle');
+    if (textEl) {
+      textEl.textContent = `Fetched ${loaded} / ${total} Archivist records…`;
+    }
+  }
+
+  /**
+   * Query the configured server's /health endpoint for Step 2
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _checkServerHealth() {
+    this.serverHealth = { pending: true };
+    const res = await archivistApi.checkHealth();
+    this.serverHealth = res.success
+      ? { ok: true, ...res.data }
+      : { ok: false, message: res.message };
+    if (this.currentStep === 2 && !this.isValidatingApi) await this.render();
+  }
+
   /**
    * Handle rendering
    * @param {Object} context - Render context
@@ -2932,6 +3061,7 @@ export class WorldSetupDialog extends foundry.applications.api.HandlebarsApplica
     }
 
     if (context.isStep2) {
+      if (!this.serverHealth) this._checkServerHealth();
       const apiKeyInput = this.element.querySelector('#api-key-input');
       if (apiKeyInput) {
         apiKeyInput.focus();
@@ -5,6 +5,11 @@ export const CONFIG = {
   MODULE_ID: 'archivist-sync',
   MODULE_TITLE: 'Archivist Sync',
   API_BASE_URL: 'https://api.myarchivist.ai/v1',
+  API_VERSION_PATH: '/v1',
+  // Named Archivist instances (origin only); 'custom' uses the apiCustomUrl setting
+  API_PROFILES: {
+    production: 'https://api.myarchivist.ai',
+  },
 };
 
 /**
@@ -21,6 +26,38 @@ export const SETTINGS = {
     default: '',
   },
 
+  // Where the key lives now: each GM's own client settings, never sent to
+  // players. API_KEY above is only read to migrate older worlds.
+  USER_API_KEY: {
+    key: 'userApiKey',
+    name: 'ARCHIVIST_SYNC.Settings.ApiKey.Name',
+    hint: 'ARCHIVIST_SYNC.Settings.ApiKey.Hint',
+    scope: 'user',
+    config: false,
+    type: String,
+    default: '',
+  },
+
+  API_PROFILE: {
+    key: 'apiProfile',
+    name: 'ARCHIVIST_SYNC.Settings.ApiProfile.Name',
+    hint: 'ARCHIVIST_SYNC.Settings.ApiProfile.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: 'production', // 'production' | 'custom'
+  },
+
+  API_CUSTOM_URL: {
+    key: 'apiCustomUrl',
+    name: 'ARCHIVIST_SYNC.Settings.ApiCustomUrl.Name',
+    hint: 'ARCHIVIST_SYNC.Settings.ApiCustomUrl.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: '',
+  },
+
   SELECTED_WORLD_ID: {
     key: 'selectedWorldId',
     name: 'ARCHIVIST_SYNC.Settings.SelectedWorld.Name',
@@ -78,6 +115,26 @@ export const SETTINGS = {
     default: true,
   },
 
+  AUTO_PULL_ENABLED: {
+    key: 'autoPullEnabled',
+    name: 'ARCHIVIST_SYNC.Settings.AutoPull.Name',
+    hint: 'ARCHIVIST_SYNC.Settings.AutoPull.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false,
+  },
+
+  AUTO_PULL_INTERVAL: {
+    key: 'autoPullInterval',
+    name: 'ARCHIVIST_SYNC.Settings.AutoPullInterval.Name',
+    hint: 'ARCHIVIST_SYNC.Settings.AutoPullInterval.Hint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 120, // seconds
+  },
+
   JOURNAL_DESTINATIONS: {
     key: 'journalDestinations',
     name: 'Journal Folder Destinations',
@@ -149,6 +206,106 @@ export const SETTINGS = {
     default: 0,
   },
 
+  WRITE_QUEUE: {
+    key: 'writeQueue',
+    name: 'ARCHIVIST_SYNC.Settings.WriteQueue.Name',
+    hint: 'ARCHIVIST_SYNC.Settings.WriteQueue.Hint',
+    scope: 'world',
+    config: false,
+    type: Array,
+    default: [],
+  },
+
+  DELETE_GRACE_MINUTES: {
+    key: 'deleteGraceMinutes',
+    name: 'ARCHIVIST_SYNC.Settings.DeleteGraceMinutes.Name',
+    hint: 'ARCHIVIST_SYNC.Settings.DeleteGraceMinutes.Hint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 30, // minutes; 0 deletes in Archivist right away
+  },
+
+  TOMBSTONES: {
+    key: 'tombstones',
+    name: 'ARCHIVIST_SYNC.Settings.Tombstones.Name',
+    hint: 'ARCHIVIST_SYNC.Settings.Tombstones.Hint',
+    scope: 'world',
+    config: false,
+    type: Array,
+    default: [],
+  },
+
+  IMAGE_UPLOADS: {
+    key: 'imageUploads',
+    name: 'ARCHIVIST_SYNC.Settings.ImageUploads.Name',
+    hint: 'ARCHIVIST_SYNC.Settings.ImageUploads.Hint',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {},
+  },
+
+  IMAGE_MIRROR_ENABLED: {
+    key: 'imageMirrorEnabled',
+    name: 'ARCHIVIST_SYNC.Settings.ImageMirror.Name',
+    hint: 'ARCHIVIST_SYNC.Settings.ImageMirror.Hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false,
+  },
+
+  IMAGE_MIRROR_FOLDER: {
+    key: 'imageMirrorFolder',
+    name: 'ARCHIVIST_SYNC.Settings.ImageMirrorFolder.Name',
+    hint: 'ARCHIVIST_SYNC.Settings.ImageMirrorFolder.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: 'archivist-images', // inside worlds/<world id>/
+  },
+
+  IMAGE_MIRRORS: {
+    key: 'imageMirrors',
+    name: 'ARCHIVIST_SYNC.Settings.ImageMirrors.Name',
+    hint: 'ARCHIVIST_SYNC.Settings.ImageMirrors.Hint',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {},
+  },
+
+  SYNC_POLICY: {
+    key: 'syncPolicy',
+    name: 'ARCHIVIST_SYNC.Settings.SyncPolicy.Name',
+    hint: 'ARCHIVIST_SYNC.Settings.SyncPolicy.Hint',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {}, // { [type]: { [field]: direction } }, overrides only
+  },
+
+  SYNC_SCOPE: {
+    key: 'syncScope',
+    name: 'ARCHIVIST_SYNC.Settings.SyncScope.Name',
+    hint: 'ARCHIVIST_SYNC.Settings.SyncScope.Hint',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {}, // include/exclude rules, see SyncScopeService
+  },
+
+  SYNC_CURSORS: {
+    key: 'syncCursors',
+    name: 'ARCHIVIST_SYNC.Settings.SyncCursors.Name',
+    hint: 'ARCHIVIST_SYNC.Settings.SyncCursors.Hint',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {},
+  },
+
   // Semantic mapping setting removed
 };
 
@@ -175,6 +332,22 @@ export const MENU_CONFIG = {
     icon: 'fas fa-wand-magic-sparkles',
     restricted: true,
   },
+  SYNC_POLICY: {
+    key: 'syncPolicyMenu',
+    name: 'ARCHIVIST_SYNC.Menu.SyncPolicy.Name',
+    label: 'ARCHIVIST_SYNC.Menu.SyncPolicy.Label',
+    hint: 'ARCHIVIST_SYNC.Menu.SyncPolicy.Hint',
+    icon: 'fas fa-arrows-left-right',
+    restricted: true,
+  },
+  SYNC_SCOPE: {
+    key: 'syncScopeMenu',
+    name: 'ARCHIVIST_SYNC.Menu.SyncScope.Name',
+    label: 'ARCHIVIST_SYNC.Menu.SyncScope.Label',
+    hint: 'ARCHIVIST_SYNC.Menu.SyncScope.Hint',
+    icon: 'fas fa-filter',
+    restricted: true,
+  },
   DOCUMENTATION: {
     key: 'documentation',
     name: 'ARCHIVIST_SYNC.Menu.Documentation.Name',
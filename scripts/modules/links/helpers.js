@@ -1,6 +1,8 @@
 // Link helpers for Archivist-style relationships and flags
 import { CONFIG } from '../config.js';
 import { settingsManager } from '../settings-manager.js';
+import { syncPolicy } from '../../services/sync-policy.js';
+import { syncScope } from '../../services/sync-scope.js';
 
 /**
  * Ensure flags container exists on a JournalEntry
@@ -200,11 +202,14 @@ export async function setLocationParent(child, parentLocationId) {
     bucket: 'location-parent',
   });
 
-  // If realtime sync is enabled and we have Archivist IDs, persist parent_id to API
+  // If realtime sync is enabled, the sync policy sends parents and the child
+  // is in sync scope, persist parent_id to API
   try {
     if (
       settingsManager.isRealtimeSyncEnabled?.() &&
-      !settingsManager.isRealtimeSyncSuppressed?.()
+      !settingsManager.isRealtimeSyncSuppressed?.() &&
+      syncPolicy.pushes('location', 'parent') &&
+      syncScope.allows(child)
     ) {
       const apiKey = settingsManager.getApiKey?.();
       const childId =
@@ -0,0 +1,589 @@
+// Markdown converter: structural HTML <-> Markdown for Archivist text fields.
+//
+// Both directions understand the same subset so content is stable across
+// repeated syncs: headings, paragraphs, bold/italic/strikethrough, inline code,
+// fenced code, links, images, lists, blockquotes, GFM tables, horizontal rules,
+// Foundry secret blocks (`:::secret <id>` … `:::`), content links
+// (`@UUID[...]{Label}`) and `[[wikilinks]]`, the last two kept verbatim.
+
+const BLOCK_TAGS = new Set([
+  'address',
+  'article',
+  'aside',
+  'blockquote',
+  'details',
+  'div',
+  'dl',
+  'fieldset',
+  'figcaption',
+  'figure',
+  'footer',
+  'form',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'header',
+  'hr',
+  'main',
+  'nav',
+  'ol',
+  'p',
+  'pre',
+  'section',
+  'table',
+  'ul',
+]);
+
+// Characters the renderer treats as literal when preceded by a backslash
+const ESCAPABLE = '\\\\`*_~#>:|\\-+.!\\[\\]()';
+const ESCAPE_RE = new RegExp(`\\\\([${ESCAPABLE}])`, 'g');
+// Link tokens passed through unescaped and unformatted in both directions
+const LINK_TOKEN_RE = /\[\[[^\]\n]+\]\]|@UUID\[[^\]\n]+\](?:\{[^}\n]*\})?/g;
+
+/* ------------------------------------------------------------------------ */
+/* HTML -> Markdown                                                          */
+/* ------------------------------------------------------------------------ */
+
+/**
+ * Convert stored Foundry HTML into Markdown.
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToMarkdown(html) {
+  const s = String(html ?? '');
+  if (!s.trim()) return '';
+  const doc = new DOMParser().parseFromString(`<body>${s}</body>`, 'text/html');
+  return joinBlocks(convertBlocks(doc.body)).trim();
+}
+
+function joinBlocks(blocks) {
+  return blocks
+    .filter((b) => b && b.trim())
+    .join('\n\n')
+    .replace(/\n{3,}/g, '\n\n');
+}
+
+function convertBlocks(parent) {
+  const out = [];
+  let run = '';
+  const flush = () => {
+    const text = escapeLineStart(run.replace(/^[ \t]+|[ \t]+$/gm, '').trim());
+    if (text) out.push(text);
+    run = '';
+  };
+  for (const child of parent.childNodes) {
+    if (child.nodeType === 1 && BLOCK_TAGS.has(child.tagName.toLowerCase())) {
+      flush();
+      const block = convertBlock(child);
+      if (block) out.push(block);
+    } else {
+      run += convertInline(child);
+    }
+  }
+  flush();
+  return out;
+}
+
+function convertBlock(el) {
+  const tag = el.tagName.toLowerCase();
+  if (/^h[1-6]$/.test(tag)) {
+    const text = inlineChildren(el)
+      .replace(/\s*\n\s*/g, ' ')
+      .trim();
+    return text ? `${'#'.repeat(Number(tag[1]))} ${text}` : '';
+  }
+  switch (tag) {
+    case 'hr':
+      return '---';
+    case 'ul':
+    case 'ol':
+      return convertList(el);
+    case 'pre':
+      return convertPre(el);
+    case 'table':
+      return convertTable(el);
+    case 'blockquote': {
+      const inner = joinBlocks(convertBlocks(el));
+      if (!inner) return '';
+      return inner
+        .split('\n')
+        .map((line) => (line ? `> ${line}` : '>'))
+        .join('\n');
+    }
+    case 'section':
+      if (el.classList.contains('secret')) {
+        const inner = joinBlocks(convertBlocks(el));
+        const id = el.id ? ` ${el.id}` : '';
+        return `:::secret${id}\n${inner}\n:::`;
+      }
+      return joinBlocks(convertBlocks(el));
+    default:
+      return joinBlocks(convertBlocks(el));
+  }
+}
+
+function convertList(el) {
+  const ordered = el.tagName.toLowerCase() === 'ol';
+  const start = ordered ? Number(el.getAttribute('start')) || 1 : 1;
+  const items = [...el.children].filter(
+    (c) => c.tagName.toLowerCase() === 'li'
+  );
+  return items
+    .map((li, i) => {
+      const marker = ordered ? `${start + i}.` : '-';
+      const pad = ' '.repeat(marker.length + 1);
+      const body = convertBlocks(li)
+        .filter((b) => b && b.trim())
+        .join('\n');
+      const lines = body.split('\n');
+      return [
+        `${marker} ${lines[0] || ''}`.trimEnd(),
+        ...lines.slice(1).map((l) => (l ? pad + l : l)),
+      ].join('\n');
+    })
+    .join('\n');
+}
+
+function convertPre(el) {
+  const code = el.querySelector('code');
+  const text = String((code || el).textContent || '').replace(/\n$/, '');
+  const lang =
+    (code?.className || '').match(/(?:^|\s)language-([\w-]+)/)?.[1] || '';
+  const longest = Math.max(
+    2,
+    ...(text.match(/`+/g) || []).map((m) => m.length)
+  );
+  const fence = '`'.repeat(longest + 1);
+  return `${fence}${lang}\n${text}\n${fence}`;
+}
+
+function convertTable(el) {
+  const rows = [...el.querySelectorAll('tr')].map((tr) =>
+    [...tr.children]
+      .filter((c) => /^t[hd]$/i.test(c.tagName))
+      .map((c) =>
+        inlineChildren(c)
+          .replace(/\s*\n\s*/g, ' ')
+          // Text pipes are escaped already; wikilink pipes are not
+          .replace(/(?<!\\)\|/g, '\\|')
+          .trim()
+      )
+  );
+  if (!rows.length) return '';
+  const width = Math.max(...rows.map((r) => r.length));
+  const pad = (r) => [...r, ...Array(width - r.length).fill('')];
+  const line = (r) => `| ${pad(r).join(' | ')} |`;
+  return [
+    line(rows[0]),
+    line(Array(width).fill('---')),
+    ...rows.slice(1).map(line),
+  ].join('\n');
+}
+
+function inlineChildren(el) {
+  let out = '';
+  for (const child of el.childNodes) out += convertInline(child);
+  return out;
+}
+
+/** Wrap inline content in a marker, keeping surrounding whitespace outside. */
+function wrap(content, marker) {
+  const m = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!m[2]) return content;
+  return `${m[1]}${marker}${m[2]}${marker}${m[3]}`;
+}
+
+function convertInline(node) {
+  if (node.nodeType === 3)
+    return escapeText(node.nodeValue.replace(/\s+/g, ' '));
+  if (node.nodeType !== 1) return '';
+  const el = node;
+  const tag = el.tagName.toLowerCase();
+  switch (tag) {
+    case 'br':
+      return '\n';
+    case 'strong':
+    case 'b':
+      return wrap(inlineChildren(el), '**');
+    case 'em':
+    case 'i':
+      return wrap(inlineChildren(el), '*');
+    case 's':
+    case 'del':
+    case 'strike':
+      return wrap(inlineChildren(el), '~~');
+    case 'code': {
+      const text = el.textContent || '';
+      const longest = Math.max(
+        0,
+        ...(text.match(/`+/g) || []).map((m) => m.length)
+      );
+      const ticks = '`'.repeat(longest + 1);
+      const spaced = text.startsWith('`') || text.endsWith('`');
+      return spaced ? `${ticks} ${text} ${ticks}` : `${ticks}${text}${ticks}`;
+    }
+    case 'img': {
+      const src = el.getAttribute('src') || '';
+      if (!src) return '';
+      const alt = (el.getAttribute('alt') || '').replace(/[[\]]/g, '');
+      return `![${alt}](${encodeUrl(src)})`;
+    }
+    case 'a': {
+      const text = inlineChildren(el).trim();
+      const uuid = el.dataset?.uuid;
+      if (uuid && el.classList.contains('content-link')) {
+        return `@UUID[${uuid}]{${el.textContent.trim()}}`;
+      }
+      const href = el.getAttribute('href') || '';
+      if (!href || href.startsWith('#')) return text;
+      if (text === href || text === escapeText(href)) return href;
+      return `[${text || href}](${encodeUrl(href)})`;
+    }
+    case 'script':
+    case 'style':
+      return '';
+    default:
+      return inlineChildren(el);
+  }
+}
+
+function encodeUrl(url) {
+  return String(url).replace(/\s/g, '%20').replace(/\)/g, '%29');
+}
+
+/**
+ * Escape characters that would otherwise be read as inline Markdown. Link
+ * tokens are left alone so `[[Target|Label]]` reaches Archivist intact.
+ */
+function escapeText(text) {
+  const s = String(text);
+  let out = '';
+  let last = 0;
+  for (const m of s.matchAll(LINK_TOKEN_RE)) {
+    out += escapeMarkdown(s.slice(last, m.index)) + m[0];
+    last = m.index + m[0].length;
+  }
+  return out + escapeMarkdown(s.slice(last));
+}
+
+function escapeMarkdown(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/([*`~|])/g, '\\$1')
+    .replace(/(^|\W)_/g, '$1\\_')
+    .replace(/_(?=\W|$)/g, '\\_');
+}
+
+/** Escape line starts that would otherwise open a block construct. */
+function escapeLineStart(text) {
+  return text
+    .split('\n')
+    .map((line) =>
+      line
+        .replace(/^(#{1,6}\s)/, '\\$1')
+        .replace(/^>/, '\\>')
+        .replace(/^([-+])(\s)/, '\\$1$2')
+        .replace(/^(\d+)\.(\s)/, '$1\\.$2')
+        .replace(/^(:::)/, '\\:::')
+    )
+    .join('\n');
+}
+
+/* ------------------------------------------------------------------------ */
+/* Markdown -> HTML                                                          */
+/* ------------------------------------------------------------------------ */
+
+/**
+ * Render Markdown (the subset produced by htmlToMarkdown plus common
+ * variants such as `*`/`+` bullets and `_em_`) into HTML.
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function markdownToHtml(markdown) {
+  const lines = String(markdown ?? '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n');
+  return renderBlocks(lines);
+}
+
+const LIST_RE = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const HR_RE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const TABLE_SEP_RE = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+function isBlockStart(line, next) {
+  return (
+    /^\s{0,3}(#{1,6})\s/.test(line) ||
+    /^\s{0,3}(`{3,}|~{3,})/.test(line) ||
+    /^:::secret\b/.test(line) ||
+    /^\s{0,3}>/.test(line) ||
+    HR_RE.test(line) ||
+    LIST_RE.test(line) ||
+    (line.includes('|') && TABLE_SEP_RE.test(next || ''))
+  );
+}
+
+function renderBlocks(lines) {
+  const out = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // Fenced code
+    const fence = line.match(/^\s{0,3}(`{3,}|~{3,})\s*([\w-]*)/);
+    if (fence) {
+      const close = fence[1];
+      const body = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(close)) {
+        body.push(lines[i]);
+        i++;
+      }
+      i++;
+      const cls = fence[2] ? ` class="language-${fence[2]}"` : '';
+      out.push(`<pre><code${cls}>${escapeHtml(body.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    // Foundry secret block
+    const secret = line.match(/^:::secret(?:\s+([\w-]+))?\s*$/);
+    if (secret) {
+      const body = [];
+      let depth = 1;
+      i++;
+      while (i < lines.length) {
+        if (/^:::secret\b/.test(lines[i])) depth++;
+        else if (/^:::\s*$/.test(lines[i]) && --depth === 0) break;
+        body.push(lines[i]);
+        i++;
+      }
+      i++;
+      const id = secret[1] || `secret-${randomId()}`;
+      out.push(
+        `<section class="secret" id="${escapeHtml(id)}">${renderBlocks(body)}</section>`
+      );
+      continue;
+    }
+
+    // Heading
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      const n = heading[1].length;
+      out.push(`<h${n}>${renderInline(heading[2])}</h${n}>`);
+      i++;
+      continue;
+    }
+
+    if (HR_RE.test(line)) {
+      out.push('<hr>');
+      i++;
+      continue;
+    }
+
+    // GFM table
+    if (line.includes('|') && TABLE_SEP_RE.test(lines[i + 1] || '')) {
+      const rows = [splitRow(line)];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        rows.push(splitRow(lines[i]));
+        i++;
+      }
+      const cells = (row, tag) =>
+        row.map((c) => `<${tag}>${renderInline(c)}</${tag}>`).join('');
+      const body = rows
+        .slice(1)
+        .map((r) => `<tr>${cells(r, 'td')}</tr>`)
+        .join('');
+      out.push(
+        `<table><thead><tr>${cells(rows[0], 'th')}</tr></thead>${
+          body ? `<tbody>${body}</tbody>` : ''
+        }</table>`
+      );
+      continue;
+    }
+
+    // Blockquote
+    if (/^\s{0,3}>/.test(line)) {
+      const body = [];
+      while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+        body.push(lines[i].replace(/^\s{0,3}>\s?/, ''));
+        i++;
+      }
+      out.push(`<blockquote>${renderBlocks(body)}</blockquote>`);
+      continue;
+    }
+
+    // List
+    if (LIST_RE.test(line)) {
+      const [, indent, marker] = line.match(LIST_RE);
+      const ordered = /\d/.test(marker);
+      const body = [];
+      while (i < lines.length) {
+        const l = lines[i];
+        const item = l.match(LIST_RE);
+        // Switching between bullets and numbers at the same level starts a new list
+        if (
+          body.length &&
+          item &&
+          item[1].length <= indent.length &&
+          /\d/.test(item[2]) !== ordered
+        ) {
+          break;
+        }
+        if (!l.trim()) {
+          // A blank line ends the list unless more list content follows
+          const next = lines[i + 1] || '';
+          if (LIST_RE.test(next) || /^\s{2,}\S/.test(next)) {
+            i++;
+            continue;
+          }
+          break;
+        }
+        if (body.length && !LIST_RE.test(l) && !/^\s/.test(l)) {
+          if (isBlockStart(l, lines[i + 1])) break;
+        }
+        body.push(l);
+        i++;
+      }
+      out.push(renderList(body));
+      continue;
+    }
+
+    // Paragraph
+    const para = [];
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      !(para.length && isBlockStart(lines[i], lines[i + 1]))
+    ) {
+      para.push(lines[i].trim());
+      i++;
+    }
+    out.push(`<p>${renderInline(para.join('\n'))}</p>`);
+  }
+  return out.join('');
+}
+
+function renderList(lines) {
+  const first = lines[0].match(LIST_RE);
+  const baseIndent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const start = ordered ? parseInt(first[2], 10) : 1;
+  const items = [];
+  for (const line of lines) {
+    const m = line.match(LIST_RE);
+    if (m && m[1].length <= baseIndent) {
+      items.push([m[3]]);
+    } else if (items.length) {
+      // Continuation or nested content: strip the item's content indent
+      items[items.length - 1].push(line.replace(/^\s{1,4}/, ''));
+    }
+  }
+  const lis = items
+    .map((body) => {
+      const [head, ...rest] = body;
+      const nested = rest.length ? renderBlocks(rest) : '';
+      return `<li>${renderInline(head)}${nested}</li>`;
+    })
+    .join('');
+  if (!ordered) return `<ul>${lis}</ul>`;
+  return start !== 1 ? `<ol start="${start}">${lis}</ol>` : `<ol>${lis}</ol>`;
+}
+
+function splitRow(line) {
+  let s = line.trim();
+  if (s.startsWith('|')) s = s.slice(1);
+  if (s.endsWith('|') && !s.endsWith('\\|')) s = s.slice(0, -1);
+  return s.split(/(?<!\\)\|/).map((c) => c.trim());
+}
+
+function renderInline(text) {
+  const tokens = [];
+  const token = (html) => `\uE000${tokens.push(html) - 1}\uE000`;
+  // A link token may hold an escape token (e.g. a `\|` in a table cell)
+  const restore = (t) =>
+    t.replace(/\uE000(\d+)\uE000/g, (m, n) => restore(tokens[Number(n)]));
+  let s = String(text ?? '');
+
+  // Backslash escapes and code spans are literal
+  s = s.replace(ESCAPE_RE, (m, ch) => token(escapeHtml(ch)));
+  s = s.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) =>
+    token(`<code>${escapeHtml(code.replace(/^ (.*) $/, '$1'))}</code>`)
+  );
+  // Wikilinks and content links stay as written
+  s = s.replace(LINK_TOKEN_RE, (m) => token(escapeHtml(m)));
+  // Autolinks <https://...>
+  s = s.replace(/<(https?:\/\/[^\s>]+)>/g, (m, url) =>
+    token(`<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`)
+  );
+
+  s = escapeHtml(s);
+
+  // Images, then links; URLs are tokenized so emphasis can't touch them.
+  // Targets with other schemes (javascript:, data:, ...) stay plain text.
+  s = s.replace(
+    /!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;[^&]*&quot;)?\)/g,
+    (m, alt, src) =>
+      isSafeUrl(restore(src))
+        ? token(`<img src="${src}" alt="${alt}">`)
+        : token(m)
+  );
+  s = s.replace(
+    /\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;[^&]*&quot;)?\)/g,
+    (m, label, href) =>
+      isSafeUrl(restore(href))
+        ? `${token(`<a href="${href}">`)}${label}${token('</a>')}`
+        : token(m)
+  );
+  // Bare URLs
+  s = s.replace(
+    /(^|[\s(])(https?:\/\/[^\s<]+[^\s<.,;:!?)])/g,
+    (m, lead, url) => `${lead}${token(`<a href="${url}">${url}</a>`)}`
+  );
+
+  s = s
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|\W)__(?=\S)([\s\S]*?\S)__(?=\W|$)/g, '$1<strong>$2</strong>')
+    .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+    .replace(/(^|\W)_(?=\S)([\s\S]*?\S)_(?=\W|$)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    .replace(/\n/g, '<br>');
+
+  return restore(s);
+}
+
+/**
+ * Whether a link or image target may be rendered: http(s), mailto, relative
+ * paths and #fragments. Browsers ignore control characters and spaces in a
+ * scheme, so they are dropped before checking.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isSafeUrl(url) {
+  // eslint-disable-next-line no-control-regex
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url.replace(/[\x00-\x20]/g, ''));
+  return !scheme || /^(https?|mailto)$/i.test(scheme[1]);
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function randomId() {
+  try {
+    return foundry.utils.randomID();
+  } catch (_) {
+    return Math.random().toString(36).slice(2, 18);
+  }
+}
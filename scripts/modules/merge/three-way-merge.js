@@ -0,0 +1,113 @@
+// Line-based three-way merge (diff3) for resolving concurrent text edits
+
+/** Labels written into conflict markers. */
+const MARKERS = { mine: 'Foundry', theirs: 'Archivist' };
+
+/**
+ * Map each line of `a` that is part of a longest common subsequence with `b`
+ * to its index in `b`.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {Map<number, number>}
+ */
+function commonLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const map = new Map();
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      map.set(i++, j++);
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return map;
+}
+
+const sameLines = (a, b) =>
+  a.length === b.length && a.every((line, i) => line === b[i]);
+
+/**
+ * Merge two edits of the same text. Regions changed on one side only take
+ * that side; regions changed on both sides differently become conflicts
+ * wrapped in `<<<<<<< Foundry` / `=======` / `>>>>>>> Archivist` markers.
+ * @param {string} base - common ancestor (the last synced text)
+ * @param {string} mine - local (Foundry) text
+ * @param {string} theirs - remote (Archivist) text
+ * @returns {{text:string, conflicts:number}}
+ */
+export function mergeText(base, mine, theirs) {
+  const b = String(base ?? '');
+  const m = String(mine ?? '');
+  const t = String(theirs ?? '');
+  if (m === t || t === b) return { text: m, conflicts: 0 };
+  if (m === b) return { text: t, conflicts: 0 };
+
+  const B = b.split('\n');
+  const M = m.split('\n');
+  const T = t.split('\n');
+  const toMine = commonLines(B, M);
+  const toTheirs = commonLines(B, T);
+
+  const out = [];
+  let conflicts = 0;
+  let i = 0;
+  let j = 0;
+  let k = 0;
+  for (;;) {
+    // Next base line kept by both sides closes the current chunk
+    let s = i;
+    while (s < B.length && !(toMine.has(s) && toTheirs.has(s))) s++;
+    const mEnd = s < B.length ? toMine.get(s) : M.length;
+    const tEnd = s < B.length ? toTheirs.get(s) : T.length;
+    const baseChunk = B.slice(i, s);
+    const mineChunk = M.slice(j, mEnd);
+    const theirChunk = T.slice(k, tEnd);
+    if (sameLines(mineChunk, baseChunk)) {
+      out.push(...theirChunk);
+    } else if (
+      sameLines(theirChunk, baseChunk) ||
+      sameLines(mineChunk, theirChunk)
+    ) {
+      out.push(...mineChunk);
+    } else {
+      conflicts += 1;
+      out.push(
+        `<<<<<<< ${MARKERS.mine}`,
+        ...mineChunk,
+        '=======',
+        ...theirChunk,
+        `>>>>>>> ${MARKERS.theirs}`
+      );
+    }
+    if (s >= B.length) break;
+    out.push(B[s]);
+    i = s + 1;
+    j = mEnd + 1;
+    k = tEnd + 1;
+  }
+  return { text: out.join('\n'), conflicts };
+}
+
+/**
+ * Whether text still contains unresolved conflict markers.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function hasConflictMarkers(text) {
+  return /^(<{7}|>{7}) /m.test(String(text ?? ''));
+}
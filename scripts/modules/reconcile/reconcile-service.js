@@ -3,6 +3,10 @@ import { archivistApi } from '../../services/archivist-api.js';
 import { CONFIG } from '../config.js';
 import { Utils } from '../utils.js';
 import { journalManager } from '../journal-manager.js';
+import { syncCursor } from '../../services/sync-cursor.js';
+import { imageMirror } from '../../services/image-mirror.js';
+import { remoteVersion } from '../../services/remote-version.js';
+import { syncPolicy, SyncPolicyService } from '../../services/sync-policy.js';
 
 /** Build questData flags from a normalized Archivist quest row. */
 function questDataFromApi(q) {
@@ -51,25 +55,46 @@ function questDataFromApi(q) {
  * - Updates titles/descriptions when Archivist changed
  * - Reconciles Location.parent_id into sheet flags.parentLocationId
  * - Aligns link flags from Archivist Links table
+ *
+ * Only what the sync policy takes from Archivist is applied: sheets are
+ * created for types whose `create` cell pulls, and names, images, parents,
+ * quest data and links of existing sheets follow their own cells.
+ *
+ * Runs are incremental once a full run has completed: only entities updated
+ * since the previous run are fetched and applied (see SyncCursorService).
  */
 export class ReconcileService {
+  /** Reconcile everything, ignoring and then resetting the delta cursors. */
   async runFull() {
+    return this.run({ full: true });
+  }
+
+  /**
+   * @param {{full?:boolean}} [options] - full re-fetches every entity
+   * @returns {Promise<boolean>}
+   */
+  async run({ full = false } = {}) {
     const apiKey = settingsManager.getApiKey?.();
     const campaignId = settingsManager.getSelectedWorldId?.();
     if (!apiKey || !campaignId) throw new Error('Archivist not configured');
 
+    const marks = full ? null : syncCursor.getMarks('reconcile', campaignId);
+    const since = (type) =>
+      marks?.[type] ? { updatedSince: marks[type] } : {};
+
     // Fetch entities in parallel
+    const results = await Promise.all([
+      archivistApi.listCharacters(apiKey, campaignId, since('Character')),
+      archivistApi.listItems(apiKey, campaignId, since('Item')),
+      archivistApi.listLocations(apiKey, campaignId, since('Location')),
+      archivistApi.listFactions(apiKey, campaignId, since('Faction')),
+      archivistApi.listSessions(apiKey, campaignId, since('Session')),
+      archivistApi.listLinks(apiKey, campaignId, since('Link')),
+      archivistApi.listQuests(apiKey, campaignId, since('Quest')),
+      archivistApi.listJournals(apiKey, campaignId, since('Journal')),
+    ]);
     const [chars, items, locs, facs, sessions, links, quests, journalsList] =
-      await Promise.all([
-        archivistApi.listCharacters(apiKey, campaignId),
-        archivistApi.listItems(apiKey, campaignId),
-        archivistApi.listLocations(apiKey, campaignId),
-        archivistApi.listFactions(apiKey, campaignId),
-        archivistApi.listSessions(apiKey, campaignId),
-        archivistApi.listLinks(apiKey, campaignId),
-        archivistApi.listQuests(apiKey, campaignId),
-        archivistApi.listJournals(apiKey, campaignId),
-      ]);
+      results;
 
     const characters = chars.success ? chars.data || [] : [];
     const itemsData = items.success ? items.data || [] : [];
@@ -95,10 +120,15 @@ export class ReconcileService {
       if (f.archivistId) byArchId.set(f.archivistId, j);
     }
 
-    // Upsert helper for a sheet journal
+    const pulls = (sheetType, field) =>
+      syncPolicy.pulls(SyncPolicyService.typeFor(sheetType), field);
+
+    // Upsert helper for a sheet journal; null when the policy does not
+    // create missing sheets of this type
     const ensureSheet = async (entity, sheetType) => {
       const id = entity.id;
       let j = byArchId.get(id);
+      if (!j && !pulls(sheetType, 'create')) return null;
       if (!j) {
         if (sheetType === 'journal' || sheetType === 'quest') {
           const folderName = journalManager.folderNames[sheetType] || null;
@@ -108,6 +138,7 @@ export class ReconcileService {
           } catch (_) {}
           const imageUrl =
             String(entity?.image || entity?.cover_image || '').trim() || null;
+          const img = await imageMirror.localize(imageUrl);
           if (sheetType === 'journal') {
             const markdown = String(entity.content || entity.summary || '');
             const html = Utils.markdownToStoredHtml(markdown);
@@ -115,6 +146,7 @@ export class ReconcileService {
               name: entity.title || entity.name || 'Untitled',
               html,
               imageUrl,
+              img,
               sheetType: 'journal',
               archivistId: id,
               worldId: campaignId,
@@ -125,6 +157,7 @@ export class ReconcileService {
               name: entity.questName || entity.name || 'Quest',
               html: '',
               imageUrl,
+              img,
               sheetType: 'quest',
               archivistId: id,
               worldId: campaignId,
@@ -144,7 +177,8 @@ export class ReconcileService {
             const raw = String(entity?.image || '').trim();
             if (raw) {
               try {
-                await j.update({ img: raw }, { render: false });
+                const img = await imageMirror.localize(raw);
+                await j.update({ img }, { render: false });
               } catch (_) {}
             }
           } catch (_) {}
@@ -155,21 +189,25 @@ export class ReconcileService {
           await j.setFlag(CONFIG.MODULE_ID, 'archivist', f);
         }
         byArchId.set(id, j);
-      } else {
+      } else if (pulls(sheetType, 'image')) {
         // Existing journal: backfill or update image from Archivist if missing/different
         try {
           const raw = String(entity?.image || '').trim();
-          if (raw && String(j.img || '').trim() !== raw) {
+          // Compared with the local copy when mirroring, which re-syncs reuse
+          const img = raw ? await imageMirror.localize(raw) : '';
+          if (img && String(j.img || '').trim() !== img) {
             try {
-              await j.update({ img: raw }, { render: false });
+              await j.update({ img }, { render: false });
             } catch (_) {}
           }
         } catch (_) {}
       }
       // Title/description updates
       const desiredName = entity.name || entity.title || j.name;
-      if (desiredName && desiredName !== j.name)
+      if (desiredName && desiredName !== j.name && pulls(sheetType, 'name'))
         await j.update({ name: desiredName });
+      // Sheets that match Archivist take its version as their sync base
+      await remoteVersion.observe(j, sheetType, entity);
       // For brevity we do not overwrite page body here to avoid clobbering GM edits.
       return j;
     };
@@ -197,8 +235,11 @@ export class ReconcileService {
       }
       const entity = { ...fullQuest, name: fullQuest.questName || 'Quest' };
       const j = await ensureSheet(entity, 'quest');
+      if (!j) continue;
       try {
         const flags = j.getFlag(CONFIG.MODULE_ID, 'archivist') || {};
+        // New sheets always get their quest data
+        if (flags.questData && !pulls('quest', 'questData')) continue;
         flags.questData = questDataFromApi(fullQuest);
         await j.setFlag(CONFIG.MODULE_ID, 'archivist', flags);
       } catch (_) {}
@@ -217,13 +258,15 @@ export class ReconcileService {
         const sessionDate = s.session_date || null;
         if (bySessionId.has(s.id)) {
           const p = bySessionId.get(s.id);
-          if (p?.name !== title) await p.update({ name: title });
+          if (p?.name !== title && pulls('recap', 'name')) {
+            await p.update({ name: title });
+          }
           // Update sessionDate flag if changed
           const currentDate = p.getFlag(CONFIG.MODULE_ID, 'sessionDate');
           if (sessionDate && sessionDate !== currentDate) {
             await p.setFlag(CONFIG.MODULE_ID, 'sessionDate', sessionDate);
           }
-        } else {
+        } else if (pulls('recap', 'create')) {
           await container.createEmbeddedDocuments('JournalEntryPage', [
             {
               name: title,
@@ -242,7 +285,7 @@ export class ReconcileService {
     } catch (_) {}
 
     // Reconcile Location parent ids
-    for (const l of locations) {
+    for (const l of pulls('location', 'parent') ? locations : []) {
       const j = byArchId.get(l.id);
       if (!j) continue;
       const flags = j.getFlag(CONFIG.MODULE_ID, 'archivist') || {};
@@ -297,12 +340,14 @@ export class ReconcileService {
         await journal.setFlag(CONFIG.MODULE_ID, 'archivist', f);
       }
     };
+    const pullsLinks = (journal) =>
+      pulls(journal.getFlag(CONFIG.MODULE_ID, 'archivist')?.sheetType, 'links');
     for (const L of linksData) {
       const from = byArchId.get(L.from_id);
       const to = byArchId.get(L.to_id);
       if (!from || !to) continue;
-      const bucketTo = keyMap[L.to_type] || null;
-      const bucketFrom = keyMap[L.from_type] || null;
+      const bucketTo = pullsLinks(from) ? keyMap[L.to_type] : null;
+      const bucketFrom = pullsLinks(to) ? keyMap[L.from_type] : null;
       if (bucketTo) {
         await ensureRef(from, bucketTo, L.to_id);
         await ensureOutbound(from, bucketTo, L.to_id);
@@ -312,11 +357,50 @@ export class ReconcileService {
       }
     }
 
+    // Turn [[wikilinks]] in imported text into Foundry content links now that
+    // every linked sheet exists
+    try {
+      await Utils.resolveWikilinksInWorld([
+        ...characters,
+        ...itemsData,
+        ...locations,
+        ...factions,
+        ...sessionsData,
+        ...questsData,
+        ...journalsData,
+      ]);
+    } catch (_) {}
+
     // Done
     // Always organize folders by sheet type into organized folders
     try {
       await this._organizeFolders();
     } catch (_) {}
+
+    // Everything fetched was applied; skip it next time unless a list failed
+    if (results.every((r) => r?.success)) {
+      const fetched = {
+        Character: characters,
+        Item: itemsData,
+        Location: locations,
+        Faction: factions,
+        Session: sessionsData,
+        Link: linksData,
+        Quest: questsData,
+        Journal: journalsData,
+      };
+      const next = {};
+      for (const [type, rows] of Object.entries(fetched)) {
+        next[type] = syncCursor.nextMark(rows, [], marks?.[type] ?? null);
+      }
+      try {
+        await syncCursor.advance('reconcile', campaignId, next, {
+          full: !marks,
+        });
+      } catch (e) {
+        console.warn('[Archivist Sync] Failed to save reconcile cursor', e);
+      }
+    }
     return true;
   }
 
@@ -18,6 +18,7 @@ export class SettingsManager {
    */
   registerSettings() {
     this._registerApiKey();
+    this._registerApiEndpoint();
     this._registerSelectedWorldId();
     this._registerSelectedWorldName();
     this._registerWorldInitialized();
@@ -25,6 +26,7 @@ export class SettingsManager {
     // Auto-sort removed; sorting is always enabled
     this._registerHideByOwnership();
     this._registerRealtimeSync();
+    this._registerAutoPull();
     this._registerChatHistory();
     this._registerChatVisibility();
     this._registerChatGmPermissions();
@@ -32,6 +34,13 @@ export class SettingsManager {
     this._registerRunSetupAgainMenu();
     this._registerDocumentationMenu();
     this._registerProjectionSettings();
+    this._registerWriteQueue();
+    this._registerTombstones();
+    this._registerImageUploads();
+    this._registerImageMirror();
+    this._registerSyncPolicy();
+    this._registerSyncScope();
+    this._registerSyncCursors();
   }
 
   /**
@@ -53,6 +62,86 @@ export class SettingsManager {
         this._onChatAvailabilityChange();
       },
     });
+
+    const userKey = SETTINGS.USER_API_KEY;
+    game.settings.register(this.moduleId, userKey.key, {
+      name: game.i18n.localize(userKey.name),
+      hint: game.i18n.localize(userKey.hint),
+      scope: userKey.scope,
+      config: userKey.config,
+      type: userKey.type,
+      default: userKey.default,
+      secret: true,
+      onChange: () => {
+        console.log(`${this.moduleTitle} | API Key updated`);
+        this._onChatAvailabilityChange();
+        this._onApiKeyChange();
+      },
+    });
+  }
+
+  /**
+   * Tell other clients whether this GM can call Archivist, so the sync
+   * leader is a GM that holds a key.
+   * @private
+   */
+  async _onApiKeyChange() {
+    try {
+      const { gmLeader } = await import('../services/gm-leader.js');
+      gmLeader.announce();
+    } catch (_) {}
+  }
+
+  /**
+   * Register the API server profile and custom URL settings
+   * @private
+   */
+  _registerApiEndpoint() {
+    const profile = SETTINGS.API_PROFILE;
+    game.settings.register(this.moduleId, profile.key, {
+      name: game.i18n.localize(profile.name),
+      hint: game.i18n.localize(profile.hint),
+      scope: profile.scope,
+      config: profile.config,
+      type: profile.type,
+      choices: {
+        production: game.i18n.localize(
+          'ARCHIVIST_SYNC.Settings.ApiProfile.Options.Production'
+        ),
+        custom: game.i18n.localize(
+          'ARCHIVIST_SYNC.Settings.ApiProfile.Options.Custom'
+        ),
+      },
+      default: profile.default,
+      onChange: () => this._onApiEndpointChange(),
+    });
+
+    const custom = SETTINGS.API_CUSTOM_URL;
+    game.settings.register(this.moduleId, custom.key, {
+      name: game.i18n.localize(custom.name),
+      hint: game.i18n.localize(custom.hint),
+      scope: custom.scope,
+      config: custom.config,
+      type: custom.type,
+      default: custom.default,
+      onChange: () => this._onApiEndpointChange(),
+    });
+  }
+
+  /**
+   * Re-point the API client when the server profile or custom URL changes
+   * @private
+   */
+  async _onApiEndpointChange() {
+    try {
+      const { archivistApi } = await import('../services/archivist-api.js');
+      archivistApi.setBaseUrl(this.getApiRootUrl());
+      console.log(
+        `${this.moduleTitle} | API endpoint: ${archivistApi.baseUrl}`
+      );
+    } catch (e) {
+      console.warn('[Archivist Sync] Failed to apply API endpoint', e);
+    }
   }
 
   // Semantic mapping setting removed
@@ -208,10 +297,7 @@ export class SettingsManager {
                 const { settingsManager } = await import(
                   './settings-manager.js'
                 );
-                const MODULE_ID =
-                  settingsManager.moduleId ||
-                  (await import('./config.js')).CONFIG.MODULE_ID;
-                await game.settings.set(MODULE_ID, 'apiKey', newApiKey);
+                await settingsManager.setApiKey(newApiKey);
                 ui.notifications.info(
                   game.i18n.localize('ARCHIVIST_SYNC.Menu.UpdateApiKey.Success')
                 );
@@ -454,11 +540,88 @@ export class SettingsManager {
   }
 
   /**
-   * Get API key
-   * @returns {string} The API key
+   * Get API key. Only GM clients hold one; players reach Archivist through a
+   * GM (see ApiRelayService).
+   * @returns {string} The API key, or '' on player clients
    */
   getApiKey() {
-    return this.getSetting(SETTINGS.API_KEY.key);
+    if (!game.user?.isGM) return '';
+    return (
+      this.getSetting(SETTINGS.USER_API_KEY.key) ||
+      this.getSetting(SETTINGS.API_KEY.key) ||
+      ''
+    );
+  }
+
+  /**
+   * Store the API key in this GM's user settings and clear any copy left in
+   * the world settings, which every client can read.
+   * @param {string} apiKey
+   */
+  async setApiKey(apiKey) {
+    await this.setSetting(SETTINGS.USER_API_KEY.key, String(apiKey || ''));
+    if (this.getSetting(SETTINGS.API_KEY.key)) {
+      await this.setSetting(SETTINGS.API_KEY.key, '');
+    }
+  }
+
+  /**
+   * Move a key saved by older versions from the world settings to the
+   * current GM's user settings. Run on ready.
+   * @returns {Promise<boolean>} true when a key was moved
+   */
+  async migrateApiKey() {
+    if (!game.user?.isGM) return false;
+    const legacy = this.getSetting(SETTINGS.API_KEY.key);
+    if (!legacy) return false;
+    try {
+      if (!this.getSetting(SETTINGS.USER_API_KEY.key)) {
+        await this.setSetting(SETTINGS.USER_API_KEY.key, legacy);
+      }
+      await this.setSetting(SETTINGS.API_KEY.key, '');
+      console.log(
+        `${this.moduleTitle} | Moved the API key from world to user settings`
+      );
+      return true;
+    } catch (e) {
+      console.warn('[Archivist Sync] Failed to migrate API key', e);
+      return false;
+    }
+  }
+
+  /**
+   * Selected API server profile. Unknown values (e.g. the removed staging
+   * profile) fall back to production.
+   * @returns {'production'|'custom'}
+   */
+  getApiProfile() {
+    try {
+      const value = String(this.getSetting(SETTINGS.API_PROFILE.key) || '');
+      return ['production', 'custom'].includes(value) ? value : 'production';
+    } catch (_) {
+      return 'production';
+    }
+  }
+
+  /**
+   * API origin for the selected profile, without the version path. A Custom
+   * profile with no URL falls back to production.
+   * @returns {string}
+   */
+  getApiRootUrl() {
+    const profile = this.getApiProfile();
+    if (profile === 'custom') {
+      let url = '';
+      try {
+        url = String(this.getSetting(SETTINGS.API_CUSTOM_URL.key) || '').trim();
+      } catch (_) {}
+      if (url) return url;
+      console.warn(
+        '[Archivist Sync] Custom API server selected without a URL; using production'
+      );
+      return CONFIG.API_PROFILES.production;
+    }
+    return CONFIG.API_PROFILES[profile] || CONFIG.API_PROFILES.production;
   }
 
   // AI settings and mapping override getters removed
@@ -512,27 +675,38 @@ export class SettingsManager {
 
   /**
    * Check if Archivist chat should be available
-   * Requires both API configuration with world selection AND world initialization
+   * Requires world selection AND world initialization. No local API key is
+   * needed: clients without one ask through a GM (see ApiRelayService).
    * @returns {boolean} True if chat should be available
    */
   isArchivistChatAvailable() {
     // Respect the Chat Visibility policy first
+    if (!this.isChatAllowedFor(game.user)) return false;
+
+    // Condition 1: World selected
+    const hasValidWorldSelection = this.isWorldSelected();
+    // Condition 2: World has been initialized with Archivist
+    const isInitialized = this.isWorldInitialized();
+    return !!hasValidWorldSelection && isInitialized;
+  }
+
+  /**
+   * Whether the Chat Visibility policy lets a user use Archivist Chat. Also
+   * checked by the GM before answering a relayed question.
+   * @param {User} user
+   * @returns {boolean}
+   */
+  isChatAllowedFor(user) {
     try {
       const visibility = String(
         this.getSetting(SETTINGS.CHAT_VISIBILITY.key) || 'all'
       );
       if (visibility === 'none') return false;
-      if (visibility === 'gm' && !game.user?.isGM) return false;
+      if (visibility === 'gm' && !user?.isGM) return false;
     } catch (_) {
       /* setting may not exist yet during early init */
     }
-
-    // Condition 1: API key configured and world selected
-    const hasValidWorldSelection =
-      this.isApiConfigured() && this.isWorldSelected();
-    // Condition 2: World has been initialized with Archivist
-    const isInitialized = this.isWorldInitialized();
-    return hasValidWorldSelection && isInitialized;
+    return !!user;
   }
 
   /**
@@ -772,6 +946,48 @@ export class SettingsManager {
     });
   }
 
+  /**
+   * Register the background pull settings
+   * @private
+   */
+  _registerAutoPull() {
+    const enabled = SETTINGS.AUTO_PULL_ENABLED;
+    game.settings.register(this.moduleId, enabled.key, {
+      name: game.i18n.localize(enabled.name),
+      hint: game.i18n.localize(enabled.hint),
+      scope: enabled.scope,
+      config: enabled.config,
+      type: enabled.type,
+      default: enabled.default,
+      onChange: () => this._onAutoPullChange(),
+    });
+
+    const interval = SETTINGS.AUTO_PULL_INTERVAL;
+    game.settings.register(this.moduleId, interval.key, {
+      name: game.i18n.localize(interval.name),
+      hint: game.i18n.localize(interval.hint),
+      scope: interval.scope,
+      config: interval.config,
+      type: interval.type,
+      range: { min: 30, max: 900, step: 30 },
+      default: interval.default,
+      onChange: () => this._onAutoPullChange(),
+    });
+  }
+
+  /**
+   * Restart (or stop) the background poller after its settings change
+   * @private
+   */
+  async _onAutoPullChange() {
+    try {
+      const { remotePoller } = await import('../services/remote-poller.js');
+      remotePoller.start();
+    } catch (e) {
+      console.warn('[Archivist Sync] Failed to restart background pull', e);
+    }
+  }
+
   // _registerAutoSort removed
 
   _registerHideByOwnership() {
@@ -798,6 +1014,411 @@ export class SettingsManager {
     });
   }
 
+  /**
+   * Register the persisted real-time sync write queue
+   * @private
+   */
+  _registerWriteQueue() {
+    const setting = SETTINGS.WRITE_QUEUE;
+    game.settings.register(this.moduleId, setting.key, {
+      name: game.i18n.localize(setting.name),
+      hint: game.i18n.localize(setting.hint),
+      scope: setting.scope,
+      config: setting.config,
+      type: setting.type,
+      default: setting.default,
+    });
+  }
+
+  /**
+   * Pending real-time sync operations, oldest first
+   * @returns {Array<object>}
+   */
+  getWriteQueue() {
+    try {
+      const ops = this.getSetting(SETTINGS.WRITE_QUEUE.key);
+      return Array.isArray(ops) ? ops : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * Persist the real-time sync write queue
+   * @param {Array<object>} ops
+   */
+  async setWriteQueue(ops) {
+    await this.setSetting(
+      SETTINGS.WRITE_QUEUE.key,
+      Array.isArray(ops) ? ops : []
+    );
+  }
+
+  /**
+   * Register the delete grace period and the held (soft-deleted) entities
+   * @private
+   */
+  _registerTombstones() {
+    const grace = SETTINGS.DELETE_GRACE_MINUTES;
+    game.settings.register(this.moduleId, grace.key, {
+      name: game.i18n.localize(grace.name),
+      hint: game.i18n.localize(grace.hint),
+      scope: grace.scope,
+      config: grace.config,
+      type: grace.type,
+      range: { min: 0, max: 1440, step: 5 },
+      default: grace.default,
+    });
+
+    const setting = SETTINGS.TOMBSTONES;
+    game.settings.register(this.moduleId, setting.key, {
+      name: game.i18n.localize(setting.name),
+      hint: game.i18n.localize(setting.hint),
+      scope: setting.scope,
+      config: setting.config,
+      type: setting.type,
+      default: setting.default,
+      // Keeps every GM's Recently Deleted window current
+      onChange: (value) =>
+        Hooks.callAll('archivistSyncTombstonesChanged', value),
+    });
+  }
+
+  /**
+   * Minutes a deleted entity is kept before Archivist deletes it
+   * @returns {number}
+   */
+  getDeleteGraceMinutes() {
+    try {
+      const minutes = Number(
+        this.getSetting(SETTINGS.DELETE_GRACE_MINUTES.key)
+      );
+      return Number.isFinite(minutes) ? Math.max(0, minutes) : 30;
+    } catch (_) {
+      return 30;
+    }
+  }
+
+  /**
+   * Deleted entities waiting out the grace period, oldest first
+   * @returns {Array<object>}
+   */
+  getTombstones() {
+    try {
+      const list = this.getSetting(SETTINGS.TOMBSTONES.key);
+      return Array.isArray(list) ? list : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * Persist the deleted entities waiting out the grace period
+   * @param {Array<object>} list
+   */
+  async setTombstones(list) {
+    await this.setSetting(
+      SETTINGS.TOMBSTONES.key,
+      Array.isArray(list) ? list : []
+    );
+  }
+
+  /**
+   * Register the Archivist URLs of uploaded images, by content hash
+   * @private
+   */
+  _registerImageUploads() {
+    const setting = SETTINGS.IMAGE_UPLOADS;
+    game.settings.register(this.moduleId, setting.key, {
+      name: game.i18n.localize(setting.name),
+      hint: game.i18n.localize(setting.hint),
+      scope: setting.scope,
+      config: setting.config,
+      type: setting.type,
+      default: setting.default,
+    });
+  }
+
+  /**
+   * Archivist URLs of images uploaded from Foundry: { [sha256]: url }
+   * @returns {object}
+   */
+  getImageUploads() {
+    try {
+      const value = this.getSetting(SETTINGS.IMAGE_UPLOADS.key);
+      return value && typeof value === 'object' ? value : {};
+    } catch (_) {
+      return {};
+    }
+  }
+
+  /**
+   * Persist the Archivist URLs of uploaded images
+   * @param {object} uploads
+   */
+  async setImageUploads(uploads) {
+    await this.setSetting(SETTINGS.IMAGE_UPLOADS.key, uploads || {});
+  }
+
+  /**
+   * Register the local image copy settings and the URL → path mapping
+   * @private
+   */
+  _registerImageMirror() {
+    const enabled = SETTINGS.IMAGE_MIRROR_ENABLED;
+    game.settings.register(this.moduleId, enabled.key, {
+      name: game.i18n.localize(enabled.name),
+      hint: game.i18n.localize(enabled.hint),
+      scope: enabled.scope,
+      config: enabled.config,
+      type: enabled.type,
+      default: enabled.default,
+      onChange: (value) => value && this._onImageMirrorEnabled(),
+    });
+
+    const folder = SETTINGS.IMAGE_MIRROR_FOLDER;
+    game.settings.register(this.moduleId, folder.key, {
+      name: game.i18n.localize(folder.name),
+      hint: game.i18n.localize(folder.hint),
+      scope: folder.scope,
+      config: folder.config,
+      type: folder.type,
+      default: folder.default,
+    });
+
+    const mirrors = SETTINGS.IMAGE_MIRRORS;
+    game.settings.register(this.moduleId, mirrors.key, {
+      name: game.i18n.localize(mirrors.name),
+      hint: game.i18n.localize(mirrors.hint),
+      scope: mirrors.scope,
+      config: mirrors.config,
+      type: mirrors.type,
+      default: mirrors.default,
+    });
+  }
+
+  /**
+   * Copy the images of already imported documents once mirroring is on
+   * (sync leader only, so the files are written once)
+   * @private
+   */
+  async _onImageMirrorEnabled() {
+    try {
+      const { gmLeader } = await import('../services/gm-leader.js');
+      if (!gmLeader.isLeader) return;
+      const { imageMirror } = await import('../services/image-mirror.js');
+      const count = await imageMirror.mirrorWorld();
+      if (count) {
+        ui.notifications?.info?.(
+          `${this.moduleTitle}: ${count} image${count === 1 ? '' : 's'} now use local copies.`
+        );
+      }
+    } catch (e) {
+      console.warn('[Archivist Sync] Failed to mirror images', e);
+    }
+  }
+
+  isImageMirrorEnabled() {
+    try {
+      return !!this.getSetting(SETTINGS.IMAGE_MIRROR_ENABLED.key);
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Folder for local image copies, relative to the world directory
+   * @returns {string}
+   */
+  getImageMirrorFolder() {
+    try {
+      const folder = String(
+        this.getSetting(SETTINGS.IMAGE_MIRROR_FOLDER.key) || ''
+      )
+        .trim()
+        .replace(/^\/+|\/+$/g, '');
+      return folder || SETTINGS.IMAGE_MIRROR_FOLDER.default;
+    } catch (_) {
+      return SETTINGS.IMAGE_MIRROR_FOLDER.default;
+    }
+  }
+
+  /**
+   * Local copies of Archivist images: { [remoteUrl]: localPath }
+   * @returns {object}
+   */
+  getImageMirrors() {
+    try {
+      const value = this.getSetting(SETTINGS.IMAGE_MIRRORS.key);
+      return value && typeof value === 'object' ? value : {};
+    } catch (_) {
+      return {};
+    }
+  }
+
+  /**
+   * Persist the local copies of Archivist images
+   * @param {object} mirrors
+   */
+  async setImageMirrors(mirrors) {
+    await this.setSetting(SETTINGS.IMAGE_MIRRORS.key, mirrors || {});
+  }
+
+  /**
+   * Register the sync direction policy and its editor menu
+   * @private
+   */
+  _registerSyncPolicy() {
+    const setting = SETTINGS.SYNC_POLICY;
+    game.settings.register(this.moduleId, setting.key, {
+      name: game.i18n.localize(setting.name),
+      hint: game.i18n.localize(setting.hint),
+      scope: setting.scope,
+      config: setting.config,
+      type: setting.type,
+      default: setting.default,
+    });
+
+    game.settings.registerMenu(this.moduleId, MENU_CONFIG.SYNC_POLICY.key, {
+      name: game.i18n.localize(MENU_CONFIG.SYNC_POLICY.name),
+      label: game.i18n.localize(MENU_CONFIG.SYNC_POLICY.label),
+      hint: game.i18n.localize(MENU_CONFIG.SYNC_POLICY.hint),
+      icon: MENU_CONFIG.SYNC_POLICY.icon,
+      type: class extends foundry.applications.api.ApplicationV2 {
+        async render() {
+          try {
+            const { SyncPolicyWindow } = await import(
+              '../dialogs/sync-policy-window.js'
+            );
+            new SyncPolicyWindow().render(true);
+          } catch (e) {
+            console.error('[Archivist Sync] Failed to open sync policy', e);
+            ui.notifications?.error?.('Failed to open sync policy');
+          }
+          return this;
+        }
+      },
+      restricted: MENU_CONFIG.SYNC_POLICY.restricted,
+    });
+  }
+
+  /**
+   * Sync direction overrides: { [type]: { [field]: direction } }
+   * @returns {object}
+   */
+  getSyncPolicy() {
+    try {
+      const value = this.getSetting(SETTINGS.SYNC_POLICY.key);
+      return value && typeof value === 'object' ? value : {};
+    } catch (_) {
+      return {};
+    }
+  }
+
+  /**
+   * Persist the sync direction overrides
+   * @param {object} policy
+   */
+  async setSyncPolicy(policy) {
+    await this.setSetting(SETTINGS.SYNC_POLICY.key, policy || {});
+  }
+
+  /**
+   * Register the sync scope rules and their settings menu
+   * @private
+   */
+  _registerSyncScope() {
+    const setting = SETTINGS.SYNC_SCOPE;
+    game.settings.register(this.moduleId, setting.key, {
+      name: game.i18n.localize(setting.name),
+      hint: game.i18n.localize(setting.hint),
+      scope: setting.scope,
+      config: setting.config,
+      type: setting.type,
+      default: setting.default,
+    });
+
+    game.settings.registerMenu(this.moduleId, MENU_CONFIG.SYNC_SCOPE.key, {
+      name: game.i18n.localize(MENU_CONFIG.SYNC_SCOPE.name),
+      label: game.i18n.localize(MENU_CONFIG.SYNC_SCOPE.label),
+      hint: game.i18n.localize(MENU_CONFIG.SYNC_SCOPE.hint),
+      icon: MENU_CONFIG.SYNC_SCOPE.icon,
+      type: class extends foundry.applications.api.ApplicationV2 {
+        async render() {
+          try {
+            const { SyncScopeWindow } = await import(
+              '../dialogs/sync-scope-window.js'
+            );
+            new SyncScopeWindow().render(true);
+          } catch (e) {
+            console.error('[Archivist Sync] Failed to open sync scope', e);
+            ui.notifications?.error?.('Failed to open sync scope rules');
+          }
+          return this;
+        }
+      },
+      restricted: MENU_CONFIG.SYNC_SCOPE.restricted,
+    });
+  }
+
+  /**
+   * Include/exclude rules deciding which documents are synced
+   * @returns {object}
+   */
+  getSyncScope() {
+    try {
+      const value = this.getSetting(SETTINGS.SYNC_SCOPE.key);
+      return value && typeof value === 'object' ? value : {};
+    } catch (_) {
+      return {};
+    }
+  }
+
+  /**
+   * Persist the sync scope rules
+   * @param {object} rules
+   */
+  async setSyncScope(rules) {
+    await this.setSetting(SETTINGS.SYNC_SCOPE.key, rules || {});
+  }
+
+  /**
+   * Register the persisted delta-sync cursors
+   * @private
+   */
+  _registerSyncCursors() {
+    const setting = SETTINGS.SYNC_CURSORS;
+    game.settings.register(this.moduleId, setting.key, {
+      name: game.i18n.localize(setting.name),
+      hint: game.i18n.localize(setting.hint),
+      scope: setting.scope,
+      config: setting.config,
+      type: setting.type,
+      default: setting.default,
+    });
+  }
+
+  /**
+   * Delta-sync cursors: { campaignId, marks: { [type]: isoTimestamp }, fullAt }
+   * @returns {object}
+   */
+  getSyncCursors() {
+    try {
+      const value = this.getSetting(SETTINGS.SYNC_CURSORS.key);
+      return value && typeof value === 'object' ? value : {};
+    } catch (_) {
+      return {};
+    }
+  }
+
+  /**
+   * Persist the delta-sync cursors
+   * @param {object} cursors
+   */
+  async setSyncCursors(cursors) {
+    await this.setSetting(SETTINGS.SYNC_CURSORS.key, cursors || {});
+  }
+
   getProjectDescriptionsEnabled() {
     return !!this.getSetting(SETTINGS.PROJECT_DESCRIPTIONS.key);
   }
@@ -824,6 +1445,27 @@ export class SettingsManager {
     }
   }
 
+  isAutoPullEnabled() {
+    try {
+      return !!this.getSetting(SETTINGS.AUTO_PULL_ENABLED.key);
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Background pull interval in seconds (at least 30)
+   * @returns {number}
+   */
+  getAutoPullInterval() {
+    try {
+      const seconds = Number(this.getSetting(SETTINGS.AUTO_PULL_INTERVAL.key));
+      return Number.isFinite(seconds) ? Math.max(30, seconds) : 120;
+    } catch (_) {
+      return 120;
+    }
+  }
+
   /**
    * Temporarily suppress realtime sync hooks (non-persistent, session-only)
    * Use for bulk operations like initial world setup to prevent unintended API writes.
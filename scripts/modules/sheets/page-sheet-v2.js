@@ -1,14 +1,24 @@
 import { CONFIG } from '../../modules/config.js';
 import { settingsManager } from '../../modules/settings-manager.js';
 import { archivistApi } from '../../services/archivist-api.js';
+import { describeApiFailure } from '../../services/api-error.js';
+import { apiRelay } from '../../services/api-relay.js';
 import {
   linkDocs,
   unlinkDocs,
   setLocationParent,
 } from '../../modules/links/helpers.js';
 import { Utils } from '../../modules/utils.js';
+import { syncPolicy, SyncPolicyService } from '../../services/sync-policy.js';
+import { syncScope } from '../../services/sync-scope.js';
+import { injectSheetBadge } from '../../sidebar/sync-status-badges.js';
 
 const V2 = foundry.applications.api;
+// Sheet edits are interactive; they jump ahead of queued bulk requests
+const sheetApi = archivistApi.withPriority('interactive');
+// Sheet reads (quest and link lists) may be answered from the API response
+// cache this long; writes through the API drop the affected entries
+const SHEET_CACHE_MS = 30000;
 
 class ArchivistBasePageSheetV2 extends V2.HandlebarsApplicationMixin(
   V2.DocumentSheetV2
@@ -117,11 +127,24 @@ class ArchivistBasePageSheetV2 extends V2.HandlebarsApplicationMixin(
         else if (st === 'faction') image = 'icons/svg/village.svg';
       }
     } catch (_) {}
-    const htmlContent = this._getInfoHtml(page);
+    let htmlContent = this._getInfoHtml(page);
     const rawContent = page?.text?.content || '';
     const pageUuid = page?.uuid || '';
     const gmNotes = String(flags.gmNotes || '').trim();
     const isGM = game.user?.isGM || false;
+    // Render content links (e.g. resolved Archivist wikilinks) and secrets for
+    // display; the editor keeps working on the raw stored content.
+    if (!this._editMode && htmlContent) {
+      try {
+        const TextEditorImpl =
+          foundry?.applications?.ux?.TextEditor?.implementation ||
+          globalThis.TextEditor;
+        htmlContent = await TextEditorImpl.enrichHTML(htmlContent, {
+          secrets: isGM,
+          relativeTo: page,
+        });
+      } catch (_) {}
+    }
     // Edit mode controls whether info/title are editable
     this._editingInfo = !!this._editMode;
     // Recap/session date support
@@ -181,6 +204,7 @@ class ArchivistBasePageSheetV2 extends V2.HandlebarsApplicationMixin(
         content.classList.add('archivist-dropzone');
         content.addEventListener('drop', (ev) => this._onArchivistDrop(ev));
         content.addEventListener('dragover', (ev) => ev.preventDefault());
+        injectSheetBadge(this);
       }
 
       // Hide GM Notes tab from non-GMs
@@ -393,7 +417,8 @@ class ArchivistBasePageSheetV2 extends V2.HandlebarsApplicationMixin(
               await this._renderLinkedGrids();
             } catch (_) {}
           }
-          // After local unlink, also delete remote link(s) in Archivist
+          // After local unlink, also delete remote link(s) in Archivist;
+          // only the links between these two entities are fetched
           try {
             const apiKey = settingsManager.getApiKey?.();
             const campaignId = settingsManager.getSelectedWorldId?.();
@@ -401,24 +426,24 @@ class ArchivistBasePageSheetV2 extends V2.HandlebarsApplicationMixin(
             const fromId = String(
               fromFlags.archivistId || this.document.id || ''
             );
-            if (apiKey && campaignId && fromId && aid) {
-              const list = await archivistApi.listLinksByFromId(
+            if (
+              apiKey &&
+              campaignId &&
+              fromId &&
+              aid &&
+              this._policyPushes('links')
+            ) {
+              const list = await sheetApi.queryLinks(
                 apiKey,
                 campaignId,
-                fromId
-              );
-              const links = list?.success ? list.data || [] : [];
-              const toDelete = links.filter(
-                (l) => String(l?.to_id || l?.toId || '') === String(aid)
+                { from_id: fromId, to_id: String(aid) },
+                { maxAgeMs: SHEET_CACHE_MS }
               );
+              const toDelete = list?.success ? list.data || [] : [];
               for (const L of toDelete) {
                 const linkId = L?.id || L?._id || L?.link_id || L?.linkId;
                 if (!linkId) continue;
-                await archivistApi.deleteLink(
-                  apiKey,
-                  campaignId,
-                  String(linkId)
-                );
+                await sheetApi.deleteLink(apiKey, campaignId, String(linkId));
               }
             }
           } catch (_) {}
@@ -710,7 +735,7 @@ class ArchivistBasePageSheetV2 extends V2.HandlebarsApplicationMixin(
     const seq = (this._rqSeq = (this._rqSeq || 0) + 1);
     let quests = [];
     try {
-      quests = await ArchivistBasePageSheetV2._loadQuestsCached();
+      quests = await ArchivistBasePageSheetV2._loadQuests();
     } catch (_) {
       quests = [];
     }
@@ -770,27 +795,22 @@ class ArchivistBasePageSheetV2 extends V2.HandlebarsApplicationMixin(
     }
   }
 
-  /** Drop cached quest list after any local quest mutation. */
-  static _invalidateQuestsCache() {
-    ArchivistBasePageSheetV2._questsCache = null;
-  }
-
-  /** Short-lived cache so opening several sheets at once doesn't re-fetch listQuests repeatedly. */
-  static async _loadQuestsCached() {
-    const now = Date.now();
-    const cache = ArchivistBasePageSheetV2._questsCache;
-    if (cache && now - cache.at < 5000) return cache.data;
-    const apiKey = settingsManager.getApiKey?.();
+  /**
+   * Quest list for the related-quests grid. Served from the API response
+   * cache so opening several sheets at once doesn't re-fetch listQuests;
+   * quest writes invalidate it. Players fetch through a GM (ApiRelayService).
+   */
+  static async _loadQuests() {
     const campaignId = settingsManager.getSelectedWorldId?.();
-    if (!apiKey || !campaignId) return [];
-    const result = await archivistApi.listQuests(apiKey, campaignId);
+    if (!campaignId || !apiRelay.available) return [];
+    const result = await apiRelay.read('listQuests', campaignId, {
+      maxAgeMs: SHEET_CACHE_MS,
+    });
     const raw = result?.success ? result.data || [] : [];
     // listQuests() doesn't normalize each row; the API's casing for quest
     // fields is inconsistent between endpoints, so route through the same
     // camelCase/snake_case-tolerant normalizer used by get/create/updateQuest.
-    const data = raw.map((q) => archivistApi._normalizeQuestResponse(q));
-    ArchivistBasePageSheetV2._questsCache = { at: now, data };
-    return data;
+    return raw.map((q) => archivistApi._normalizeQuestResponse(q));
   }
 
   async _toggleEditMode() {
@@ -980,7 +1000,13 @@ class ArchivistBasePageSheetV2 extends V2.HandlebarsApplicationMixin(
         sheetType,
       });
       if (!apiKey || !campaignId || !archivistId) return;
+      // Sheets outside the sync scope rules are never sent
+      if (!syncScope.allows(entry)) return;
       const nameNow = entry.name;
+      // Only the fields the sync policy sends from Foundry
+      const policyType = SyncPolicyService.typeFor(sheetType);
+      const outbound = (payload) =>
+        syncPolicy.filterPayload(policyType, payload);
       let result;
       if (
         sheetType === 'pc' ||
@@ -988,55 +1014,37 @@ class ArchivistBasePageSheetV2 extends V2.HandlebarsApplicationMixin(
         sheetType === 'character'
       ) {
         console.log('[Archivist V2 Sheet] Syncing Character to API');
-        result = await archivistApi.updateCharacter(apiKey, archivistId, {
+        const sent = outbound({
           character_name: nameNow,
           description: html || undefined,
         });
-        if (!result.success && result.isDescriptionTooLong) {
-          ui.notifications?.error?.(
-            `Failed to save ${result.entityName || nameNow}: Description exceeds the maximum length of 10,000 characters. Please shorten the description and try again.`,
-            { permanent: true }
-          );
-          return;
+        if (sent) {
+          result = await sheetApi.updateCharacter(apiKey, archivistId, sent);
         }
       } else if (sheetType === 'item') {
         console.log('[Archivist V2 Sheet] Syncing Item to API');
-        result = await archivistApi.updateItem(apiKey, archivistId, {
+        const sent = outbound({
           name: nameNow,
           description: html || undefined,
         });
-        if (!result.success && result.isDescriptionTooLong) {
-          ui.notifications?.error?.(
-            `Failed to save ${result.entityName || nameNow}: Description exceeds the maximum length of 10,000 characters. Please shorten the description and try again.`,
-            { permanent: true }
-          );
-          return;
-        }
+        if (sent) result = await sheetApi.updateItem(apiKey, archivistId, sent);
       } else if (sheetType === 'location') {
         console.log('[Archivist V2 Sheet] Syncing Location to API');
-        result = await archivistApi.updateLocation(apiKey, archivistId, {
+        const sent = outbound({
           name: nameNow,
           description: html || undefined,
         });
-        if (!result.success && result.isDescriptionTooLong) {
-          ui.notifications?.error?.(
-            `Failed to save ${result.entityName || nameNow}: Description exceeds the maximum length of 10,000 characters. Please shorten the description and try again.`,
-            { permanent: true }
-          );
-          return;
+        if (sent) {
+          result = await sheetApi.updateLocation(apiKey, archivistId, sent);
         }
       } else if (sheetType === 'faction') {
         console.log('[Archivist V2 Sheet] Syncing Faction to API');
-        result = await archivistApi.updateFaction(apiKey, archivistId, {
+        const sent = outbound({
           name: nameNow,
           description: html || undefined,
         });
-        if (!result.success && result.isDescriptionTooLong) {
-          ui.notifications?.error?.(
-            `Failed to save ${result.entityName || nameNow}: Description exceeds the maximum length of 10,000 characters. Please shorten the description and try again.`,
-            { permanent: true }
-          );
-          return;
+        if (sent) {
+          result = await sheetApi.updateFaction(apiKey, archivistId, sent);
         }
       } else if (sheetType === 'recap' || sheetType === 'session') {
         console.log('[Archivist V2 Sheet] Syncing Recap/Session to API');
@@ -1055,9 +1063,11 @@ class ArchivistBasePageSheetV2 extends V2.HandlebarsApplicationMixin(
           } catch (_) {}
           payload.session_date = fullIso || `${sessionDate}T00:00:00`;
         }
-        await archivistApi.updateSession(apiKey, archivistId, payload);
+        const sent = outbound(payload);
+        if (sent) {
+          result = await sheetApi.updateSession(apiKey, archivistId, sent);
+        }
       } else if (sheetType === 'quest') {
-        ArchivistBasePageSheetV2._invalidateQuestsCache();
         console.log('[Archivist V2 Sheet] Syncing Quest to API');
         const root = this.element;
         const readVal = (sel) =>
@@ -1088,7 +1098,10 @@ class ArchivistBasePageSheetV2 extends V2.HandlebarsApplicationMixin(
           resolution: readVal('.quest-resolution-input'),
           objectives: objectivesFromForm,
         };
-        result = await archivistApi.updateQuest(apiKey, archivistId, payload);
+        const sent = outbound(payload);
+        if (sent) {
+          result = await sheetApi.updateQuest(apiKey, archivistId, sent);
+        }
         if (result?.success !== false) {
           const data = result?.data || {};
           const nextQuestData = {
@@ -1123,14 +1136,14 @@ class ArchivistBasePageSheetV2 extends V2.HandlebarsApplicationMixin(
         if (htmlRead) {
           payload.content = Utils.toMarkdownIfHtml(String(html || ''));
         }
-        result = await archivistApi.updateJournal(apiKey, payload);
-        if (result && !result.success && result.isDescriptionTooLong) {
-          ui.notifications?.error?.(
-            `Failed to save ${result.entityName || nameNow}: Content exceeds the maximum allowed length. Please shorten the content and try again.`,
-            { permanent: true }
-          );
-          return;
-        }
+        const sent = outbound(payload);
+        if (sent) result = await sheetApi.updateJournal(apiKey, sent);
+      }
+      if (result && !result.success && result.error?.isValidation) {
+        ui.notifications?.error?.(
+          describeApiFailure(result, { action: 'save', name: nameNow }),
+          { permanent: true }
+        );
       }
     } catch (e) {
       console.warn('[Archivist Sync][V2] commit: remote sync failed', e);
@@ -1275,34 +1288,15 @@ class ArchivistBasePageSheetV2 extends V2.HandlebarsApplicationMixin(
 
         // Then POST to Archivist API to persist the link using archivist IDs and canonical types
         try {
-          const apiKey = settingsManager.getApiKey?.();
-          const campaignId = settingsManager.getSelectedWorldId?.();
           const toFlags = toDoc?.getFlag?.(CONFIG.MODULE_ID, 'archivist') || {};
-          const toId = String(toFlags.archivistId || '');
-          const fromId = String(targetFlags.archivistId || '');
-          if (apiKey && campaignId && toId && fromId) {
-            const resolveType = (flags) => {
-              const st = String(flags.sheetType || '').toLowerCase();
-              if (st === 'character' || st === 'pc' || st === 'npc')
-                return 'Character';
-              if (st === 'item') return 'Item';
-              if (st === 'location') return 'Location';
-              if (st === 'faction') return 'Faction';
-              return 'Entry';
-            };
-            const toType = resolveType(toFlags);
-            const fromType = resolveType(targetFlags);
-            // Alias is the dropped sheet name
-            const alias = String(toDoc?.name || '').trim();
-            await archivistApi.createLink(apiKey, campaignId, {
-              to_id: toId,
-              to_type: toType,
-              from_id: fromId,
-              from_type: fromType,
-              alias,
-              campaign_id: campaignId,
-            });
-          }
+          // Alias is the dropped sheet name
+          await this._createArchivistLink({
+            to_id: String(toFlags.archivistId || ''),
+            to_type: ArchivistBasePageSheetV2._linkTypeFor(toFlags),
+            from_id: String(targetFlags.archivistId || ''),
+            from_type: ArchivistBasePageSheetV2._linkTypeFor(targetFlags),
+            alias: toDoc?.name,
+          });
         } catch (_) {}
       }
     } catch (e) {
@@ -1310,6 +1304,37 @@ class ArchivistBasePageSheetV2 extends V2.HandlebarsApplicationMixin(
     }
   }
 
+  /**
+   * Archivist Link type of a sheet, from its archivist flags.
+   * @param {object} flags
+   * @returns {'Character'|'Item'|'Location'|'Faction'|'Entry'}
+   */
+  static _linkTypeFor(flags) {
+    const st = String(flags?.sheetType || '').toLowerCase();
+    if (st === 'character' || st === 'pc' || st === 'npc') return 'Character';
+    if (st === 'item') return 'Item';
+    if (st === 'location') return 'Location';
+    if (st === 'faction') return 'Faction';
+    return 'Entry';
+  }
+
+  /**
+   * Persist a Link in Archivist when the sync policy pushes links.
+   * @param {{from_id:string, from_type:string, to_id:string, to_type:string, alias?:string}} link
+   * @returns {Promise<object|null>} ApiResult, or null when nothing was sent
+   */
+  async _createArchivistLink(link) {
+    const apiKey = settingsManager.getApiKey?.();
+    const campaignId = settingsManager.getSelectedWorldId?.();
+    if (!apiKey || !campaignId || !link.from_id || !link.to_id) return null;
+    if (!this._policyPushes('links')) return null;
+    return sheetApi.createLink(apiKey, campaignId, {
+      ...link,
+      alias: String(link.alias || '').trim(),
+      campaign_id: campaignId,
+    });
+  }
+
   _bucketForDrop(doc) {
     const flags = this._getArchivistFlags();
     const sheetType = flags.sheetType || 'entry';
@@ -1345,6 +1370,16 @@ class ArchivistBasePageSheetV2 extends V2.HandlebarsApplicationMixin(
     return this.document?.getFlag?.(CONFIG.MODULE_ID, 'archivist') || {};
   }
 
+  /**
+   * Whether this sheet's `field` is sent to Archivist: the sync policy sends
+   * it and the sheet is within the sync scope rules.
+   */
+  _policyPushes(field) {
+    if (!syncScope.allows(this.document)) return false;
+    const type = SyncPolicyService.typeFor(this._getArchivistFlags().sheetType);
+    return syncPolicy.pushes(type, field);
+  }
+
   _getInfoHtml(page) {
     try {
       if (page?.type === 'text') {
@@ -1962,7 +1997,7 @@ class ArchivistBasePageSheetV2 extends V2.HandlebarsApplicationMixin(
       const blob = await res.blob();
       const contentType = blob.type || 'image/png';
       const fileName = src.split('/').pop() || 'image';
-      const result = await archivistApi.uploadEntityImage(apiKey, campaignId, {
+      const result = await sheetApi.uploadEntityImage(apiKey, campaignId, {
         entityType,
         entityId: archivistId,
         fileName,
@@ -2284,6 +2319,348 @@ export class RecapPageSheetV2 extends ArchivistBasePageSheetV2 {
   static PARTS = {
     form: { template: 'modules/archivist-sync/templates/sheets/recap.hbs' },
   };
+
+  /** Archivist link types a Moment may be linked to. */
+  static MOMENT_LINK_TYPES = new Set(['Character', 'Location']);
+
+  async _onRender(context, options) {
+    await super._onRender(context, options);
+    try {
+      const addBtn = this.element?.querySelector?.('.recap-moment-add');
+      addBtn?.addEventListener('click', (ev) => {
+        ev.preventDefault();
+        this._onCreateMoment();
+      });
+      await this._renderMoments();
+    } catch (e) {
+      console.warn('[Archivist Sync][V2] Recap _onRender failed', e);
+    }
+  }
+
+  /**
+   * Load this session's Moments plus each Moment's outgoing links. Cached on
+   * the sheet instance so ordinary re-renders don't re-fetch; pass force after
+   * a mutation. Each Moment's links are a from_id lookup served from the
+   * response cache, so only the session's own links are fetched and reopening
+   * the sheet doesn't repeat them.
+   * @param {boolean} force
+   * @returns {Promise<Array<object>>}
+   */
+  async _loadMoments(force = false) {
+    if (this._moments && !force) return this._moments;
+    const campaignId = settingsManager.getSelectedWorldId?.();
+    const sessionId = String(this._getArchivistFlags().archivistId || '');
+    if (!campaignId || !sessionId || !apiRelay.available) return [];
+    const res = await apiRelay.read('listMoments', campaignId, sessionId);
+    const moments = (res?.success ? res.data || [] : []).filter(
+      (m) => !m.session_id || String(m.session_id) === sessionId
+    );
+    const links = await Promise.all(
+      moments.map((m) =>
+        apiRelay.read(
+          'queryLinks',
+          campaignId,
+          { from_id: String(m.id) },
+          { maxAgeMs: SHEET_CACHE_MS }
+        )
+      )
+    );
+    this._moments = moments.map((m, i) => ({
+      ...m,
+      links: links[i]?.success ? links[i].data || [] : [],
+    }));
+    return this._moments;
+  }
+
+  async _renderMoments(force = false) {
+    const list = this.element?.querySelector?.('.recap-moments-list');
+    if (!list) return;
+    const isGM = !!game.user?.isGM;
+    const sessionId = String(this._getArchivistFlags().archivistId || '');
+    if (!sessionId) {
+      list.innerHTML =
+        '<span class="quest-empty-state">Sync this recap with Archivist to record moments.</span>';
+      return;
+    }
+    const seq = (this._momentsSeq = (this._momentsSeq || 0) + 1);
+    let moments = [];
+    try {
+      moments = await this._loadMoments(force);
+    } catch (_) {
+      moments = [];
+    }
+    if (this._momentsSeq !== seq) return; // superseded by a later render
+    list.innerHTML = '';
+    if (!moments.length) {
+      list.innerHTML = '<span class="quest-empty-state">None</span>';
+      return;
+    }
+    const esc = (v) => foundry.utils.escapeHTML(String(v ?? ''));
+    for (const m of moments) {
+      const card = document.createElement('div');
+      card.className = 'recap-moment';
+      card.dataset.momentId = String(m.id);
+      const chips = (m.links || [])
+        .map((L) => {
+          const target = this._findPageOrEntryByArchivistId(String(L.to_id));
+          const name =
+            (target?.documentName === 'JournalEntryPage'
+              ? target.parent?.name
+              : target?.name) ||
+            L.alias ||
+            L.to_type;
+          return `<span class="recap-moment-link" data-link-id="${esc(L.id)}" data-to-id="${esc(L.to_id)}"><i class="fas ${
+            String(L.to_type) === 'Location' ? 'fa-location-dot' : 'fa-user'
+          }"></i> ${esc(name)}${
+            isGM
+              ? ` <a class="recap-moment-unlink" title="Unlink"><i class="fas fa-times"></i></a>`
+              : ''
+          }</span>`;
+        })
+        .join('');
+      card.innerHTML = `
+        <div class="recap-moment-header">
+          <span class="recap-moment-label">${esc(m.label || 'Moment')}</span>
+          ${
+            isGM
+              ? `<span class="recap-moment-actions"><a class="recap-moment-edit" title="Edit moment"><i class="fas fa-pen"></i></a><a class="recap-moment-delete" title="Delete moment"><i class="fas fa-trash"></i></a></span>`
+              : ''
+          }
+        </div>
+        ${m.content ? `<div class="recap-moment-content">${Utils.markdownToStoredHtml(String(m.content))}</div>` : ''}
+        <div class="recap-moment-links">${chips}${
+          isGM
+            ? '<span class="recap-moment-drop-hint">Drop a Character or Location here to link it</span>'
+            : ''
+        }</div>`;
+      list.appendChild(card);
+
+      card.querySelectorAll('.recap-moment-link').forEach((chip) => {
+        chip.addEventListener('click', (ev) => {
+          if (ev.target.closest('.recap-moment-unlink')) return;
+          const target = this._findPageOrEntryByArchivistId(chip.dataset.toId);
+          const doc =
+            target?.documentName === 'JournalEntryPage'
+              ? target.parent
+              : target;
+          doc?.sheet?.render?.(true);
+        });
+      });
+      if (!isGM) continue;
+      card
+        .querySelector('.recap-moment-edit')
+        ?.addEventListener('click', (ev) => {
+          ev.preventDefault();
+          this._onEditMoment(m);
+        });
+      card
+        .querySelector('.recap-moment-delete')
+        ?.addEventListener('click', (ev) => {
+          ev.preventDefault();
+          this._onDeleteMoment(m);
+        });
+      card.querySelectorAll('.recap-moment-unlink').forEach((a) => {
+        a.addEventListener('click', (ev) => {
+          ev.preventDefault();
+          ev.stopPropagation();
+          const linkId = a.closest('[data-link-id]')?.dataset?.linkId;
+          if (linkId) this._onUnlinkMoment(linkId);
+        });
+      });
+      card.addEventListener('dragover', (ev) => {
+        ev.preventDefault();
+        card.classList.add('drop-hover');
+      });
+      card.addEventListener('dragleave', () =>
+        card.classList.remove('drop-hover')
+      );
+      card.addEventListener('drop', (ev) => {
+        ev.preventDefault();
+        ev.stopPropagation();
+        card.classList.remove('drop-hover');
+        this._onMomentDrop(ev, m);
+      });
+    }
+  }
+
+  /**
+   * Link a dropped Character/Location (sheet or synced Actor) to a Moment
+   * through the same link helpers as other sheet drops.
+   */
+  async _onMomentDrop(event, moment) {
+    try {
+      const dataStr = event.dataTransfer?.getData('text/plain') || '';
+      if (!dataStr) return;
+      const data = JSON.parse(dataStr);
+      const uuid = data?.uuid || data?.data?.uuid || data?.text;
+      const dropped = uuid ? await fromUuid(uuid) : null;
+      if (!dropped) return;
+      let toId = '';
+      let toType = '';
+      let alias = '';
+      if (dropped.documentName === 'Actor') {
+        toId = String(dropped.getFlag(CONFIG.MODULE_ID, 'archivistId') || '');
+        toType = 'Character';
+        alias = dropped.name;
+      } else {
+        const toDoc =
+          dropped.documentName === 'JournalEntryPage'
+            ? dropped.parent
+            : dropped.documentName === 'JournalEntry'
+              ? dropped
+              : null;
+        const f = toDoc?.getFlag?.(CONFIG.MODULE_ID, 'archivist') || {};
+        toId = String(f.archivistId || '');
+        toType = toDoc ? ArchivistBasePageSheetV2._linkTypeFor(f) : '';
+        alias = toDoc?.name || '';
+      }
+      if (!RecapPageSheetV2.MOMENT_LINK_TYPES.has(toType)) {
+        ui.notifications?.warn?.(
+          'Moments can only be linked to Characters and Locations.'
+        );
+        return;
+      }
+      if (!toId) {
+        ui.notifications?.warn?.(
+          'Only Archivist-synced Characters and Locations can be linked to a Moment.'
+        );
+        return;
+      }
+      if ((moment.links || []).some((L) => String(L.to_id) === toId)) return;
+      const res = await this._createArchivistLink({
+        from_id: String(moment.id),
+        from_type: 'Moment',
+        to_id: toId,
+        to_type: toType,
+        alias,
+      });
+      if (!res) {
+        ui.notifications?.warn?.(
+          'Links are not sent to Archivist: no API key, or the sync policy does not push links.'
+        );
+        return;
+      }
+      if (!res.success) {
+        ui.notifications?.error?.(
+          `Failed to link moment: ${res?.message || ''}`
+        );
+        return;
+      }
+      await this._renderMoments(true);
+    } catch (e) {
+      console.warn('[Archivist Sync][V2] Moment drop failed', e);
+    }
+  }
+
+  async _onUnlinkMoment(linkId) {
+    const apiKey = settingsManager.getApiKey?.();
+    const campaignId = settingsManager.getSelectedWorldId?.();
+    if (!apiKey || !campaignId) return;
+    const res = await sheetApi.deleteLink(apiKey, campaignId, linkId);
+    if (!res?.success) {
+      ui.notifications?.error?.(`Failed to unlink: ${res?.message || ''}`);
+      return;
+    }
+    await this._renderMoments(true);
+  }
+
+  async _onCreateMoment() {
+    const apiKey = settingsManager.getApiKey?.();
+    const campaignId = settingsManager.getSelectedWorldId?.();
+    const sessionId = String(this._getArchivistFlags().archivistId || '');
+    if (!apiKey || !campaignId || !sessionId) {
+      ui.notifications?.warn?.('Sync this recap with Archivist first.');
+      return;
+    }
+    const data = await this._promptMoment('Add Moment', {});
+    if (!data) return;
+    const res = await sheetApi.createMoment(apiKey, {
+      ...data,
+      campaign_id: campaignId,
+      session_id: sessionId,
+    });
+    if (!res?.success) {
+      ui.notifications?.error?.(
+        `Failed to create moment: ${res?.message || ''}`
+      );
+      return;
+    }
+    await this._renderMoments(true);
+  }
+
+  async _onEditMoment(moment) {
+    const data = await this._promptMoment('Edit Moment', moment);
+    if (!data) return;
+    const patch = {};
+    if (data.label !== String(moment.label || '')) patch.label = data.label;
+    if (data.content !== String(moment.content || ''))
+      patch.content = data.content;
+    if (!Object.keys(patch).length) return;
+    const apiKey = settingsManager.getApiKey?.();
+    const res = await sheetApi.updateMoment(apiKey, moment.id, patch);
+    if (!res?.success) {
+      ui.notifications?.error?.(
+        `Failed to update moment: ${res?.message || ''}`
+      );
+      return;
+    }
+    await this._renderMoments(true);
+  }
+
+  async _onDeleteMoment(moment) {
+    const confirmed = await V2.DialogV2.confirm({
+      window: { title: 'Delete Moment' },
+      content: `<p>Delete <strong>${foundry.utils.escapeHTML(String(moment.label || 'Moment'))}</strong> from Archivist?</p><p>This cannot be undone.</p>`,
+      yes: { label: 'Delete', icon: 'fas fa-trash' },
+      no: { label: 'Cancel' },
+    });
+    if (!confirmed) return;
+    const apiKey = settingsManager.getApiKey?.();
+    const res = await sheetApi.deleteMoment(apiKey, moment.id);
+    if (!res?.success) {
+      ui.notifications?.error?.(
+        `Failed to delete moment: ${res?.message || ''}`
+      );
+      return;
+    }
+    await this._renderMoments(true);
+  }
+
+  /**
+   * Prompt for a Moment's label and Markdown content.
+   * @returns {Promise<{label:string,content:string}|null>}
+   */
+  async _promptMoment(title, moment) {
+    const esc = (v) => foundry.utils.escapeHTML(String(v ?? ''));
+    try {
+      return await V2.DialogV2.prompt({
+        window: { title },
+        content: `
+          <div class="form-group">
+            <label>Label:</label>
+            <input type="text" name="label" value="${esc(moment?.label)}" autofocus style="width: 100%;" />
+          </div>
+          <div class="form-group stacked">
+            <label>What happened:</label>
+            <textarea name="content" rows="6" style="width: 100%;">${esc(moment?.content)}</textarea>
+          </div>
+        `,
+        ok: {
+          icon: '<i class="fas fa-check"></i>',
+          label: 'Save',
+          callback: (event, button) => {
+            const label = button.form.elements.label.value.trim();
+            if (!label) return null;
+            return { label, content: button.form.elements.content.value };
+          },
+        },
+        cancel: { icon: '<i class="fas fa-times"></i>', label: 'Cancel' },
+        rejectClose: true,
+      });
+    } catch (_) {
+      return null;
+    }
+  }
 }
 export class JournalPageSheetV2 extends ArchivistBasePageSheetV2 {
   static PARTS = {
@@ -2622,7 +2999,6 @@ export class QuestPageSheetV2 extends ArchivistBasePageSheetV2 {
 
   /** Persist the current objectives array (local flags + remote PATCH). */
   async _syncObjectives(objectives) {
-    ArchivistBasePageSheetV2._invalidateQuestsCache();
     const flags =
       this.document?.getFlag?.(CONFIG.MODULE_ID, 'archivist') || {};
     const qd = { ...(flags.questData || {}), objectives };
@@ -2633,8 +3009,8 @@ export class QuestPageSheetV2 extends ArchivistBasePageSheetV2 {
     try {
       const apiKey = settingsManager.getApiKey?.();
       const archivistId = String(flags.archivistId || '');
-      if (apiKey && archivistId) {
-        await archivistApi.updateQuest(apiKey, archivistId, { objectives });
+      if (apiKey && archivistId && this._policyPushes('questData')) {
+        await sheetApi.updateQuest(apiKey, archivistId, { objectives });
       }
     } catch (e) {
       console.warn('[Archivist Sync][V2] Failed to sync quest objectives', e);
@@ -2682,8 +3058,8 @@ export class QuestPageSheetV2 extends ArchivistBasePageSheetV2 {
     try {
       const apiKey = settingsManager.getApiKey?.();
       const archivistId = String(flags.archivistId || '');
-      if (apiKey && archivistId) {
-        await archivistApi.updateQuest(apiKey, archivistId, { objectives });
+      if (apiKey && archivistId && this._policyPushes('questData')) {
+        await sheetApi.updateQuest(apiKey, archivistId, { objectives });
       }
     } catch (e) {
       console.warn('[Archivist Sync][V2] Failed to sync quest objective', e);
@@ -2737,7 +3113,6 @@ export class QuestPageSheetV2 extends ArchivistBasePageSheetV2 {
   }
 
   async _commitQuestLinks(relatedEntityRefs) {
-    ArchivistBasePageSheetV2._invalidateQuestsCache();
     const flags =
       this.document?.getFlag?.(CONFIG.MODULE_ID, 'archivist') || {};
     const qd = { ...(flags.questData || {}), relatedEntityRefs };
@@ -2748,8 +3123,8 @@ export class QuestPageSheetV2 extends ArchivistBasePageSheetV2 {
     try {
       const apiKey = settingsManager.getApiKey?.();
       const archivistId = String(flags.archivistId || '');
-      if (apiKey && archivistId) {
-        await archivistApi.updateQuest(apiKey, archivistId, {
+      if (apiKey && archivistId && this._policyPushes('questData')) {
+        await sheetApi.updateQuest(apiKey, archivistId, {
           relatedEntityRefs,
         });
       }
@@ -1,4 +1,5 @@
 import { CONFIG } from './config.js';
+import { htmlToMarkdown, markdownToHtml } from './markdown/converter.js';
 
 /**
  * Utility functions for Archivist Sync Module
@@ -398,32 +399,39 @@ export class Utils {
     }
   }
   /**
-   * Convert HTML to Markdown (naive conversion: strip HTML tags, keep text)
+   * Convert stored HTML to Markdown, preserving structure (headings, lists,
+   * emphasis, links, images, tables, blockquotes, code and secret blocks).
+   * Plain text and Markdown input pass through unchanged. Foundry content
+   * links are converted back into Archivist [[wikilinks]].
    * @param {any} value - The value to convert
-   * @returns {string} Plain text
+   * @returns {string} Markdown
    */
   static toMarkdownIfHtml(value) {
     const s = String(value ?? '');
     if (!s) return '';
     try {
-      // Insert explicit newlines for common block elements before stripping tags
-      let pre = s
-        .replace(/\r\n/g, '\n')
-        .replace(/<br\s*\/?>(?!\n)/gi, '\n')
-        .replace(/<\/p\s*>/gi, '\n\n')
-        .replace(/<\/(div|section|article|header|footer|aside)\s*>/gi, '\n\n')
-        .replace(/<li\b[^>]*>/gi, '\n• ')
-        .replace(/<\/(h1|h2|h3|h4|h5|h6)\s*>/gi, '\n\n');
-      const tmp = document.createElement('div');
-      tmp.innerHTML = pre;
-      let text = tmp.textContent || tmp.innerText || '';
-      // Normalize multiple blank lines to at most two to create paragraphs
-      text = text.replace(/\n{3,}/g, '\n\n');
-      return text.trim();
+      const text = this.looksLikeHtml(s) ? htmlToMarkdown(s) : s;
+      // Content links go back to Archivist as [[wikilinks]]
+      return this.contentLinksToWikilinks(text).trim();
     } catch (_) {
       return s;
     }
   }
+
+  /**
+   * Whether a string appears to contain HTML markup or entities.
+   * @param {string} value
+   * @returns {boolean}
+   */
+  static looksLikeHtml(value) {
+    const trimmed = String(value ?? '').trim();
+    return (
+      !!trimmed &&
+      ((trimmed.startsWith('<') && trimmed.includes('>')) ||
+        /<\/?[a-z][\s\S]*>/i.test(trimmed) ||
+        /&(?:lt|gt|amp|quot|#39);/i.test(trimmed))
+    );
+  }
   /**
    * Log messages with module prefix
    * @param {string} message - The message to log
@@ -454,8 +462,8 @@ export class Utils {
 
   /**
    * Convert Markdown to sanitized HTML suitable for storage in Actor/Item fields.
-   * - Prefer a global MarkdownIt instance if available
-   * - Fall back to a minimal converter for basic syntax
+   * - Uses the module's Markdown renderer, the inverse of toMarkdownIfHtml, so
+   *   content is stable across repeated syncs
    * - Always sanitize with Foundry's TextEditor.cleanHTML
    * @param {string} markdown
    * @returns {string} sanitized HTML
@@ -463,54 +471,7 @@ export class Utils {
   static markdownToStoredHtml(markdown) {
     const md = String(markdown ?? '');
     try {
-      const trimmed = md.trim();
-      const isProbablyHtml =
-        !!trimmed &&
-        ((trimmed.startsWith('<') && trimmed.includes('>')) ||
-          /<\/?[a-z][\s\S]*>/i.test(trimmed) ||
-          /&(?:lt|gt|amp|quot|#39);/i.test(trimmed));
-
-      if (isProbablyHtml) {
-        return foundry?.utils?.TextEditor?.cleanHTML
-          ? foundry.utils.TextEditor.cleanHTML(md)
-          : md;
-      }
-
-      let rawHtml = '';
-      const MarkdownItCtor = globalThis.MarkdownIt || window?.MarkdownIt;
-      if (MarkdownItCtor) {
-        const mdIt = new MarkdownItCtor({
-          html: false,
-          linkify: true,
-          breaks: true,
-        });
-        rawHtml = mdIt.render(md);
-      } else if (typeof globalThis.markdownit === 'function') {
-        const mdIt = globalThis.markdownit({
-          html: false,
-          linkify: true,
-          breaks: true,
-        });
-        rawHtml = mdIt.render(md);
-      } else {
-        // Minimal fallback: escape first, then apply lightweight markdown formatting
-        // so generated tags are not re-escaped into visible literal text.
-        const renderInline = (text) =>
-          foundry.utils
-            .escapeHTML(String(text ?? ''))
-            .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
-            .replace(/_(.+?)_/g, '<em>$1</em>')
-            .replace(/`(.+?)`/g, '<code>$1</code>')
-            .replace(/\n/g, '<br>');
-
-        rawHtml = md
-          .replace(/\r\n/g, '\n')
-          .split(/\n{2,}/)
-          .map((p) => p.trim())
-          .filter(Boolean)
-          .map((p) => `<p>${renderInline(p)}</p>`)
-          .join('');
-      }
+      const rawHtml = this.looksLikeHtml(md) ? md : markdownToHtml(md);
       return foundry?.utils?.TextEditor?.cleanHTML
         ? foundry.utils.TextEditor.cleanHTML(rawHtml)
         : rawHtml;
@@ -519,6 +480,169 @@ export class Utils {
     }
   }
 
+  /**
+   * Build a lookup of wikilink targets for resolving Archivist [[Name]] links.
+   * Archivist entity names (from list responses) are mapped to their ids and
+   * then to the linked Foundry sheet via the archivistId flags; local sheet
+   * names are used as a fallback for entities not in the provided lists.
+   * @param {Array<object>} entities - Archivist rows (characters, items, ...)
+   * @returns {Map<string, {uuid:string, name:string}>} keyed by lowercased name
+   */
+  static buildWikilinkIndex(entities = []) {
+    const byArchivistId = new Map();
+    for (const j of game.journal?.contents || []) {
+      const f = j.getFlag(CONFIG.MODULE_ID, 'archivist') || {};
+      if (f.archivistId) byArchivistId.set(String(f.archivistId), j);
+      for (const p of j.pages?.contents || []) {
+        const pid = p.getFlag?.(CONFIG.MODULE_ID, 'archivistId');
+        if (pid && !byArchivistId.has(String(pid)))
+          byArchivistId.set(String(pid), p);
+      }
+    }
+    const index = new Map();
+    const add = (name, doc) => {
+      const key = String(name || '')
+        .trim()
+        .toLowerCase();
+      if (!key || index.has(key)) return;
+      index.set(key, { uuid: doc.uuid, name: doc.name });
+    };
+    for (const e of entities || []) {
+      const doc = e?.id ? byArchivistId.get(String(e.id)) : null;
+      if (!doc) continue;
+      for (const name of [
+        e.name,
+        e.character_name,
+        e.title,
+        e.questName,
+        e.quest_name,
+      ]) {
+        add(name, doc);
+      }
+    }
+    for (const doc of byArchivistId.values()) add(doc.name, doc);
+    return index;
+  }
+
+  /**
+   * Replace Archivist [[Target]] / [[Target|Label]] wikilinks with Foundry
+   * content links (@UUID[JournalEntry.x]{Label}). Unresolved wikilinks are
+   * left untouched so they round-trip back to Archivist unchanged.
+   * @param {string} text - Markdown or HTML
+   * @param {Map<string, {uuid:string, name:string}>} index - from buildWikilinkIndex
+   * @returns {string}
+   */
+  static resolveWikilinks(text, index) {
+    const s = String(text ?? '');
+    if (!s.includes('[[') || !index?.size) return s;
+    return s.replace(
+      /\[\[([^[\]|]+?)(?:\|([^[\]]+?))?\]\]/g,
+      (match, target, label) => {
+        const hit = index.get(String(target).trim().toLowerCase());
+        if (!hit) return match;
+        const text = String(label || target).trim();
+        return `@UUID[${hit.uuid}]{${text}}`;
+      }
+    );
+  }
+
+  /**
+   * Turn Foundry content links back into Archivist wikilinks for outbound text.
+   * Links to Archivist-synced documents become [[Name]] (or [[Name|Label]] when
+   * the label differs); links to anything else collapse to their label.
+   * @param {string} text
+   * @returns {string}
+   */
+  static contentLinksToWikilinks(text) {
+    const s = String(text ?? '');
+    if (!s.includes('@')) return s;
+    const resolveDoc = (type, ref) => {
+      try {
+        if (type !== 'UUID') {
+          const coll = {
+            JournalEntry: game.journal,
+            Actor: game.actors,
+            Item: game.items,
+          }[type];
+          return coll?.get?.(ref) || null;
+        }
+        const parts = String(ref).split('.');
+        if (parts[0] === 'JournalEntry') {
+          const j = game.journal?.get?.(parts[1]);
+          if (parts[2] === 'JournalEntryPage') return j?.pages?.get?.(parts[3]);
+          return j || null;
+        }
+        if (parts[0] === 'Actor' && parts.length === 2)
+          return game.actors?.get?.(parts[1]) || null;
+        if (parts[0] === 'Item' && parts.length === 2)
+          return game.items?.get?.(parts[1]) || null;
+      } catch (_) {}
+      return null;
+    };
+    const archivistName = (doc) => {
+      if (!doc) return '';
+      if (doc.documentName === 'JournalEntryPage') {
+        if (doc.getFlag?.(CONFIG.MODULE_ID, 'archivistId')) return doc.name;
+        return archivistName(doc.parent);
+      }
+      if (doc.documentName === 'JournalEntry') {
+        const f = doc.getFlag?.(CONFIG.MODULE_ID, 'archivist') || {};
+        return f.archivistId ? doc.name : '';
+      }
+      return doc.getFlag?.(CONFIG.MODULE_ID, 'archivistId') ? doc.name : '';
+    };
+    return s.replace(
+      /@(UUID|JournalEntry|Actor|Item)\[([^\]]+)\](?:\{([^}]*)\})?/g,
+      (match, type, ref, label) => {
+        const name = archivistName(resolveDoc(type, ref));
+        const text = String(label ?? '').trim();
+        if (!name) return text || match;
+        if (!text) return `[[${name}]]`;
+        // Keep the original casing when the label is just the target name
+        if (text.toLowerCase() === name.toLowerCase()) return `[[${text}]]`;
+        return `[[${name}|${text}]]`;
+      }
+    );
+  }
+
+  /**
+   * Resolve remaining [[wikilinks]] in the text pages of Archivist sheets.
+   * Runs after bulk imports so links to entities created later in the same
+   * import still resolve. Writes are tagged with an `op` flag so the
+   * real-time hooks don't echo them back to Archivist.
+   * @param {Array<object>} entities - Archivist rows used to build the index
+   * @returns {Promise<number>} number of pages updated
+   */
+  static async resolveWikilinksInWorld(entities = []) {
+    const index = this.buildWikilinkIndex(entities);
+    if (!index.size) return 0;
+    let updated = 0;
+    for (const j of game.journal?.contents || []) {
+      const f = j.getFlag(CONFIG.MODULE_ID, 'archivist') || {};
+      if (!f.sheetType) continue;
+      for (const page of j.pages?.contents || []) {
+        if (page.type !== 'text') continue;
+        const isMarkdown = Number(page.text?.format ?? 0) === 2;
+        const current = String(
+          (isMarkdown ? page.text?.markdown : page.text?.content) || ''
+        );
+        if (!current.includes('[[')) continue;
+        const next = this.resolveWikilinks(current, index);
+        if (next === current) continue;
+        try {
+          await page.update({
+            [isMarkdown ? 'text.markdown' : 'text.content']: next,
+            [`flags.${CONFIG.MODULE_ID}.op`]: 'wikilinks',
+          });
+          updated++;
+        } catch (e) {
+          console.warn('[Archivist Sync] Failed to resolve wikilinks', e);
+        }
+      }
+    }
+    return updated;
+  }
+
   /**
    * Get current Foundry world information
    * @returns {object} World information object
@@ -1109,11 +1233,16 @@ export class Utils {
     }
   }
 
-  /** Create a custom sheet JournalEntry for an imported Archivist entity */
+  /**
+   * Create a custom sheet JournalEntry for an imported Archivist entity.
+   * `imageUrl` is the Archivist image; `img`, when given, is the path the
+   * journal shows instead (e.g. a local copy).
+   */
   static async createCustomJournalForImport({
     name,
     html = '',
     imageUrl,
+    img,
     sheetType,
     archivistId,
     worldId,
@@ -1156,7 +1285,7 @@ export class Utils {
       const createData = {
         name,
         folder: targetFolderId,
-        ...(imageUrl ? { img: imageUrl } : {}),
+        ...(img || imageUrl ? { img: img || imageUrl } : {}),
         ...(typeof sort === 'number' ? { sort } : {}),
         flags: {
           core: { sheetClass, sheet: sheetClass },
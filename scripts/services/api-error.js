@@ -0,0 +1,386 @@
+/**
+ * Typed errors for Archivist API failures and the result contract returned by
+ * every ArchivistApiService method.
+ *
+ * @typedef {object} ApiFieldError
+ * @property {string} field - dotted field path, e.g. 'description' or 'objectives.0.text'
+ * @property {string} message - validation message from the API
+ * @property {string} [type] - validation error type, e.g. 'string_too_long'
+ *
+ * @typedef {object} ApiResult
+ * @property {boolean} success
+ * @property {any} [data] - parsed response body on success
+ * @property {string} [message] - human-readable failure summary
+ * @property {ApiError} [error] - typed error on failure
+ * @property {number} [status] - HTTP status on failure (0 for network errors)
+ * @property {boolean} [retryable] - whether repeating the request may succeed
+ * @property {ApiFieldError[]} [fields] - field-level validation failures (422)
+ * @property {string} [entityName] - entity the write was for, when known
+ * @property {string} [entityType] - e.g. 'Character', 'Journal'
+ */
+
+const DESCRIPTION_MAX_LENGTH = 10000;
+
+/**
+ * Base class for every error raised by ArchivistApiService.
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [options]
+   * @param {number} [options.status]
+   * @param {string} [options.statusText]
+   * @param {any} [options.detail] - parsed error body (JSON or text)
+   * @param {ApiFieldError[]} [options.fields]
+   * @param {boolean} [options.retryable]
+   * @param {string} [options.method]
+   * @param {string} [options.path]
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = options.status ?? 0;
+    this.statusText = options.statusText || '';
+    this.detail = options.detail ?? null;
+    this.fields = Array.isArray(options.fields) ? options.fields : [];
+    this.retryable = !!options.retryable;
+    this.method = options.method || '';
+    this.path = options.path || '';
+  }
+
+  /** True for 422 validation failures. */
+  get isValidation() {
+    return false;
+  }
+
+  /** True when the API rejected a description over the length limit. */
+  get isDescriptionTooLong() {
+    return false;
+  }
+
+  /**
+   * Build the matching ApiError subclass from a non-ok fetch Response.
+   * @param {Response} response
+   * @param {{method?:string, path?:string}} [request]
+   * @returns {Promise<ApiError>}
+   */
+  static async fromResponse(response, request = {}) {
+    let detail = null;
+    try {
+      detail = await response.clone().json();
+    } catch (_) {
+      try {
+        detail = await response.clone().text();
+      } catch (_) {
+        /* ignore */
+      }
+    }
+    const status = response.status;
+    const options = {
+      ...request,
+      status,
+      statusText: response.statusText || '',
+      detail,
+    };
+    if (status === 422 || status === 400) {
+      return new ValidationError({ ...options, fields: parseFields(detail) });
+    }
+    if (status === 401 || status === 403) return new AuthError(options);
+    if (status === 404) return new NotFoundError(options);
+    if (status === 429) {
+      return new RateLimitError({
+        ...options,
+        retryAfterMs: parseRetryAfter(response.headers?.get?.('Retry-After')),
+      });
+    }
+    if (status >= 500) return new ServerError(options);
+    return new ApiError(httpMessage(options), options);
+  }
+
+  /**
+   * Wrap anything thrown while talking to the API as an ApiError.
+   * @param {any} error
+   * @returns {ApiError}
+   */
+  static from(error) {
+    if (error instanceof ApiError) return error;
+    if (error?.name === 'AbortError') return new CancelledError();
+    if (error?.name === 'TypeError' && /failed to fetch/i.test(error.message)) {
+      return new NetworkError(error.message);
+    }
+    const wrapped = new ApiError(error?.message || String(error));
+    wrapped.cause = error;
+    return wrapped;
+  }
+}
+
+/**
+ * 422 (or 400) — the request body failed validation. `fields` lists each
+ * offending field when the API returns structured details.
+ */
+export class ValidationError extends ApiError {
+  constructor(options = {}) {
+    super(validationMessage(options), options);
+    this.name = 'ValidationError';
+  }
+
+  get isValidation() {
+    return true;
+  }
+
+  get isDescriptionTooLong() {
+    return descriptionTooLong(this.fields, this.detail);
+  }
+}
+
+/** 401/403 — missing, invalid or under-privileged API key. */
+export class AuthError extends ApiError {
+  constructor(options = {}) {
+    super(httpMessage(options), options);
+    this.name = 'AuthError';
+  }
+}
+
+/** 404 — the entity or route does not exist. */
+export class NotFoundError extends ApiError {
+  constructor(options = {}) {
+    super(httpMessage(options), options);
+    this.name = 'NotFoundError';
+  }
+}
+
+/** 429 — rate limited; `retryAfterMs` comes from the Retry-After header. */
+export class RateLimitError extends ApiError {
+  constructor(options = {}) {
+    super(options.message || httpMessage(options), {
+      ...options,
+      status: 429,
+      retryable: true,
+    });
+    this.name = 'RateLimitError';
+    this.retryAfterMs = options.retryAfterMs ?? null;
+  }
+}
+
+/** 5xx — the server failed; the same request may succeed later. */
+export class ServerError extends ApiError {
+  constructor(options = {}) {
+    super(httpMessage(options), { ...options, retryable: true });
+    this.name = 'ServerError';
+  }
+}
+
+/** The request never reached the server (offline, DNS, CORS). */
+export class NetworkError extends ApiError {
+  constructor(message, options = {}) {
+    super(`Network error: ${message}`, {
+      ...options,
+      status: 0,
+      retryable: true,
+    });
+    this.name = 'NetworkError';
+  }
+}
+
+/** The caller aborted the request through its AbortSignal. */
+export class CancelledError extends ApiError {
+  constructor(options = {}) {
+    super('Request cancelled', { ...options, retryable: false });
+    this.name = 'CancelledError';
+  }
+}
+
+const ERROR_TYPES = {
+  ValidationError,
+  AuthError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  CancelledError,
+};
+
+/**
+ * Build the failure ApiResult for a caught error.
+ * @param {any} error
+ * @param {string} fallbackMessage
+ * @param {{entityName?:string, entityType?:string}} [context]
+ * @returns {ApiResult}
+ */
+export function apiFailure(error, fallbackMessage, context = {}) {
+  const err = ApiError.from(error);
+  return {
+    success: false,
+    message: err.message || fallbackMessage,
+    error: err,
+    status: err.status,
+    retryable: err.retryable,
+    fields: err.fields,
+    ...context,
+  };
+}
+
+/**
+ * Plain-data copy of an ApiResult whose typed error survives JSON, e.g. when
+ * the result is relayed to another client over the game socket.
+ * @param {ApiResult} result
+ * @returns {object}
+ */
+export function serializeResult(result) {
+  const err = result?.error;
+  if (!(err instanceof ApiError)) return result;
+  return {
+    ...result,
+    error: {
+      name: err.name,
+      message: err.message,
+      status: err.status,
+      statusText: err.statusText,
+      detail: err.detail,
+      fields: err.fields,
+      retryable: err.retryable,
+      method: err.method,
+      path: err.path,
+      retryAfterMs: err.retryAfterMs ?? null,
+    },
+  };
+}
+
+/**
+ * Restore the typed error of a result produced by serializeResult.
+ * @param {object} result
+ * @returns {ApiResult}
+ */
+export function reviveResult(result) {
+  const data = result?.error;
+  if (!data || data instanceof ApiError) return result;
+  const Type = ERROR_TYPES[data.name];
+  let err;
+  if (Type === NetworkError) err = new NetworkError('', data);
+  else if (Type) err = new Type(data);
+  else err = new ApiError(data.message, data);
+  err.message = data.message || err.message;
+  return { ...result, error: err };
+}
+
+/**
+ * Turn a failed ApiResult into a notification message that says what went
+ * wrong and, for validation errors, which field to fix.
+ * @param {ApiResult} result
+ * @param {{action?:string, name?:string}} [options] - e.g. { action: 'save', name: 'Goblin' }
+ * @returns {string}
+ */
+export function describeApiFailure(result, { action = 'sync', name } = {}) {
+  const target = name || result?.entityName || 'entity';
+  const err = result?.error;
+  let reason = result?.message || 'Unknown error';
+  if (err?.isDescriptionTooLong) {
+    reason = `Description exceeds the maximum length of ${DESCRIPTION_MAX_LENGTH.toLocaleString('en-US')} characters. Please shorten the description and try again.`;
+  } else if (err?.isValidation && err.fields.length) {
+    reason = err.fields
+      .map((f) => `${fieldLabel(f.field)}: ${f.message}`)
+      .join('; ');
+  } else if (err instanceof AuthError) {
+    reason = 'The API key was rejected. Check it in the module settings.';
+  } else if (err instanceof NotFoundError) {
+    reason = 'It no longer exists in Archivist.';
+  } else if (err?.retryable) {
+    reason = `${reason} Archivist may be busy or unreachable; try again shortly.`;
+  }
+  return `Failed to ${action} ${target}: ${reason}`;
+}
+
+/**
+ * Extract field errors from a FastAPI/pydantic-style 422 body:
+ * { detail: [{ loc: ['body', 'description'], msg, type }] }
+ */
+function parseFields(detail) {
+  const list = Array.isArray(detail?.detail)
+    ? detail.detail
+    : Array.isArray(detail?.errors)
+      ? detail.errors
+      : [];
+  return list
+    .filter((e) => e && typeof e === 'object')
+    .map((e) => {
+      const loc = Array.isArray(e.loc) ? e.loc : [e.field ?? e.loc];
+      const field = loc
+        .filter((p) => p != null && !['body', 'query', 'path'].includes(p))
+        .join('.');
+      return {
+        field: field || 'request',
+        message: String(e.msg ?? e.message ?? 'Invalid value'),
+        ...(e.type ? { type: String(e.type) } : {}),
+      };
+    });
+}
+
+function parseRetryAfter(value) {
+  const n = Number(value);
+  if (!value || !isFinite(n)) return null;
+  // Small values are seconds; large ones are already milliseconds
+  return n < 100 ? Math.max(1000, n * 1000) : n;
+}
+
+function detailText(detail) {
+  if (detail == null) return '';
+  if (typeof detail === 'string') return detail;
+  const d = detail.detail ?? detail.message;
+  if (typeof d === 'string') return d;
+  try {
+    return JSON.stringify(d ?? detail);
+  } catch (_) {
+    return '';
+  }
+}
+
+function descriptionTooLong(fields, detail) {
+  if (fields.length) {
+    return fields.some(
+      (f) =>
+        f.field.split('.').pop() === 'description' &&
+        (f.type === 'string_too_long' || looksTooLong(f.message))
+    );
+  }
+  const text = detailText(detail).toLowerCase();
+  return text.includes('description') && looksTooLong(text);
+}
+
+function looksTooLong(text) {
+  const s = String(text || '').toLowerCase();
+  return (
+    s.includes('too long') ||
+    s.includes('exceeds') ||
+    s.includes('maximum') ||
+    s.includes('at most') ||
+    s.includes('10000') ||
+    s.includes('10,000')
+  );
+}
+
+function httpMessage({ status, statusText, detail }) {
+  const text = detailText(detail);
+  const suffix = text ? ` — ${text.slice(0, 300)}` : '';
+  return `API request failed: ${status} ${statusText || ''}`.trim() + suffix;
+}
+
+function validationMessage(options) {
+  const fields = options.fields || [];
+  if (descriptionTooLong(fields, options.detail)) {
+    return `Description exceeds maximum length (10,000 characters)`;
+  }
+  if (fields.length) {
+    return `Validation failed: ${fields
+      .map((f) => `${f.field} — ${f.message}`)
+      .join('; ')}`;
+  }
+  return httpMessage(options);
+}
+
+function fieldLabel(field) {
+  const label = String(field || '')
+    .split('.')
+    .map((p) => p.replace(/_/g, ' '))
+    .join(' › ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
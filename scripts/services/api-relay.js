@@ -0,0 +1,202 @@
+import { settingsManager } from '../modules/settings-manager.js';
+import { archivistApi } from './archivist-api.js';
+import { apiFailure } from './api-error.js';
+import { gmLeader } from './gm-leader.js';
+
+const api = archivistApi.withPriority('interactive');
+
+// A relayed answer fails if the GM sends nothing for this long
+const ASK_IDLE_TIMEOUT_MS = 60000;
+
+/**
+ * Read methods a client may run through the GM. 'campaign' methods take the
+ * campaign id first; the GM always substitutes its own selected campaign.
+ */
+const READ_METHODS = {
+  listCharacters: 'campaign',
+  listItems: 'campaign',
+  listLocations: 'campaign',
+  listFactions: 'campaign',
+  listSessions: 'campaign',
+  listJournals: 'campaign',
+  listQuests: 'campaign',
+  listBeats: 'campaign',
+  listMoments: 'campaign',
+  listLinks: 'campaign',
+  listLinksByFromId: 'campaign',
+  queryLinks: 'campaign',
+  getCharacter: 'id',
+  getItem: 'id',
+  getLocation: 'id',
+  getFaction: 'id',
+  getJournal: 'id',
+  getQuest: 'id',
+  getBeat: 'id',
+  getMoment: 'id',
+};
+
+/**
+ * The READ_METHODS players may relay: the ones the page sheets call for them
+ * (related quests, session moments and their links). GMs may relay any.
+ */
+const PLAYER_READ_METHODS = new Set([
+  'listQuests',
+  'listMoments',
+  'queryLinks',
+]);
+
+/**
+ * Archivist access for clients without an API key.
+ *
+ * Only GM clients hold the key (see SettingsManager#getApiKey). Players, and
+ * GMs who have not entered one, send chat and read-only lookups to the sync
+ * leader over the game socket (GmLeaderService); it calls Archivist with its
+ * own key and streams the answer back. Clients holding a key call Archivist
+ * directly.
+ *
+ * The leader serves only READ_METHODS, always against its own campaign, and
+ * to players only PLAYER_READ_METHODS. It answers chat from players without
+ * GM permissions and only when the Chat Visibility setting lets them use chat.
+ * Senders are the user ids Foundry's socket reports (see GmLeaderService), so
+ * a player cannot pass as a GM.
+ */
+export class ApiRelayService {
+  /** Whether this client calls Archivist itself. */
+  get direct() {
+    return !!settingsManager.getApiKey();
+  }
+
+  /**
+   * Whether Archivist can be reached: directly, or through a connected GM
+   * that holds a key.
+   */
+  get available() {
+    return this.direct || gmLeader.leaderHasKey;
+  }
+
+  /**
+   * Run a read-only ArchivistApiService method, e.g.
+   * `read('listQuests', campaignId, { maxAgeMs })`. Arguments are the
+   * method's own, without the API key.
+   * @param {string} method - a READ_METHODS name
+   * @param {...any} args
+   * @returns {Promise<object>} ApiResult
+   */
+  async read(method, ...args) {
+    if (!READ_METHODS[method]) {
+      return { success: false, message: `${method} cannot be relayed` };
+    }
+    if (this.direct) {
+      return api[method](settingsManager.getApiKey(), ...args);
+    }
+    return gmLeader.send('read', { method, args: portable(args) });
+  }
+
+  /**
+   * Stream an Ask answer, as ArchivistApiService#askStream without the key.
+   * Throws when the request fails; returns quietly when cancelled.
+   * @param {string} campaignId
+   * @param {Array<{role:string, content:string}>} messages
+   * @param {boolean} gmPermissions
+   * @param {(chunk:string) => void} onChunk
+   * @param {(info:object) => void} onDone
+   * @param {AbortSignal} [signal]
+   */
+  async askStream(
+    campaignId,
+    messages,
+    gmPermissions,
+    onChunk,
+    onDone,
+    signal
+  ) {
+    if (this.direct) {
+      return archivistApi.askStream(
+        settingsManager.getApiKey(),
+        campaignId,
+        messages,
+        gmPermissions,
+        onChunk,
+        onDone,
+        signal
+      );
+    }
+    const res = await gmLeader.send(
+      'ask',
+      { messages, gmPermissions },
+      { onChunk, signal, timeoutMs: ASK_IDLE_TIMEOUT_MS }
+    );
+    if (res?.cancelled) return;
+    if (!res?.success) {
+      throw res?.error || new Error(res?.message || 'Chat relay failed');
+    }
+    onDone?.(res.data || {});
+  }
+}
+
+/** Drop values that cannot cross the socket (signals, callbacks). */
+function portable(args) {
+  return args.map((arg) => {
+    if (!arg || typeof arg !== 'object' || Array.isArray(arg)) return arg;
+    return Object.fromEntries(
+      Object.entries(arg).filter(
+        ([key, value]) => key !== 'signal' && typeof value !== 'function'
+      )
+    );
+  });
+}
+
+const NO_KEY = {
+  success: false,
+  retryable: true,
+  message: 'The GM has no Archivist API key configured',
+};
+
+// Create singleton instance
+export const apiRelay = new ApiRelayService();
+
+gmLeader.handle('read', async ({ method, args } = {}, sender) => {
+  const kind = READ_METHODS[method];
+  if (!kind) return { success: false, message: `${method} cannot be relayed` };
+  const user = game.users?.get?.(sender);
+  if (!user || (user.isGM !== true && !PLAYER_READ_METHODS.has(method))) {
+    return { success: false, message: `${method} is only relayed for GMs` };
+  }
+  const apiKey = settingsManager.getApiKey();
+  const campaignId = settingsManager.getSelectedWorldId();
+  if (!apiKey || !campaignId) return { ...NO_KEY };
+  const rest = portable(Array.isArray(args) ? args : []);
+  if (kind === 'campaign') rest[0] = campaignId;
+  return api[method](apiKey, ...rest);
+});
+
+gmLeader.handle('ask', async (data, sender, { emit, signal }) => {
+  const user = game.users?.get?.(sender);
+  if (!settingsManager.isChatAllowedFor(user)) {
+    return { success: false, message: 'Archivist Chat is not enabled for you' };
+  }
+  const apiKey = settingsManager.getApiKey();
+  const campaignId = settingsManager.getSelectedWorldId();
+  if (!apiKey || !campaignId) return { ...NO_KEY };
+  const gmPermissions =
+    user?.isGM === true &&
+    !!settingsManager.getChatGmPermissionsEnabled?.() &&
+    !!data?.gmPermissions;
+  let info = {};
+  try {
+    await archivistApi.askStream(
+      apiKey,
+      campaignId,
+      Array.isArray(data?.messages) ? data.messages : [],
+      gmPermissions,
+      (chunk) => emit?.(chunk),
+      (done) => {
+        info = done || {};
+      },
+      signal
+    );
+  } catch (e) {
+    return apiFailure(e, 'Chat request failed');
+  }
+  return { success: true, data: info };
+});
@@ -1,18 +1,150 @@
 import { CONFIG } from '../modules/config.js';
 import { Utils } from '../modules/utils.js';
+import {
+  ApiError,
+  CancelledError,
+  NetworkError,
+  RateLimitError,
+  apiFailure,
+} from './api-error.js';
+import { RequestScheduler } from './request-scheduler.js';
+import { ResponseCache } from './response-cache.js';
+
+/** @typedef {import('./api-error.js').ApiResult} ApiResult */
 
 /**
- * Service class for handling all Archivist API interactions
+ * One page from ArchivistApiService#paginate. `pages` and `total` are null
+ * when the endpoint does not report them.
+ * @typedef {object} PageProgress
+ * @property {Array} items - rows on this page
+ * @property {number} page - 1-based page number
+ * @property {number|null} pages - total page count
+ * @property {number} loaded - rows loaded so far, this page included
+ * @property {number|null} total - total row count
+ */
+
+/**
+ * Options accepted by every list method.
+ * @typedef {object} ListOptions
+ * @property {AbortSignal} [signal] - abort to cancel the remaining pages
+ * @property {(progress:PageProgress)=>void} [onProgress] - called after each page
+ * @property {number} [size] - page size (default 100)
+ * @property {number} [maxAgeMs] - serve pages cached within this many ms
+ *   without a request (see ResponseCache)
+ * @property {string} [updatedSince] - ISO timestamp; only rows with a later or
+ *   equal `updated_at` are returned (rows without one are always included)
+ */
+
+/**
+ * Link fields the Links API filters on.
+ * @typedef {object} LinkFilter
+ * @property {string} [from_id]
+ * @property {string} [from_type] - e.g. 'Character'
+ * @property {string} [to_id]
+ * @property {string} [to_type]
+ * @property {string} [alias]
+ */
+const LINK_FILTERS = ['from_id', 'from_type', 'to_id', 'to_type', 'alias'];
+
+/**
+ * Service class for handling all Archivist API interactions.
+ *
+ * Every public method resolves to an {@link ApiResult}: `{ success: true, data }`
+ * or `{ success: false, message, error, status, retryable, fields }` where
+ * `error` is a typed ApiError. Only askStream and uploadImageBytes throw.
  */
 export class ArchivistApiService {
   constructor() {
+    /** @type {string} API origin without the version path */
+    this.rootUrl = '';
+    /** @type {string} Versioned base used for every endpoint */
     this.baseUrl = CONFIG.API_BASE_URL;
-    /** @type {number} */
-    this._lastWriteAtMs = 0;
-    /** @type {number} */
-    this._requestCount = 0;
-    /** @type {number} */
-    this._batchStartTime = 0;
+    /** Read-through cache for GET responses; writes invalidate it */
+    this.cache = new ResponseCache();
+    this.setBaseUrl(CONFIG.API_PROFILES.production);
+    /** Shared rate limiter for every request made through _request */
+    this.scheduler = new RequestScheduler();
+    /** @type {'interactive'|'normal'|'bulk'} Scheduler lane for this instance */
+    this._priority = 'normal';
+    /** @type {((url:string, init?:RequestInit)=>Promise<Response>)|null} */
+    this._transport = null;
+  }
+
+  /**
+   * Point the client at an Archivist instance.
+   * @param {string} rootUrl - API origin, with or without the version path
+   *   (e.g. 'https://api.myarchivist.ai' or 'http://localhost:8000/v1')
+   */
+  setBaseUrl(rootUrl) {
+    this.rootUrl = this._normalizeRootUrl(rootUrl);
+    this.baseUrl = `${this.rootUrl}${CONFIG.API_VERSION_PATH}`;
+    this.cache.clear();
+  }
+
+  /**
+   * Strip trailing slashes and the version path from a server URL.
+   * @param {string} url
+   * @returns {string} origin-level root, production when empty
+   */
+  _normalizeRootUrl(url) {
+    const version = CONFIG.API_VERSION_PATH;
+    let root = String(url || '')
+      .trim()
+      .replace(/\/+$/, '');
+    if (root.endsWith(version)) root = root.slice(0, -version.length);
+    return root || CONFIG.API_PROFILES.production;
+  }
+
+  /**
+   * A view of this service whose requests use the given scheduler lane, e.g.
+   * `archivistApi.withPriority('bulk').createCharacter(...)`. The view shares
+   * endpoint, transport and scheduler with the service; configure those on
+   * the service itself.
+   * @param {'interactive'|'normal'|'bulk'} priority
+   * @returns {ArchivistApiService}
+   */
+  withPriority(priority) {
+    const view = Object.create(this);
+    view._priority = priority;
+    return view;
+  }
+
+  /**
+   * Queue depth and rate-limit state of the request scheduler.
+   * @returns {object} see RequestScheduler#stats
+   */
+  getRequestStats() {
+    return this.scheduler.stats;
+  }
+
+  /**
+   * Entry count and hit counters of the response cache.
+   * @returns {object} see ResponseCache#stats
+   */
+  getCacheStats() {
+    return this.cache.stats;
+  }
+
+  /**
+   * Replace the HTTP transport used for every API call, including askStream
+   * and image uploads. A transport is a fetch-compatible function; pass null
+   * to go back to the browser's fetch. See services/fake-archivist.js.
+   * @param {((url:string, init?:RequestInit)=>Promise<Response>)|null} transport
+   */
+  setTransport(transport) {
+    this._transport = typeof transport === 'function' ? transport : null;
+    this.cache.clear();
+  }
+
+  /**
+   * Perform an HTTP request through the configured transport.
+   * @param {string} url
+   * @param {RequestInit} [init]
+   * @returns {Promise<Response>}
+   */
+  _fetch(url, init) {
+    if (this._transport) return this._transport(url, init);
+    return fetch(url, init);
   }
 
   /**
@@ -197,57 +329,40 @@ export class ArchivistApiService {
    * Internal fetch helper
    * @param {string} apiKey
    * @param {string} path - path starting with '/'
-   * @param {RequestInit} options
+   * @param {RequestInit & {mergePatch?: boolean, priority?: string, maxAgeMs?: number}} options -
+   *   set mergePatch to send the body as a JSON Merge Patch (required by Beats
+   *   PATCH); priority overrides this instance's scheduler lane; maxAgeMs lets
+   *   a GET be answered from the response cache
    * @returns {Promise<any>}
    */
   async _request(apiKey, path, options = {}) {
     const headers = this._createHeaders(apiKey, options);
+    const {
+      mergePatch: _mergePatch,
+      priority = this._priority,
+      maxAgeMs = 0,
+      ...requestOptions
+    } = options || {};
     const url = `${this.baseUrl}${path}`;
     let attempt = 0;
     const maxRetries = 10;
 
-    // Simple client-side throttle for write-heavy operations
     const method = String(options?.method || 'GET').toUpperCase();
     const isWrite =
       method === 'POST' ||
       method === 'PUT' ||
       method === 'PATCH' ||
       method === 'DELETE';
-
-    if (isWrite) {
-      const now = Date.now();
-
-      // Initialize batch tracking if needed
-      if (this._batchStartTime === 0) {
-        this._batchStartTime = now;
-        this._requestCount = 0;
-      }
-
-      // Progressive throttling - more aggressive throttling as we make more requests
-      const batchElapsedMs = now - this._batchStartTime;
-      const requestsPerSecond = this._requestCount / (batchElapsedMs / 1000);
-
-      let minSpacingMs = 250; // Base spacing
-      if (requestsPerSecond > 3) {
-        minSpacingMs = 500; // Slow down if we're going too fast
-      }
-      if (requestsPerSecond > 2) {
-        minSpacingMs = 350; // Moderate slowdown
-      }
-
-      const waitMs = Math.max(0, this._lastWriteAtMs + minSpacingMs - now);
-      if (waitMs > 0) {
-        await new Promise((r) => setTimeout(r, waitMs));
-      }
-
-      this._lastWriteAtMs = Date.now();
-      this._requestCount++;
-
-      // Reset batch tracking every 30 seconds
-      if (batchElapsedMs > 30000) {
-        this._batchStartTime = Date.now();
-        this._requestCount = 0;
-      }
+    const kind = isWrite ? 'write' : 'read';
+
+    // GETs are answered from the cache while fresh, and revalidated with the
+    // cached ETag otherwise
+    const cacheKey = method === 'GET' ? url : null;
+    if (cacheKey) {
+      const hit = this.cache.fresh(cacheKey, maxAgeMs);
+      if (hit) return hit.data;
+      const etag = this.cache.etag(cacheKey);
+      if (etag) headers['If-None-Match'] = etag;
     }
 
     // keepalive lets in-flight writes survive page unload, but Chromium
@@ -262,17 +377,38 @@ export class ArchivistApiService {
     while (attempt <= maxRetries) {
       try {
         const fetchOptions = {
-          ...options,
+          ...requestOptions,
           headers,
           mode: 'cors',
           cache: 'no-store',
         };
         if (useKeepalive) fetchOptions.keepalive = true;
-        const response = await fetch(url, fetchOptions);
+        const response = await this.scheduler.schedule(
+          () => this._fetch(url, fetchOptions),
+          { kind, priority, signal: options?.signal }
+        );
 
         // Handle successful responses (non-429)
         if (response.status !== 429) {
-          return this._handleResponse(response);
+          if (isWrite) this.cache.invalidate(path, method);
+          if (cacheKey && response.status === 304) {
+            const cached = this.cache.notModified(cacheKey);
+            if (cached) return cached.data;
+            // The entry was dropped (e.g. by a write) since the ETag was
+            // sent; ask once more for the full body
+            if (headers['If-None-Match']) {
+              delete headers['If-None-Match'];
+              continue;
+            }
+          }
+          const data = await this._handleResponse(response, { method, path });
+          if (cacheKey) {
+            this.cache.store(cacheKey, path, data, {
+              etag: response.headers?.get?.('ETag') || null,
+              keep: maxAgeMs > 0,
+            });
+          }
+          return data;
         }
 
         // 429 handling with exponential backoff and jitter; respect Retry-After
@@ -282,9 +418,11 @@ export class ArchivistApiService {
           console.error(
             `${CONFIG.MODULE_TITLE} | Max retries (${maxRetries}) exceeded for ${method} ${path}`
           );
-          throw new Error(
-            `API request failed: 429 rate limited after ${maxRetries} retries`
-          );
+          throw new RateLimitError({
+            message: `API request failed: 429 rate limited after ${maxRetries} retries`,
+            method,
+            path,
+          });
         }
 
         // Calculate retry delay
@@ -306,7 +444,8 @@ export class ArchivistApiService {
         console.warn(
           `${CONFIG.MODULE_TITLE} | Rate limited (429) on ${method} ${path}, attempt ${attempt}/${maxRetries}, retrying in ${delay}ms`
         );
-        await new Promise((r) => setTimeout(r, delay));
+        // Pauses every lane; the retry waits in the scheduler like any request
+        this.scheduler.rateLimited(delay);
       } catch (error) {
         if (
           error.name === 'TypeError' &&
@@ -319,8 +458,9 @@ export class ArchivistApiService {
               `${CONFIG.MODULE_TITLE} | Network error after ${maxRetries} retries for ${method} ${path}:`,
               error
             );
-            throw new Error(
-              `Network error after ${maxRetries} retries: ${error.message}`
+            throw new NetworkError(
+              `${error.message} (after ${maxRetries} retries)`,
+              { method, path }
             );
           }
 
@@ -343,6 +483,7 @@ export class ArchivistApiService {
   /**
    * Create headers for API requests
    * @param {string} apiKey - The API key for authentication
+   * @param {{method?: string, body?: any, mergePatch?: boolean}} [options]
    * @returns {object} Headers object
    */
   _createHeaders(apiKey, options = {}) {
@@ -358,61 +499,24 @@ export class ArchivistApiService {
       method === 'POST' ||
       method === 'PUT' ||
       method === 'PATCH';
-    if (hasBody) h['Content-Type'] = 'application/json';
+    if (hasBody) {
+      h['Content-Type'] = options?.mergePatch
+        ? 'application/merge-patch+json'
+        : 'application/json';
+    }
     return h;
   }
 
   /**
    * Handle API response and check for errors
    * @param {Response} response - Fetch response object
+   * @param {{method?:string, path?:string}} [request] - recorded on the error
    * @returns {Promise<object>} Parsed JSON response
-   * @throws {Error} If response is not ok
+   * @throws {ApiError} Typed error (ValidationError, RateLimitError, ...) if response is not ok
    */
-  async _handleResponse(response) {
+  async _handleResponse(response, request = {}) {
     if (!response.ok) {
-      let detail = '';
-      let errorData = null;
-      try {
-        const data = await response.clone().json();
-        errorData = data;
-        detail = data?.detail || data?.message || '';
-      } catch (_) {
-        try {
-          detail = await response.clone().text();
-        } catch (_) {
-          /* ignore */
-        }
-      }
-
-      // Check for description length validation error (422)
-      if (response.status === 422) {
-        const detailStr = String(detail).toLowerCase();
-        const isDescriptionTooLong =
-          detailStr.includes('description') &&
-          (detailStr.includes('too long') ||
-            detailStr.includes('exceeds') ||
-            detailStr.includes('maximum') ||
-            detailStr.includes('10000') ||
-            detailStr.includes('10,000'));
-
-        if (isDescriptionTooLong) {
-          const error = new Error(
-            `Description exceeds maximum length (10,000 characters)`
-          );
-          error.status = 422;
-          error.isDescriptionTooLong = true;
-          error.detail = errorData;
-          throw error;
-        }
-      }
-
-      const suffix = detail ? ` — ${String(detail).slice(0, 300)}` : '';
-      const error = new Error(
-        `API request failed: ${response.status} ${response.statusText}${suffix}`
-      );
-      error.status = response.status;
-      error.detail = errorData;
-      throw error;
+      throw await ApiError.fromResponse(response, request);
     }
     // 204 No Content returns no body, don't try to parse JSON
     if (response.status === 204) {
@@ -422,12 +526,67 @@ export class ArchivistApiService {
   }
 
   /**
-   * Derive root API base (without version path like /v1) for non-versioned endpoints
+   * Log a failed call and build its ApiResult.
+   * @param {any} error
+   * @param {string} fallbackMessage - also used as the log label
+   * @param {{entityName?:string, entityType?:string}} [context]
+   * @returns {ApiResult}
+   */
+  _failure(error, fallbackMessage, context = {}) {
+    const result = apiFailure(error, fallbackMessage, context);
+    if (result.error instanceof CancelledError) return result;
+    console.error(`${CONFIG.MODULE_TITLE} | ${fallbackMessage}:`, {
+      error: result.message,
+      status: result.status,
+      retryable: result.retryable,
+      ...(result.fields.length ? { fields: result.fields } : {}),
+      ...context,
+    });
+    return result;
+  }
+
+  /**
+   * Root API base (without version path like /v1) for non-versioned endpoints
    * @returns {string}
    */
   _rootBase() {
-    // Strip trailing /v1 or /v1/ from API_BASE_URL
-    return this.baseUrl.replace(/\/?v1\/?$/, '');
+    return this.rootUrl;
+  }
+
+  /**
+   * Check the unauthenticated /health endpoint of a server.
+   * @param {string} [rootUrl] - server to probe; defaults to the configured one
+   * @returns {Promise<ApiResult>} data: { url, status, version, environment, latencyMs }
+   */
+  async checkHealth(rootUrl) {
+    const root = rootUrl ? this._normalizeRootUrl(rootUrl) : this._rootBase();
+    const url = `${root}/health`;
+    const started = Date.now();
+    try {
+      const response = await this._fetch(url, {
+        method: 'GET',
+        headers: { Accept: 'application/json' },
+        mode: 'cors',
+        cache: 'no-store',
+      });
+      const body = await this._handleResponse(response, {
+        method: 'GET',
+        path: '/health',
+      });
+      const data = body && typeof body === 'object' ? body : {};
+      return {
+        success: true,
+        data: {
+          url: root,
+          status: String(data.status ?? 'ok'),
+          version: String(data.version ?? data.build ?? 'unknown'),
+          environment: String(data.environment ?? data.env ?? 'unknown'),
+          latencyMs: Date.now() - started,
+        },
+      };
+    } catch (error) {
+      return this._failure(error, 'Failed to reach Archivist health check');
+    }
   }
 
   /**
@@ -456,14 +615,7 @@ export class ArchivistApiService {
         data: campaigns,
       };
     } catch (error) {
-      console.error(
-        `${CONFIG.MODULE_TITLE} | Failed to fetch campaigns:`,
-        error
-      );
-      return {
-        success: false,
-        message: error.message || 'Failed to fetch campaigns from API',
-      };
+      return this._failure(error, 'Failed to fetch campaigns from API');
     }
   }
 
@@ -484,14 +636,7 @@ export class ArchivistApiService {
       });
       return { success: true, data };
     } catch (error) {
-      console.error(
-        `${CONFIG.MODULE_TITLE} | Failed to create campaign:`,
-        error
-      );
-      return {
-        success: false,
-        message: error.message || 'Failed to create campaign',
-      };
+      return this._failure(error, 'Failed to create campaign');
     }
   }
 
@@ -516,14 +661,7 @@ export class ArchivistApiService {
       );
       return { success: true, data };
     } catch (error) {
-      console.error(
-        `${CONFIG.MODULE_TITLE} | Failed to fetch campaign details:`,
-        error
-      );
-      return {
-        success: false,
-        message: error.message || 'Failed to fetch campaign details from API',
-      };
+      return this._failure(error, 'Failed to fetch campaign details from API');
     }
   }
 
@@ -551,62 +689,100 @@ export class ArchivistApiService {
       );
       return { success: true, data };
     } catch (error) {
-      console.error(
-        `${CONFIG.MODULE_TITLE} | Failed to sync campaign title:`,
-        error
+      return this._failure(error, 'Failed to sync campaign title');
+    }
+  }
+
+  /**
+   * Iterate a paginated list endpoint, yielding each page as it arrives. Stops
+   * after the server's last page or a short page. Aborting `signal` rejects
+   * with a CancelledError, including while a request is queued or in flight.
+   * @param {string} apiKey
+   * @param {string} path - list path, optionally with a query string
+   * @param {{size?:number, signal?:AbortSignal, maxAgeMs?:number}} [options]
+   * @returns {AsyncGenerator<PageProgress>}
+   */
+  async *paginate(apiKey, path, { size = 100, signal, maxAgeMs } = {}) {
+    const sep = path.includes('?') ? '&' : '?';
+    let loaded = 0;
+    for (let page = 1; ; page += 1) {
+      if (signal?.aborted) throw new CancelledError();
+      const data = await this._request(
+        apiKey,
+        `${path}${sep}page=${page}&size=${size}`,
+        { method: 'GET', signal, maxAgeMs }
       );
-      return {
-        success: false,
-        message: error.message || 'Failed to sync campaign title',
-      };
+      const items = Array.isArray(data)
+        ? data
+        : Array.isArray(data?.data)
+          ? data.data
+          : [];
+      loaded += items.length;
+      const pages = typeof data?.pages === 'number' ? data.pages : null;
+      const total = typeof data?.total === 'number' ? data.total : null;
+      yield { items, page, pages, loaded, total };
+      if (items.length < size || (pages !== null && page >= pages)) return;
     }
   }
 
   /**
-   * List all characters for a campaign (auto-paginate)
+   * Collect every page of a list endpoint into one ApiResult.
    * @param {string} apiKey
-   * @param {string} campaignId
-   * @returns {Promise<{success:boolean,data:Array}>>}
+   * @param {string} path
+   * @param {string} fallbackMessage
+   * @param {ListOptions} [options]
+   * @param {(row:object)=>object} [map] - per-row normalizer
+   * @returns {Promise<ApiResult>}
    */
-  async listCharacters(apiKey, campaignId) {
+  async _listAll(apiKey, path, fallbackMessage, options = {}, map) {
+    const { onProgress, updatedSince, ...pageOptions } = options || {};
+    // The server filters by updated_since where supported; rows are filtered
+    // here too so older servers still yield a correct delta
+    const since = updatedSince ? Date.parse(updatedSince) : NaN;
+    const fresh = (row) => {
+      const t = Date.parse(row?.updated_at ?? '');
+      return !Number.isFinite(t) || t >= since;
+    };
+    if (Number.isFinite(since)) {
+      const sep = path.includes('?') ? '&' : '?';
+      path = `${path}${sep}updated_since=${encodeURIComponent(updatedSince)}`;
+    }
     try {
-      let page = 1;
-      const size = 100;
       const all = [];
-      while (true) {
-        const data = await this._request(
-          apiKey,
-          `/characters?campaign_id=${encodeURIComponent(campaignId)}&page=${page}&size=${size}`,
-          { method: 'GET' }
-        );
-        const items = Array.isArray(data)
-          ? data
-          : Array.isArray(data.data)
-            ? data.data
-            : [];
-        all.push(...items.map((quest) => this._normalizeQuestResponse(quest)));
-        const totalPages =
-          typeof data.pages === 'number'
-            ? data.pages
-            : items.length < size
-              ? page
-              : page + 1;
-        if (page >= totalPages || items.length < size) break;
-        page += 1;
+      for await (const page of this.paginate(apiKey, path, pageOptions)) {
+        const rows = Number.isFinite(since)
+          ? page.items.filter(fresh)
+          : page.items;
+        all.push(...(map ? rows.map(map) : rows));
+        try {
+          onProgress?.(page);
+        } catch (_) {}
       }
       return { success: true, data: all };
     } catch (error) {
-      console.error(
-        `${CONFIG.MODULE_TITLE} | Failed to list characters:`,
-        error
-      );
-      return {
-        success: false,
-        message: error.message || 'Failed to list characters',
-      };
+      return this._failure(error, fallbackMessage);
     }
   }
 
+  /**
+   * List all characters for a campaign (auto-paginate).
+   * Every entity list and get requests with_links=true so [[wikilinks]] in
+   * text survive import and can be resolved into Foundry content links.
+   * @param {string} apiKey
+   * @param {string} campaignId
+   * @param {ListOptions} [options]
+   * @returns {Promise<{success:boolean,data:Array}>>}
+   */
+  async listCharacters(apiKey, campaignId, options = {}) {
+    return this._listAll(
+      apiKey,
+      `/characters?campaign_id=${encodeURIComponent(campaignId)}&with_links=true`,
+      'Failed to list characters',
+      options,
+      (c) => this._normalizeQuestResponse(c)
+    );
+  }
+
   /**
    * Create a character
    * @param {string} apiKey
@@ -623,30 +799,29 @@ export class ArchivistApiService {
       });
       return { success: true, data: this._normalizeQuestResponse(data) };
     } catch (error) {
-      const isRateLimited =
-        error.message?.includes('429') ||
-        error.message?.includes('rate limited');
-      const isNetworkError =
-        error.message?.includes('Network error') ||
-        error.message?.includes('Failed to fetch');
-      const isDescriptionTooLong = error.isDescriptionTooLong === true;
-
-      console.error(`${CONFIG.MODULE_TITLE} | Failed to create character:`, {
-        error: error.message,
-        payload: entityName,
-        isRateLimited,
-        isNetworkError,
-        isDescriptionTooLong,
-      });
-
-      return {
-        success: false,
-        message: error.message || 'Failed to create character',
-        retryable: isRateLimited || isNetworkError,
-        isDescriptionTooLong,
+      return this._failure(error, 'Failed to create character', {
         entityName,
         entityType: 'Character',
-      };
+      });
+    }
+  }
+
+  /**
+   * Get a single character
+   * @param {string} apiKey
+   * @param {string} characterId
+   * @returns {Promise<ApiResult>}
+   */
+  async getCharacter(apiKey, characterId) {
+    try {
+      const data = await this._request(
+        apiKey,
+        `/characters/${encodeURIComponent(characterId)}?with_links=true`,
+        { method: 'GET' }
+      );
+      return { success: true, data };
+    } catch (error) {
+      return this._failure(error, 'Failed to get character');
     }
   }
 
@@ -671,19 +846,10 @@ export class ArchivistApiService {
       );
       return { success: true, data };
     } catch (error) {
-      const isDescriptionTooLong = error.isDescriptionTooLong === true;
-      console.error(`${CONFIG.MODULE_TITLE} | Failed to update character:`, {
-        error: error.message,
-        entityName,
-        isDescriptionTooLong,
-      });
-      return {
-        success: false,
-        message: error.message || 'Failed to update character',
-        isDescriptionTooLong,
+      return this._failure(error, 'Failed to update character', {
         entityName,
         entityType: 'Character',
-      };
+      });
     }
   }
 
@@ -703,54 +869,21 @@ export class ArchivistApiService {
       );
       return { success: true, data };
     } catch (error) {
-      console.error(
-        `${CONFIG.MODULE_TITLE} | Failed to delete character:`,
-        error
-      );
-      return {
-        success: false,
-        message: error.message || 'Failed to delete character',
-      };
+      return this._failure(error, 'Failed to delete character');
     }
   }
 
   /**
    * List all factions for a campaign
+   * @param {ListOptions} [options]
    */
-  async listFactions(apiKey, campaignId) {
-    try {
-      let page = 1;
-      const size = 100;
-      const all = [];
-      while (true) {
-        const data = await this._request(
-          apiKey,
-          `/factions?campaign_id=${encodeURIComponent(campaignId)}&page=${page}&size=${size}`,
-          { method: 'GET' }
-        );
-        const items = Array.isArray(data)
-          ? data
-          : Array.isArray(data.data)
-            ? data.data
-            : [];
-        all.push(...items);
-        const totalPages =
-          typeof data.pages === 'number'
-            ? data.pages
-            : items.length < size
-              ? page
-              : page + 1;
-        if (page >= totalPages || items.length < size) break;
-        page += 1;
-      }
-      return { success: true, data: all };
-    } catch (error) {
-      console.error(`${CONFIG.MODULE_TITLE} | Failed to list factions:`, error);
-      return {
-        success: false,
-        message: error.message || 'Failed to list factions',
-      };
-    }
+  async listFactions(apiKey, campaignId, options = {}) {
+    return this._listAll(
+      apiKey,
+      `/factions?campaign_id=${encodeURIComponent(campaignId)}&with_links=true`,
+      'Failed to list factions',
+      options
+    );
   }
 
   async createFaction(apiKey, payload) {
@@ -763,30 +896,29 @@ export class ArchivistApiService {
       });
       return { success: true, data };
     } catch (error) {
-      const isRateLimited =
-        error.message?.includes('429') ||
-        error.message?.includes('rate limited');
-      const isNetworkError =
-        error.message?.includes('Network error') ||
-        error.message?.includes('Failed to fetch');
-      const isDescriptionTooLong = error.isDescriptionTooLong === true;
-
-      console.error(`${CONFIG.MODULE_TITLE} | Failed to create faction:`, {
-        error: error.message,
-        payload: entityName,
-        isRateLimited,
-        isNetworkError,
-        isDescriptionTooLong,
-      });
-
-      return {
-        success: false,
-        message: error.message || 'Failed to create faction',
-        retryable: isRateLimited || isNetworkError,
-        isDescriptionTooLong,
+      return this._failure(error, 'Failed to create faction', {
         entityName,
         entityType: 'Faction',
-      };
+      });
+    }
+  }
+
+  /**
+   * Get a single faction
+   * @param {string} apiKey
+   * @param {string} factionId
+   * @returns {Promise<ApiResult>}
+   */
+  async getFaction(apiKey, factionId) {
+    try {
+      const data = await this._request(
+        apiKey,
+        `/factions/${encodeURIComponent(factionId)}?with_links=true`,
+        { method: 'GET' }
+      );
+      return { success: true, data };
+    } catch (error) {
+      return this._failure(error, 'Failed to get faction');
     }
   }
 
@@ -806,19 +938,10 @@ export class ArchivistApiService {
       );
       return { success: true, data };
     } catch (error) {
-      const isDescriptionTooLong = error.isDescriptionTooLong === true;
-      console.error(`${CONFIG.MODULE_TITLE} | Failed to update faction:`, {
-        error: error.message,
-        entityName,
-        isDescriptionTooLong,
-      });
-      return {
-        success: false,
-        message: error.message || 'Failed to update faction',
-        isDescriptionTooLong,
+      return this._failure(error, 'Failed to update faction', {
         entityName,
         entityType: 'Faction',
-      };
+      });
     }
   }
 
@@ -833,96 +956,34 @@ export class ArchivistApiService {
       );
       return { success: true, data };
     } catch (error) {
-      console.error(
-        `${CONFIG.MODULE_TITLE} | Failed to delete faction:`,
-        error
-      );
-      return {
-        success: false,
-        message: error.message || 'Failed to delete faction',
-      };
+      return this._failure(error, 'Failed to delete faction');
     }
   }
 
   /**
    * List all locations for a world
+   * @param {ListOptions} [options]
    */
-  async listLocations(apiKey, campaignId) {
-    try {
-      let page = 1;
-      const size = 100;
-      const all = [];
-      while (true) {
-        const data = await this._request(
-          apiKey,
-          `/locations?campaign_id=${encodeURIComponent(campaignId)}&page=${page}&size=${size}`,
-          { method: 'GET' }
-        );
-        const items = Array.isArray(data)
-          ? data
-          : Array.isArray(data.data)
-            ? data.data
-            : [];
-        all.push(...items);
-        const totalPages =
-          typeof data.pages === 'number'
-            ? data.pages
-            : items.length < size
-              ? page
-              : page + 1;
-        if (page >= totalPages || items.length < size) break;
-        page += 1;
-      }
-      return { success: true, data: all };
-    } catch (error) {
-      console.error(
-        `${CONFIG.MODULE_TITLE} | Failed to list locations:`,
-        error
-      );
-      return {
-        success: false,
-        message: error.message || 'Failed to list locations',
-      };
-    }
+  async listLocations(apiKey, campaignId, options = {}) {
+    return this._listAll(
+      apiKey,
+      `/locations?campaign_id=${encodeURIComponent(campaignId)}&with_links=true`,
+      'Failed to list locations',
+      options
+    );
   }
 
   /**
    * List all game sessions for a campaign
+   * @param {ListOptions} [options]
    */
-  async listSessions(apiKey, campaignId) {
-    try {
-      let page = 1;
-      const size = 100;
-      const all = [];
-      while (true) {
-        const data = await this._request(
-          apiKey,
-          `/sessions?campaign_id=${encodeURIComponent(campaignId)}&page=${page}&size=${size}`,
-          { method: 'GET' }
-        );
-        const items = Array.isArray(data)
-          ? data
-          : Array.isArray(data.data)
-            ? data.data
-            : [];
-        all.push(...items);
-        const totalPages =
-          typeof data.pages === 'number'
-            ? data.pages
-            : items.length < size
-              ? page
-              : page + 1;
-        if (page >= totalPages || items.length < size) break;
-        page += 1;
-      }
-      return { success: true, data: all };
-    } catch (error) {
-      console.error(`${CONFIG.MODULE_TITLE} | Failed to list sessions:`, error);
-      return {
-        success: false,
-        message: error.message || 'Failed to list sessions',
-      };
-    }
+  async listSessions(apiKey, campaignId, options = {}) {
+    return this._listAll(
+      apiKey,
+      `/sessions?campaign_id=${encodeURIComponent(campaignId)}&with_links=true`,
+      'Failed to list sessions',
+      options
+    );
   }
 
   /**
@@ -944,14 +1005,7 @@ export class ArchivistApiService {
       );
       return { success: true, data };
     } catch (error) {
-      console.error(
-        `${CONFIG.MODULE_TITLE} | Failed to update session:`,
-        error
-      );
-      return {
-        success: false,
-        message: error.message || 'Failed to update session',
-      };
+      return this._failure(error, 'Failed to update session');
     }
   }
 
@@ -965,30 +1019,29 @@ export class ArchivistApiService {
       });
       return { success: true, data };
     } catch (error) {
-      const isRateLimited =
-        error.message?.includes('429') ||
-        error.message?.includes('rate limited');
-      const isNetworkError =
-        error.message?.includes('Network error') ||
-        error.message?.includes('Failed to fetch');
-      const isDescriptionTooLong = error.isDescriptionTooLong === true;
-
-      console.error(`${CONFIG.MODULE_TITLE} | Failed to create location:`, {
-        error: error.message,
-        payload: entityName,
-        isRateLimited,
-        isNetworkError,
-        isDescriptionTooLong,
-      });
-
-      return {
-        success: false,
-        message: error.message || 'Failed to create location',
-        retryable: isRateLimited || isNetworkError,
-        isDescriptionTooLong,
+      return this._failure(error, 'Failed to create location', {
         entityName,
         entityType: 'Location',
-      };
+      });
+    }
+  }
+
+  /**
+   * Get a single location
+   * @param {string} apiKey
+   * @param {string} locationId
+   * @returns {Promise<ApiResult>}
+   */
+  async getLocation(apiKey, locationId) {
+    try {
+      const data = await this._request(
+        apiKey,
+        `/locations/${encodeURIComponent(locationId)}?with_links=true`,
+        { method: 'GET' }
+      );
+      return { success: true, data };
+    } catch (error) {
+      return this._failure(error, 'Failed to get location');
     }
   }
 
@@ -1008,19 +1061,10 @@ export class ArchivistApiService {
       );
       return { success: true, data };
     } catch (error) {
-      const isDescriptionTooLong = error.isDescriptionTooLong === true;
-      console.error(`${CONFIG.MODULE_TITLE} | Failed to update location:`, {
-        error: error.message,
-        entityName,
-        isDescriptionTooLong,
-      });
-      return {
-        success: false,
-        message: error.message || 'Failed to update location',
-        isDescriptionTooLong,
+      return this._failure(error, 'Failed to update location', {
         entityName,
         entityType: 'Location',
-      };
+      });
     }
   }
 
@@ -1035,54 +1079,21 @@ export class ArchivistApiService {
       );
       return { success: true, data };
     } catch (error) {
-      console.error(
-        `${CONFIG.MODULE_TITLE} | Failed to delete location:`,
-        error
-      );
-      return {
-        success: false,
-        message: error.message || 'Failed to delete location',
-      };
+      return this._failure(error, 'Failed to delete location');
     }
   }
 
   /**
    * List all items for a campaign
+   * @param {ListOptions} [options]
    */
-  async listItems(apiKey, campaignId) {
-    try {
-      let page = 1;
-      const size = 100;
-      const all = [];
-      while (true) {
-        const data = await this._request(
-          apiKey,
-          `/items?campaign_id=${encodeURIComponent(campaignId)}&page=${page}&size=${size}`,
-          { method: 'GET' }
-        );
-        const items = Array.isArray(data)
-          ? data
-          : Array.isArray(data.data)
-            ? data.data
-            : [];
-        all.push(...items);
-        const totalPages =
-          typeof data.pages === 'number'
-            ? data.pages
-            : items.length < size
-              ? page
-              : page + 1;
-        if (page >= totalPages || items.length < size) break;
-        page += 1;
-      }
-      return { success: true, data: all };
-    } catch (error) {
-      console.error(`${CONFIG.MODULE_TITLE} | Failed to list items:`, error);
-      return {
-        success: false,
-        message: error.message || 'Failed to list items',
-      };
-    }
+  async listItems(apiKey, campaignId, options = {}) {
+    return this._listAll(
+      apiKey,
+      `/items?campaign_id=${encodeURIComponent(campaignId)}&with_links=true`,
+      'Failed to list items',
+      options
+    );
   }
 
   /**
@@ -1098,30 +1109,29 @@ export class ArchivistApiService {
       });
       return { success: true, data };
     } catch (error) {
-      const isRateLimited =
-        error.message?.includes('429') ||
-        error.message?.includes('rate limited');
-      const isNetworkError =
-        error.message?.includes('Network error') ||
-        error.message?.includes('Failed to fetch');
-      const isDescriptionTooLong = error.isDescriptionTooLong === true;
-
-      console.error(`${CONFIG.MODULE_TITLE} | Failed to create item:`, {
-        error: error.message,
-        payload: entityName,
-        isRateLimited,
-        isNetworkError,
-        isDescriptionTooLong,
-      });
-
-      return {
-        success: false,
-        message: error.message || 'Failed to create item',
-        retryable: isRateLimited || isNetworkError,
-        isDescriptionTooLong,
+      return this._failure(error, 'Failed to create item', {
         entityName,
         entityType: 'Item',
-      };
+      });
+    }
+  }
+
+  /**
+   * Get a single item
+   * @param {string} apiKey
+   * @param {string} itemId
+   * @returns {Promise<ApiResult>}
+   */
+  async getItem(apiKey, itemId) {
+    try {
+      const data = await this._request(
+        apiKey,
+        `/items/${encodeURIComponent(itemId)}?with_links=true`,
+        { method: 'GET' }
+      );
+      return { success: true, data };
+    } catch (error) {
+      return this._failure(error, 'Failed to get item');
     }
   }
 
@@ -1142,19 +1152,10 @@ export class ArchivistApiService {
       );
       return { success: true, data };
     } catch (error) {
-      const isDescriptionTooLong = error.isDescriptionTooLong === true;
-      console.error(`${CONFIG.MODULE_TITLE} | Failed to update item:`, {
-        error: error.message,
-        entityName,
-        isDescriptionTooLong,
-      });
-      return {
-        success: false,
-        message: error.message || 'Failed to update item',
-        isDescriptionTooLong,
+      return this._failure(error, 'Failed to update item', {
         entityName,
         entityType: 'Item',
-      };
+      });
     }
   }
 
@@ -1169,11 +1170,7 @@ export class ArchivistApiService {
       );
       return { success: true, data };
     } catch (error) {
-      console.error(`${CONFIG.MODULE_TITLE} | Failed to delete item:`, error);
-      return {
-        success: false,
-        message: error.message || 'Failed to delete item',
-      };
+      return this._failure(error, 'Failed to delete item');
     }
   }
 
@@ -1181,39 +1178,16 @@ export class ArchivistApiService {
    * List all journals for a campaign (auto-paginate)
    * @param {string} apiKey
    * @param {string} campaignId
+   * @param {ListOptions} [options]
    * @returns {Promise<{success:boolean,data:Array}>}
    */
-  async listJournals(apiKey, campaignId) {
-    try {
-      let page = 1;
-      const size = 100;
-      const all = [];
-      while (true) {
-        const data = await this._request(
-          apiKey,
-          `/journals?campaign_id=${encodeURIComponent(campaignId)}&page=${page}&size=${size}`,
-          { method: 'GET' }
-        );
-        const items = Array.isArray(data)
-          ? data
-          : Array.isArray(data.data)
-            ? data.data
-            : [];
-        all.push(...items);
-        if (items.length < size) break;
-        page += 1;
-      }
-      return { success: true, data: all };
-    } catch (error) {
-      console.error(
-        `${CONFIG.MODULE_TITLE} | Failed to list journals:`,
-        error
-      );
-      return {
-        success: false,
-        message: error.message || 'Failed to list journals',
-      };
-    }
+  async listJournals(apiKey, campaignId, options = {}) {
+    return this._listAll(
+      apiKey,
+      `/journals?campaign_id=${encodeURIComponent(campaignId)}&with_links=true`,
+      'Failed to list journals',
+      options
+    );
   }
 
   /**
@@ -1226,19 +1200,12 @@ export class ArchivistApiService {
     try {
       const data = await this._request(
         apiKey,
-        `/journals/${encodeURIComponent(journalId)}`,
+        `/journals/${encodeURIComponent(journalId)}?with_links=true`,
         { method: 'GET' }
       );
       return { success: true, data };
     } catch (error) {
-      console.error(
-        `${CONFIG.MODULE_TITLE} | Failed to get journal:`,
-        error
-      );
-      return {
-        success: false,
-        message: error.message || 'Failed to get journal',
-      };
+      return this._failure(error, 'Failed to get journal');
     }
   }
 
@@ -1257,25 +1224,10 @@ export class ArchivistApiService {
       });
       return { success: true, data };
     } catch (error) {
-      const isRateLimited =
-        error.message?.includes('429') ||
-        error.message?.includes('rate limited');
-      const isNetworkError =
-        error.message?.includes('Network error') ||
-        error.message?.includes('Failed to fetch');
-      console.error(`${CONFIG.MODULE_TITLE} | Failed to create journal:`, {
-        error: error.message,
-        payload: entityName,
-        isRateLimited,
-        isNetworkError,
-      });
-      return {
-        success: false,
-        message: error.message || 'Failed to create journal',
-        retryable: isRateLimited || isNetworkError,
+      return this._failure(error, 'Failed to create journal', {
         entityName,
         entityType: 'Journal',
-      };
+      });
     }
   }
 
@@ -1294,16 +1246,10 @@ export class ArchivistApiService {
       });
       return { success: true, data };
     } catch (error) {
-      console.error(`${CONFIG.MODULE_TITLE} | Failed to update journal:`, {
-        error: error.message,
-        entityName,
-      });
-      return {
-        success: false,
-        message: error.message || 'Failed to update journal',
+      return this._failure(error, 'Failed to update journal', {
         entityName,
         entityType: 'Journal',
-      };
+      });
     }
   }
 
@@ -1321,14 +1267,7 @@ export class ArchivistApiService {
       );
       return { success: true, data };
     } catch (error) {
-      console.error(
-        `${CONFIG.MODULE_TITLE} | Failed to delete journal:`,
-        error
-      );
-      return {
-        success: false,
-        message: error.message || 'Failed to delete journal',
-      };
+      return this._failure(error, 'Failed to delete journal');
     }
   }
 
@@ -1352,14 +1291,7 @@ export class ArchivistApiService {
           : [];
       return { success: true, data: items };
     } catch (error) {
-      console.error(
-        `${CONFIG.MODULE_TITLE} | Failed to list journal folders:`,
-        error
-      );
-      return {
-        success: false,
-        message: error.message || 'Failed to list journal folders',
-      };
+      return this._failure(error, 'Failed to list journal folders');
     }
   }
 
@@ -1367,42 +1299,16 @@ export class ArchivistApiService {
    * List all quests for a campaign (auto-paginate)
    * @param {string} apiKey
    * @param {string} campaignId
+   * @param {ListOptions} [options]
    * @returns {Promise<{success:boolean,data:Array}>}
    */
-  async listQuests(apiKey, campaignId) {
-    try {
-      let page = 1;
-      const size = 100;
-      const all = [];
-      while (true) {
-        const data = await this._request(
-          apiKey,
-          `/quests?campaign_id=${encodeURIComponent(campaignId)}&page=${page}&size=${size}`,
-          { method: 'GET' }
-        );
-        const items = Array.isArray(data)
-          ? data
-          : Array.isArray(data.data)
-            ? data.data
-            : [];
-        all.push(...items);
-        const totalPages =
-          typeof data.pages === 'number'
-            ? data.pages
-            : items.length < size
-              ? page
-              : page + 1;
-        if (page >= totalPages || items.length < size) break;
-        page += 1;
-      }
-      return { success: true, data: all };
-    } catch (error) {
-      console.error(`${CONFIG.MODULE_TITLE} | Failed to list quests:`, error);
-      return {
-        success: false,
-        message: error.message || 'Failed to list quests',
-      };
-    }
+  async listQuests(apiKey, campaignId, options = {}) {
+    return this._listAll(
+      apiKey,
+      `/quests?campaign_id=${encodeURIComponent(campaignId)}&with_links=true`,
+      'Failed to list quests',
+      options
+    );
   }
 
   /**
@@ -1415,16 +1321,12 @@ export class ArchivistApiService {
     try {
       const data = await this._request(
         apiKey,
-        `/quests/${encodeURIComponent(questId)}`,
+        `/quests/${encodeURIComponent(questId)}?with_links=true`,
         { method: 'GET' }
       );
       return { success: true, data };
     } catch (error) {
-      console.error(`${CONFIG.MODULE_TITLE} | Failed to get quest:`, error);
-      return {
-        success: false,
-        message: error.message || 'Failed to get quest',
-      };
+      return this._failure(error, 'Failed to get quest');
     }
   }
 
@@ -1444,25 +1346,10 @@ export class ArchivistApiService {
       });
       return { success: true, data: this._normalizeQuestResponse(data) };
     } catch (error) {
-      const isRateLimited =
-        error.message?.includes('429') ||
-        error.message?.includes('rate limited');
-      const isNetworkError =
-        error.message?.includes('Network error') ||
-        error.message?.includes('Failed to fetch');
-      console.error(`${CONFIG.MODULE_TITLE} | Failed to create quest:`, {
-        error: error.message,
-        payload: entityName,
-        isRateLimited,
-        isNetworkError,
-      });
-      return {
-        success: false,
-        message: error.message || 'Failed to create quest',
-        retryable: isRateLimited || isNetworkError,
+      return this._failure(error, 'Failed to create quest', {
         entityName,
         entityType: 'Quest',
-      };
+      });
     }
   }
 
@@ -1487,16 +1374,10 @@ export class ArchivistApiService {
       );
       return { success: true, data: this._normalizeQuestResponse(data) };
     } catch (error) {
-      console.error(`${CONFIG.MODULE_TITLE} | Failed to update quest:`, {
-        error: error.message,
-        entityName,
-      });
-      return {
-        success: false,
-        message: error.message || 'Failed to update quest',
+      return this._failure(error, 'Failed to update quest', {
         entityName,
         entityType: 'Quest',
-      };
+      });
     }
   }
 
@@ -1514,103 +1395,266 @@ export class ArchivistApiService {
       );
       return { success: true, data };
     } catch (error) {
-      console.error(`${CONFIG.MODULE_TITLE} | Failed to delete quest:`, error);
-      return {
-        success: false,
-        message: error.message || 'Failed to delete quest',
-      };
+      return this._failure(error, 'Failed to delete quest');
     }
   }
 
   /**
-   * List Links for a campaign
+   * List Beats for a campaign (server orders them by index)
    * @param {string} apiKey
    * @param {string} campaignId
-   * @returns {Promise<{success:boolean,data:Array}>>}
+   * @param {ListOptions} [options]
+   * @returns {Promise<{success:boolean,data:Array}>}
    */
-  async listLinks(apiKey, campaignId) {
+  async listBeats(apiKey, campaignId, options = {}) {
+    return this._listAll(
+      apiKey,
+      `/beats?campaign_id=${encodeURIComponent(campaignId)}&with_links=true`,
+      'Failed to list beats',
+      options
+    );
+  }
+
+  /**
+   * Get a single Beat by ID
+   * @param {string} apiKey
+   * @param {string} beatId
+   * @returns {Promise<{success:boolean,data?:object}>}
+   */
+  async getBeat(apiKey, beatId) {
     try {
-      let page = 1;
-      const size = 100;
-      const all = [];
-      while (true) {
-        const data = await this._request(
-          apiKey,
-          `/campaigns/${encodeURIComponent(campaignId)}/links?page=${page}&size=${size}`,
-          { method: 'GET' }
-        );
-        const items = Array.isArray(data)
-          ? data
-          : Array.isArray(data.data)
-            ? data.data
-            : [];
-        all.push(...items);
-        const totalPages =
-          typeof data.pages === 'number'
-            ? data.pages
-            : items.length < size
-              ? page
-              : page + 1;
-        if (page >= totalPages || items.length < size) break;
-        page += 1;
-      }
-      return { success: true, data: all };
+      const data = await this._request(
+        apiKey,
+        `/beats/${encodeURIComponent(beatId)}?with_links=true`,
+        { method: 'GET' }
+      );
+      return { success: true, data };
     } catch (error) {
-      console.error(`${CONFIG.MODULE_TITLE} | Failed to list links:`, error);
-      return {
-        success: false,
-        message: error.message || 'Failed to list links',
-      };
+      return this._failure(error, 'Failed to get beat');
     }
   }
 
   /**
-   * List Links for a campaign filtered by from_id
+   * Create a Beat
+   * @param {string} apiKey
+   * @param {{label:string,type:'major'|'minor'|'step',campaign_id:string,game_session_id?:string,description?:string,index?:number,parent_id?:string}} payload
+   */
+  async createBeat(apiKey, payload) {
+    const entityName = payload?.label || 'Unknown Beat';
+    try {
+      const data = await this._request(apiKey, `/beats`, {
+        method: 'POST',
+        body: JSON.stringify(this._normalizePayload(payload)),
+      });
+      return { success: true, data };
+    } catch (error) {
+      return this._failure(error, 'Failed to create beat', {
+        entityName,
+        entityType: 'Beat',
+      });
+    }
+  }
+
+  /**
+   * Update a Beat. The API only accepts JSON Merge Patch here, so send just
+   * the fields that should change; `null` clears a field (e.g. parent_id).
+   * @param {string} apiKey
+   * @param {string} beatId
+   * @param {object} patch
+   */
+  async updateBeat(apiKey, beatId, patch) {
+    try {
+      const data = await this._request(
+        apiKey,
+        `/beats/${encodeURIComponent(beatId)}`,
+        {
+          method: 'PATCH',
+          mergePatch: true,
+          body: JSON.stringify(this._normalizePayload(patch)),
+        }
+      );
+      return { success: true, data };
+    } catch (error) {
+      return this._failure(error, 'Failed to update beat');
+    }
+  }
+
+  /**
+   * Delete a Beat
+   * @param {string} apiKey
+   * @param {string} beatId
+   */
+  async deleteBeat(apiKey, beatId) {
+    try {
+      const data = await this._request(
+        apiKey,
+        `/beats/${encodeURIComponent(beatId)}`,
+        { method: 'DELETE' }
+      );
+      return { success: true, data };
+    } catch (error) {
+      return this._failure(error, 'Failed to delete beat');
+    }
+  }
+
+  /**
+   * List Moments for a campaign, optionally scoped to one session
    * @param {string} apiKey
    * @param {string} campaignId
-   * @param {string} fromId
-   * @returns {Promise<{success:boolean,data:Array}>>}
+   * @param {string|null} [sessionId]
+   * @param {ListOptions} [options]
+   * @returns {Promise<{success:boolean,data:Array}>}
+   */
+  async listMoments(apiKey, campaignId, sessionId = null, options = {}) {
+    const sessionParam = sessionId
+      ? `&session_id=${encodeURIComponent(sessionId)}`
+      : '';
+    return this._listAll(
+      apiKey,
+      `/moments?campaign_id=${encodeURIComponent(campaignId)}${sessionParam}&with_links=true`,
+      'Failed to list moments',
+      options
+    );
+  }
+
+  /**
+   * Get a single Moment by ID
+   * @param {string} apiKey
+   * @param {string} momentId
+   * @returns {Promise<{success:boolean,data?:object}>}
    */
-  async listLinksByFromId(apiKey, campaignId, fromId) {
+  async getMoment(apiKey, momentId) {
     try {
-      let page = 1;
-      const size = 100;
-      const all = [];
-      const fid = encodeURIComponent(fromId);
-      while (true) {
-        const data = await this._request(
-          apiKey,
-          `/campaigns/${encodeURIComponent(campaignId)}/links?from_id=${fid}&page=${page}&size=${size}`,
-          { method: 'GET' }
-        );
-        const items = Array.isArray(data)
-          ? data
-          : Array.isArray(data.data)
-            ? data.data
-            : [];
-        all.push(...items);
-        const totalPages =
-          typeof data.pages === 'number'
-            ? data.pages
-            : items.length < size
-              ? page
-              : page + 1;
-        if (page >= totalPages || items.length < size) break;
-        page += 1;
-      }
-      return { success: true, data: all };
+      const data = await this._request(
+        apiKey,
+        `/moments/${encodeURIComponent(momentId)}?with_links=true`,
+        { method: 'GET' }
+      );
+      return { success: true, data };
     } catch (error) {
-      console.error(
-        `${CONFIG.MODULE_TITLE} | Failed to list links by from_id:`,
-        error
+      return this._failure(error, 'Failed to get moment');
+    }
+  }
+
+  /**
+   * Create a Moment
+   * @param {string} apiKey
+   * @param {{label:string,campaign_id:string,session_id?:string,content?:string}} payload
+   */
+  async createMoment(apiKey, payload) {
+    const entityName = payload?.label || 'Unknown Moment';
+    try {
+      const data = await this._request(apiKey, `/moments`, {
+        method: 'POST',
+        body: JSON.stringify(this._normalizePayload(payload)),
+      });
+      return { success: true, data };
+    } catch (error) {
+      return this._failure(error, 'Failed to create moment', {
+        entityName,
+        entityType: 'Moment',
+      });
+    }
+  }
+
+  /**
+   * Update a Moment (PATCH label and/or content)
+   * @param {string} apiKey
+   * @param {string} momentId
+   * @param {{label?:string,content?:string}} payload
+   */
+  async updateMoment(apiKey, momentId, payload) {
+    try {
+      const data = await this._request(
+        apiKey,
+        `/moments/${encodeURIComponent(momentId)}`,
+        {
+          method: 'PATCH',
+          body: JSON.stringify(this._normalizePayload(payload)),
+        }
       );
-      return {
-        success: false,
-        message: error.message || 'Failed to list links by from_id',
-      };
+      return { success: true, data };
+    } catch (error) {
+      return this._failure(error, 'Failed to update moment');
+    }
+  }
+
+  /**
+   * Delete a Moment
+   * @param {string} apiKey
+   * @param {string} momentId
+   */
+  async deleteMoment(apiKey, momentId) {
+    try {
+      const data = await this._request(
+        apiKey,
+        `/moments/${encodeURIComponent(momentId)}`,
+        { method: 'DELETE' }
+      );
+      return { success: true, data };
+    } catch (error) {
+      return this._failure(error, 'Failed to delete moment');
     }
   }
 
+  /**
+   * List Links for a campaign
+   * @param {string} apiKey
+   * @param {string} campaignId
+   * @param {ListOptions} [options]
+   * @returns {Promise<{success:boolean,data:Array}>>}
+   */
+  async listLinks(apiKey, campaignId, options = {}) {
+    return this._listAll(
+      apiKey,
+      `/campaigns/${encodeURIComponent(campaignId)}/links`,
+      'Failed to list links',
+      options
+    );
+  }
+
+  /**
+   * List Links for a campaign filtered by from_id
+   * @param {string} apiKey
+   * @param {string} campaignId
+   * @param {string} fromId
+   * @param {ListOptions} [options]
+   * @returns {Promise<{success:boolean,data:Array}>>}
+   */
+  async listLinksByFromId(apiKey, campaignId, fromId, options = {}) {
+    return this.queryLinks(apiKey, campaignId, { from_id: fromId }, options);
+  }
+
+  /**
+   * List the Links of a campaign matching a filter. Filtering happens on the
+   * server; rows are checked again here so a server that ignores a filter
+   * still yields only matching links.
+   * @param {string} apiKey
+   * @param {string} campaignId
+   * @param {LinkFilter} filter - at least one field should be set, otherwise
+   *   this reads the whole link table like listLinks
+   * @param {ListOptions} [options]
+   * @returns {Promise<{success:boolean,data:Array}>>}
+   */
+  async queryLinks(apiKey, campaignId, filter = {}, options = {}) {
+    const entries = LINK_FILTERS.map((key) => [key, filter?.[key]]).filter(
+      ([, value]) => value != null && value !== ''
+    );
+    const query = entries
+      .map(([key, value]) => `${key}=${encodeURIComponent(String(value))}`)
+      .join('&');
+    const result = await this._listAll(
+      apiKey,
+      `/campaigns/${encodeURIComponent(campaignId)}/links${query ? `?${query}` : ''}`,
+      'Failed to query links',
+      options
+    );
+    if (!result.success) return result;
+    const matches = (link) =>
+      entries.every(([key, value]) => String(link?.[key]) === String(value));
+    return { ...result, data: result.data.filter(matches) };
+  }
+
   /**
    * Create a Link in a campaign
    * @param {string} apiKey
@@ -1630,24 +1674,7 @@ export class ArchivistApiService {
       );
       return { success: true, data };
     } catch (error) {
-      const isRateLimited =
-        error.message?.includes('429') ||
-        error.message?.includes('rate limited');
-      const isNetworkError =
-        error.message?.includes('Network error') ||
-        error.message?.includes('Failed to fetch');
-      console.error(`${CONFIG.MODULE_TITLE} | Failed to create link:`, {
-        error: error.message,
-        from: `${payload?.from_type}:${payload?.from_id}`,
-        to: `${payload?.to_type}:${payload?.to_id}`,
-        isRateLimited,
-        isNetworkError,
-      });
-      return {
-        success: false,
-        message: error.message || 'Failed to create link',
-        retryable: isRateLimited || isNetworkError,
-      };
+      return this._failure(error, 'Failed to create link');
     }
   }
 
@@ -1666,11 +1693,7 @@ export class ArchivistApiService {
       );
       return { success: true, data };
     } catch (error) {
-      console.error(`${CONFIG.MODULE_TITLE} | Failed to delete link:`, error);
-      return {
-        success: false,
-        message: error.message || 'Failed to delete link',
-      };
+      return this._failure(error, 'Failed to delete link');
     }
   }
 
@@ -1695,11 +1718,7 @@ export class ArchivistApiService {
       );
       return { success: true, data };
     } catch (error) {
-      console.error(`${CONFIG.MODULE_TITLE} | Failed to update link:`, error);
-      return {
-        success: false,
-        message: error.message || 'Failed to update link',
-      };
+      return this._failure(error, 'Failed to update link');
     }
   }
 
@@ -1733,14 +1752,7 @@ export class ArchivistApiService {
       );
       return { success: true, data };
     } catch (error) {
-      console.error(
-        `${CONFIG.MODULE_TITLE} | Failed to init image upload:`,
-        error
-      );
-      return {
-        success: false,
-        message: error.message || 'Failed to init image upload',
-      };
+      return this._failure(error, 'Failed to init image upload');
     }
   }
 
@@ -1753,13 +1765,13 @@ export class ArchivistApiService {
    * @param {string} contentType
    */
   async uploadImageBytes(uploadUrl, bytes, contentType) {
-    const res = await fetch(uploadUrl, {
+    const res = await this._fetch(uploadUrl, {
       method: 'PUT',
       headers: { 'Content-Type': contentType },
       body: bytes,
     });
     if (!res.ok) {
-      throw new Error(`Image upload PUT failed: HTTP ${res.status}`);
+      throw await ApiError.fromResponse(res, { method: 'PUT', path: 'upload' });
     }
     return true;
   }
@@ -1792,14 +1804,7 @@ export class ArchivistApiService {
       );
       return { success: true, data };
     } catch (error) {
-      console.error(
-        `${CONFIG.MODULE_TITLE} | Failed to complete image upload:`,
-        error
-      );
-      return {
-        success: false,
-        message: error.message || 'Failed to complete image upload',
-      };
+      return this._failure(error, 'Failed to complete image upload');
     }
   }
 
@@ -1830,10 +1835,7 @@ export class ArchivistApiService {
         contentType
       );
     } catch (error) {
-      return {
-        success: false,
-        message: error.message || 'Failed to upload image bytes',
-      };
+      return this._failure(error, 'Failed to upload image bytes');
     }
     const complete = await this.completeImageUpload(apiKey, campaignId, {
       objectKey: init.data.object_key,
@@ -1855,20 +1857,29 @@ export class ArchivistApiService {
    */
   async ask(apiKey, campaignId, messages, gmPermissions = false) {
     try {
-      const url = `${this._rootBase()}/v1/ask`;
+      const url = `${this.baseUrl}/ask`;
       const headers = {
         ...this._createHeaders(apiKey, { method: 'POST', body: '1' }),
       };
-      const r = await fetch(url, {
+      // Ask is a POST but reads nothing back into the world; schedule it as an
+      // interactive read so a running import does not hold up the chat
+      const r = await this.scheduler.schedule(
+        () =>
+          this._fetch(url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+              campaign_id: campaignId,
+              messages,
+              gm_permissions: !!gmPermissions,
+            }),
+          }),
+        { kind: 'read', priority: 'interactive' }
+      );
+      const data = await this._handleResponse(r, {
         method: 'POST',
-        headers,
-        body: JSON.stringify({
-          campaign_id: campaignId,
-          messages,
-          gm_permissions: !!gmPermissions,
-        }),
+        path: '/ask',
       });
-      const data = await this._handleResponse(r);
       return {
         success: true,
         answer: data?.answer ?? '',
@@ -1876,8 +1887,7 @@ export class ArchivistApiService {
         hourlyTokensRemaining: data?.hourlyTokensRemaining,
       };
     } catch (error) {
-      console.error(`${CONFIG.MODULE_TITLE} | /ask failed:`, error);
-      return { success: false, message: error.message || 'Ask failed' };
+      return this._failure(error, 'Ask failed');
     }
   }
 
@@ -1906,7 +1916,7 @@ export class ArchivistApiService {
       onChunk = gmPermissions;
       gmPermissions = false;
     }
-    const url = `${this._rootBase()}/v1/ask`;
+    const url = `${this.baseUrl}/ask`;
     const headers = {
       ...this._createHeaders(apiKey, { method: 'POST', body: '1' }),
     };
@@ -1918,12 +1928,12 @@ export class ArchivistApiService {
       stream: true,
       gm_permissions: !!gmPermissions,
     });
-    const resp = await fetch(url, { method: 'POST', headers, body, signal });
+    const resp = await this.scheduler.schedule(
+      () => this._fetch(url, { method: 'POST', headers, body, signal }),
+      { kind: 'read', priority: 'interactive', signal }
+    );
     if (!resp.ok) {
-      const text = await resp.text().catch(() => '');
-      throw new Error(
-        `Ask stream failed: ${resp.status} ${resp.statusText}${text ? ` — ${text}` : ''}`
-      );
+      throw await ApiError.fromResponse(resp, { method: 'POST', path: '/ask' });
     }
     const monthly =
       Number(resp.headers.get('X-Monthly-Remaining-Tokens') || '') || undefined;
@@ -0,0 +1,508 @@
+/**
+ * In-memory fake of the Archivist API for development and automated tests.
+ *
+ * Plug it into the API service with
+ *   archivistApi.setTransport(new FakeArchivist(seed).transport)
+ * and every request made by ArchivistApiService (including askStream and
+ * image uploads) is answered from memory instead of api.myarchivist.ai.
+ *
+ * Faults can be injected to exercise retry and error handling:
+ *   fake.injectFault({ status: 429, retryAfter: 0 })
+ *   fake.injectFault({ status: 422, method: 'PATCH', path: /^\/items\// })
+ *   fake.injectFault({ network: true, times: 3 })
+ */
+
+/** Collections exposed as top-level REST resources (`/v1/<name>`). */
+const RESOURCES = [
+  'characters',
+  'items',
+  'locations',
+  'factions',
+  'sessions',
+  'quests',
+  'journals',
+  'beats',
+  'moments',
+];
+
+/** Image upload entity types → collection. */
+const IMAGE_TARGETS = {
+  character: 'characters',
+  item: 'items',
+  location: 'locations',
+  faction: 'factions',
+};
+
+const STATUS_TEXT = {
+  200: 'OK',
+  201: 'Created',
+  204: 'No Content',
+  304: 'Not Modified',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  404: 'Not Found',
+  422: 'Unprocessable Entity',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+};
+
+const MAX_DESCRIPTION_LENGTH = 10000;
+
+/** Host used for presigned upload and public image URLs. */
+const FAKE_ORIGIN = 'https://fake.archivist.local';
+
+export class FakeArchivist {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.seed] - initial records keyed by collection name
+   *   (campaigns, characters, items, locations, factions, sessions, quests,
+   *   journals, journalFolders, links, beats, moments)
+   * @param {number} [options.latencyMs=0] - artificial delay per request
+   * @param {string} [options.apiKey] - when set, other keys get a 401
+   * @param {boolean} [options.etags=false] - send ETags on GET responses and
+   *   answer a matching If-None-Match with 304
+   * @param {(messages:Array<{role:string,content:string}>)=>string} [options.answer]
+   *   - produces the /ask answer; defaults to echoing the last question
+   */
+  constructor({
+    seed = {},
+    latencyMs = 0,
+    apiKey = '',
+    answer = null,
+    etags = false,
+  } = {}) {
+    this.latencyMs = latencyMs;
+    this.apiKey = apiKey;
+    this.etags = etags;
+    this.answer =
+      answer ||
+      ((messages) => {
+        const last = [...(messages || [])]
+          .reverse()
+          .find((m) => m?.role === 'user');
+        return `You asked: ${last?.content ?? ''}`;
+      });
+    /** @type {Array<{method:string, path:string, body:any}>} */
+    this.requests = [];
+    this._faults = [];
+    this._nextId = 1;
+    this.reset(seed);
+    // Fetch-compatible function to hand to archivistApi.setTransport()
+    this.transport = (url, init) => this._handle(url, init);
+  }
+
+  /**
+   * Replace all stored data with the given seed.
+   * @param {object} [seed]
+   */
+  reset(seed = {}) {
+    this.db = {
+      campaigns: new Map(),
+      journalFolders: new Map(),
+      links: new Map(),
+      uploads: new Map(),
+    };
+    for (const name of RESOURCES) this.db[name] = new Map();
+    for (const [name, rows] of Object.entries(seed || {})) {
+      if (!this.db[name] || !Array.isArray(rows)) continue;
+      for (const row of rows) {
+        const rec = { ...row, id: row.id ?? this._id(name) };
+        this.db[name].set(String(rec.id), rec);
+      }
+    }
+    this.requests = [];
+  }
+
+  /**
+   * All records of a collection, for assertions.
+   * @param {string} name
+   * @returns {Array<object>}
+   */
+  all(name) {
+    return [...(this.db[name]?.values() || [])];
+  }
+
+  /**
+   * Fail upcoming matching requests.
+   * @param {object} fault
+   * @param {number} [fault.status] - HTTP status to return (429, 422, 500, ...)
+   * @param {boolean} [fault.network] - throw a fetch network error instead
+   * @param {string|Array} [fault.detail] - error detail body; an array of
+   *   { loc, msg, type } entries mimics a field-level 422
+   * @param {number} [fault.retryAfter] - Retry-After header (seconds) for 429
+   * @param {string} [fault.method] - only match this HTTP method
+   * @param {string|RegExp} [fault.path] - only match this path (without /v1)
+   * @param {number} [fault.times=1] - number of requests to fail
+   */
+  injectFault(fault) {
+    this._faults.push({ times: 1, ...fault });
+  }
+
+  /** Remove all pending injected faults. */
+  clearFaults() {
+    this._faults = [];
+  }
+
+  _id(prefix) {
+    return `${prefix.replace(/s$/, '')}-${this._nextId++}`;
+  }
+
+  async _handle(url, init = {}) {
+    const u = new URL(String(url), FAKE_ORIGIN);
+    const method = String(init.method || 'GET').toUpperCase();
+    const path = u.pathname.replace(/^\/v1(?=\/)/, '');
+    let body = null;
+    if (typeof init.body === 'string') {
+      try {
+        body = JSON.parse(init.body);
+      } catch (_) {
+        body = init.body;
+      }
+    } else if (init.body != null) {
+      body = init.body;
+    }
+    this.requests.push({ method, path: path + u.search, body });
+
+    if (this.latencyMs > 0) {
+      await new Promise((r) => setTimeout(r, this.latencyMs));
+    }
+    if (init.signal?.aborted) {
+      throw new DOMException('The operation was aborted.', 'AbortError');
+    }
+
+    const fault = this._takeFault(method, path);
+    if (fault) {
+      if (fault.network) throw new TypeError('Failed to fetch');
+      const headers = {};
+      if (fault.status === 429 && fault.retryAfter != null) {
+        headers['Retry-After'] = String(fault.retryAfter);
+      }
+      return this._json(
+        fault.status || 500,
+        { detail: fault.detail || STATUS_TEXT[fault.status] || 'Error' },
+        headers
+      );
+    }
+
+    // Presigned image uploads carry their own auth
+    if (path.startsWith('/uploads/') && method === 'PUT') {
+      this.db.uploads.set(decodeURIComponent(path.slice(9)), {
+        contentType: this._header(init, 'Content-Type'),
+        bytes: init.body,
+      });
+      return this._json(200, {});
+    }
+
+    // Health checks are unauthenticated
+    if (path === '/health' && method === 'GET') {
+      return this._json(200, {
+        status: 'ok',
+        version: 'fake',
+        environment: 'fake',
+      });
+    }
+
+    const key = this._header(init, 'x-api-key');
+    if (!key || (this.apiKey && key !== this.apiKey)) {
+      return this._json(401, { detail: 'Invalid API key' });
+    }
+
+    let response;
+    try {
+      response = this._route(method, path, u.searchParams, body);
+    } catch (e) {
+      return this._json(500, { detail: e?.message || String(e) });
+    }
+    if (this.etags && method === 'GET' && response.status === 200) {
+      return this._withEtag(response, this._header(init, 'If-None-Match'));
+    }
+    return response;
+  }
+
+  /**
+   * Tag a GET response with a hash of its body; 304 when the client has it.
+   */
+  async _withEtag(response, ifNoneMatch) {
+    const text = await response.text();
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    const etag = `"${(hash >>> 0).toString(16)}"`;
+    if (ifNoneMatch === etag) {
+      return new Response(null, {
+        status: 304,
+        statusText: STATUS_TEXT[304],
+        headers: { ETag: etag },
+      });
+    }
+    return new Response(text, {
+      status: 200,
+      statusText: STATUS_TEXT[200],
+      headers: { 'Content-Type': 'application/json', ETag: etag },
+    });
+  }
+
+  _takeFault(method, path) {
+    const idx = this._faults.findIndex(
+      (f) =>
+        (!f.method || f.method.toUpperCase() === method) &&
+        (!f.path ||
+          (f.path instanceof RegExp ? f.path.test(path) : path === f.path))
+    );
+    if (idx < 0) return null;
+    const fault = this._faults[idx];
+    fault.times -= 1;
+    if (fault.times <= 0) this._faults.splice(idx, 1);
+    return fault;
+  }
+
+  _header(init, name) {
+    const h = init?.headers || {};
+    if (typeof h.get === 'function') return h.get(name);
+    const found = Object.keys(h).find(
+      (k) => k.toLowerCase() === name.toLowerCase()
+    );
+    return found ? h[found] : null;
+  }
+
+  _route(method, path, query, body) {
+    const seg = path.split('/').filter(Boolean).map(decodeURIComponent);
+
+    if (seg[0] === 'ask' && method === 'POST') return this._ask(body);
+
+    if (seg[0] === 'campaigns')
+      return this._campaigns(method, seg, query, body);
+
+    if (seg[0] === 'journal-folders' && method === 'GET') {
+      const cid = query.get('campaign_id');
+      return this._json(200, {
+        data: this.all('journalFolders').filter(
+          (f) => !cid || f.campaign_id === cid
+        ),
+      });
+    }
+
+    // Journals update and delete without an id in the path
+    if (seg[0] === 'journals' && seg.length === 1) {
+      if (method === 'PUT') return this._update('journals', body?.id, body);
+      if (method === 'DELETE') return this._delete('journals', query.get('id'));
+    }
+
+    if (RESOURCES.includes(seg[0])) {
+      const name = seg[0];
+      const id = seg[1];
+      if (!id && method === 'GET') return this._list(name, query);
+      if (!id && method === 'POST') return this._create(name, body);
+      if (id && method === 'GET') return this._get(name, id);
+      if (id && method === 'PATCH') return this._update(name, id, body);
+      if (id && method === 'DELETE') return this._delete(name, id);
+    }
+
+    return this._json(404, { detail: `No route for ${method} ${path}` });
+  }
+
+  _campaigns(method, seg, query, body) {
+    const [, cid, sub, subId, action] = seg;
+    if (!cid) {
+      if (method === 'GET') {
+        return this._json(200, { data: this.all('campaigns') });
+      }
+      if (method === 'POST') return this._create('campaigns', body);
+    }
+    if (cid && !sub) {
+      if (method === 'GET') return this._get('campaigns', cid);
+      if (method === 'PATCH') return this._update('campaigns', cid, body);
+    }
+    if (!this.db.campaigns.has(cid)) {
+      return this._json(404, { detail: 'Campaign not found' });
+    }
+    if (sub === 'links') {
+      if (!subId && method === 'GET') {
+        const filters = [
+          'from_id',
+          'from_type',
+          'to_id',
+          'to_type',
+          'alias',
+        ].filter((key) => query.has(key));
+        const rows = this.all('links').filter(
+          (l) =>
+            l.campaign_id === cid &&
+            filters.every((key) => String(l[key]) === query.get(key))
+        );
+        return this._json(200, this._page(this._since(rows, query), query));
+      }
+      if (!subId && method === 'POST') {
+        return this._create('links', { ...body, campaign_id: cid });
+      }
+      if (subId && method === 'PATCH')
+        return this._update('links', subId, body);
+      if (subId && method === 'DELETE') return this._delete('links', subId);
+    }
+    if (sub === 'images' && method === 'POST') {
+      if (subId === 'init' && !action) return this._imageInit(cid, body);
+      if (subId === 'complete' && !action) return this._imageComplete(body);
+    }
+    return this._json(404, { detail: 'Not found' });
+  }
+
+  /** Apply the optional `updated_since` filter. */
+  _since(rows, query) {
+    const since = Date.parse(query.get('updated_since') || '');
+    if (!Number.isFinite(since)) return rows;
+    return rows.filter((r) => !(Date.parse(r.updated_at) < since));
+  }
+
+  _page(rows, query) {
+    const size = Math.max(1, Number(query.get('size')) || 100);
+    const page = Math.max(1, Number(query.get('page')) || 1);
+    const total = rows.length;
+    return {
+      data: rows.slice((page - 1) * size, page * size),
+      page,
+      size,
+      total,
+      pages: Math.max(1, Math.ceil(total / size)),
+    };
+  }
+
+  _list(name, query) {
+    const cid = query.get('campaign_id');
+    const sessionId = query.get('session_id');
+    const rows = this.all(name).filter(
+      (r) =>
+        (!cid || r.campaign_id === cid) &&
+        (!sessionId || r.session_id === sessionId)
+    );
+    return this._json(200, this._page(this._since(rows, query), query));
+  }
+
+  _get(name, id) {
+    const rec = this.db[name].get(String(id));
+    if (!rec) return this._json(404, { detail: 'Not found' });
+    return this._json(200, rec);
+  }
+
+  _validate(body) {
+    const desc = body?.description;
+    if (typeof desc === 'string' && desc.length > MAX_DESCRIPTION_LENGTH) {
+      return this._json(422, {
+        detail: [
+          {
+            loc: ['body', 'description'],
+            msg: `String should have at most ${MAX_DESCRIPTION_LENGTH} characters`,
+            type: 'string_too_long',
+          },
+        ],
+      });
+    }
+    return null;
+  }
+
+  _create(name, body) {
+    const invalid = this._validate(body);
+    if (invalid) return invalid;
+    const now = new Date().toISOString();
+    const { world_id: worldId, worldId: worldId2, ...rest } = body || {};
+    const rec = {
+      ...rest,
+      id: this._id(name),
+      created_at: now,
+      updated_at: now,
+    };
+    if (name !== 'campaigns') {
+      rec.campaign_id = rest.campaign_id ?? worldId ?? worldId2 ?? null;
+    }
+    this.db[name].set(rec.id, rec);
+    return this._json(201, rec);
+  }
+
+  _update(name, id, body) {
+    const rec = this.db[name].get(String(id));
+    if (!rec) return this._json(404, { detail: 'Not found' });
+    const invalid = this._validate(body);
+    if (invalid) return invalid;
+    // JSON Merge Patch semantics: null removes a field
+    for (const [k, v] of Object.entries(body || {})) {
+      if (k === 'id') continue;
+      if (v === null) delete rec[k];
+      else rec[k] = v;
+    }
+    rec.updated_at = new Date().toISOString();
+    return this._json(200, rec);
+  }
+
+  _delete(name, id) {
+    if (!this.db[name].delete(String(id))) {
+      return this._json(404, { detail: 'Not found' });
+    }
+    if (name !== 'links') {
+      for (const [lid, l] of this.db.links) {
+        if (l.from_id === id || l.to_id === id) this.db.links.delete(lid);
+      }
+    }
+    return new Response(null, { status: 204, statusText: STATUS_TEXT[204] });
+  }
+
+  _imageInit(cid, body) {
+    if (!IMAGE_TARGETS[body?.entity_type]) {
+      return this._json(422, { detail: 'Unsupported entity_type' });
+    }
+    const key = `${cid}/${body.entity_type}/${body.entity_id}/${body.file_name}`;
+    return this._json(200, {
+      object_key: key,
+      upload_url: `${FAKE_ORIGIN}/uploads/${encodeURIComponent(key)}`,
+      public_url: `${FAKE_ORIGIN}/images/${encodeURIComponent(key)}`,
+      expires_in_seconds: 900,
+    });
+  }
+
+  _imageComplete(body) {
+    const key = body?.object_key;
+    if (!key || !this.db.uploads.has(key)) {
+      return this._json(422, { detail: 'Upload not found' });
+    }
+    const url = `${FAKE_ORIGIN}/images/${encodeURIComponent(key)}`;
+    const rec = this.db[IMAGE_TARGETS[body.entity_type]]?.get(
+      String(body.entity_id)
+    );
+    const attached = body.attach !== false && !!rec;
+    if (attached) {
+      rec.image = url;
+      rec.updated_at = new Date().toISOString();
+    }
+    return this._json(200, { url, attached });
+  }
+
+  _ask(body) {
+    const text = String(this.answer(body?.messages || []) ?? '');
+    const headers = {
+      'X-Monthly-Remaining-Tokens': '100000',
+      'X-Hourly-Remaining-Tokens': '10000',
+    };
+    if (!body?.stream) return this._json(200, { answer: text }, headers);
+    const chunks = text.match(/\S+\s*/g) || [];
+    const encoder = new TextEncoder();
+    const stream = new ReadableStream({
+      pull(controller) {
+        const next = chunks.shift();
+        if (next === undefined) controller.close();
+        else controller.enqueue(encoder.encode(next));
+      },
+    });
+    return new Response(stream, {
+      status: 200,
+      statusText: STATUS_TEXT[200],
+      headers: { 'Content-Type': 'text/plain', ...headers },
+    });
+  }
+
+  _json(status, data, headers = {}) {
+    return new Response(JSON.stringify(data), {
+      status,
+      statusText: STATUS_TEXT[status] || '',
+      headers: { 'Content-Type': 'application/json', ...headers },
+    });
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Combines the page progress of several list calls that run side by side into
+ * one loaded/total count for a progress bar, and owns the AbortController that
+ * cancels them all.
+ *
+ * @example
+ * const progress = new FetchProgress((p) => render(p.loaded, p.total));
+ * const [chars, items] = await Promise.all([
+ *   archivistApi.listCharacters(apiKey, campaignId, progress.track('characters')),
+ *   archivistApi.listItems(apiKey, campaignId, progress.track('items')),
+ * ]);
+ * if (progress.cancelled) return;
+ */
+export class FetchProgress {
+  /**
+   * @param {(snapshot:{loaded:number, total:number, percent:number}) => void} [onChange]
+   */
+  constructor(onChange) {
+    this.onChange = onChange;
+    this._controller = new AbortController();
+    this._lists = new Map();
+  }
+
+  /** @returns {AbortSignal} */
+  get signal() {
+    return this._controller.signal;
+  }
+
+  /** True once cancel() was called. */
+  get cancelled() {
+    return this._controller.signal.aborted;
+  }
+
+  /**
+   * List options for one list call, reporting under `key`.
+   * @param {string} key
+   * @returns {import('./archivist-api.js').ListOptions}
+   */
+  track(key) {
+    return {
+      signal: this.signal,
+      onProgress: (page) => {
+        this._lists.set(key, page);
+        try {
+          this.onChange?.(this.snapshot);
+        } catch (_) {}
+      },
+    };
+  }
+
+  /** Abort every list call still fetching pages. */
+  cancel() {
+    this._controller.abort();
+  }
+
+  /**
+   * Rows loaded so far and the expected total. Lists that do not report a
+   * total count as complete with what they have loaded.
+   * @returns {{loaded:number, total:number, percent:number}}
+   */
+  get snapshot() {
+    let loaded = 0;
+    let total = 0;
+    for (const page of this._lists.values()) {
+      loaded += page.loaded;
+      total += Math.max(page.total ?? page.loaded, page.loaded);
+    }
+    const percent = total > 0 ? Math.round((loaded / total) * 100) : 0;
+    return { loaded, total, percent };
+  }
+}
@@ -0,0 +1,363 @@
+import { CONFIG } from '../modules/config.js';
+import { settingsManager } from '../modules/settings-manager.js';
+import { serializeResult, reviveResult } from './api-error.js';
+
+const SOCKET = `module.${CONFIG.MODULE_ID}`;
+// Time for connected GMs to answer a hello before duties are taken on
+const ELECTION_SETTLE_MS = 1500;
+const RELAY_TIMEOUT_MS = 30000;
+const CANCELLED = { success: false, cancelled: true, message: 'Cancelled' };
+
+/**
+ * Primary-GM election and request relay over the game socket.
+ *
+ * Every GM client announces itself with a `hello` when it is ready, saying
+ * whether it holds an Archivist API key; clients already connected answer
+ * with their own. The sync leader is the connected, announced GM that holds a
+ * key, then has the highest role (full GM before Assistant), ties broken by
+ * lowest user id — a rule every client evaluates to the same answer, so no
+ * vote is needed. When the leader disconnects the next GM in that order takes
+ * over. `archivistSyncLeaderChanged` fires with `{ leaderId, isLeader }`
+ * whenever leadership moves, and once after the initial hello round.
+ *
+ * The leader owns outbound sync (write queue, background pull). Other clients
+ * hand work to it with `send(kind, data)`; the leader runs the handler
+ * registered for `kind` and answers with its ApiResult, optionally streaming
+ * chunks before it (`onChunk`); aborting the caller's signal cancels the run
+ * on the leader. Requests pending when leadership moves are re-sent to the
+ * new leader, except streams, which fail so the caller can retry.
+ *
+ * Handlers authorize by the sender id Foundry's socket reports; messages
+ * whose `from` differs from it are dropped.
+ *
+ * Without a game socket (headless tests) the current GM leads.
+ */
+export class GmLeaderService {
+  constructor() {
+    /** @type {Set<string>} GM user ids that announced themselves */
+    this._gms = new Set();
+    /** @type {Set<string>} announced GMs that hold an API key */
+    this._keyed = new Set();
+    this._handlers = new Map();
+    this._pending = new Map();
+    /** @type {Map<string, AbortController>} requests run for other clients */
+    this._serving = new Map();
+    this._leaderId = null;
+    this._leaderKeyed = false;
+    this._settled = true;
+    this._initialized = false;
+  }
+
+  /**
+   * Join the election and start answering relayed requests. Call once on
+   * ready, on every client.
+   */
+  init() {
+    if (this._initialized || !game.socket) return;
+    this._initialized = true;
+    this._settled = false;
+    game.socket.on(SOCKET, (message, senderId) =>
+      this._onMessage(message, senderId)
+    );
+    Hooks.on('userConnected', (user, connected) => {
+      if (!connected) {
+        this._gms.delete(user?.id);
+        this._keyed.delete(user?.id);
+      }
+      this._elect();
+    });
+    this._hello();
+    setTimeout(() => {
+      this._settled = true;
+      this._elect({ announce: true });
+    }, ELECTION_SETTLE_MS);
+  }
+
+  /**
+   * Re-announce this client, e.g. after its API key changed, so every client
+   * re-evaluates the leader.
+   */
+  announce() {
+    if (!this._initialized) return;
+    this._hello(null, true);
+    this._elect();
+  }
+
+  /** User id of the sync leader, or null when no GM is connected. */
+  get leaderId() {
+    const candidates = [...this._gms]
+      .map((id) => game.users?.get?.(id))
+      .filter((u) => u?.isGM && u.active !== false);
+    if (game.user?.isGM && !candidates.some((u) => u.id === game.user.id)) {
+      candidates.push(game.users?.get?.(game.user.id) || game.user);
+    }
+    const keyed = (u) =>
+      u.id === game.user?.id ? this._hasKey() : this._keyed.has(u.id);
+    candidates.sort(
+      (a, b) =>
+        Number(keyed(b)) - Number(keyed(a)) ||
+        Number(b.role ?? 0) - Number(a.role ?? 0) ||
+        String(a.id).localeCompare(String(b.id))
+    );
+    return candidates[0]?.id ?? null;
+  }
+
+  /**
+   * Whether the sync leader can call Archivist. False when no GM is
+   * connected or none of them holds an API key.
+   */
+  get leaderHasKey() {
+    const leaderId = this.leaderId;
+    if (!leaderId) return false;
+    return leaderId === game.user?.id
+      ? this._hasKey()
+      : this._keyed.has(leaderId);
+  }
+
+  /**
+   * Whether this client owns outbound sync. False until the initial hello
+   * round settles, so a GM joining late does not briefly act as a second
+   * leader.
+   */
+  get isLeader() {
+    return this._settled && this.leaderId === game.user?.id;
+  }
+
+  /**
+   * Handle `kind` requests sent by other clients while this one leads. The
+   * context carries `emit(chunk)` for streamed requests and a `signal` that
+   * aborts when the caller cancels. `sender` is the socket-verified user id.
+   * @param {string} kind
+   * @param {(data:any, sender:string, ctx:{emit?:Function, signal:AbortSignal})
+   *   => Promise<object>} handler
+   */
+  handle(kind, handler) {
+    this._handlers.set(kind, handler);
+  }
+
+  /**
+   * Run a request on the leader: locally when this client leads, otherwise
+   * relayed over the socket.
+   * @param {string} kind - registered handler name
+   * @param {any} data - JSON-serializable payload
+   * @param {{timeoutMs?:number, onChunk?:Function, signal?:AbortSignal}}
+   *   [options] - `timeoutMs` counts from the last chunk when streaming
+   * @returns {Promise<object>} the handler's result, or a retryable failure
+   *   when no leader answers
+   */
+  async send(kind, data, options = {}) {
+    const { timeoutMs = RELAY_TIMEOUT_MS, onChunk, signal } = options;
+    const leaderId = this.leaderId;
+    if (!leaderId) {
+      return {
+        success: false,
+        retryable: true,
+        message: 'No GM is connected to sync with Archivist',
+      };
+    }
+    if (leaderId === game.user?.id) {
+      return this._run(kind, data, game.user.id, { emit: onChunk, signal });
+    }
+    if (signal?.aborted) return { ...CANCELLED };
+    return new Promise((resolve) => {
+      const id = foundry.utils.randomID();
+      const pending = { kind, data, options, resolve, to: leaderId };
+      pending.arm = () => {
+        clearTimeout(pending.timer);
+        pending.timer = setTimeout(
+          () =>
+            this._settle(id, {
+              success: false,
+              retryable: true,
+              message: 'The syncing GM did not respond',
+            }),
+          timeoutMs
+        );
+      };
+      signal?.addEventListener(
+        'abort',
+        () => {
+          if (!this._pending.has(id)) return;
+          this._emit({ type: 'cancel', id, to: pending.to });
+          this._settle(id, { ...CANCELLED });
+        },
+        { once: true }
+      );
+      this._pending.set(id, pending);
+      pending.arm();
+      this._emit({
+        type: 'request',
+        id,
+        kind,
+        data,
+        to: leaderId,
+        stream: !!onChunk,
+      });
+    });
+  }
+
+  _settle(id, result) {
+    const pending = this._pending.get(id);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    this._pending.delete(id);
+    pending.resolve(result);
+  }
+
+  async _run(kind, data, sender = game.user?.id, ctx = {}) {
+    const handler = this._handlers.get(kind);
+    if (!handler) {
+      return { success: false, message: `No handler for ${kind} requests` };
+    }
+    try {
+      return await handler(data, sender, {
+        emit: ctx.emit,
+        signal: ctx.signal || new AbortController().signal,
+      });
+    } catch (e) {
+      if (ctx.signal?.aborted) return { ...CANCELLED };
+      console.warn(`[Archivist Sync] Relayed ${kind} request failed`, e);
+      return { success: false, message: e?.message || String(e) };
+    }
+  }
+
+  _hasKey() {
+    try {
+      return !!settingsManager.getApiKey();
+    } catch (_) {
+      return false;
+    }
+  }
+
+  _hello(to = null, reply = !!to) {
+    if (game.user?.isGM) this._gms.add(game.user.id);
+    this._emit({
+      type: 'hello',
+      gm: !!game.user?.isGM,
+      keyed: !!game.user?.isGM && this._hasKey(),
+      to,
+      reply,
+    });
+  }
+
+  _emit(message) {
+    try {
+      game.socket?.emit(SOCKET, { ...message, from: game.user?.id });
+    } catch (e) {
+      console.warn('[Archivist Sync] Socket emit failed', e);
+    }
+  }
+
+  /**
+   * @param {object} message
+   * @param {string} senderId - user id Foundry's socket reports for the
+   *   emitter; `message.from` is written by the client and only trusted when
+   *   it matches
+   */
+  async _onMessage(message, senderId) {
+    if (!message || !senderId || message.from !== senderId) return;
+    if (message.from === game.user?.id) return;
+    if (message.to && message.to !== game.user?.id) return;
+    switch (message.type) {
+      case 'hello':
+        if (message.gm) this._gms.add(message.from);
+        if (message.gm && message.keyed) this._keyed.add(message.from);
+        else this._keyed.delete(message.from);
+        if (!message.reply && game.user?.isGM) this._hello(message.from);
+        this._elect();
+        break;
+      case 'request': {
+        const { id, from } = message;
+        const controller = new AbortController();
+        this._serving.set(`${from}:${id}`, controller);
+        const emit = message.stream
+          ? (chunk) => this._emit({ type: 'chunk', id, to: from, chunk })
+          : undefined;
+        let result;
+        try {
+          result = await this._run(message.kind, message.data, from, {
+            emit,
+            signal: controller.signal,
+          });
+        } finally {
+          this._serving.delete(`${from}:${id}`);
+        }
+        if (controller.signal.aborted) break;
+        this._emit({
+          type: 'response',
+          id,
+          to: from,
+          result: serializeResult(result),
+        });
+        break;
+      }
+      case 'chunk': {
+        const pending = this._pending.get(message.id);
+        if (!pending) break;
+        pending.arm();
+        try {
+          pending.options.onChunk?.(message.chunk);
+        } catch (e) {
+          console.warn('[Archivist Sync] Relayed chunk handler failed', e);
+        }
+        break;
+      }
+      case 'cancel':
+        this._serving.get(`${message.from}:${message.id}`)?.abort();
+        break;
+      case 'response':
+        this._settle(message.id, reviveResult(message.result));
+        break;
+    }
+  }
+
+  /**
+   * Re-evaluate the leader; announce a change (of leader, or of whether it
+   * holds a key) and move pending requests to the new leader.
+   * @param {{announce?:boolean}} [options] - fire the hook even if unchanged
+   */
+  _elect({ announce = false } = {}) {
+    if (!this._settled) return;
+    const leaderId = this.leaderId;
+    const changed = leaderId !== this._leaderId;
+    const keyChanged = this.leaderHasKey !== this._leaderKeyed;
+    this._leaderId = leaderId;
+    this._leaderKeyed = this.leaderHasKey;
+    if (changed) this._reroute();
+    if (!changed && !keyChanged && !announce) return;
+    if (changed) {
+      console.log(
+        `[Archivist Sync] Sync leader: ${game.users?.get?.(leaderId)?.name || leaderId || 'none'}`
+      );
+    }
+    try {
+      Hooks.callAll('archivistSyncLeaderChanged', {
+        leaderId,
+        isLeader: this.isLeader,
+      });
+    } catch (_) {}
+  }
+
+  _reroute() {
+    for (const [id, pending] of this._pending) {
+      if (pending.to === this._leaderId) continue;
+      if (pending.options.onChunk) {
+        // Part of the stream may already be shown; do not replay it
+        this._settle(id, {
+          success: false,
+          retryable: true,
+          message: 'The syncing GM disconnected',
+        });
+        continue;
+      }
+      clearTimeout(pending.timer);
+      this._pending.delete(id);
+      this.send(pending.kind, pending.data, pending.options).then(
+        pending.resolve
+      );
+    }
+  }
+}
+
+// Create singleton instance
+export const gmLeader = new GmLeaderService();
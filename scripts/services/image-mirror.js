@@ -0,0 +1,176 @@
+import { CONFIG } from '../modules/config.js';
+import { settingsManager } from '../modules/settings-manager.js';
+
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg',
+  'image/avif': 'avif',
+};
+
+/** Whether an image path points at a remote server. */
+const isRemote = (src) => /^https?:\/\//i.test(String(src || '').trim());
+
+/** Content-addressed file name, so the same image is stored once. */
+async function fileNameFor(url, blob) {
+  const digest = await crypto.subtle.digest(
+    'SHA-256',
+    await blob.arrayBuffer()
+  );
+  const hash = [...new Uint8Array(digest)]
+    .slice(0, 12)
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+  const fromUrl = new URL(url).pathname.match(/\.([a-z0-9]{2,5})$/i)?.[1];
+  const ext = EXTENSIONS[blob.type] || fromUrl?.toLowerCase() || 'png';
+  return `${hash}.${ext}`;
+}
+
+/**
+ * Local copies of Archivist images.
+ *
+ * With **Mirror Archivist Images Locally** on, imports (Sync dialog, setup
+ * wizard reconcile) and remote image changes download the entity image into
+ * the configured folder of the world's data directory via
+ * `FilePicker.upload`, and Foundry documents point at the local copy. The
+ * Archivist URL stays in the sheet's `archivist.image` flag, which is what
+ * change detection compares against.
+ *
+ * Mirrored files are mapped by remote URL in the `imageMirrors` world
+ * setting, so re-syncs reuse the copy, and named by content hash, so the
+ * same image behind two URLs is stored once. Downloads that fail (e.g. the
+ * CDN refuses cross-origin requests) keep the remote URL.
+ */
+export class ImageMirrorService {
+  /**
+   * @param {{download?:(url:string)=>Promise<Blob>, store?:(dir:string, file:File)=>Promise<string>}} [options]
+   *   tests pass their own transfer functions
+   */
+  constructor({ download, store } = {}) {
+    this._download = download || ImageMirrorService.download;
+    this._store = store || ImageMirrorService.store;
+    /** @type {Map<string, Promise<string>>} downloads in progress by URL */
+    this._inflight = new Map();
+  }
+
+  static async download(url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Could not download ${url} (${res.status})`);
+    return res.blob();
+  }
+
+  /** Upload a file into the world data directory; returns its path. */
+  static async store(dir, file) {
+    const FP =
+      foundry.applications?.apps?.FilePicker?.implementation ||
+      globalThis.FilePicker;
+    // Create each level of the target folder; existing ones throw
+    let path = '';
+    for (const part of dir.split('/')) {
+      path = path ? `${path}/${part}` : part;
+      try {
+        await FP.createDirectory('data', path, { notify: false });
+      } catch (_) {}
+    }
+    const res = await FP.upload('data', dir, file, {}, { notify: false });
+    if (!res?.path) throw new Error(`Could not store ${file.name} in ${dir}`);
+    return res.path;
+  }
+
+  get enabled() {
+    return settingsManager.isImageMirrorEnabled();
+  }
+
+  /** Data-directory folder that receives the copies. */
+  get folder() {
+    const sub = settingsManager.getImageMirrorFolder();
+    return `worlds/${game.world?.id}/${sub}`;
+  }
+
+  /**
+   * Whether a Foundry image path is a local copy of an Archivist image.
+   * @param {string} src
+   */
+  isMirror(src) {
+    const path = String(src || '').trim();
+    return (
+      !!path && Object.values(settingsManager.getImageMirrors()).includes(path)
+    );
+  }
+
+  /**
+   * Path Foundry documents should use for an Archivist image: the local copy
+   * when mirroring is on (downloading it on first use), else the URL.
+   * @param {string} url - Archivist image URL
+   * @returns {Promise<string>}
+   */
+  async localize(url) {
+    const remote = String(url || '').trim();
+    if (!this.enabled || !isRemote(remote)) return remote;
+    const known = settingsManager.getImageMirrors()[remote];
+    if (known) return known;
+    if (!this._inflight.has(remote)) {
+      this._inflight.set(
+        remote,
+        this._mirror(remote).finally(() => this._inflight.delete(remote))
+      );
+    }
+    return this._inflight.get(remote);
+  }
+
+  /**
+   * Point Archivist sheets, Actors and Items that still use remote image URLs
+   * at local copies. Runs when mirroring is switched on.
+   * @returns {Promise<number>} number of documents updated
+   */
+  async mirrorWorld() {
+    if (!this.enabled) return 0;
+    const docs = [
+      ...(game.journal?.contents || []).filter(
+        (j) => j.getFlag(CONFIG.MODULE_ID, 'archivist')?.sheetType
+      ),
+      ...[
+        ...(game.actors?.contents || []),
+        ...(game.items?.contents || []),
+      ].filter((d) => d.getFlag(CONFIG.MODULE_ID, 'archivistId')),
+    ];
+    let updated = 0;
+    for (const doc of docs) {
+      if (!isRemote(doc.img)) continue;
+      const local = await this.localize(doc.img);
+      if (local === doc.img) continue;
+      try {
+        await doc.update(
+          { img: local, [`flags.${CONFIG.MODULE_ID}.op`]: 'imageMirror' },
+          { render: false }
+        );
+        updated++;
+      } catch (e) {
+        console.warn('[Archivist Sync] Failed to use local image copy', e);
+      }
+    }
+    return updated;
+  }
+
+  async _mirror(remote) {
+    try {
+      const blob = await this._download(remote);
+      const name = await fileNameFor(remote, blob);
+      const file = new File([blob], name, { type: blob.type });
+      const path = await this._store(this.folder, file);
+      await settingsManager.setImageMirrors({
+        ...settingsManager.getImageMirrors(),
+        [remote]: path,
+      });
+      return path;
+    } catch (e) {
+      console.warn(`[Archivist Sync] Could not mirror image ${remote}`, e);
+      return remote;
+    }
+  }
+}
+
+// Create singleton instance
+export const imageMirror = new ImageMirrorService();
@@ -0,0 +1,153 @@
+import { CONFIG } from '../modules/config.js';
+import { settingsManager } from '../modules/settings-manager.js';
+import { archivistApi } from './archivist-api.js';
+import { apiFailure } from './api-error.js';
+import { imageMirror } from './image-mirror.js';
+
+// Uploads are user edits; let them overtake bulk imports
+const api = archivistApi.withPriority('interactive');
+
+/** Entity types with image support → API method that sets the image URL. */
+const IMAGE_METHODS = {
+  character: 'updateCharacter',
+  item: 'updateItem',
+  location: 'updateLocation',
+  faction: 'updateFaction',
+};
+
+/**
+ * Whether a Foundry image path is served by Foundry itself (e.g.
+ * `worlds/x/portrait.webp`) and has to be uploaded for Archivist to see it.
+ * @param {string} src
+ * @returns {boolean}
+ */
+export function isLocalImage(src) {
+  const s = String(src || '').trim();
+  return !!s && !/^(https?:|blob:)/i.test(s);
+}
+
+/** Hex SHA-256 of the image bytes. */
+async function contentHash(blob) {
+  const digest = await crypto.subtle.digest(
+    'SHA-256',
+    await blob.arrayBuffer()
+  );
+  return [...new Uint8Array(digest)]
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Uploads local Foundry images to Archivist for Real-Time Sync.
+ *
+ * Image changes are queued as `image` operations in the write queue, so they
+ * run on the sync leader, wait for a pending create of the same entity and
+ * are replayed after an outage. Running one reads the file from Foundry,
+ * hashes it and sends it through the init → PUT → complete flow
+ * (`uploadEntityImage`).
+ *
+ * Uploads are deduplicated by content hash: an entity whose image has the
+ * same hash as its last upload is skipped, and a file already uploaded for
+ * another entity is attached by its Archivist URL instead of being sent
+ * again. The last upload is kept in the document's `imageUpload` flag
+ * ({ hash, url }); URLs by hash are kept in the `imageUploads` world setting.
+ */
+export class ImageUploadService {
+  /**
+   * @param {{readFile?:(src:string)=>Promise<Blob>}} [options] - reads a
+   *   Foundry-served file; tests pass their own
+   */
+  constructor({ readFile } = {}) {
+    this._readFile = readFile || ImageUploadService.fetchFile;
+  }
+
+  /** Read a file served by Foundry. */
+  static async fetchFile(src) {
+    const res = await fetch(src);
+    if (!res.ok) {
+      throw new Error(`Could not read ${src} (HTTP ${res.status})`);
+    }
+    return res.blob();
+  }
+
+  /**
+   * Whether an image change on this entity type should be uploaded.
+   * @param {string} type - write-queue entity type
+   * @param {string} src - Foundry image path
+   */
+  accepts(type, src) {
+    // Local copies of Archivist images are already in Archivist
+    return (
+      !!IMAGE_METHODS[type] && isLocalImage(src) && !imageMirror.isMirror(src)
+    );
+  }
+
+  /**
+   * Run a queued `image` operation: upload the file unless it is already
+   * known to Archivist.
+   * @param {string} apiKey
+   * @param {{type:string, targetId:string, docUuid?:string, src:string}} op
+   * @returns {Promise<{success:boolean, url?:string, skipped?:boolean, message?:string}>}
+   */
+  async upload(apiKey, { type, targetId, docUuid, src }) {
+    const campaignId = settingsManager.getSelectedWorldId();
+    if (!campaignId) return { success: false, message: 'No world selected' };
+    let blob;
+    let hash;
+    try {
+      blob = await this._readFile(src);
+      hash = await contentHash(blob);
+    } catch (e) {
+      return { success: false, message: e?.message || String(e) };
+    }
+    const doc = docUuid ? await fromUuid(docUuid) : null;
+    const last = doc?.getFlag?.(CONFIG.MODULE_ID, 'imageUpload');
+    if (last?.hash === hash) {
+      return { success: true, skipped: true, url: last.url };
+    }
+
+    let res;
+    const known = settingsManager.getImageUploads()[hash];
+    if (known) {
+      try {
+        res = await api[IMAGE_METHODS[type]](apiKey, targetId, {
+          image: known,
+        });
+      } catch (e) {
+        res = apiFailure(e, `Failed to set ${type} image`);
+      }
+      if (res?.success) res = { success: true, url: known };
+    } else {
+      res = await api.uploadEntityImage(apiKey, campaignId, {
+        entityType: type,
+        entityId: targetId,
+        fileName: String(src).split('/').pop() || 'image',
+        contentType: blob.type || 'image/png',
+        bytes: blob,
+      });
+    }
+    if (res?.success && res.url) await this._remember(doc, hash, res.url);
+    return res;
+  }
+
+  async _remember(doc, hash, url) {
+    try {
+      await doc?.update?.(
+        {
+          [`flags.${CONFIG.MODULE_ID}.imageUpload`]: { hash, url },
+          [`flags.${CONFIG.MODULE_ID}.op`]: 'imageUpload',
+        },
+        { render: false }
+      );
+      const uploads = settingsManager.getImageUploads();
+      if (uploads[hash] !== url) {
+        await settingsManager.setImageUploads({ ...uploads, [hash]: url });
+      }
+    } catch (e) {
+      console.warn('[Archivist Sync] Failed to record image upload', e);
+    }
+  }
+}
+
+// Create singleton instance
+export const imageUploader = new ImageUploadService();
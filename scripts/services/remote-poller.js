@@ -0,0 +1,271 @@
+import { CONFIG } from '../modules/config.js';
+import { settingsManager } from '../modules/settings-manager.js';
+import { Utils } from '../modules/utils.js';
+import { SyncDialog } from '../dialogs/sync-dialog.js';
+import { remoteVersion } from './remote-version.js';
+import { writeQueue } from './write-queue.js';
+import { writeCoalescer } from './write-coalescer.js';
+import { syncState, SYNC_STATES } from './sync-state.js';
+import { gmLeader } from './gm-leader.js';
+import { syncPolicy, SYNC_DIRECTIONS } from './sync-policy.js';
+
+// Polls that find nothing double the delay, up to this factor
+const IDLE_BACKOFF_MAX = 8;
+// Names listed in a notification before "and N more"
+const SUMMARY_NAMES = 3;
+// Sync states that mean the sheet has local work Archivist does not have
+const UNSENT_STATES = [
+  SYNC_STATES.PENDING,
+  SYNC_STATES.FAILED,
+  SYNC_STATES.CONFLICT,
+];
+
+/** Sync dialog diff types → write-queue entity types. */
+const WRITE_TYPES = {
+  Character: 'character',
+  Item: 'item',
+  Location: 'location',
+  Faction: 'faction',
+  Session: 'session',
+  Journal: 'journal',
+  Quest: 'quest',
+};
+
+const CHANGE_LABELS = {
+  name: 'name',
+  description: 'description',
+  image: 'image',
+  sessionDate: 'session date',
+  questData: 'quest',
+  links: 'links',
+};
+
+/**
+ * "Ann (name, description), Bo (links) and 2 more"
+ * @param {Array<object>} diffs
+ * @param {boolean} [withChanges]
+ */
+function summarize(diffs, withChanges = true) {
+  const names = diffs.slice(0, SUMMARY_NAMES).map((d) => {
+    const fields = Object.keys(d.changes || {}).map(
+      (k) => CHANGE_LABELS[k] || k
+    );
+    return withChanges && fields.length
+      ? `${d.name} (${fields.join(', ')})`
+      : d.name;
+  });
+  const more = diffs.length - names.length;
+  return more > 0 ? `${names.join(', ')} and ${more} more` : names.join(', ');
+}
+
+/**
+ * Background pull loop: brings remote Archivist edits into Foundry without a
+ * manual Sync.
+ *
+ * Runs on the sync leader's client (see GmLeaderService) while the
+ * `autoPullEnabled` setting is on. Each poll loads the same comparison as the
+ * Sync dialog (delta fetch via `SyncDialog._loadModel`, sharing its sync
+ * cursor) and applies the diffs that cannot overwrite local work. A diff is held for review instead when
+ * the entity has a queued or conflicted write, its name or description was
+ * edited in Foundry since the last sync, or Archivist deleted it; the GM
+ * resolves those in the Sync dialog, where they are still listed.
+ *
+ * Polls that find nothing back off up to IDLE_BACKOFF_MAX times the
+ * configured interval. Every poll with news fires `archivistSyncRemotePull`
+ * with `{ applied, review }` and shows a summary notification.
+ */
+export class RemotePoller {
+  constructor() {
+    this._timer = null;
+    this._polling = null;
+    this._started = false;
+    this._idlePolls = 0;
+    /** @type {Map<string, object>} diffs held for review, by journal id */
+    this.review = new Map();
+  }
+
+  /**
+   * Start polling when enabled on the sync leader; otherwise stop. Safe to
+   * call again after a settings change.
+   */
+  start() {
+    this.stop();
+    if (!settingsManager.isAutoPullEnabled?.() || !gmLeader.isLeader) return;
+    this._started = true;
+    this._idlePolls = 0;
+    this._schedule();
+  }
+
+  stop() {
+    this._started = false;
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  /** Delay before the next poll, including idle backoff. */
+  get delayMs() {
+    const factor = Math.min(IDLE_BACKOFF_MAX, 2 ** this._idlePolls);
+    return settingsManager.getAutoPullInterval() * 1000 * factor;
+  }
+
+  _schedule() {
+    if (!this._started || this._timer) return;
+    this._timer = setTimeout(async () => {
+      this._timer = null;
+      try {
+        await this.poll();
+      } catch (e) {
+        console.warn('[Archivist Sync] Background pull failed', e);
+      }
+      this._schedule();
+    }, this.delayMs);
+  }
+
+  /**
+   * Check Archivist once and apply what is safe to apply.
+   * @returns {Promise<{applied:Array<object>, review:Array<object>}|null>}
+   *   null when the poll was skipped
+   */
+  async poll() {
+    if (this._polling) return this._polling;
+    this._polling = this._poll().finally(() => {
+      this._polling = null;
+    });
+    return this._polling;
+  }
+
+  async _poll() {
+    if (!gmLeader.isLeader || !settingsManager.isWorldSelected?.()) return null;
+    // The GM is reviewing changes by hand; let the dialog own the cursor
+    if (foundry.applications?.instances?.get?.('archivist-sync-dialog')) {
+      return null;
+    }
+    const dialog = new SyncDialog();
+    await dialog._loadModel(true);
+    const apply = [];
+    const review = [];
+    for (const d of dialog.model.diffs) {
+      (this._needsReview(d) ? review : apply).push(d);
+    }
+
+    const applied = [];
+    if (apply.length) {
+      settingsManager.suppressRealtimeSync?.();
+      try {
+        for (const d of apply) {
+          try {
+            await dialog._applyDiff(d);
+            applied.push(d);
+          } catch (e) {
+            console.warn(
+              '[Archivist Sync] Failed to apply pulled change',
+              d,
+              e
+            );
+          }
+        }
+        await Utils.resolveWikilinksInWorld(dialog._archivistRows || []);
+      } catch (e) {
+        console.warn('[Archivist Sync] Wikilink resolution failed', e);
+      } finally {
+        settingsManager.resumeRealtimeSync?.();
+      }
+    }
+
+    // Announce each held change once per remote revision
+    const fresh = review.filter(
+      (d) => this.review.get(d.journalId)?.updatedAt !== d.updatedAt
+    );
+    this.review = new Map(review.map((d) => [d.journalId, d]));
+
+    if (applied.length || fresh.length) this._idlePolls = 0;
+    else this._idlePolls += 1;
+    if (applied.length || fresh.length) this._notify(applied, fresh);
+    return { applied, review };
+  }
+
+  /**
+   * Whether a remote change could overwrite local work and must be reviewed:
+   * the entity has a write queued, waiting in the debounce, held as a
+   * conflict or rejected by Archivist, or the sheet was edited locally.
+   * @param {object} d - Sync dialog diff row
+   * @returns {boolean}
+   */
+  _needsReview(d) {
+    if (d.deleted) return true;
+    const type = WRITE_TYPES[d.type];
+    const sameEntity = (op) =>
+      op?.type === type && String(op.targetId) === String(d.id);
+    if (
+      writeQueue.pending.some(sameEntity) ||
+      writeQueue.conflicts.some((c) => sameEntity(c.op)) ||
+      writeCoalescer.has({ type, targetId: d.id })
+    ) {
+      return true;
+    }
+    const j = game.journal?.get?.(d.journalId);
+    if (UNSENT_STATES.includes(syncState.get(j)?.status)) return true;
+    return this._editedLocally(d);
+  }
+
+  /**
+   * Whether the journal's name or description (where the diff touches them)
+   * moved away from the version last synced with Archivist. Without a synced
+   * version there is nothing to compare against, so such a change is held.
+   * Fields the sync policy makes Archivist authoritative are overwritten
+   * regardless.
+   * @param {object} d
+   * @returns {boolean}
+   */
+  _editedLocally(d) {
+    const j = game.journal?.get?.(d.journalId);
+    if (!j) return false;
+    const type = WRITE_TYPES[d.type];
+    const guarded = (field) =>
+      syncPolicy.get(type, field) !== SYNC_DIRECTIONS.ARCHIVIST;
+    const base = remoteVersion.get(j)?.base;
+    if (!base) {
+      return (
+        (!!d.changes?.name && guarded('name')) ||
+        (!!d.changes?.description && guarded('description'))
+      );
+    }
+    if (d.changes?.name && guarded('name')) {
+      const synced = String(base.character_name ?? base.name ?? '').trim();
+      if (String(j.name || '').trim() !== synced) return true;
+    }
+    if (
+      d.changes?.description &&
+      guarded('description') &&
+      base.description != null
+    ) {
+      const asText = (html) =>
+        SyncDialog.prototype._normalizeTextForComparison(
+          Utils.toMarkdownIfHtml(html)
+        );
+      const local = asText(d.changes.description.from);
+      const synced = asText(Utils.markdownToStoredHtml(base.description));
+      if (local !== synced) return true;
+    }
+    return false;
+  }
+
+  _notify(applied, review) {
+    if (applied.length) {
+      ui.notifications?.info?.(
+        `${CONFIG.MODULE_TITLE}: pulled changes to ${summarize(applied)}.`
+      );
+    }
+    if (review.length) {
+      ui.notifications?.warn?.(
+        `${CONFIG.MODULE_TITLE}: ${review.length} remote change${review.length !== 1 ? 's' : ''} need review in Sync with Archivist: ${summarize(review, false)}.`
+      );
+    }
+    try {
+      Hooks.callAll('archivistSyncRemotePull', { applied, review });
+    } catch (_) {}
+  }
+}
+
+// Create singleton instance
+export const remotePoller = new RemotePoller();
@@ -0,0 +1,260 @@
+import { CONFIG } from '../modules/config.js';
+import { settingsManager } from '../modules/settings-manager.js';
+import { Utils } from '../modules/utils.js';
+import { mergeText } from '../modules/merge/three-way-merge.js';
+import { archivistApi } from './archivist-api.js';
+
+// Checks run right before a user's PATCH; keep them in the interactive lane
+const api = archivistApi.withPriority('interactive');
+
+/** Text fields guarded against lost updates, per write-queue entity type. */
+const TRACKED_FIELDS = {
+  character: ['character_name', 'description'],
+  item: ['name', 'description'],
+  location: ['name', 'description'],
+  faction: ['name', 'description'],
+};
+
+const GETTERS = {
+  character: 'getCharacter',
+  item: 'getItem',
+  location: 'getLocation',
+  faction: 'getFaction',
+};
+
+const normalize = (value) =>
+  String(value ?? '')
+    .replace(/\r\n?/g, '\n')
+    .trim();
+
+function hashText(text) {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * Optimistic concurrency for real-time sync.
+ *
+ * Every time a Foundry document is filled from Archivist (setup wizard, Sync
+ * dialog) or written to it, the remote version is stored in the document's
+ * `remoteVersion` flag: the entity's `updated_at`, a hash of its tracked text
+ * fields, and those fields themselves as the base for a three-way merge.
+ * Pulls that find a document already matching Archivist (Sync dialog load,
+ * background poll, ReconcileService) record the version too (`observe`), so
+ * sheets linked before versions were kept get a base.
+ *
+ * Before a PATCH the write queue fetches the entity again. When it moved on
+ * and changed a field the PATCH would overwrite, the write is held as a
+ * conflict instead of clobbering the remote edit (see ConflictDialog).
+ *
+ * Flag shape: { updatedAt: string|null, hash: string, base: {field: text} }
+ */
+export class RemoteVersionService {
+  /**
+   * @param {string} type - write-queue entity type ('character', 'item', ...)
+   * @returns {boolean}
+   */
+  tracks(type) {
+    return !!TRACKED_FIELDS[type];
+  }
+
+  /**
+   * Version of an Archivist entity, or null for untracked types.
+   * @param {string} type
+   * @param {object} entity - API row
+   * @returns {{updatedAt:string|null, hash:string, base:Object<string,string>}|null}
+   */
+  fingerprint(type, entity) {
+    const fields = TRACKED_FIELDS[type];
+    if (!fields || !entity) return null;
+    const base = Object.fromEntries(
+      fields.map((field) => [field, normalize(entity[field])])
+    );
+    return {
+      updatedAt: entity.updated_at || null,
+      hash: hashText(JSON.stringify(base)),
+      base,
+    };
+  }
+
+  /**
+   * Stored version of a document, if it was ever synced.
+   * @param {ClientDocument} doc
+   */
+  get(doc) {
+    return doc?.getFlag?.(CONFIG.MODULE_ID, 'remoteVersion') || null;
+  }
+
+  /**
+   * Remember an entity's version on the document it was pulled into (or
+   * pushed from). Carries the op marker so real-time hooks ignore it.
+   * @param {ClientDocument} doc
+   * @param {string} type
+   * @param {object} entity
+   */
+  async record(doc, type, entity) {
+    await this.store(doc, this.fingerprint(type, entity));
+  }
+
+  /**
+   * Record a pulled entity's version when the document holds the same
+   * tracked text. A document that differs keeps its stored version: it has
+   * edits Archivist does not have, or Archivist moved on without it.
+   * @param {ClientDocument} doc
+   * @param {string} type
+   * @param {object} entity - API row
+   */
+  async observe(doc, type, entity) {
+    const version = this.fingerprint(type, entity);
+    const stored = this.get(doc);
+    if (!version || !doc) return;
+    if (
+      stored?.hash === version.hash &&
+      stored?.updatedAt === version.updatedAt
+    ) {
+      return;
+    }
+    if (this._matches(doc, type, version.base)) await this.store(doc, version);
+  }
+
+  /** Whether the document's name and description equal the given base. */
+  _matches(doc, type, base) {
+    const nameField = TRACKED_FIELDS[type][0];
+    if (normalize(doc.name) !== base[nameField]) return false;
+    let html = null;
+    if (doc.documentName === 'JournalEntry') {
+      const pages = doc.pages?.contents || [];
+      html = Utils.extractPageHtml(pages.find((p) => p.type === 'text'));
+    } else if (doc.documentName === 'JournalEntryPage') {
+      html = Utils.extractPageHtml(doc);
+    } else if (doc.documentName === 'Item') {
+      html = doc.system?.description?.value;
+    }
+    if (html == null) return false;
+    const asText = (h) => normalize(Utils.toMarkdownIfHtml(h || ''));
+    return (
+      asText(html) === asText(Utils.markdownToStoredHtml(base.description))
+    );
+  }
+
+  /**
+   * @param {ClientDocument} doc
+   * @param {object|null} version - from fingerprint()
+   */
+  async store(doc, version) {
+    if (!version || typeof doc?.update !== 'function') return;
+    try {
+      await doc.update(
+        {
+          [`flags.${CONFIG.MODULE_ID}.remoteVersion`]: version,
+          [`flags.${CONFIG.MODULE_ID}.op`]: 'remoteVersion',
+        },
+        { render: false }
+      );
+    } catch (e) {
+      console.warn('[Archivist Sync] Failed to record remote version', e);
+    }
+  }
+
+  /**
+   * Compare a pending PATCH with the current remote copy.
+   * @param {string} apiKey
+   * @param {string} type
+   * @param {string} id - Archivist id
+   * @param {ClientDocument} doc - document holding the stored version
+   * @param {object} payload - fields about to be sent
+   * @returns {Promise<{conflicts:Array<FieldConflict>, remote?:object, failure?:object}>}
+   *   `failure` is the ApiResult of a failed lookup
+   */
+  async check(apiKey, type, id, doc, payload) {
+    const stored = this.get(doc);
+    if (!this.tracks(type) || !stored?.base) return { conflicts: [] };
+    const res = await api[GETTERS[type]](apiKey, id);
+    if (!res?.success) return { conflicts: [], failure: res };
+    const current = this.fingerprint(type, res.data);
+    const moved =
+      stored.updatedAt && current.updatedAt
+        ? stored.updatedAt !== current.updatedAt
+        : stored.hash !== current.hash;
+    if (!moved) return { conflicts: [], remote: res.data };
+    return {
+      conflicts: this.conflictsFor(type, stored.base, current.base, payload),
+      remote: res.data,
+    };
+  }
+
+  /**
+   * @typedef {object} FieldConflict
+   * @property {string} field - API field name
+   * @property {string} base - last synced value
+   * @property {string} mine - value in the pending PATCH
+   * @property {string} theirs - current remote value
+   * @property {string} merged - three-way merge, with conflict markers when
+   *   both sides changed the same lines
+   * @property {boolean} clean - merged has no conflict markers
+   */
+
+  /**
+   * Fields of `payload` that were also changed remotely since `base`.
+   * @param {string} type
+   * @param {Object<string,string>} base
+   * @param {Object<string,string>} theirs - current remote values
+   * @param {object} payload
+   * @returns {FieldConflict[]}
+   */
+  conflictsFor(type, base, theirs, payload) {
+    const out = [];
+    for (const field of TRACKED_FIELDS[type] || []) {
+      if (!Object.prototype.hasOwnProperty.call(payload || {}, field)) continue;
+      const mine = normalize(payload[field]);
+      const was = normalize(base?.[field]);
+      const now = normalize(theirs?.[field]);
+      // Remote untouched, or both sides made the same edit
+      if (now === was || now === mine) continue;
+      const merge = mergeText(was, mine, now);
+      out.push({
+        field,
+        base: was,
+        mine,
+        theirs: now,
+        merged: merge.text,
+        clean: merge.conflicts === 0,
+      });
+    }
+    return out;
+  }
+
+  /**
+   * Write resolved field values (Archivist Markdown) into the Foundry
+   * document without triggering real-time sync.
+   * @param {ClientDocument} doc - JournalEntry, JournalEntryPage or Item
+   * @param {string} type
+   * @param {Object<string,string>} values - API field → value
+   */
+  async applyLocally(doc, type, values) {
+    const nameField = TRACKED_FIELDS[type]?.[0];
+    const name = values?.[nameField];
+    const description = values?.description;
+    settingsManager.suppressRealtimeSync?.();
+    try {
+      if (name != null && name !== doc.name) await doc.update({ name });
+      if (description == null) return;
+      const html = Utils.markdownToStoredHtml(String(description));
+      if (doc.documentName === 'JournalEntry') {
+        await Utils.ensureJournalTextPage(doc, html);
+      } else if (doc.documentName === 'JournalEntryPage') {
+        await doc.update({ 'text.content': html });
+      } else if (doc.documentName === 'Item') {
+        await doc.update({ 'system.description.value': html });
+      }
+    } finally {
+      settingsManager.resumeRealtimeSync?.();
+    }
+  }
+}
+
+// Create singleton instance
+export const remoteVersion = new RemoteVersionService();
@@ -0,0 +1,267 @@
+/** Scheduler lanes, highest priority first. */
+export const PRIORITIES = ['interactive', 'normal', 'bulk'];
+
+/**
+ * Token bucket with an adaptive refill rate. Rate limiting halves the rate;
+ * every successful request wins a tenth of the base rate back.
+ */
+class TokenBucket {
+  /**
+   * @param {{capacity:number, perSecond:number}} options
+   */
+  constructor({ capacity, perSecond }) {
+    this.capacity = capacity;
+    this.baseRate = perSecond;
+    this.rate = perSecond;
+    this.tokens = capacity;
+    this._last = Date.now();
+  }
+
+  _refill(now) {
+    const elapsed = Math.max(0, now - this._last) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.rate);
+    this._last = now;
+  }
+
+  /**
+   * Milliseconds until a token is available (0 when one is ready).
+   * @param {number} now
+   */
+  waitMs(now) {
+    this._refill(now);
+    if (this.tokens >= 1) return 0;
+    return Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+  }
+
+  take() {
+    this.tokens -= 1;
+  }
+
+  slowDown() {
+    this.rate = Math.max(this.baseRate / 8, this.rate / 2);
+    this.tokens = Math.min(this.tokens, 0);
+  }
+
+  recover() {
+    this.rate = Math.min(this.baseRate, this.rate + this.baseRate / 10);
+  }
+}
+
+/**
+ * Schedules Archivist HTTP requests.
+ *
+ * - Reads and writes draw from separate token buckets, so a bulk import's
+ *   writes do not starve list calls and vice versa.
+ * - At most `maxConcurrent` requests are in flight at once.
+ * - Jobs wait in priority lanes; an interactive sheet edit overtakes a queued
+ *   bulk import. Within a lane, jobs of the same kind run in order.
+ * - A 429 pauses every lane for the Retry-After delay and halves the refill
+ *   rates until requests succeed again.
+ *
+ * Stats are available from `stats` and are broadcast through the
+ * `archivistSyncRequestStats` hook for progress UIs.
+ */
+export class RequestScheduler {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxConcurrent=4]
+   * @param {{capacity:number, perSecond:number}} [options.read]
+   * @param {{capacity:number, perSecond:number}} [options.write]
+   */
+  constructor({
+    maxConcurrent = 4,
+    read = { capacity: 10, perSecond: 5 },
+    write = { capacity: 4, perSecond: 3 },
+  } = {}) {
+    this.maxConcurrent = maxConcurrent;
+    this._buckets = {
+      read: new TokenBucket(read),
+      write: new TokenBucket(write),
+    };
+    this._lanes = Object.fromEntries(PRIORITIES.map((p) => [p, []]));
+    this._inFlight = 0;
+    this._pausedUntil = 0;
+    this._timer = null;
+    this._completed = 0;
+    this._failed = 0;
+    this._rateLimited = 0;
+  }
+
+  /**
+   * Run a request when its lane, bucket and the concurrency cap allow.
+   * @template T
+   * @param {() => Promise<T>} task - performs the request
+   * @param {{kind?:'read'|'write', priority?:'interactive'|'normal'|'bulk', signal?:AbortSignal}} [options]
+   *   - aborting `signal` drops the job if it has not started yet
+   * @returns {Promise<T>}
+   */
+  schedule(task, { kind = 'read', priority = 'normal', signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(abortReason(signal));
+        return;
+      }
+      const lane = this._lanes[priority] ? priority : 'normal';
+      const job = {
+        task,
+        kind: kind === 'write' ? 'write' : 'read',
+        resolve,
+        reject,
+      };
+      if (signal) {
+        job.onAbort = () => {
+          const queue = this._lanes[lane];
+          const index = queue.indexOf(job);
+          if (index < 0) return;
+          queue.splice(index, 1);
+          reject(abortReason(signal));
+          this._emit();
+        };
+        job.signal = signal;
+        signal.addEventListener('abort', job.onAbort, { once: true });
+      }
+      this._lanes[lane].push(job);
+      this._emit();
+      this._pump();
+    });
+  }
+
+  /**
+   * Pause all lanes after a 429 and slow both buckets down.
+   * @param {number} delayMs - Retry-After (or backoff) delay
+   */
+  rateLimited(delayMs) {
+    this._rateLimited += 1;
+    this._pausedUntil = Math.max(
+      this._pausedUntil,
+      Date.now() + Math.max(0, Number(delayMs) || 0)
+    );
+    this._buckets.read.slowDown();
+    this._buckets.write.slowDown();
+    this._emit();
+    this._pump();
+  }
+
+  /**
+   * Snapshot of queue depth, throughput and current limits.
+   * @returns {{queued:{interactive:number, normal:number, bulk:number}, pending:number, inFlight:number, completed:number, failed:number, rateLimited:number, pausedMs:number, rates:{read:number, write:number}}}
+   */
+  get stats() {
+    const queued = Object.fromEntries(
+      PRIORITIES.map((p) => [p, this._lanes[p].length])
+    );
+    return {
+      queued,
+      pending: PRIORITIES.reduce((n, p) => n + queued[p], 0),
+      inFlight: this._inFlight,
+      completed: this._completed,
+      failed: this._failed,
+      rateLimited: this._rateLimited,
+      pausedMs: Math.max(0, this._pausedUntil - Date.now()),
+      rates: {
+        read: this._buckets.read.rate,
+        write: this._buckets.write.rate,
+      },
+    };
+  }
+
+  /**
+   * Start every job that may run now; otherwise wake up when the next one can.
+   */
+  _pump() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    let wait = 0;
+    while (this._inFlight < this.maxConcurrent) {
+      const now = Date.now();
+      const next = this._pick(now);
+      if (!next) break;
+      if (now < this._pausedUntil) {
+        wait = this._pausedUntil - now;
+        break;
+      }
+      if (next.waitMs > 0) {
+        wait = next.waitMs;
+        break;
+      }
+      this._start(next.lane, next.index);
+    }
+    if (wait > 0) {
+      this._timer = setTimeout(() => {
+        this._timer = null;
+        this._pump();
+      }, wait);
+    }
+  }
+
+  /**
+   * Choose the next job: for each kind, the oldest job in the highest lane
+   * holding that kind; of those, the higher-priority one whose bucket has a
+   * token. Returns the shortest wait when neither can start yet.
+   */
+  _pick(now) {
+    const candidates = [];
+    for (const kind of ['read', 'write']) {
+      for (let rank = 0; rank < PRIORITIES.length; rank++) {
+        const lane = PRIORITIES[rank];
+        const index = this._lanes[lane].findIndex((j) => j.kind === kind);
+        if (index < 0) continue;
+        candidates.push({
+          lane,
+          index,
+          rank,
+          waitMs: this._buckets[kind].waitMs(now),
+        });
+        break;
+      }
+    }
+    if (!candidates.length) return null;
+    const ready = candidates
+      .filter((c) => c.waitMs === 0)
+      .sort((a, b) => a.rank - b.rank);
+    if (ready.length) return ready[0];
+    return candidates.reduce((a, b) => (b.waitMs < a.waitMs ? b : a));
+  }
+
+  _start(lane, index) {
+    const [job] = this._lanes[lane].splice(index, 1);
+    job.signal?.removeEventListener('abort', job.onAbort);
+    const bucket = this._buckets[job.kind];
+    bucket.take();
+    this._inFlight += 1;
+    this._emit();
+    Promise.resolve()
+      .then(job.task)
+      .then(
+        (result) => {
+          this._completed += 1;
+          if (result?.status !== 429) bucket.recover();
+          job.resolve(result);
+        },
+        (error) => {
+          this._failed += 1;
+          job.reject(error);
+        }
+      )
+      .finally(() => {
+        this._inFlight -= 1;
+        this._emit();
+        this._pump();
+      });
+  }
+
+  _emit() {
+    try {
+      Hooks.callAll('archivistSyncRequestStats', this.stats);
+    } catch (_) {}
+  }
+}
+
+function abortReason(signal) {
+  return (
+    signal.reason ??
+    new DOMException('The operation was aborted.', 'AbortError')
+  );
+}
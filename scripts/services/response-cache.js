@@ -0,0 +1,148 @@
+/**
+ * Read-through cache for Archivist GET responses, keyed by full URL (path and
+ * query).
+ *
+ * - A response is kept when the server sent an ETag or the caller asked for a
+ *   TTL (`maxAgeMs`). Within the TTL the cached body is returned without a
+ *   request; after it, a known ETag is sent as If-None-Match and a 304 reuses
+ *   the cached body.
+ * - Any write through the same client drops every entry of the written
+ *   resource type (e.g. a PATCH /characters/1 drops all /characters lists),
+ *   since list and detail responses for that type may now be stale. Link
+ *   writes also drop lists fetched `with_links=true`.
+ */
+export class ResponseCache {
+  /**
+   * @param {{maxEntries?:number}} [options]
+   */
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    /** @type {Map<string, {data:any, etag:string|null, storedAt:number, resource:string, withLinks:boolean}>} */
+    this._entries = new Map();
+    this.hits = 0;
+    this.revalidated = 0;
+  }
+
+  /**
+   * Cached body when it is younger than `maxAgeMs`.
+   * @param {string} key
+   * @param {number} [maxAgeMs]
+   * @returns {{data:any}|null}
+   */
+  fresh(key, maxAgeMs = 0) {
+    const entry = this._entries.get(key);
+    if (!entry || !(maxAgeMs > 0)) return null;
+    if (Date.now() - entry.storedAt > maxAgeMs) return null;
+    this.hits += 1;
+    return { data: clone(entry.data) };
+  }
+
+  /**
+   * ETag to revalidate with, if one is cached.
+   * @param {string} key
+   * @returns {string|null}
+   */
+  etag(key) {
+    return this._entries.get(key)?.etag || null;
+  }
+
+  /**
+   * Body for a 304 Not Modified; restarts the entry's TTL.
+   * @param {string} key
+   * @returns {{data:any}|null}
+   */
+  notModified(key) {
+    const entry = this._entries.get(key);
+    if (!entry) return null;
+    entry.storedAt = Date.now();
+    this.revalidated += 1;
+    return { data: clone(entry.data) };
+  }
+
+  /**
+   * Remember a GET response.
+   * @param {string} key
+   * @param {string} path - request path, used to find the resource type
+   * @param {any} data
+   * @param {{etag?:string|null, keep?:boolean}} [options] - keep stores the
+   *   body even without an ETag (the caller uses a TTL)
+   */
+  store(key, path, data, { etag = null, keep = false } = {}) {
+    if (!etag && !keep) {
+      this._entries.delete(key);
+      return;
+    }
+    this._entries.delete(key);
+    this._entries.set(key, {
+      data: clone(data),
+      etag: etag || null,
+      storedAt: Date.now(),
+      resource: resourceOf(path),
+      withLinks: /[?&]with_links=true\b/.test(String(path || '')),
+    });
+    // Map keeps insertion order; drop the oldest entries past the limit
+    while (this._entries.size > this.maxEntries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Drop entries a write to `path` may have made stale. Deleting an entity
+   * also removes its links server-side; image uploads can touch any type.
+   * @param {string} path
+   * @param {string} method
+   */
+  invalidate(path, method) {
+    const resource = resourceOf(path);
+    if (resource === 'images') {
+      this.clear();
+      return;
+    }
+    const also = method === 'DELETE' && resource !== 'links' ? 'links' : null;
+    for (const [key, entry] of this._entries) {
+      if (
+        entry.resource === resource ||
+        entry.resource === also ||
+        (resource === 'links' && entry.withLinks)
+      ) {
+        this._entries.delete(key);
+      }
+    }
+  }
+
+  /** Forget everything (e.g. after switching servers or API keys). */
+  clear() {
+    this._entries.clear();
+  }
+
+  /** @returns {{entries:number, hits:number, revalidated:number}} */
+  get stats() {
+    return {
+      entries: this._entries.size,
+      hits: this.hits,
+      revalidated: this.revalidated,
+    };
+  }
+}
+
+/**
+ * Resource type of an API path: '/characters/1' → 'characters',
+ * '/campaigns/c1/links?from_id=x' → 'links', '/campaigns/c1' → 'campaigns'.
+ */
+function resourceOf(path) {
+  const seg = String(path || '')
+    .split('?')[0]
+    .split('/')
+    .filter(Boolean);
+  if (seg[0] === 'campaigns' && seg.length > 2) return seg[2];
+  return seg[0] || '';
+}
+
+/** Callers may mutate results; hand out copies so the cache stays intact. */
+function clone(data) {
+  try {
+    return structuredClone(data);
+  } catch (_) {
+    return data;
+  }
+}
@@ -0,0 +1,113 @@
+import { settingsManager } from '../modules/settings-manager.js';
+
+/**
+ * Per-entity-type high-water marks for incremental (delta) sync.
+ *
+ * Each consumer ('syncDialog', 'reconcile') keeps its own marks because they
+ * apply different parts of a remote change. A mark is the Archivist
+ * `updated_at` from which the next run must fetch that type again; list calls
+ * pass it as `updatedSince`. Marks only move past rows that were fully
+ * handled, so a change left unapplied shows up again on the next run.
+ *
+ * Deletions and link removals are invisible to a delta fetch; a full rescan
+ * (no marks) still finds them and re-establishes every mark.
+ *
+ * Stored in the `syncCursors` world setting:
+ *   { campaignId, [scope]: { marks: { [type]: iso|null }, fullAt, deltaAt } }
+ * Switching campaigns discards every mark.
+ */
+export class SyncCursorService {
+  /**
+   * Marks for a consumer, or null when its next run must be a full rescan.
+   * @param {string} scope - consumer name, e.g. 'syncDialog'
+   * @param {string} campaignId
+   * @returns {Object<string, string|null>|null}
+   */
+  getMarks(scope, campaignId) {
+    const cursors = settingsManager.getSyncCursors();
+    if (!campaignId || cursors.campaignId !== campaignId) return null;
+    const marks = cursors[scope]?.marks;
+    return marks && typeof marks === 'object' ? { ...marks } : null;
+  }
+
+  /**
+   * When the consumer last completed a full rescan and a delta run.
+   * @param {string} scope
+   * @param {string} campaignId
+   * @returns {{fullAt:string|null, deltaAt:string|null}}
+   */
+  getTimes(scope, campaignId) {
+    const cursors = settingsManager.getSyncCursors();
+    const entry =
+      campaignId && cursors.campaignId === campaignId ? cursors[scope] : null;
+    return { fullAt: entry?.fullAt || null, deltaAt: entry?.deltaAt || null };
+  }
+
+  /**
+   * Store new marks after a successful run. Types missing from `marks` keep
+   * their previous value; a full run replaces the whole set.
+   * @param {string} scope
+   * @param {string} campaignId
+   * @param {Object<string, string|null>} marks
+   * @param {{full?:boolean}} [options]
+   */
+  async advance(scope, campaignId, marks, { full = false } = {}) {
+    if (!campaignId) return;
+    const current = settingsManager.getSyncCursors();
+    const cursors =
+      current.campaignId === campaignId ? { ...current } : { campaignId };
+    const prev = cursors[scope] || {};
+    const now = new Date().toISOString();
+    cursors[scope] = {
+      ...prev,
+      marks: full ? { ...marks } : { ...(prev.marks || {}), ...marks },
+      ...(full ? { fullAt: now } : { deltaAt: now }),
+    };
+    await settingsManager.setSyncCursors(cursors);
+  }
+
+  /**
+   * Forget the marks of one consumer (or all of them) so the next run is a
+   * full rescan.
+   * @param {string} [scope]
+   */
+  async reset(scope) {
+    if (!scope) {
+      await settingsManager.setSyncCursors({});
+      return;
+    }
+    const cursors = { ...settingsManager.getSyncCursors() };
+    delete cursors[scope];
+    await settingsManager.setSyncCursors(cursors);
+  }
+
+  /**
+   * Next mark for one type. With pending rows (shown but not applied) the
+   * mark stays at the oldest of them so they are fetched again; otherwise it
+   * moves to the newest row fetched. Rows without `updated_at` cannot be
+   * tracked, so a pending one keeps the previous mark.
+   * @param {Array<object>} fetched - rows fetched for the type
+   * @param {Array<object>} pending - rows still waiting to be applied
+   * @param {string|null} previous - current mark
+   * @returns {string|null}
+   */
+  nextMark(fetched, pending, previous) {
+    const times = (rows) =>
+      rows.map((r) => Date.parse(r?.updated_at ?? r?.updatedAt ?? ''));
+    if (pending.length) {
+      const pendingTimes = times(pending);
+      if (pendingTimes.some((t) => !Number.isFinite(t))) {
+        return previous ?? null;
+      }
+      return new Date(Math.min(...pendingTimes)).toISOString();
+    }
+    const newest = Math.max(
+      ...times(fetched).filter(Number.isFinite),
+      Date.parse(previous ?? '') || -Infinity
+    );
+    return Number.isFinite(newest) ? new Date(newest).toISOString() : null;
+  }
+}
+
+// Create singleton instance
+export const syncCursor = new SyncCursorService();
@@ -0,0 +1,281 @@
+import { settingsManager } from '../modules/settings-manager.js';
+
+export const SYNC_DIRECTIONS = {
+  ARCHIVIST: 'archivist',
+  FOUNDRY: 'foundry',
+  BOTH: 'both',
+  OFF: 'off',
+};
+
+export const SYNC_DIRECTION_LABELS = {
+  archivist: 'Archivist authoritative',
+  foundry: 'Foundry authoritative',
+  both: 'Bidirectional',
+  off: 'Off',
+};
+
+/** Policy fields, in matrix column order. */
+export const POLICY_FIELDS = {
+  create: 'Create & delete',
+  name: 'Name',
+  description: 'Description',
+  image: 'Image',
+  links: 'Links',
+  parent: 'Parent',
+  questData: 'Quest data',
+};
+
+const { ARCHIVIST, FOUNDRY, BOTH, OFF } = SYNC_DIRECTIONS;
+const INBOUND_ONLY = [ARCHIVIST, OFF];
+const OUTBOUND_ONLY = [FOUNDRY, OFF];
+
+/**
+ * Policy rows. `defaults` lists the fields that apply to the type with the
+ * built-in direction; `allowed` narrows the choices where Archivist or
+ * Foundry has nothing to send (sessions cannot be created through the API,
+ * Actor names and portraits are never written from Archivist).
+ */
+export const POLICY_TYPES = {
+  character: {
+    label: 'Characters (sheets)',
+    defaults: {
+      create: BOTH,
+      name: BOTH,
+      description: BOTH,
+      image: BOTH,
+      links: BOTH,
+    },
+  },
+  actor: {
+    label: 'Characters (Actors)',
+    defaults: { create: ARCHIVIST, name: OFF, image: FOUNDRY },
+    allowed: { name: OUTBOUND_ONLY, image: OUTBOUND_ONLY },
+  },
+  item: {
+    label: 'Items',
+    defaults: {
+      create: BOTH,
+      name: BOTH,
+      description: BOTH,
+      image: BOTH,
+      links: BOTH,
+    },
+  },
+  location: {
+    label: 'Locations',
+    defaults: {
+      create: BOTH,
+      name: BOTH,
+      description: BOTH,
+      image: BOTH,
+      links: BOTH,
+      parent: BOTH,
+    },
+  },
+  faction: {
+    label: 'Factions',
+    defaults: {
+      create: BOTH,
+      name: BOTH,
+      description: BOTH,
+      image: BOTH,
+      links: BOTH,
+    },
+  },
+  session: {
+    label: 'Recaps',
+    defaults: { create: ARCHIVIST, name: BOTH, description: BOTH, links: BOTH },
+    allowed: { create: INBOUND_ONLY },
+  },
+  journal: {
+    label: 'Journals',
+    defaults: { create: BOTH, name: BOTH, description: BOTH, links: BOTH },
+  },
+  quest: {
+    label: 'Quests',
+    defaults: { create: BOTH, name: BOTH, questData: BOTH },
+  },
+};
+
+/** API payload keys → policy field. Other keys are sent as they are. */
+const PAYLOAD_FIELDS = {
+  name: 'name',
+  character_name: 'name',
+  title: 'name',
+  questName: 'name',
+  description: 'description',
+  summary: 'description',
+  content: 'description',
+  image: 'image',
+  parent_id: 'parent',
+  questGiver: 'questData',
+  questCategory: 'questData',
+  status: 'questData',
+  successDefinition: 'questData',
+  failureConditions: 'questData',
+  nextAction: 'questData',
+  resolution: 'questData',
+  objectives: 'questData',
+  progressLog: 'questData',
+  relatedEntityRefs: 'questData',
+};
+
+// Keys that identify the entity rather than carry data
+const BOOKKEEPING_KEYS = ['id', 'campaign_id', 'world_id', 'worldId', 'type'];
+
+/**
+ * Sync direction per entity type and field.
+ *
+ * Each cell of the matrix is one of SYNC_DIRECTIONS:
+ * - `foundry`: Foundry edits are sent, Archivist changes are not applied,
+ *   and a write is sent even when the entity changed in Archivist.
+ * - `archivist`: Archivist changes are applied, Foundry edits are not sent,
+ *   and background pulls overwrite local edits instead of holding them.
+ * - `both`: both ways; conflicting edits are held for review.
+ * - `off`: the field is not synced.
+ *
+ * `create` covers creating and deleting the entity itself. Real-time sync
+ * checks the outbound side (see `pushes`/`filterPayload`); the Sync dialog,
+ * the background pull and ReconcileService the inbound side (`pulls`,
+ * `filterChanges`). The defaults match the module's historical behavior.
+ * Only cells that differ from the defaults are stored in the `syncPolicy`
+ * world setting.
+ */
+export class SyncPolicyService {
+  /**
+   * Policy type of an Archivist sheet type (pc/npc → character, recap →
+   * session).
+   * @param {string} sheetType
+   * @returns {string}
+   */
+  static typeFor(sheetType) {
+    const st = String(sheetType || '').toLowerCase();
+    if (st === 'pc' || st === 'npc') return 'character';
+    if (st === 'recap') return 'session';
+    return st;
+  }
+
+  /** Directions a cell may take. */
+  static choicesFor(type, field) {
+    if (!(field in (POLICY_TYPES[type]?.defaults || {}))) return [];
+    return (
+      POLICY_TYPES[type].allowed?.[field] || Object.values(SYNC_DIRECTIONS)
+    );
+  }
+
+  /**
+   * The full matrix: defaults with the stored overrides applied.
+   * @returns {Record<string, Record<string, string>>}
+   */
+  get matrix() {
+    const stored = settingsManager.getSyncPolicy();
+    const out = {};
+    for (const [type, def] of Object.entries(POLICY_TYPES)) {
+      out[type] = { ...def.defaults };
+      for (const field of Object.keys(def.defaults)) {
+        const value = stored?.[type]?.[field];
+        if (SyncPolicyService.choicesFor(type, field).includes(value)) {
+          out[type][field] = value;
+        }
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Direction of one cell; `off` for fields that do not apply to the type.
+   * @param {string} type - policy type or sheet type
+   * @param {string} field
+   * @returns {string}
+   */
+  get(type, field) {
+    const row = this.matrix[SyncPolicyService.typeFor(type)];
+    return row?.[field] || OFF;
+  }
+
+  /** Whether Foundry changes to the field are sent to Archivist. */
+  pushes(type, field) {
+    const dir = this.get(type, field);
+    return dir === FOUNDRY || dir === BOTH;
+  }
+
+  /** Whether Archivist changes to the field are applied in Foundry. */
+  pulls(type, field) {
+    const dir = this.get(type, field);
+    return dir === ARCHIVIST || dir === BOTH;
+  }
+
+  /**
+   * Drop the payload fields the policy does not send.
+   * @param {string} type
+   * @param {object} payload - API payload
+   * @returns {object|null} null when nothing but bookkeeping keys is left
+   */
+  filterPayload(type, payload) {
+    const out = {};
+    for (const [key, value] of Object.entries(payload || {})) {
+      const field = PAYLOAD_FIELDS[key];
+      if (!field || this.pushes(type, field)) out[key] = value;
+    }
+    const data = Object.keys(out).filter((k) => !BOOKKEEPING_KEYS.includes(k));
+    return data.length ? out : null;
+  }
+
+  /**
+   * Whether every policy field in the payload is Foundry authoritative, so
+   * the write should overwrite remote edits rather than be held.
+   * @param {string} type
+   * @param {object} payload
+   */
+  foundryWins(type, payload) {
+    const fields = Object.keys(payload || {})
+      .map((k) => PAYLOAD_FIELDS[k])
+      .filter(Boolean);
+    return (
+      fields.length > 0 && fields.every((f) => this.get(type, f) === FOUNDRY)
+    );
+  }
+
+  /**
+   * Drop the Sync dialog changes the policy does not apply.
+   * @param {string} type
+   * @param {Record<string, object>} changes - diff changes by field
+   * @returns {Record<string, object>}
+   */
+  filterChanges(type, changes) {
+    const out = {};
+    for (const [field, change] of Object.entries(changes || {})) {
+      if (!(field in POLICY_FIELDS) || this.pulls(type, field)) {
+        out[field] = change;
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Store a matrix; only valid cells that differ from the defaults are kept.
+   * @param {Record<string, Record<string, string>>} matrix
+   */
+  async save(matrix) {
+    const overrides = {};
+    for (const [type, def] of Object.entries(POLICY_TYPES)) {
+      for (const [field, fallback] of Object.entries(def.defaults)) {
+        const value = matrix?.[type]?.[field];
+        if (
+          value !== fallback &&
+          SyncPolicyService.choicesFor(type, field).includes(value)
+        ) {
+          (overrides[type] ||= {})[field] = value;
+        }
+      }
+    }
+    await settingsManager.setSyncPolicy(overrides);
+  }
+
+  async reset() {
+    await settingsManager.setSyncPolicy({});
+  }
+}
+
+// Create singleton instance
+export const syncPolicy = new SyncPolicyService();
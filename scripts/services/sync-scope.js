@@ -0,0 +1,165 @@
+import { CONFIG } from '../modules/config.js';
+import { settingsManager } from '../modules/settings-manager.js';
+
+/** Document types the scope rules can exclude. */
+export const SCOPE_DOCUMENT_TYPES = {
+  JournalEntry: 'Journal sheets',
+  Actor: 'Actors',
+  Item: 'Items',
+  Scene: 'Scenes',
+};
+
+/** Player access levels for the ownership rule (Foundry ownership levels). */
+export const PLAYER_ACCESS_LEVELS = {
+  1: 'Limited',
+  2: 'Observer',
+  3: 'Owner',
+};
+
+const DEFAULT_RULES = {
+  includeFolders: [],
+  excludeFolders: [],
+  excludeDocumentTypes: [],
+  excludeActorTypes: [],
+  minPlayerAccess: 0,
+};
+
+const list = (value) => (Array.isArray(value) ? value.map(String) : []);
+
+/**
+ * Which Foundry documents may reach Archivist.
+ *
+ * Prep notes and spoilers must never be sent: Archivist content is visible
+ * to players through chat. A document is out of scope when any rule matches:
+ * - it carries the `doNotSync` flag (set from the directory context menu),
+ * - it sits in an excluded folder or one of its subfolders, or outside every
+ *   included folder when include folders are set,
+ * - its document type or (for Actors) its actor type is excluded,
+ * - no player has at least `minPlayerAccess` ownership of it.
+ * Journal pages follow their journal.
+ *
+ * Real-time hooks, sheet saves, the setup wizard's candidate lists and the
+ * Sync dialog check `allows` before sending or comparing anything. Rules are
+ * kept in the `syncScope` world setting.
+ */
+export class SyncScopeService {
+  /** @returns {typeof DEFAULT_RULES} */
+  get rules() {
+    const stored = settingsManager.getSyncScope();
+    return {
+      includeFolders: list(stored.includeFolders),
+      excludeFolders: list(stored.excludeFolders),
+      excludeDocumentTypes: list(stored.excludeDocumentTypes),
+      excludeActorTypes: list(stored.excludeActorTypes),
+      minPlayerAccess: Number(stored.minPlayerAccess) || 0,
+    };
+  }
+
+  /**
+   * Whether a document may be synced with Archivist.
+   * @param {ClientDocument} doc
+   * @returns {boolean}
+   */
+  allows(doc) {
+    return !this.reason(doc);
+  }
+
+  /**
+   * Why a document is out of scope, or null when it may be synced.
+   * @param {ClientDocument} doc
+   * @returns {string|null}
+   */
+  reason(doc) {
+    if (!doc) return null;
+    if (doc.getFlag?.(CONFIG.MODULE_ID, 'doNotSync')) {
+      return 'Marked "Do not sync"';
+    }
+    if (doc.documentName === 'JournalEntryPage' && doc.parent) {
+      return this.reason(doc.parent);
+    }
+    const rules = this.rules;
+    if (rules.excludeDocumentTypes.includes(doc.documentName)) {
+      return `${SCOPE_DOCUMENT_TYPES[doc.documentName]} are not synced`;
+    }
+    if (
+      doc.documentName === 'Actor' &&
+      rules.excludeActorTypes.includes(String(doc.type))
+    ) {
+      return `Actors of type ${doc.type} are not synced`;
+    }
+    const folders = this._folderChain(doc);
+    const excluded = folders.find((f) => rules.excludeFolders.includes(f.id));
+    if (excluded) return `In excluded folder ${excluded.name}`;
+    if (
+      rules.includeFolders.length &&
+      !folders.some((f) => rules.includeFolders.includes(f.id))
+    ) {
+      return 'Outside the included folders';
+    }
+    if (
+      rules.minPlayerAccess > 0 &&
+      this._playerAccess(doc) < rules.minPlayerAccess
+    ) {
+      return `Players have less than ${PLAYER_ACCESS_LEVELS[rules.minPlayerAccess]} access`;
+    }
+    return null;
+  }
+
+  /**
+   * Set or clear a document's "do not sync" flag. Carries the op marker so
+   * real-time sync does not treat it as an edit.
+   * @param {ClientDocument} doc
+   * @param {boolean} excluded
+   */
+  async setExcluded(doc, excluded) {
+    await doc.update(
+      {
+        [`flags.${CONFIG.MODULE_ID}.doNotSync`]: !!excluded,
+        [`flags.${CONFIG.MODULE_ID}.op`]: 'syncScope',
+      },
+      { render: false }
+    );
+  }
+
+  /**
+   * Store the rules (only known keys are kept).
+   * @param {Partial<typeof DEFAULT_RULES>} rules
+   */
+  async save(rules) {
+    const next = { ...DEFAULT_RULES };
+    for (const key of Object.keys(DEFAULT_RULES)) {
+      if (key === 'minPlayerAccess') {
+        const level = Number(rules?.[key]) || 0;
+        next[key] = level in PLAYER_ACCESS_LEVELS ? level : 0;
+      } else {
+        next[key] = [...new Set(list(rules?.[key]))];
+      }
+    }
+    await settingsManager.setSyncScope(next);
+  }
+
+  /** The document's folder and its ancestors, innermost first. */
+  _folderChain(doc) {
+    const chain = [];
+    let folder = doc.folder;
+    while (folder && !chain.includes(folder)) {
+      chain.push(folder);
+      folder = folder.folder;
+    }
+    return chain;
+  }
+
+  /** Highest ownership level any player (non-GM user) has. */
+  _playerAccess(doc) {
+    const ownership = doc.ownership || {};
+    let level = Number(ownership.default) || 0;
+    for (const [userId, value] of Object.entries(ownership)) {
+      if (userId === 'default' || game.users?.get?.(userId)?.isGM) continue;
+      level = Math.max(level, Number(value) || 0);
+    }
+    return level;
+  }
+}
+
+// Create singleton instance
+export const syncScope = new SyncScopeService();
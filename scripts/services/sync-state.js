@@ -0,0 +1,146 @@
+import { CONFIG } from '../modules/config.js';
+import { describeApiFailure } from './api-error.js';
+
+export const SYNC_STATES = {
+  SYNCED: 'synced',
+  PENDING: 'pending',
+  FAILED: 'failed',
+  CONFLICT: 'conflict',
+  UNLINKED: 'unlinked',
+  DELETED: 'deleted',
+};
+
+/** Badge label and icon per state. */
+export const SYNC_STATE_LABELS = {
+  synced: { label: 'Synced', icon: 'fa-circle-check' },
+  pending: { label: 'Waiting to sync', icon: 'fa-cloud-arrow-up' },
+  failed: { label: 'Sync failed', icon: 'fa-triangle-exclamation' },
+  conflict: { label: 'Changed in Archivist', icon: 'fa-code-compare' },
+  unlinked: { label: 'Not linked to Archivist', icon: 'fa-link-slash' },
+  deleted: { label: 'Deleted in Archivist', icon: 'fa-trash-can' },
+};
+
+/**
+ * Per-document sync state, stored in the `syncState` flag of the synced
+ * JournalEntry or Item (page-level writes are recorded on the parent entry).
+ *
+ * The write queue moves a document to `synced` when a write succeeds,
+ * `pending` while it waits for Archivist, `conflict` when it is held and
+ * `failed` when Archivist rejected it; failures keep the message and the
+ * operation so `retry` can send it again. The Sync dialog records `synced`
+ * after applying a change and `deleted` when the entity is gone remotely.
+ * `unlinked` is never stored: it is any Archivist sheet without an id and no
+ * create on the way.
+ *
+ * Flag shape: { status, at, error: string|null, op: object|null }
+ */
+export class SyncStateService {
+  /**
+   * Current state of an Archivist document, or null for other documents.
+   * @param {ClientDocument} doc
+   * @returns {{status:string, at?:number, error?:string|null, op?:object|null}|null}
+   */
+  get(doc) {
+    const meta = doc?.getFlag?.(CONFIG.MODULE_ID, 'archivist') || {};
+    const archivistId =
+      meta.archivistId || doc?.getFlag?.(CONFIG.MODULE_ID, 'archivistId');
+    if (!archivistId && !meta.sheetType) return null;
+    const stored = doc.getFlag(CONFIG.MODULE_ID, 'syncState') || null;
+    if (!archivistId) {
+      const creating = [SYNC_STATES.PENDING, SYNC_STATES.FAILED];
+      return creating.includes(stored?.status)
+        ? stored
+        : { status: SYNC_STATES.UNLINKED };
+    }
+    // Linked before states were tracked (setup wizard imports)
+    return stored?.status ? stored : { status: SYNC_STATES.SYNCED };
+  }
+
+  /**
+   * Store a state. Carries the op marker and skips re-rendering; badges are
+   * refreshed from the update hook instead.
+   * @param {ClientDocument} doc
+   * @param {string} status - a SYNC_STATES value
+   * @param {{error?:string|null, op?:object|null}} [details]
+   */
+  async set(doc, status, { error = null, op = null } = {}) {
+    const target = this._holder(doc);
+    if (typeof target?.update !== 'function') return;
+    const prev = target.getFlag?.(CONFIG.MODULE_ID, 'syncState');
+    if (prev?.status === status && (prev.error || null) === error && !op) {
+      return;
+    }
+    try {
+      await target.update(
+        {
+          [`flags.${CONFIG.MODULE_ID}.syncState`]: {
+            status,
+            at: Date.now(),
+            error,
+            op: op ? this._portableOp(op) : null,
+          },
+          [`flags.${CONFIG.MODULE_ID}.op`]: 'syncState',
+        },
+        { render: false }
+      );
+    } catch (e) {
+      console.warn('[Archivist Sync] Failed to record sync state', e);
+    }
+  }
+
+  /**
+   * Record the outcome of a write-queue operation on its document.
+   * @param {object} op - write-queue operation with a docUuid
+   * @param {object} res - ApiResult of the write (or queue outcome)
+   */
+  async recordResult(op, res) {
+    if (!op?.docUuid || op.action === 'delete') return;
+    let doc = null;
+    try {
+      doc = await fromUuid(op.docUuid);
+    } catch (_) {}
+    if (!doc) return;
+    if (res?.success) return this.set(doc, SYNC_STATES.SYNCED);
+    if (res?.held || res?.conflict) {
+      return this.set(doc, SYNC_STATES.CONFLICT, {
+        error: res.message || null,
+        op,
+      });
+    }
+    if (res?.queued) return this.set(doc, SYNC_STATES.PENDING);
+    return this.set(doc, SYNC_STATES.FAILED, {
+      error: describeApiFailure(res, { name: op.label }),
+      op,
+    });
+  }
+
+  /**
+   * Send a document's failed or held write again.
+   * @param {ClientDocument} doc
+   * @returns {Promise<object|null>} the write result, null when there was
+   *   nothing to retry
+   */
+  async retry(doc) {
+    const state = this.get(this._holder(doc));
+    if (!state?.op) return null;
+    // A held update is checked again and, if still conflicting, re-announced
+    // so the conflict dialog opens
+    const { writeQueue } = await import('./write-queue.js');
+    return writeQueue.submit({ ...state.op });
+  }
+
+  /** Pages record their state on the entry they belong to. */
+  _holder(doc) {
+    return doc?.documentName === 'JournalEntryPage' && doc.parent
+      ? doc.parent
+      : doc;
+  }
+
+  _portableOp(op) {
+    const { uid: _uid, queuedAt: _queuedAt, force: _force, ...rest } = op;
+    return rest;
+  }
+}
+
+// Create singleton instance
+export const syncState = new SyncStateService();
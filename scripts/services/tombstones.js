@@ -0,0 +1,245 @@
+import { CONFIG } from '../modules/config.js';
+import { settingsManager } from '../modules/settings-manager.js';
+import { writeQueue } from './write-queue.js';
+import { writeCoalescer } from './write-coalescer.js';
+import { gmLeader } from './gm-leader.js';
+
+// How often the sync leader looks for tombstones whose window has passed
+const SWEEP_MS = 60 * 1000;
+
+/**
+ * Soft delete for Real-Time Sync.
+ *
+ * Deleting a synced document in Foundry does not delete the Archivist entity
+ * right away. The document's data (including its flags and, for journals,
+ * its pages) is kept as a tombstone in a world setting for the configured
+ * grace period. Until then `restore` recreates the Foundry document with its
+ * original id, so links pointing at it keep working; nothing was deleted in
+ * Archivist. Once the window has passed, the sync leader sends the DELETE
+ * through the write queue.
+ *
+ * Players cannot write world settings, so their deletes are held by the sync
+ * leader: it checks that the player owns the document and that the document
+ * is linked to the entity, and keeps its own copy of the data.
+ *
+ * Tombstone shape:
+ *   { uid, type, targetId, label, documentName, parentUuid, data,
+ *     deletedAt, expiresAt }
+ */
+export class TombstoneService {
+  constructor() {
+    this._timer = null;
+  }
+
+  /** Held deletes, most recent first. */
+  get list() {
+    return settingsManager
+      .getTombstones()
+      .slice()
+      .sort((a, b) => b.deletedAt - a.deletedAt)
+      .map((t) => ({ ...t }));
+  }
+
+  /**
+   * Whether an Archivist entity is waiting out its undo window.
+   * @param {string} targetId
+   * @returns {boolean}
+   */
+  has(targetId) {
+    return settingsManager
+      .getTombstones()
+      .some((t) => String(t.targetId) === String(targetId));
+  }
+
+  /**
+   * Hold the remote delete of a document that is being deleted in Foundry.
+   * Call from a preDelete hook before awaiting anything, while the document
+   * still has its data.
+   * @param {ClientDocument} doc
+   * @param {{type:string, targetId:string, label?:string}} entity
+   * @returns {Promise<object>} the tombstone, or the write result when the
+   *   grace period is 0
+   */
+  async hold(doc, { type, targetId, label }) {
+    if (!game.user?.isGM) {
+      return gmLeader.send('tombstone', {
+        uuid: doc?.uuid,
+        type,
+        targetId,
+        label,
+      });
+    }
+    return this._hold({
+      type,
+      targetId,
+      label,
+      documentName: doc?.documentName,
+      parentUuid: doc?.parent?.uuid || null,
+      data: doc?.toObject?.() ?? null,
+    });
+  }
+
+  /**
+   * Hold a delete relayed by a player, from the leader's copy of the document
+   * (which has not been deleted here yet).
+   * @param {{uuid:string, type:string, targetId:string, label?:string}} request
+   * @param {string} sender - user id
+   * @returns {Promise<object>} see hold
+   */
+  async holdFor(request, sender) {
+    const user = game.users?.get?.(sender);
+    const doc = request?.uuid ? fromUuidSync(request.uuid) : null;
+    const linked = [
+      doc?.getFlag?.(CONFIG.MODULE_ID, 'archivistId'),
+      doc?.getFlag?.(CONFIG.MODULE_ID, 'archivist')?.archivistId,
+    ].some((id) => id && String(id) === String(request.targetId));
+    if (!user || !linked || !doc.testUserPermission?.(user, 'OWNER')) {
+      return { success: false, message: 'You cannot delete this document' };
+    }
+    return this.hold(doc, request);
+  }
+
+  async _hold({ type, targetId, label, documentName, parentUuid, data }) {
+    // Pending edits go out first so the entity is current if restored
+    await writeCoalescer.flush({ type, targetId });
+    const graceMs = settingsManager.getDeleteGraceMinutes() * 60 * 1000;
+    if (!graceMs || !data) {
+      return writeQueue.submit({ action: 'delete', type, targetId, label });
+    }
+    const deletedAt = Date.now();
+    const tombstone = {
+      uid: foundry.utils.randomID(),
+      type,
+      targetId,
+      label: label || data.name || targetId,
+      documentName,
+      parentUuid,
+      data,
+      deletedAt,
+      expiresAt: deletedAt + graceMs,
+    };
+    // One tombstone per entity
+    const rest = settingsManager
+      .getTombstones()
+      .filter((t) => !(t.type === type && t.targetId === targetId));
+    await settingsManager.setTombstones([...rest, tombstone]);
+    return tombstone;
+  }
+
+  /**
+   * Recreate a deleted document with its id and flags and cancel its remote
+   * delete.
+   * @param {string} uid
+   * @returns {Promise<{success:boolean, data?:ClientDocument, message?:string}>}
+   */
+  async restore(uid) {
+    const tombstone = settingsManager
+      .getTombstones()
+      .find((t) => t.uid === uid);
+    if (!tombstone) {
+      return { success: false, message: 'Already restored or deleted' };
+    }
+    const data = { ...tombstone.data };
+    if (data.folder && !game.folders?.get?.(data.folder)) data.folder = null;
+    let doc = null;
+    try {
+      if (tombstone.parentUuid) {
+        const parent = await fromUuid(tombstone.parentUuid);
+        if (!parent) {
+          return {
+            success: false,
+            message: `The document holding ${tombstone.label} no longer exists`,
+          };
+        }
+        [doc] = await parent.createEmbeddedDocuments(
+          tombstone.documentName,
+          [data],
+          { keepId: true }
+        );
+      } else {
+        const cls = globalThis.CONFIG?.[tombstone.documentName]?.documentClass;
+        doc = await cls.create(data, { keepId: true });
+      }
+    } catch (e) {
+      console.warn('[Archivist Sync] Failed to restore deleted document', e);
+      return { success: false, message: e?.message || String(e) };
+    }
+    await this._remove([uid]);
+    return { success: true, data: doc };
+  }
+
+  /**
+   * Send the remote delete now instead of waiting for the window to pass.
+   * @param {string} uid
+   * @returns {Promise<object|null>} the write result
+   */
+  async deleteNow(uid) {
+    const tombstone = settingsManager
+      .getTombstones()
+      .find((t) => t.uid === uid);
+    if (!tombstone) return null;
+    return this._send(tombstone);
+  }
+
+  /**
+   * Send the deletes whose window has passed. Sync leader only.
+   * @param {number} [now]
+   * @returns {Promise<number>} number of deletes sent
+   */
+  async sweep(now = Date.now()) {
+    if (!gmLeader.isLeader) return 0;
+    const due = settingsManager
+      .getTombstones()
+      .filter((t) => t.expiresAt <= now);
+    for (const tombstone of due) await this._send(tombstone);
+    return due.length;
+  }
+
+  /** Sweep periodically while this client is the sync leader. */
+  start() {
+    this.stop();
+    if (!gmLeader.isLeader) return;
+    this._timer = setInterval(() => this.sweep(), SWEEP_MS);
+    this.sweep();
+  }
+
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Hand the delete to the write queue, which owns it from here (offline
+   * deletes are replayed), and drop the tombstone.
+   */
+  async _send({ uid, type, targetId, label }) {
+    await this._remove([uid]);
+    const res = await writeQueue.submit({
+      action: 'delete',
+      type,
+      targetId,
+      label,
+    });
+    if (!res?.success && !res?.queued) {
+      console.warn(
+        `[Archivist Sync] Delete of ${label || targetId} failed`,
+        res?.message
+      );
+    }
+    return res;
+  }
+
+  async _remove(uids) {
+    const list = settingsManager.getTombstones();
+    const next = list.filter((t) => !uids.includes(t.uid));
+    if (next.length !== list.length) await settingsManager.setTombstones(next);
+  }
+}
+
+// Create singleton instance
+export const tombstones = new TombstoneService();
+
+// Deletes made by players
+gmLeader.handle('tombstone', (request, sender) =>
+  tombstones.holdFor(request, sender)
+);
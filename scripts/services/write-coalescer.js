@@ -0,0 +1,137 @@
+import { writeQueue } from './write-queue.js';
+
+// Quiet time after the last change before the merged update is sent
+const COALESCE_MS = 750;
+// Upper bound while changes keep arriving, e.g. during continuous typing
+const MAX_WAIT_MS = 3000;
+
+// Top-level change keys that never affect what is sent to Archivist
+const BOOKKEEPING_KEYS = new Set(['_id', '_stats', 'flags']);
+
+/**
+ * Whether a Foundry update only touched flags (e.g. `flags.archivist`, the
+ * `op` marker or `lastProjectionAt`) and bookkeeping fields, so it has
+ * nothing to send to Archivist.
+ * @param {object} changes - the update hook's change set
+ * @returns {boolean}
+ */
+export function isFlagOnlyChange(changes) {
+  if (!changes || typeof changes !== 'object') return false;
+  const keys = Object.keys(changes);
+  return keys.length > 0 && keys.every((k) => BOOKKEEPING_KEYS.has(k));
+}
+
+/**
+ * Per-entity debounce in front of the write queue.
+ *
+ * One sheet edit fires several update hooks in quick succession (title, page
+ * text, flags), each producing an update for the same Archivist entity.
+ * Updates for the same entity (type and Archivist id, or the Foundry document
+ * of a pending create) are merged, later field values winning, and sent as a
+ * single write once no change arrived for COALESCE_MS, or at most MAX_WAIT_MS
+ * after the first. Every caller gets the merged write's result.
+ */
+export class WriteCoalescer {
+  constructor({ delayMs = COALESCE_MS, maxWaitMs = MAX_WAIT_MS } = {}) {
+    this.delayMs = delayMs;
+    this.maxWaitMs = maxWaitMs;
+    /** @type {Map<string, {op:object, waiters:Function[], firstAt:number, timer:any}>} */
+    this._batches = new Map();
+  }
+
+  /** Number of entities with an update waiting to be sent. */
+  get size() {
+    return this._batches.size;
+  }
+
+  /**
+   * Whether an update to the entity is waiting to be sent.
+   * @param {{type:string, targetId?:string, docUuid?:string}} entity
+   * @returns {boolean}
+   */
+  has(entity) {
+    return this._batches.has(this._keyOf(entity));
+  }
+
+  /**
+   * Merge an update into the entity's pending write.
+   * @param {object} op - write-queue update operation
+   * @returns {Promise<object>} result of the merged write
+   */
+  update(op) {
+    this._listenForUnload();
+    const key = this._keyOf(op);
+    let batch = this._batches.get(key);
+    if (!batch) {
+      batch = {
+        op: { ...op, action: 'update', payload: { ...(op.payload || {}) } },
+        waiters: [],
+        firstAt: Date.now(),
+        timer: null,
+      };
+      this._batches.set(key, batch);
+    } else {
+      Object.assign(batch.op.payload, op.payload || {});
+      if (op.label) batch.op.label = op.label;
+      if (op.docUuid && !batch.op.docUuid) batch.op.docUuid = op.docUuid;
+      // Skips the conflict check only if every merged edit may
+      if (!op.force) delete batch.op.force;
+    }
+    return new Promise((resolve) => {
+      batch.waiters.push(resolve);
+      this._arm(key, batch);
+    });
+  }
+
+  /**
+   * Send pending updates now: all of them, or only those of one entity.
+   * @param {{type:string, targetId?:string, docUuid?:string}} [entity]
+   * @returns {Promise<void>}
+   */
+  async flush(entity = null) {
+    const keys = entity ? [this._keyOf(entity)] : [...this._batches.keys()];
+    await Promise.all(keys.map((key) => this._send(key)));
+  }
+
+  _keyOf(op) {
+    return op.targetId
+      ? `${op.type}:${op.targetId}`
+      : `${op.type}:doc:${op.docUuid}`;
+  }
+
+  _arm(key, batch) {
+    clearTimeout(batch.timer);
+    const remaining = batch.firstAt + this.maxWaitMs - Date.now();
+    batch.timer = setTimeout(
+      () => this._send(key),
+      Math.max(0, Math.min(this.delayMs, remaining))
+    );
+  }
+
+  async _send(key) {
+    const batch = this._batches.get(key);
+    if (!batch) return;
+    clearTimeout(batch.timer);
+    this._batches.delete(key);
+    let res;
+    try {
+      res = await writeQueue.submit(batch.op);
+    } catch (e) {
+      console.warn('[Archivist Sync] Coalesced update failed', e);
+      res = { success: false, message: e?.message || String(e) };
+    }
+    for (const resolve of batch.waiters) resolve(res);
+  }
+
+  /** Best effort: send what is pending when the page is closed. */
+  _listenForUnload() {
+    if (this._unloadListener) return;
+    this._unloadListener = () => this.flush();
+    try {
+      window.addEventListener('beforeunload', this._unloadListener);
+    } catch (_) {}
+  }
+}
+
+// Create singleton instance
+export const writeCoalescer = new WriteCoalescer();
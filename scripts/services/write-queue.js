@@ -0,0 +1,603 @@
+import { CONFIG } from '../modules/config.js';
+import { settingsManager } from '../modules/settings-manager.js';
+import { Utils } from '../modules/utils.js';
+import { archivistApi } from './archivist-api.js';
+import { apiFailure, describeApiFailure } from './api-error.js';
+import { remoteVersion } from './remote-version.js';
+import { gmLeader } from './gm-leader.js';
+import { syncState } from './sync-state.js';
+import { imageUploader } from './image-upload.js';
+
+// Queued writes are user edits; let them overtake bulk imports
+const api = archivistApi.withPriority('interactive');
+
+/**
+ * API methods per entity type and action. Journals take their id inside the
+ * payload; sessions can only be updated.
+ */
+const API_METHODS = {
+  character: {
+    create: 'createCharacter',
+    update: 'updateCharacter',
+    delete: 'deleteCharacter',
+  },
+  item: { create: 'createItem', update: 'updateItem', delete: 'deleteItem' },
+  location: {
+    create: 'createLocation',
+    update: 'updateLocation',
+    delete: 'deleteLocation',
+  },
+  faction: {
+    create: 'createFaction',
+    update: 'updateFaction',
+    delete: 'deleteFaction',
+  },
+  quest: {
+    create: 'createQuest',
+    update: 'updateQuest',
+    delete: 'deleteQuest',
+  },
+  journal: {
+    create: 'createJournal',
+    update: 'updateJournal',
+    delete: 'deleteJournal',
+  },
+  session: { update: 'updateSession' },
+};
+
+/** HTTP method each queued action is sent with. */
+const HTTP_METHODS = { create: 'POST', update: 'PATCH', delete: 'DELETE' };
+
+const RETRY_MIN_MS = 15000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+/**
+ * Durable outbound queue for real-time sync writes.
+ *
+ * Writes are attempted immediately while the queue is empty. When a write
+ * fails for a transient reason (network error, rate limit, 5xx) it is stored
+ * in a world setting and replayed in order once Archivist is reachable again.
+ * Later operations on the same entity are collapsed into the pending one so
+ * the replay only sends the final state.
+ *
+ * Operation shape:
+ *   { uid, action: 'create'|'update'|'delete'|'image', type, targetId?,
+ *     docUuid?, sheetType?, payload?, src?, label?, queuedAt }
+ * Creates have no targetId yet; they are keyed by the Foundry document uuid
+ * and follow-up edits to that document collapse into the create.
+ *
+ * Only one write is sent at a time. The op being sent is never collapsed
+ * into: writes to the same entity that arrive meanwhile are queued behind it,
+ * and a delete that follows a create still in flight waits for the create's
+ * id instead of cancelling it.
+ * `image` operations upload the local Foundry file `src` as the entity's
+ * image (see ImageUploadService); a newer one replaces a pending one.
+ *
+ * Updates that carry a docUuid are checked against the remote version stored
+ * on that document first (see RemoteVersionService). If the entity was edited
+ * in Archivist since the last sync, the update is held as a conflict and the
+ * `archivistSyncWriteConflict` hook fires; `resolveConflict` sends the chosen
+ * result with `force` set so it is not checked again.
+ *
+ * Only the sync leader (see GmLeaderService) sends and replays writes. Other
+ * GM clients relay `submit` to it over the socket and get its result back.
+ *
+ * The outcome of every write with a docUuid is recorded on that document as
+ * its sync state (see SyncStateService).
+ */
+export class WriteQueue {
+  constructor() {
+    this._ops = null;
+    this._flushing = null;
+    this._retryTimer = null;
+    this._retryDelayMs = RETRY_MIN_MS;
+    this._started = false;
+    /** @type {Map<string, {op:object, conflicts:Array, remote:object}>} */
+    this._held = new Map();
+    // The op being sent right now (direct or replayed)
+    this._inFlight = null;
+  }
+
+  /**
+   * Load persisted operations and start replaying them. Sync leader only.
+   */
+  start() {
+    if (this._started || !gmLeader.isLeader) return;
+    this._started = true;
+    this._ops = settingsManager.getWriteQueue().slice();
+    if (!this._onOnline) {
+      this._onOnline = () => this.flush();
+      try {
+        window.addEventListener('online', this._onOnline);
+      } catch (_) {}
+    }
+    this._notifyChanged();
+    if (this._ops.length) this.flush();
+  }
+
+  /**
+   * Stop replaying after leadership moved to another GM. Pending operations
+   * stay persisted for the new leader.
+   */
+  stop() {
+    this._started = false;
+    this._clearRetry();
+    this._ops = null;
+  }
+
+  /** Number of operations waiting to be sent. */
+  get depth() {
+    return this._snapshot().length;
+  }
+
+  /** Snapshot of pending operations, oldest first. */
+  get pending() {
+    return this._snapshot().map((op) => ({ ...op }));
+  }
+
+  /**
+   * Whether a create for the given Foundry document is still pending.
+   * @param {string} docUuid
+   * @returns {boolean}
+   */
+  hasPendingCreate(docUuid) {
+    if (!docUuid) return false;
+    return [...this._snapshot(), this._inFlight].some(
+      (op) => op?.action === 'create' && op.docUuid === docUuid
+    );
+  }
+
+  /**
+   * Send a write now, or queue it when Archivist is unreachable or earlier
+   * writes are still pending.
+   * @param {object} op - see class docs
+   * @returns {Promise<{success:boolean, queued?:boolean, data?:any, message?:string}>}
+   */
+  async submit(op) {
+    if (gmLeader.leaderId !== game.user?.id) {
+      const res = await gmLeader.send('write', op);
+      // The leader's write only dropped the leader's cache
+      if (res?.success) this._invalidateCached(op);
+      return res;
+    }
+    const entry = {
+      ...op,
+      uid: foundry.utils.randomID(),
+      queuedAt: Date.now(),
+    };
+    const res = await this._submit(entry);
+    await syncState.recordResult(entry, res);
+    return res;
+  }
+
+  async _submit(entry) {
+    if (this.depth > 0 || this._inFlight || this._isOffline()) {
+      await this._enqueue(entry);
+      this.flush();
+      return { success: false, queued: true, message: 'Queued for sync' };
+    }
+    const heldUid = this._heldFor(entry);
+    if (heldUid) {
+      // Further edits to a conflicted entity wait for the resolution
+      const held = this._held.get(heldUid);
+      held.op.payload = {
+        ...(held.op.payload || {}),
+        ...(entry.payload || {}),
+      };
+      this._announceConflict(heldUid);
+      return {
+        success: false,
+        held: true,
+        message: 'Waiting for conflict resolution',
+      };
+    }
+    this._inFlight = entry;
+    try {
+      const res = await this._execute(entry);
+      if (res?.conflict) {
+        this._hold(entry, res);
+        return { ...res, held: true };
+      }
+      if (!res?.success && this._isTransient(res)) {
+        console.warn(
+          `[Archivist Sync] ${entry.action} ${entry.type} failed; queued for retry`
+        );
+        // Ahead of the writes that arrived while it was in flight
+        this._load().unshift(entry);
+        await this._save();
+        this._scheduleRetry();
+        return { ...res, queued: true };
+      }
+      if (res?.success) await this._afterSuccess(entry, res);
+      return res;
+    } finally {
+      this._inFlight = null;
+      if (this.depth > 0 && !this._retryTimer) this.flush();
+    }
+  }
+
+  /**
+   * Replay pending operations in order. Stops at the first transient failure
+   * and schedules another attempt with backoff.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (this._flushing) return this._flushing;
+    this._flushing = this._flush().finally(() => {
+      this._flushing = null;
+    });
+    return this._flushing;
+  }
+
+  async _flush() {
+    // A direct write is in flight; it flushes the queue when done
+    if (this._inFlight) return;
+    this._clearRetry();
+    while (this._load().length) {
+      // Leadership moved mid-replay; the new leader continues
+      if (!gmLeader.isLeader) return;
+      if (this._isOffline()) {
+        this._scheduleRetry();
+        return;
+      }
+      const op = this._ops[0];
+      this._inFlight = op;
+      let res;
+      try {
+        res = await this._execute(op);
+      } finally {
+        this._inFlight = null;
+      }
+      if (!res?.success && this._isTransient(res)) {
+        this._scheduleRetry();
+        return;
+      }
+      // Drop the op whether it succeeded or failed permanently
+      this._ops = this._ops.filter((o) => o.uid !== op.uid);
+      if (res?.success) {
+        await this._afterSuccess(op, res);
+      } else if (res?.conflict) {
+        this._hold(op, res);
+      } else {
+        this._reportFailure(op, res);
+      }
+      await this._save();
+      await syncState.recordResult(op, res);
+    }
+    this._retryDelayMs = RETRY_MIN_MS;
+  }
+
+  /** Updates held because the entity changed in Archivist meanwhile. */
+  get conflicts() {
+    return [...this._held.entries()].map(([uid, held]) => ({ uid, ...held }));
+  }
+
+  /**
+   * Settle a held update.
+   * @param {string} uid - from the conflict hook or `conflicts`
+   * @param {{values?:object, discard?:boolean}} resolution - values replace
+   *   fields of the held payload, which is then sent without another version
+   *   check; discard drops the update (the remote copy wins)
+   * @returns {Promise<object|null>} the write result, null when discarded
+   */
+  async resolveConflict(uid, { values = {}, discard = false } = {}) {
+    const held = this._held.get(uid);
+    if (!held) return null;
+    this._held.delete(uid);
+    if (discard) {
+      // Archivist's copy wins; the document takes it over
+      await syncState.recordResult(held.op, { success: true });
+      return null;
+    }
+    const { uid: _uid, queuedAt: _queuedAt, ...op } = held.op;
+    return this.submit({
+      ...op,
+      payload: { ...(op.payload || {}), ...values },
+      force: true,
+    });
+  }
+
+  /**
+   * Discard every pending operation.
+   */
+  async clear() {
+    this._ops = [];
+    this._clearRetry();
+    await this._save();
+  }
+
+  _load() {
+    if (!this._ops) this._ops = settingsManager.getWriteQueue().slice();
+    return this._ops;
+  }
+
+  /** Pending operations; read from the setting on GMs that do not lead. */
+  _snapshot() {
+    return this._ops || settingsManager.getWriteQueue();
+  }
+
+  _keyOf(op) {
+    return op.targetId
+      ? `${op.type}:${op.targetId}`
+      : `${op.type}:doc:${op.docUuid}`;
+  }
+
+  /**
+   * Add an operation, collapsing it into pending work on the same entity.
+   * The op in flight is left alone: its request already carries its payload.
+   * @param {object} op
+   */
+  async _enqueue(op) {
+    const ops = this._load();
+    const key = this._keyOf(op);
+    const same = ops.filter(
+      (o) => this._keyOf(o) === key && o.uid !== this._inFlight?.uid
+    );
+    const prev = same[same.length - 1];
+
+    if (op.action === 'update' && prev && prev.action !== 'delete') {
+      // Later field values win; a pending create simply sends the newer state
+      prev.payload = { ...(prev.payload || {}), ...(op.payload || {}) };
+      if (op.label) prev.label = op.label;
+      if (op.docUuid && !prev.docUuid) prev.docUuid = op.docUuid;
+      if (op.force) prev.force = true;
+    } else if (op.action === 'image' && prev?.action === 'image') {
+      prev.src = op.src;
+    } else if (op.action === 'delete' && same.length) {
+      const neverCreated = same.some((o) => o.action === 'create');
+      this._ops = ops.filter((o) => this._keyOf(o) !== key);
+      if (!neverCreated) this._ops.push(op);
+    } else {
+      ops.push(op);
+    }
+    await this._save();
+  }
+
+  /**
+   * Drop this client's cached reads of the resource type a relayed write
+   * changed (see ResponseCache#invalidate).
+   * @param {object} op
+   */
+  _invalidateCached(op) {
+    const path = op.action === 'image' ? '/images' : `/${op.type}s`;
+    archivistApi.cache.invalidate(path, HTTP_METHODS[op.action] || 'PATCH');
+  }
+
+  async _execute(op) {
+    const apiKey = settingsManager.getApiKey();
+    const method = API_METHODS[op.type]?.[op.action];
+    if (!apiKey) {
+      return {
+        success: false,
+        retryable: true,
+        message: 'No Archivist API key is configured on the syncing GM',
+      };
+    }
+    if (op.action === 'image') {
+      if (!op.targetId) {
+        return { success: false, message: 'Missing Archivist id' };
+      }
+      return imageUploader.upload(apiKey, op);
+    }
+    if (!method || typeof api[method] !== 'function') {
+      return {
+        success: false,
+        message: `Unsupported queued operation: ${op.action} ${op.type}`,
+      };
+    }
+    try {
+      if (op.action === 'create') {
+        return await api[method](apiKey, op.payload || {});
+      }
+      if (!op.targetId && op.action === 'delete') {
+        // Its create failed, so there is nothing to delete in Archivist
+        return { success: true, data: null };
+      }
+      if (!op.targetId) {
+        // Update whose create has not been sent yet
+        return { success: false, message: 'Missing Archivist id' };
+      }
+      if (op.action === 'delete') {
+        return await api[method](apiKey, op.targetId);
+      }
+      if (op.docUuid && !op.force && remoteVersion.tracks(op.type)) {
+        const doc = await fromUuid(op.docUuid);
+        const guard = await remoteVersion.check(
+          apiKey,
+          op.type,
+          op.targetId,
+          doc,
+          op.payload
+        );
+        if (guard.failure) return guard.failure;
+        if (guard.conflicts.length) {
+          return {
+            success: false,
+            conflict: true,
+            conflicts: guard.conflicts,
+            remote: guard.remote,
+            message: 'Changed in Archivist since the last sync',
+          };
+        }
+      }
+      if (op.type === 'journal') {
+        return await api[method](apiKey, {
+          id: op.targetId,
+          ...(op.payload || {}),
+        });
+      }
+      return await api[method](apiKey, op.targetId, op.payload || {});
+    } catch (e) {
+      return apiFailure(e, `Failed to ${op.action} ${op.type}`);
+    }
+  }
+
+  /**
+   * After a create succeeds, link the Foundry document to the new Archivist
+   * entity and point queued follow-up operations at its id. After an update,
+   * the response becomes the document's new remote version.
+   */
+  async _afterSuccess(op, res) {
+    if (op.action === 'update' && op.docUuid && remoteVersion.tracks(op.type)) {
+      const doc = await fromUuid(op.docUuid);
+      // Responses may omit unchanged fields; fall back to what was sent
+      await remoteVersion.record(doc, op.type, {
+        ...(op.payload || {}),
+        ...(res?.data || {}),
+      });
+      return;
+    }
+    if (op.action !== 'create') return;
+    const archivistId = res?.data?.id;
+    if (!archivistId) return;
+    const key = this._keyOf(op);
+    let changed = false;
+    for (const o of this._load()) {
+      if (this._keyOf(o) === key) {
+        o.targetId = archivistId;
+        changed = true;
+      }
+    }
+    if (changed) await this._save();
+    try {
+      const entry = op.docUuid ? await fromUuid(op.docUuid) : null;
+      if (!entry) return;
+      // Actors created in Foundry are linked like imported ones
+      if (op.sheetType === 'actor') {
+        await Utils.setActorArchivistId(
+          entry,
+          archivistId,
+          settingsManager.getSelectedWorldId()
+        );
+        return;
+      }
+      // What was just created is the base later updates are checked against
+      await remoteVersion.record(entry, op.type, {
+        ...(op.payload || {}),
+        ...(res?.data || {}),
+      });
+      await entry.setFlag(CONFIG.MODULE_ID, 'archivist', {
+        sheetType: op.sheetType,
+        archivistId,
+        archivistWorldId: settingsManager.getSelectedWorldId(),
+        archivistRefs: {
+          characters: [],
+          items: [],
+          entries: [],
+          factions: [],
+          locationsAssociative: [],
+        },
+        foundryRefs: { actors: [], items: [], scenes: [], journals: [] },
+      });
+    } catch (e) {
+      console.warn('[Archivist Sync] Failed to link created entity', e);
+    }
+  }
+
+  /** uid of the held update for the same entity, if any. */
+  _heldFor(op) {
+    if (op.action !== 'update') return null;
+    const key = this._keyOf(op);
+    for (const [uid, held] of this._held) {
+      if (this._keyOf(held.op) === key) return uid;
+    }
+    return null;
+  }
+
+  /**
+   * Keep an update that would overwrite a remote edit and ask for a decision.
+   */
+  _hold(op, res) {
+    this._held.set(op.uid, {
+      op,
+      conflicts: res.conflicts || [],
+      remote: res.remote,
+    });
+    console.warn(
+      `[Archivist Sync] Held ${op.type} update for ${op.label || op.targetId}: changed in Archivist since the last sync`
+    );
+    this._announceConflict(op.uid);
+  }
+
+  _announceConflict(uid) {
+    try {
+      Hooks.callAll('archivistSyncWriteConflict', {
+        uid,
+        ...this._held.get(uid),
+      });
+    } catch (_) {}
+  }
+
+  _reportFailure(op, res) {
+    const name = op.label || res?.entityName || op.type;
+    console.warn(
+      `[Archivist Sync] Dropped queued ${op.action} for ${name}: ${res?.message || 'unknown error'}`
+    );
+    if (res?.error?.isValidation) {
+      ui.notifications?.error?.(describeApiFailure(res, { name }), {
+        permanent: true,
+      });
+    } else {
+      ui.notifications?.warn?.(
+        `Archivist Sync: a queued change to ${name} could not be applied (${res?.message || 'unknown error'}).`
+      );
+    }
+  }
+
+  /**
+   * Network failures, rate limiting and server errors are worth retrying;
+   * validation and not-found errors are not.
+   */
+  _isTransient(res) {
+    return !!res?.retryable;
+  }
+
+  _isOffline() {
+    try {
+      return navigator.onLine === false;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  _scheduleRetry() {
+    if (this._retryTimer) return;
+    const delay = this._retryDelayMs;
+    this._retryDelayMs = Math.min(RETRY_MAX_MS, this._retryDelayMs * 2);
+    this._retryTimer = setTimeout(() => {
+      this._retryTimer = null;
+      this.flush();
+    }, delay);
+  }
+
+  _clearRetry() {
+    if (this._retryTimer) clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+  }
+
+  async _save() {
+    try {
+      await settingsManager.setWriteQueue(this._load());
+    } catch (e) {
+      console.warn('[Archivist Sync] Failed to persist write queue', e);
+    }
+    this._notifyChanged();
+  }
+
+  _notifyChanged() {
+    try {
+      Hooks.callAll('archivistSyncWriteQueueChanged', this.depth);
+    } catch (_) {}
+  }
+}
+
+// Create singleton instance
+export const writeQueue = new WriteQueue();
+
+// Writes relayed by GMs that do not lead
+gmLeader.handle('write', (op, sender) => {
+  if (game.users?.get?.(sender)?.isGM !== true) {
+    return { success: false, message: 'Only GMs can sync changes' };
+  }
+  return writeQueue.submit(op);
+});
@@ -0,0 +1,46 @@
+import { CONFIG } from '../modules/config.js';
+import { syncScope } from '../services/sync-scope.js';
+
+/**
+ * Context menu entries that mark a directory document "Do not sync" or
+ * clear the mark. GM only.
+ * @param {string} documentName - Actor, Item, Scene or JournalEntry
+ * @returns {object[]} ContextMenu entries
+ */
+export function scopeContextOptions(documentName) {
+  // v13+ passes the row element; older directories a jQuery wrapper
+  const docFor = (li) => {
+    const el = li?.dataset ? li : li?.[0];
+    const id = el?.dataset?.entryId || el?.dataset?.documentId;
+    return game.collections?.get?.(documentName)?.get?.(id) || null;
+  };
+  const marked = (li) => !!docFor(li)?.getFlag?.(CONFIG.MODULE_ID, 'doNotSync');
+  const toggle = async (li, excluded) => {
+    const doc = docFor(li);
+    if (!doc) return;
+    try {
+      await syncScope.setExcluded(doc, excluded);
+      ui.notifications?.info?.(
+        excluded
+          ? `${CONFIG.MODULE_TITLE}: ${doc.name} will not be synced.`
+          : `${CONFIG.MODULE_TITLE}: ${doc.name} will be synced again.`
+      );
+    } catch (e) {
+      console.warn('[Archivist Sync] Failed to change sync scope flag', e);
+    }
+  };
+  return [
+    {
+      name: "Don't sync with Archivist",
+      icon: '<i class="fas fa-eye-slash"></i>',
+      condition: (li) => game.user?.isGM && !marked(li),
+      callback: (li) => toggle(li, true),
+    },
+    {
+      name: 'Sync with Archivist again',
+      icon: '<i class="fas fa-eye"></i>',
+      condition: (li) => game.user?.isGM && marked(li),
+      callback: (li) => toggle(li, false),
+    },
+  ];
+}
@@ -0,0 +1,103 @@
+import { CONFIG } from '../modules/config.js';
+import { describeApiFailure } from '../services/api-error.js';
+import {
+  syncState,
+  SYNC_STATES,
+  SYNC_STATE_LABELS,
+} from '../services/sync-state.js';
+
+const RETRYABLE = [SYNC_STATES.FAILED, SYNC_STATES.CONFLICT];
+
+/**
+ * Sync state badge for an Archivist document: an icon with the state and the
+ * last error as tooltip. Failed and held writes get a retry click.
+ * @param {ClientDocument} doc
+ * @returns {HTMLElement|null} null for documents Archivist does not track
+ */
+export function createSyncBadge(doc) {
+  const state = syncState.get(doc);
+  if (!state) return null;
+  const { label, icon } = SYNC_STATE_LABELS[state.status] || {};
+  if (!label) return null;
+  const canRetry = RETRYABLE.includes(state.status) && !!state.op;
+  const badge = document.createElement(canRetry ? 'button' : 'span');
+  badge.className = `archivist-sync-badge status-${state.status}`;
+  badge.dataset.uuid = doc.uuid;
+  const lines = [label, state.error, canRetry ? 'Click to retry.' : ''].filter(
+    Boolean
+  );
+  // The tooltip is rendered as HTML; the error holds API and document text
+  badge.dataset.tooltip = lines
+    .map((line) => foundry.utils.escapeHTML(String(line)))
+    .join('<br>');
+  badge.setAttribute('aria-label', lines.join('\n'));
+  badge.innerHTML = `<i class="fas ${icon}" aria-hidden="true"></i>`;
+  if (canRetry) {
+    badge.type = 'button';
+    badge.addEventListener('click', (ev) => {
+      ev.preventDefault();
+      ev.stopPropagation();
+      retrySync(doc);
+    });
+  }
+  return badge;
+}
+
+/**
+ * Send a document's failed write again and report the outcome.
+ * @param {ClientDocument} doc
+ */
+export async function retrySync(doc) {
+  const res = await syncState.retry(doc);
+  if (!res) return;
+  if (res.success) {
+    ui.notifications?.info?.(`${CONFIG.MODULE_TITLE}: synced ${doc.name}.`);
+  } else if (!res.held && !res.queued) {
+    ui.notifications?.warn?.(describeApiFailure(res, { name: doc.name }));
+  }
+}
+
+/**
+ * Add or refresh badges on the Journal Directory rows of Archivist sheets.
+ * @param {HTMLElement} root - the directory element
+ */
+export function injectDirectoryBadges(root) {
+  const rows = root?.querySelectorAll?.(
+    'li[data-entry-id], li[data-document-id]'
+  );
+  for (const li of rows || []) {
+    const id = li.dataset.entryId || li.dataset.documentId;
+    const journal = game.journal?.get?.(id);
+    if (journal) placeBadge(li, journal);
+  }
+}
+
+/**
+ * Add or refresh the badge in an Archivist sheet's header.
+ * @param {ApplicationV2} sheet
+ */
+export function injectSheetBadge(sheet) {
+  const header = sheet?.element?.querySelector?.('.archivist-header');
+  if (header && sheet.document) placeBadge(header, sheet.document);
+}
+
+/**
+ * Refresh every badge showing a document, e.g. after its state changed.
+ * @param {ClientDocument} doc
+ */
+export function refreshSyncBadges(doc) {
+  if (!doc?.id) return;
+  const rows = document.querySelectorAll(
+    `li[data-entry-id="${doc.id}"], li[data-document-id="${doc.id}"]`
+  );
+  for (const li of rows) placeBadge(li, doc);
+  for (const app of foundry.applications?.instances?.values?.() || []) {
+    if (app?.document === doc) injectSheetBadge(app);
+  }
+}
+
+function placeBadge(host, doc) {
+  host.querySelector(':scope > .archivist-sync-badge')?.remove();
+  const badge = createSyncBadge(doc);
+  if (badge) host.appendChild(badge);
+}
@@ -0,0 +1,93 @@
+import { resetWorld } from './helpers/foundry-stubs.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../scripts/modules/config.js';
+import { settingsManager } from '../scripts/modules/settings-manager.js';
+import { archivistApi } from '../scripts/services/archivist-api.js';
+import { FakeArchivist } from '../scripts/services/fake-archivist.js';
+
+afterEach(() => {
+  archivistApi.setTransport(null);
+  archivistApi.setBaseUrl(CONFIG.API_PROFILES.production);
+  resetWorld();
+});
+
+test('setBaseUrl accepts roots with or without the version path', () => {
+  archivistApi.setBaseUrl('http://localhost:8000/v1/');
+  assert.equal(archivistApi.rootUrl, 'http://localhost:8000');
+  assert.equal(archivistApi.baseUrl, 'http://localhost:8000/v1');
+
+  archivistApi.setBaseUrl('');
+  assert.equal(archivistApi.baseUrl, CONFIG.API_BASE_URL);
+});
+
+test('getApiRootUrl resolves named profiles and the custom URL', () => {
+  resetWorld({ settings: { apiProfile: 'production' } });
+  assert.equal(settingsManager.getApiRootUrl(), CONFIG.API_PROFILES.production);
+  // Worlds saved with the removed staging profile use production
+  resetWorld({ settings: { apiProfile: 'staging' } });
+  assert.equal(settingsManager.getApiRootUrl(), CONFIG.API_PROFILES.production);
+
+  resetWorld({
+    settings: { apiProfile: 'custom', apiCustomUrl: ' http://mock:9000 ' },
+  });
+  assert.equal(settingsManager.getApiRootUrl(), 'http://mock:9000');
+
+  // Custom without a URL falls back to production
+  resetWorld({ settings: { apiProfile: 'custom', apiCustomUrl: '' } });
+  assert.equal(settingsManager.getApiRootUrl(), CONFIG.API_PROFILES.production);
+});
+
+test('requests and /health go to the configured server', async () => {
+  const fake = new FakeArchivist();
+  const urls = [];
+  archivistApi.setTransport((url, init) => {
+    urls.push(url);
+    return fake.transport(url, init);
+  });
+  archivistApi.setBaseUrl('http://mock:9000');
+
+  const health = await archivistApi.checkHealth();
+  assert.equal(health.success, true);
+  assert.equal(health.data.url, 'http://mock:9000');
+  assert.equal(health.data.version, 'fake');
+  assert.equal(health.data.environment, 'fake');
+
+  await archivistApi.fetchCampaignsList('key');
+  assert.deepEqual(urls, [
+    'http://mock:9000/health',
+    'http://mock:9000/v1/campaigns',
+  ]);
+});
+
+test('checkHealth reports an unreachable server as a retryable failure', async () => {
+  archivistApi.setTransport(async () => {
+    throw new TypeError('Failed to fetch');
+  });
+  const res = await archivistApi.checkHealth('http://nowhere:1');
+  assert.equal(res.success, false);
+  assert.equal(res.retryable, true);
+  assert.equal(res.status, 0);
+});
+
+test('entity lists and gets ask for wikilinks', async () => {
+  const fake = new FakeArchivist();
+  fake.reset({
+    characters: [{ id: 'ch1', character_name: 'Ann', campaign_id: 'c1' }],
+    journals: [{ id: 'j1', title: 'Notes', campaign_id: 'c1' }],
+  });
+  const urls = [];
+  archivistApi.setTransport((url, init) => {
+    urls.push(new URL(url));
+    return fake.transport(url, init);
+  });
+
+  await archivistApi.listJournals('key', 'c1');
+  await archivistApi.listQuests('key', 'c1');
+  await archivistApi.getCharacter('key', 'ch1');
+  await archivistApi.getJournal('key', 'j1');
+  assert.equal(urls.length, 4);
+  for (const url of urls) {
+    assert.equal(url.searchParams.get('with_links'), 'true', url.pathname);
+  }
+});
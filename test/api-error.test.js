@@ -0,0 +1,100 @@
+import './helpers/foundry-stubs.js';
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { archivistApi } from '../scripts/services/archivist-api.js';
+import { FakeArchivist } from '../scripts/services/fake-archivist.js';
+import {
+  ApiError,
+  AuthError,
+  NetworkError,
+  NotFoundError,
+  ServerError,
+  ValidationError,
+  describeApiFailure,
+} from '../scripts/services/api-error.js';
+
+const fake = new FakeArchivist({ apiKey: 'key' });
+
+beforeEach(() => {
+  fake.reset({ campaigns: [{ id: 'c1', title: 'Campaign' }] });
+  fake.clearFaults();
+  archivistApi.setTransport(fake.transport);
+});
+
+after(() => archivistApi.setTransport(null));
+
+test('a 422 on description length becomes a field-level ValidationError', async () => {
+  const res = await archivistApi.createCharacter('key', {
+    character_name: 'Verbose',
+    description: 'x'.repeat(10001),
+    campaign_id: 'c1',
+  });
+  assert.equal(res.success, false);
+  assert.ok(res.error instanceof ValidationError);
+  assert.equal(res.status, 422);
+  assert.equal(res.retryable, false);
+  assert.equal(res.error.isDescriptionTooLong, true);
+  assert.deepEqual(res.fields, [
+    {
+      field: 'description',
+      message: 'String should have at most 10000 characters',
+      type: 'string_too_long',
+    },
+  ]);
+  assert.equal(res.entityName, 'Verbose');
+  assert.equal(res.entityType, 'Character');
+  assert.match(
+    describeApiFailure(res, { action: 'save' }),
+    /^Failed to save Verbose: Description exceeds the maximum length/
+  );
+});
+
+test('other validation failures name each offending field', async () => {
+  fake.injectFault({
+    status: 422,
+    method: 'PATCH',
+    detail: [
+      {
+        loc: ['body', 'objectives', 0, 'text'],
+        msg: 'String should have at least 1 character',
+        type: 'string_too_short',
+      },
+    ],
+  });
+  const res = await archivistApi.updateQuest('key', 'q1', { questName: 'Q' });
+  assert.equal(res.error.isValidation, true);
+  assert.equal(res.error.isDescriptionTooLong, false);
+  assert.equal(res.fields[0].field, 'objectives.0.text');
+  assert.equal(
+    describeApiFailure(res),
+    'Failed to sync Q: Objectives › 0 › text: String should have at least 1 character'
+  );
+});
+
+test('status codes map to typed errors with retryable flags', async () => {
+  const missing = await archivistApi.updateItem('key', 'nope', { name: 'X' });
+  assert.ok(missing.error instanceof NotFoundError);
+  assert.equal(missing.retryable, false);
+
+  const denied = await archivistApi.fetchCampaignsList('wrong');
+  assert.ok(denied.error instanceof AuthError);
+  assert.equal(denied.status, 401);
+
+  fake.injectFault({ status: 503, method: 'GET' });
+  const down = await archivistApi.fetchCampaignDetails('key', 'c1');
+  assert.ok(down.error instanceof ServerError);
+  assert.equal(down.retryable, true);
+  assert.equal(down.error.method, 'GET');
+  assert.equal(down.error.path, '/campaigns/c1');
+});
+
+test('ApiError.from wraps fetch network failures as retryable', () => {
+  const err = ApiError.from(new TypeError('Failed to fetch'));
+  assert.ok(err instanceof NetworkError);
+  assert.equal(err.status, 0);
+  assert.equal(err.retryable, true);
+
+  const plain = ApiError.from(new Error('boom'));
+  assert.equal(plain.retryable, false);
+  assert.equal(plain.message, 'boom');
+});
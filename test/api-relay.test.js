@@ -0,0 +1,221 @@
+import { resetWorld, StubCollection } from './helpers/foundry-stubs.js';
+import { test, beforeEach, afterEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { archivistApi } from '../scripts/services/archivist-api.js';
+import { FakeArchivist } from '../scripts/services/fake-archivist.js';
+import { gmLeader } from '../scripts/services/gm-leader.js';
+import { apiRelay } from '../scripts/services/api-relay.js';
+import { settingsManager } from '../scripts/modules/settings-manager.js';
+import { AskChatWindow } from '../scripts/dialogs/ask-chat-window.js';
+
+const gm = { id: 'gm', name: 'GM', role: 4, isGM: true, active: true };
+const player = { id: 'p1', name: 'Pat', role: 1, isGM: false, active: true };
+const originalUser = game.user;
+const fake = new FakeArchivist();
+let wire;
+
+const as = (user) => {
+  game.user = user;
+};
+
+/** Deliver socket messages to their recipients until the wire is quiet. */
+async function pump() {
+  while (wire.length) {
+    const message = wire.shift();
+    as(message.to === gm.id ? gm : player);
+    await gmLeader._onMessage(message, message.from);
+  }
+  as(player);
+}
+
+beforeEach(() => {
+  fake.reset({
+    campaigns: [
+      { id: 'c1', title: 'Campaign' },
+      { id: 'c2', title: 'Other' },
+    ],
+    quests: [
+      { id: 'q1', name: 'Find the sword', campaign_id: 'c1' },
+      { id: 'q2', name: 'Secret', campaign_id: 'c2' },
+    ],
+  });
+  archivistApi.setTransport(fake.transport);
+  resetWorld({
+    settings: { apiKey: 'key', selectedWorldId: 'c1', worldInitialized: true },
+  });
+  wire = [];
+  game.socket = { on() {}, emit: (_channel, message) => wire.push(message) };
+  game.users = new StubCollection([gm, player]);
+  gmLeader._gms.add(gm.id);
+  gmLeader._keyed.add(gm.id);
+  as(player);
+});
+
+afterEach(() => {
+  delete game.socket;
+  game.users = new StubCollection([]);
+  gmLeader._gms.clear();
+  gmLeader._keyed.clear();
+  as(originalUser);
+});
+
+after(() => archivistApi.setTransport(null));
+
+test('only GMs hold the API key, kept in their user settings', async () => {
+  assert.equal(settingsManager.getApiKey(), '');
+  assert.equal(apiRelay.direct, false);
+
+  as(gm);
+  assert.equal(await settingsManager.migrateApiKey(), true);
+  assert.equal(settingsManager.getSetting('apiKey'), '');
+  assert.equal(settingsManager.getSetting('userApiKey'), 'key');
+  assert.equal(settingsManager.getApiKey(), 'key');
+});
+
+test('player reads run on the GM against its own campaign', async () => {
+  const controller = new AbortController();
+  const pending = apiRelay.read('listQuests', 'c2', {
+    maxAgeMs: 1000,
+    signal: controller.signal,
+  });
+  const [request] = wire;
+  assert.equal(request.kind, 'read');
+  assert.deepEqual(request.data.args, ['c2', { maxAgeMs: 1000 }]);
+
+  await pump();
+  const res = await pending;
+  assert.equal(res.success, true);
+  assert.deepEqual(
+    res.data.map((q) => q.id),
+    ['q1']
+  );
+});
+
+test('the GM refuses relayed methods that are not reads', async () => {
+  const local = await apiRelay.read('deleteQuest', 'q1');
+  assert.equal(local.success, false);
+  assert.equal(wire.length, 0);
+
+  as(gm);
+  const res = await gmLeader._run(
+    'read',
+    { method: 'deleteQuest', args: ['q1'] },
+    player.id
+  );
+  assert.equal(res.success, false);
+  assert.equal(fake.db.quests.has('q1'), true);
+});
+
+test('players may only relay the reads their sheets need', async () => {
+  as(gm);
+  const read = (method, args, sender) =>
+    gmLeader._run('read', { method, args }, sender);
+
+  const quest = await read('getQuest', ['q1'], player.id);
+  assert.equal(quest.success, false);
+  assert.match(quest.message, /only relayed for GMs/);
+  assert.equal((await read('listQuests', ['c1'], 'stranger')).success, false);
+  assert.equal(fake.requests.length, 0);
+
+  assert.equal((await read('listQuests', ['c1'], player.id)).success, true);
+  assert.equal((await read('getQuest', ['q1'], 'gm')).success, true);
+});
+
+test('players cannot read or ask as a GM by forging the sender', async () => {
+  const gm2 = { id: 'gm2', name: 'Co-GM', role: 4, isGM: true, active: true };
+  game.users = new StubCollection([gm, gm2, player]);
+  as(gm);
+  const forged = (id, kind, data) =>
+    gmLeader._onMessage(
+      { type: 'request', id, kind, data, from: gm2.id, to: gm.id },
+      player.id
+    );
+  await forged('r1', 'read', { method: 'getJournal', args: ['j1'] });
+  await forged('r2', 'ask', {
+    messages: [{ role: 'user', content: 'Spoilers?' }],
+    gmPermissions: true,
+  });
+  assert.deepEqual(wire, []);
+  assert.equal(fake.requests.length, 0);
+});
+
+test('player questions stream back from the GM without GM permissions', async () => {
+  const chunks = [];
+  let done = null;
+  const pending = apiRelay.askStream(
+    'c1',
+    [{ role: 'user', content: 'Who is Ann?' }],
+    true,
+    (chunk) => chunks.push(chunk),
+    (info) => {
+      done = info;
+    }
+  );
+  await pump();
+  await pending;
+
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks.join(''), 'You asked: Who is Ann?');
+  assert.equal(done.text, 'You asked: Who is Ann?');
+  const ask = fake.requests.find((r) => r.path.startsWith('/ask'));
+  assert.equal(ask.body.gm_permissions, false);
+});
+
+test('players cannot ask when chat is limited to GMs', async () => {
+  await settingsManager.setSetting('chatVisibility', 'gm');
+  const pending = apiRelay.askStream(
+    'c1',
+    [],
+    false,
+    () => {},
+    () => {}
+  );
+  await pump();
+  await assert.rejects(pending, /not enabled/);
+  assert.equal(fake.requests.length, 0);
+});
+
+test('cancelling a relayed request aborts it on the GM', async () => {
+  let aborted = false;
+  gmLeader.handle(
+    'wait',
+    (_data, _sender, { signal }) =>
+      new Promise((resolve) =>
+        signal.addEventListener('abort', () => {
+          aborted = true;
+          resolve({ success: true });
+        })
+      )
+  );
+  const controller = new AbortController();
+  const pending = gmLeader.send('wait', {}, { signal: controller.signal });
+  const request = wire.shift();
+  as(gm);
+  const serving = gmLeader._onMessage(request, request.from);
+  as(player);
+
+  controller.abort();
+  assert.equal((await pending).cancelled, true);
+  const cancel = wire.shift();
+  assert.equal(cancel.type, 'cancel');
+  as(gm);
+  await gmLeader._onMessage(cancel, cancel.from);
+  await serving;
+  assert.equal(aborted, true);
+  assert.equal(wire.length, 0); // no response for a cancelled request
+});
+
+test('players see that no GM is online', async () => {
+  gmLeader._gms.clear();
+  assert.equal(apiRelay.available, false);
+  const res = await apiRelay.read('listQuests', 'c1');
+  assert.equal(res.success, false);
+
+  const chat = new AskChatWindow();
+  assert.equal(chat._unavailableNotice(), 'ARCHIVIST_SYNC.chat.noGm');
+  gmLeader._gms.add(gm.id);
+  gmLeader._keyed.delete(gm.id);
+  assert.equal(chat._unavailableNotice(), 'ARCHIVIST_SYNC.chat.noGmKey');
+  gmLeader._keyed.add(gm.id);
+  assert.equal(chat._unavailableNotice(), '');
+});
@@ -0,0 +1,138 @@
+import { resetWorld, makeJournalEntry } from './helpers/foundry-stubs.js';
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { archivistApi } from '../scripts/services/archivist-api.js';
+import { FakeArchivist } from '../scripts/services/fake-archivist.js';
+import { syncCursor } from '../scripts/services/sync-cursor.js';
+import { settingsManager } from '../scripts/modules/settings-manager.js';
+import { SyncDialog } from '../scripts/dialogs/sync-dialog.js';
+
+const fake = new FakeArchivist();
+let urls = [];
+
+/** A Foundry sheet linked to an Archivist character. */
+function sheet(id, name) {
+  return makeJournalEntry({
+    name,
+    flags: {
+      'archivist-sync': {
+        archivist: { archivistId: id, sheetType: 'npc' },
+      },
+    },
+    pages: [{ name, type: 'text', text: { content: '', format: 1 } }],
+  });
+}
+
+async function load(dialog, options) {
+  urls = [];
+  await dialog._loadModel(true, options);
+  return dialog.model;
+}
+
+beforeEach(() => {
+  fake.reset({
+    campaigns: [{ id: 'c1', title: 'Campaign' }],
+    characters: [
+      {
+        id: 'ch1',
+        character_name: 'Ann',
+        campaign_id: 'c1',
+        updated_at: '2026-01-01T00:00:00.000Z',
+      },
+      {
+        id: 'ch2',
+        character_name: 'Bo',
+        campaign_id: 'c1',
+        updated_at: '2026-02-01T00:00:00.000Z',
+      },
+    ],
+  });
+  archivistApi.setTransport((url, init) => {
+    urls.push(url);
+    return fake.transport(url, init);
+  });
+  resetWorld({
+    journals: [sheet('ch1', 'Ann'), sheet('ch2', 'Bo')],
+    settings: { apiKey: 'key', selectedWorldId: 'c1' },
+  });
+});
+
+after(() => archivistApi.setTransport(null));
+
+test('the first load is a full fetch that stores per-type marks', async () => {
+  const model = await load(new SyncDialog());
+  assert.equal(model.stats.diffs, 0);
+  assert.equal(model.delta, null);
+  assert.ok(!urls.some((u) => u.includes('updated_since')));
+
+  const marks = syncCursor.getMarks('syncDialog', 'c1');
+  assert.equal(marks.Character, '2026-02-01T00:00:00.000Z');
+  assert.ok(syncCursor.getTimes('syncDialog', 'c1').fullAt);
+});
+
+test('later loads fetch and diff only rows changed since the mark', async () => {
+  const dialog = new SyncDialog();
+  await load(dialog);
+  await archivistApi.updateCharacter('key', 'ch2', {
+    character_name: 'Bo the Bard',
+  });
+
+  const model = await load(dialog);
+  assert.ok(model.delta);
+  assert.ok(
+    urls.some((u) => u.includes('/characters') && u.includes('updated_since'))
+  );
+  assert.deepEqual(
+    model.diffs.map((d) => [d.id, Object.keys(d.changes)]),
+    [['ch2', ['name']]]
+  );
+
+  // The unapplied change holds the mark, so it is offered again
+  const again = await load(dialog);
+  assert.deepEqual(
+    again.diffs.map((d) => d.id),
+    ['ch2']
+  );
+});
+
+test('deletions only show up in a full rescan', async () => {
+  const dialog = new SyncDialog();
+  await load(dialog);
+  await archivistApi.deleteCharacter('key', 'ch1');
+
+  const delta = await load(dialog);
+  assert.equal(delta.stats.diffs, 0);
+
+  const full = await load(dialog, { full: true });
+  assert.equal(full.delta, null);
+  assert.deepEqual(
+    full.diffs.map((d) => [d.id, d.deleted]),
+    [['ch1', true]]
+  );
+});
+
+test('switching campaigns discards the marks', async () => {
+  await load(new SyncDialog());
+  assert.ok(syncCursor.getMarks('syncDialog', 'c1'));
+  assert.equal(syncCursor.getMarks('syncDialog', 'other'), null);
+  await syncCursor.advance('syncDialog', 'other', { Character: null });
+  assert.equal(syncCursor.getMarks('syncDialog', 'c1'), null);
+  assert.equal(settingsManager.getSyncCursors().campaignId, 'other');
+});
+
+test('nextMark holds at the oldest pending row', () => {
+  const rows = [
+    { updated_at: '2026-01-01T00:00:00.000Z' },
+    { updated_at: '2026-03-01T00:00:00.000Z' },
+  ];
+  assert.equal(syncCursor.nextMark(rows, [], null), '2026-03-01T00:00:00.000Z');
+  assert.equal(
+    syncCursor.nextMark(rows, [rows[0]], null),
+    '2026-01-01T00:00:00.000Z'
+  );
+  assert.equal(
+    syncCursor.nextMark([], [], '2025-12-01T00:00:00.000Z'),
+    '2025-12-01T00:00:00.000Z'
+  );
+  assert.equal(syncCursor.nextMark(rows, [{}], 'prev'), 'prev');
+});
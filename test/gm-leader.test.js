@@ -0,0 +1,260 @@
+import { resetWorld, StubCollection } from './helpers/foundry-stubs.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { GmLeaderService, gmLeader } from '../scripts/services/gm-leader.js';
+import { writeQueue } from '../scripts/services/write-queue.js';
+import { archivistApi } from '../scripts/services/archivist-api.js';
+import {
+  ValidationError,
+  serializeResult,
+} from '../scripts/services/api-error.js';
+
+const me = game.user;
+let sent;
+let leaderHooks;
+Hooks.on('archivistSyncLeaderChanged', (e) => leaderHooks.push(e));
+
+const user = (id, role, active = true) => ({
+  id,
+  name: id,
+  role,
+  isGM: role >= 3,
+  active,
+});
+
+/** Connect users and mark the GMs as announced, each holding an API key. */
+function connect(service, users) {
+  game.users = new StubCollection([{ ...me, role: 4 }, ...users]);
+  for (const u of users) {
+    if (!u.isGM) continue;
+    service._gms.add(u.id);
+    service._keyed.add(u.id);
+  }
+}
+
+beforeEach(() => {
+  resetWorld({ settings: { apiKey: 'key' } });
+  sent = [];
+  leaderHooks = [];
+  game.socket = {
+    on() {},
+    emit: (channel, message) => sent.push({ channel, ...message }),
+  };
+});
+
+afterEach(() => {
+  delete game.socket;
+  game.users = new StubCollection([]);
+  gmLeader._gms.clear();
+  gmLeader._keyed.clear();
+  gmLeader._leaderId = null;
+});
+
+test('the leader is the highest-role GM with the lowest id', () => {
+  const service = new GmLeaderService();
+  connect(service, [user('a-assistant', 3), user('b-player', 1)]);
+  // "gm" is a full GM; the Assistant GM sorts first by id but ranks lower
+  assert.equal(service.leaderId, 'gm');
+
+  connect(service, [user('a-gm', 4), user('z-gm', 4)]);
+  assert.equal(service.leaderId, 'a-gm');
+  assert.equal(service.isLeader, false);
+});
+
+test('a GM holding an API key leads before GMs without one', () => {
+  resetWorld();
+  const service = new GmLeaderService();
+  connect(service, [user('z-gm', 4)]);
+  assert.equal(service.leaderId, 'z-gm');
+  assert.equal(service.leaderHasKey, true);
+
+  service._onMessage(
+    { type: 'hello', gm: true, keyed: false, from: 'z-gm' },
+    'z-gm'
+  );
+  assert.equal(service.leaderId, 'gm');
+  assert.equal(service.leaderHasKey, false);
+});
+
+test('leadership moves when the leader disconnects', () => {
+  const service = new GmLeaderService();
+  connect(service, [user('a-gm', 4)]);
+  service._elect();
+  assert.equal(service._leaderId, 'a-gm');
+
+  game.users.get('a-gm').active = false;
+  service._gms.delete('a-gm');
+  service._elect();
+  assert.equal(service.isLeader, true);
+  assert.deepEqual(leaderHooks.at(-1), { leaderId: 'gm', isLeader: true });
+});
+
+test('other GMs are answered with their own hello', async () => {
+  const service = new GmLeaderService();
+  await service._onMessage({ type: 'hello', gm: true, from: 'a-gm' }, 'a-gm');
+  assert.ok(service._gms.has('a-gm'));
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].channel, 'module.archivist-sync');
+  assert.deepEqual(
+    { type: sent[0].type, to: sent[0].to, reply: sent[0].reply },
+    { type: 'hello', to: 'a-gm', reply: true }
+  );
+});
+
+test('the leader runs relayed requests and answers the sender', async () => {
+  const service = new GmLeaderService();
+  service.handle('echo', async (data, sender) => ({
+    success: true,
+    data: { ...data, sender },
+  }));
+  await service._onMessage(
+    {
+      type: 'request',
+      id: 'r1',
+      kind: 'echo',
+      data: { x: 1 },
+      from: 'a-gm',
+      to: 'gm',
+    },
+    'a-gm'
+  );
+  const [response] = sent;
+  assert.equal(response.type, 'response');
+  assert.equal(response.to, 'a-gm');
+  assert.deepEqual(response.result.data, { x: 1, sender: 'a-gm' });
+});
+
+test('a non-leader GM relays writes and gets typed errors back', async () => {
+  connect(gmLeader, [user('a-gm', 4)]);
+  const pending = writeQueue.submit({
+    action: 'update',
+    type: 'character',
+    targetId: 'ch1',
+    payload: { description: 'x'.repeat(20000) },
+  });
+  await Promise.resolve();
+  const [request] = sent;
+  assert.equal(request.type, 'request');
+  assert.equal(request.kind, 'write');
+  assert.equal(request.to, 'a-gm');
+  assert.equal(request.data.targetId, 'ch1');
+
+  const failure = {
+    success: false,
+    error: new ValidationError({
+      status: 422,
+      fields: [{ field: 'description', message: 'Too long' }],
+    }),
+  };
+  await gmLeader._onMessage(
+    {
+      type: 'response',
+      id: request.id,
+      from: 'a-gm',
+      to: 'gm',
+      result: JSON.parse(JSON.stringify(serializeResult(failure))),
+    },
+    'a-gm'
+  );
+  const res = await pending;
+  assert.equal(res.error.isValidation, true);
+  assert.equal(res.error.fields[0].field, 'description');
+});
+
+test("a relayed write drops the sender's cached reads once it succeeds", async () => {
+  connect(gmLeader, [user('a-gm', 4)]);
+  const cache = archivistApi.cache;
+  cache.clear();
+  cache.store('chars', '/characters?campaign_id=c1', [], { keep: true });
+  cache.store('items', '/items?campaign_id=c1', [], { keep: true });
+
+  const pending = writeQueue.submit({
+    action: 'update',
+    type: 'character',
+    targetId: 'ch1',
+    payload: { description: 'Brave' },
+  });
+  await Promise.resolve();
+  const [request] = sent;
+  assert.equal(cache.stats.entries, 2);
+  await gmLeader._onMessage(
+    {
+      type: 'response',
+      id: request.id,
+      from: 'a-gm',
+      to: 'gm',
+      result: { success: true, data: { id: 'ch1' } },
+    },
+    'a-gm'
+  );
+  assert.equal((await pending).success, true);
+  assert.equal(cache.fresh('chars', 60000), null);
+  assert.ok(cache.fresh('items', 60000));
+  cache.clear();
+});
+
+test('the leader only runs writes relayed by known GMs', async () => {
+  game.users = new StubCollection([me, user('b-player', 1)]);
+  for (const from of ['b-player', 'stranger']) {
+    sent = [];
+    await gmLeader._onMessage(
+      {
+        type: 'request',
+        id: `w-${from}`,
+        kind: 'write',
+        data: { action: 'delete', type: 'character', targetId: 'ch1' },
+        from,
+        to: 'gm',
+      },
+      from
+    );
+    const [response] = sent;
+    assert.equal(response.to, from);
+    assert.equal(response.result.success, false);
+    assert.match(response.result.message, /Only GMs/);
+  }
+});
+
+test('messages whose from does not match the socket sender are dropped', async () => {
+  game.users = new StubCollection([me, user('a-gm', 4), user('b-player', 1)]);
+  let ran = 0;
+  gmLeader.handle('spy', async () => {
+    ran += 1;
+    return { success: true };
+  });
+  // A player claiming to be a GM
+  for (const kind of ['write', 'spy']) {
+    await gmLeader._onMessage(
+      {
+        type: 'request',
+        id: `forged-${kind}`,
+        kind,
+        data: { action: 'delete', type: 'character', targetId: 'ch1' },
+        from: 'a-gm',
+        to: 'gm',
+      },
+      'b-player'
+    );
+  }
+  await gmLeader._onMessage(
+    { type: 'hello', gm: true, keyed: true, from: 'a-gm' },
+    'b-player'
+  );
+  assert.equal(ran, 0);
+  assert.deepEqual(sent, []);
+  assert.equal(gmLeader._gms.has('a-gm'), false);
+  assert.equal(writeQueue.depth, 0);
+});
+
+test('requests waiting on a departed leader go to the next one', async () => {
+  connect(gmLeader, [user('a-gm', 4)]);
+  gmLeader._elect();
+  gmLeader.handle('echo', async () => ({ success: true, data: 'local' }));
+  const pending = gmLeader.send('echo', {});
+  assert.equal(sent.at(-1).to, 'a-gm');
+
+  game.users.get('a-gm').active = false;
+  gmLeader._elect();
+  const res = await pending;
+  assert.equal(res.data, 'local');
+});
@@ -0,0 +1,405 @@
+// Minimal Foundry VTT globals for running module logic under node:test.
+//
+// Import this module before any module under scripts/ so top-level code that
+// touches `game`, `foundry`, `Hooks` or `ui` finds the stubs. Only the APIs
+// exercised by the tests are modelled; extend as new tests need them.
+
+const MODULE_ID = 'archivist-sync';
+
+/* ---------------------------------------------------------------------- */
+/* foundry.utils                                                           */
+/* ---------------------------------------------------------------------- */
+
+function getProperty(obj, path) {
+  if (!obj || !path) return undefined;
+  let cur = obj;
+  for (const key of String(path).split('.')) {
+    if (cur == null) return undefined;
+    cur = cur[key];
+  }
+  return cur;
+}
+
+function hasProperty(obj, path) {
+  if (!obj || !path) return false;
+  let cur = obj;
+  for (const key of String(path).split('.')) {
+    if (cur == null || typeof cur !== 'object' || !(key in cur)) return false;
+    cur = cur[key];
+  }
+  return true;
+}
+
+function setProperty(obj, path, value) {
+  const keys = String(path).split('.');
+  let cur = obj;
+  for (const key of keys.slice(0, -1)) {
+    if (cur[key] == null || typeof cur[key] !== 'object') cur[key] = {};
+    cur = cur[key];
+  }
+  cur[keys[keys.length - 1]] = value;
+  return true;
+}
+
+function expandObject(data) {
+  const out = {};
+  for (const [k, v] of Object.entries(data || {})) setProperty(out, k, v);
+  return out;
+}
+
+function mergeObject(target, source) {
+  const out = target;
+  for (const [k, v] of Object.entries(expandObject(source))) {
+    if (v && typeof v === 'object' && !Array.isArray(v)) {
+      out[k] = mergeObject(
+        out[k] && typeof out[k] === 'object' ? out[k] : {},
+        v
+      );
+    } else {
+      out[k] = v;
+    }
+  }
+  return out;
+}
+
+let idCounter = 0;
+function randomID(length = 16) {
+  idCounter += 1;
+  return `id${String(idCounter).padStart(length - 2, '0')}`.slice(-length);
+}
+
+function escapeHTML(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#x27;');
+}
+
+/* ---------------------------------------------------------------------- */
+/* Hooks                                                                   */
+/* ---------------------------------------------------------------------- */
+
+const hookRegistry = new Map();
+
+const Hooks = {
+  on(name, fn) {
+    const list = hookRegistry.get(name) || [];
+    list.push(fn);
+    hookRegistry.set(name, list);
+    return list.length;
+  },
+  once(name, fn) {
+    const wrapped = (...args) => {
+      Hooks.off(name, wrapped);
+      return fn(...args);
+    };
+    return Hooks.on(name, wrapped);
+  },
+  off(name, fn) {
+    const list = hookRegistry.get(name) || [];
+    hookRegistry.set(
+      name,
+      list.filter((f) => f !== fn)
+    );
+  },
+  callAll(name, ...args) {
+    for (const fn of [...(hookRegistry.get(name) || [])]) fn(...args);
+    return true;
+  },
+  call(name, ...args) {
+    for (const fn of [...(hookRegistry.get(name) || [])]) {
+      if (fn(...args) === false) return false;
+    }
+    return true;
+  },
+};
+
+/* ---------------------------------------------------------------------- */
+/* Documents, flags and collections                                        */
+/* ---------------------------------------------------------------------- */
+
+class StubCollection {
+  constructor(docs = []) {
+    this._docs = new Map();
+    for (const d of docs) this._docs.set(d.id, d);
+  }
+  get contents() {
+    return [...this._docs.values()];
+  }
+  get size() {
+    return this._docs.size;
+  }
+  get(id) {
+    return this._docs.get(id);
+  }
+  getName(name) {
+    return this.contents.find((d) => d.name === name);
+  }
+  find(fn) {
+    return this.contents.find(fn);
+  }
+  filter(fn) {
+    return this.contents.filter(fn);
+  }
+  [Symbol.iterator]() {
+    return this._docs.values();
+  }
+}
+
+/**
+ * Plain document with Foundry-like flag and update APIs.
+ */
+class StubDocument {
+  constructor(documentName, data = {}) {
+    Object.assign(this, { flags: {}, ...structuredClone(data) });
+    this.documentName = documentName;
+    this.id = data.id ?? randomID();
+    this.uuid = `${documentName}.${this.id}`;
+  }
+  getFlag(scope, key) {
+    return getProperty(this.flags?.[scope], key);
+  }
+  async setFlag(scope, key, value) {
+    this.flags[scope] = this.flags[scope] || {};
+    setProperty(this.flags[scope], key, value);
+    return this;
+  }
+  async unsetFlag(scope, key) {
+    if (this.flags?.[scope]) delete this.flags[scope][key];
+    return this;
+  }
+  async update(changes) {
+    mergeObject(this, changes);
+    return this;
+  }
+  /** GMs pass; others by `ownership` (pages inherit their journal's). */
+  testUserPermission(user, level) {
+    if (user?.isGM) return true;
+    const levels = { NONE: 0, LIMITED: 1, OBSERVER: 2, OWNER: 3 };
+    const owner = this.parent ?? this;
+    const has = owner.ownership?.[user?.id] ?? owner.ownership?.default ?? 0;
+    return has >= (levels[level] ?? level);
+  }
+  toObject() {
+    const {
+      documentName: _name,
+      uuid: _uuid,
+      parent: _parent,
+      pages,
+      ...data
+    } = this;
+    if (pages) data.pages = pages.contents.map((p) => p.toObject());
+    return structuredClone(data);
+  }
+  async createEmbeddedDocuments(_documentName, list) {
+    return list.map((data) => addPage(this, data));
+  }
+  async delete() {
+    if (this.parent) this.parent.pages?._docs.delete(this.id);
+    else worldCollection(this.documentName)?._docs.delete(this.id);
+    return this;
+  }
+}
+
+function addPage(entry, data) {
+  const page = new StubDocument('JournalEntryPage', { type: 'text', ...data });
+  page.parent = entry;
+  page.uuid = `${entry.uuid}.JournalEntryPage.${page.id}`;
+  entry.pages._docs.set(page.id, page);
+  return page;
+}
+
+function worldCollection(documentName) {
+  return {
+    JournalEntry: game.journal,
+    Actor: game.actors,
+    Item: game.items,
+    Scene: game.scenes,
+  }[documentName];
+}
+
+/**
+ * Create a JournalEntry stub with optional pages.
+ * @param {object} data - { id, name, flags, pages: [{ id, name, type, text, flags }] }
+ */
+export function makeJournalEntry(data = {}) {
+  const { pages = [], ...rest } = data;
+  const entry = new StubDocument('JournalEntry', rest);
+  entry.pages = new StubCollection([]);
+  for (const p of pages) addPage(entry, p);
+  return entry;
+}
+
+/**
+ * Create an Actor/Item/Scene stub.
+ * @param {string} documentName
+ * @param {object} data
+ */
+export function makeDocument(documentName, data = {}) {
+  return new StubDocument(documentName, data);
+}
+
+/**
+ * Reset the stubbed world contents and settings.
+ * @param {{journals?:Array, actors?:Array, items?:Array, scenes?:Array, systemId?:string, settings?:object}} world
+ */
+export function resetWorld({
+  journals = [],
+  actors = [],
+  items = [],
+  scenes = [],
+  systemId = 'dnd5e',
+  settings = {},
+} = {}) {
+  game.system = { id: systemId };
+  game.journal = new StubCollection(journals);
+  game.actors = new StubCollection(actors);
+  game.items = new StubCollection(items);
+  game.scenes = new StubCollection(scenes);
+  settingsStore.clear();
+  for (const [k, v] of Object.entries(settings)) {
+    settingsStore.set(`${MODULE_ID}.${k}`, v);
+  }
+}
+
+/* ---------------------------------------------------------------------- */
+/* game, ui, foundry.applications                                          */
+/* ---------------------------------------------------------------------- */
+
+const settingsStore = new Map();
+const settingsDefaults = new Map();
+
+class ApplicationV2 {
+  constructor(options = {}) {
+    this.options = options;
+  }
+  render() {
+    return this;
+  }
+  close() {
+    return this;
+  }
+}
+
+const HandlebarsApplicationMixin = (Base) => class extends Base {};
+
+globalThis.game = {
+  user: { id: 'gm', isGM: true, name: 'Gamemaster' },
+  users: new StubCollection([]),
+  i18n: {
+    localize: (key) => key,
+    format: (key) => key,
+  },
+  settings: {
+    register(scope, key, config) {
+      settingsDefaults.set(`${scope}.${key}`, config?.default);
+    },
+    registerMenu() {},
+    get(scope, key) {
+      const k = `${scope}.${key}`;
+      return settingsStore.has(k)
+        ? settingsStore.get(k)
+        : settingsDefaults.get(k);
+    },
+    async set(scope, key, value) {
+      settingsStore.set(`${scope}.${key}`, value);
+      return value;
+    },
+  },
+};
+
+globalThis.ui = {
+  notifications: { info() {}, warn() {}, error() {} },
+};
+
+globalThis.foundry = {
+  utils: {
+    getProperty,
+    hasProperty,
+    setProperty,
+    mergeObject,
+    expandObject,
+    randomID,
+    escapeHTML,
+    deepClone: (v) => structuredClone(v),
+  },
+  applications: {
+    instances: new Map(),
+    api: {
+      ApplicationV2,
+      HandlebarsApplicationMixin,
+      DocumentSheetV2: ApplicationV2,
+      DialogV2: ApplicationV2,
+    },
+    ux: {
+      TextEditor: { implementation: { enrichHTML: async (html) => html } },
+    },
+  },
+};
+
+globalThis.Hooks = Hooks;
+
+// Document classes, used to recreate deleted documents
+const documentClass = (documentName, make) => ({
+  documentClass: {
+    async create(data) {
+      const doc = make(data);
+      worldCollection(documentName)._docs.set(doc.id, doc);
+      return doc;
+    },
+  },
+});
+globalThis.CONFIG = {
+  JournalEntry: documentClass('JournalEntry', makeJournalEntry),
+  Actor: documentClass('Actor', (data) => makeDocument('Actor', data)),
+  Item: documentClass('Item', (data) => makeDocument('Item', data)),
+};
+globalThis.fromUuidSync = (uuid) => {
+  for (const coll of [game.journal, game.actors, game.items, game.scenes]) {
+    for (const doc of coll || []) {
+      if (doc.uuid === uuid) return doc;
+      for (const page of doc.pages || []) if (page.uuid === uuid) return page;
+    }
+  }
+  return null;
+};
+globalThis.fromUuid = async (uuid) => fromUuidSync(uuid);
+
+// Text-only stand-in for the DOM helpers used to strip HTML
+if (typeof globalThis.document === 'undefined') {
+  globalThis.document = {
+    createElement() {
+      let html = '';
+      return {
+        set innerHTML(v) {
+          html = String(v ?? '');
+        },
+        get innerHTML() {
+          return html;
+        },
+        get textContent() {
+          return html
+            .replace(/<[^>]*>/g, '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&');
+        },
+      };
+    },
+  };
+}
+
+// Module code logs heavily; keep test output readable unless asked otherwise
+if (!process.env.ARCHIVIST_TEST_VERBOSE) {
+  for (const level of ['log', 'info', 'debug', 'warn']) {
+    console[level] = () => {};
+  }
+}
+
+resetWorld();
+
+export { MODULE_ID, Hooks, StubCollection, StubDocument };
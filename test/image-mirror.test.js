@@ -0,0 +1,99 @@
+import { resetWorld, makeJournalEntry } from './helpers/foundry-stubs.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ImageMirrorService } from '../scripts/services/image-mirror.js';
+import { imageUploader } from '../scripts/services/image-upload.js';
+import { settingsManager } from '../scripts/modules/settings-manager.js';
+
+const images = {
+  'https://cdn.example.com/ann.webp': 'ann-portrait',
+  'https://cdn.example.com/ann-again.webp': 'ann-portrait',
+  'https://cdn.example.com/bo.png': 'bo-portrait',
+};
+let stored;
+let downloads;
+let mirror;
+
+beforeEach(() => {
+  game.world = { id: 'w1' };
+  stored = new Map();
+  downloads = [];
+  mirror = new ImageMirrorService({
+    download: async (url) => {
+      downloads.push(url);
+      if (!images[url]) throw new Error('404');
+      const type = url.endsWith('.png') ? 'image/png' : 'image/webp';
+      return new Blob([images[url]], { type });
+    },
+    store: async (dir, file) => {
+      const path = `${dir}/${file.name}`;
+      stored.set(path, file);
+      return path;
+    },
+  });
+  resetWorld({ settings: { imageMirrorEnabled: true } });
+});
+
+test('remote images are downloaded once into the world folder', async () => {
+  const path = await mirror.localize('https://cdn.example.com/ann.webp');
+  assert.match(path, /^worlds\/w1\/archivist-images\/[0-9a-f]{24}\.webp$/);
+  assert.equal(stored.size, 1);
+
+  assert.equal(await mirror.localize('https://cdn.example.com/ann.webp'), path);
+  assert.equal(downloads.length, 1);
+  assert.equal(
+    settingsManager.getImageMirrors()['https://cdn.example.com/ann.webp'],
+    path
+  );
+});
+
+test('the same image behind another URL is stored once', async () => {
+  const first = await mirror.localize('https://cdn.example.com/ann.webp');
+  const second = await mirror.localize(
+    'https://cdn.example.com/ann-again.webp'
+  );
+  assert.equal(second, first);
+  assert.equal(stored.size, 1);
+  assert.notEqual(
+    await mirror.localize('https://cdn.example.com/bo.png'),
+    first
+  );
+});
+
+test('URLs stay remote when mirroring is off or the download fails', async () => {
+  const missing = 'https://cdn.example.com/missing.webp';
+  assert.equal(await mirror.localize(missing), missing);
+
+  await game.settings.set('archivist-sync', 'imageMirrorEnabled', false);
+  const url = 'https://cdn.example.com/ann.webp';
+  assert.equal(await mirror.localize(url), url);
+  assert.equal(await mirror.localize(''), '');
+  assert.equal(stored.size, 0);
+});
+
+test('local copies are never uploaded back to Archivist', async () => {
+  const path = await mirror.localize('https://cdn.example.com/ann.webp');
+  assert.equal(imageUploader.accepts('character', path), false);
+  assert.equal(imageUploader.accepts('character', 'worlds/w1/ann.webp'), true);
+});
+
+test('switching mirroring on rewrites already imported sheets', async () => {
+  const sheet = makeJournalEntry({
+    name: 'Ann',
+    img: 'https://cdn.example.com/ann.webp',
+    flags: { 'archivist-sync': { archivist: { sheetType: 'npc' } } },
+  });
+  const plain = makeJournalEntry({
+    name: 'Notes',
+    img: 'https://cdn.example.com/bo.png',
+  });
+  resetWorld({
+    journals: [sheet, plain],
+    settings: { imageMirrorEnabled: true, imageMirrorFolder: '/art/' },
+  });
+
+  assert.equal(await mirror.mirrorWorld(), 1);
+  assert.match(sheet.img, /^worlds\/w1\/art\/[0-9a-f]+\.webp$/);
+  assert.equal(sheet.getFlag('archivist-sync', 'op'), 'imageMirror');
+  assert.equal(plain.img, 'https://cdn.example.com/bo.png');
+});
@@ -0,0 +1,94 @@
+import { resetWorld, makeDocument } from './helpers/foundry-stubs.js';
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { archivistApi } from '../scripts/services/archivist-api.js';
+import { FakeArchivist } from '../scripts/services/fake-archivist.js';
+import { writeQueue } from '../scripts/services/write-queue.js';
+import {
+  imageUploader,
+  isLocalImage,
+} from '../scripts/services/image-upload.js';
+
+const fake = new FakeArchivist();
+const files = {
+  'worlds/w/ann.webp': 'ann-portrait',
+  'worlds/w/copy-of-ann.webp': 'ann-portrait',
+  'worlds/w/bo.webp': 'bo-portrait',
+};
+imageUploader._readFile = async (src) => {
+  if (!files[src]) throw new Error(`Could not read ${src} (HTTP 404)`);
+  return new Blob([files[src]], { type: 'image/webp' });
+};
+
+const uploads = () => fake.requests.filter((r) => r.method === 'PUT');
+let ann;
+let bo;
+
+const uploadImage = (doc, targetId, src) =>
+  writeQueue.submit({
+    action: 'image',
+    type: 'character',
+    targetId,
+    docUuid: doc.uuid,
+    src,
+    label: doc.name,
+  });
+
+beforeEach(() => {
+  fake.reset({
+    campaigns: [{ id: 'c1', title: 'Campaign' }],
+    characters: [
+      { id: 'ch1', character_name: 'Ann', campaign_id: 'c1' },
+      { id: 'ch2', character_name: 'Bo', campaign_id: 'c1' },
+    ],
+  });
+  archivistApi.setTransport(fake.transport);
+  ann = makeDocument('Actor', { name: 'Ann' });
+  bo = makeDocument('Actor', { name: 'Bo' });
+  resetWorld({
+    actors: [ann, bo],
+    settings: { apiKey: 'key', selectedWorldId: 'c1' },
+  });
+});
+
+after(() => archivistApi.setTransport(null));
+
+test('only local images of entities with image support are uploaded', () => {
+  assert.equal(isLocalImage('worlds/w/ann.webp'), true);
+  assert.equal(isLocalImage('https://cdn.example.com/ann.webp'), false);
+  assert.equal(isLocalImage(''), false);
+  assert.equal(imageUploader.accepts('character', 'worlds/w/ann.webp'), true);
+  assert.equal(imageUploader.accepts('quest', 'worlds/w/ann.webp'), false);
+});
+
+test('a local image goes through the upload flow and is attached', async () => {
+  const res = await uploadImage(ann, 'ch1', 'worlds/w/ann.webp');
+
+  assert.equal(res.success, true);
+  assert.equal(uploads().length, 1);
+  assert.equal(fake.db.characters.get('ch1').image, res.url);
+  assert.equal(ann.getFlag('archivist-sync', 'imageUpload').url, res.url);
+});
+
+test('the same file is not uploaded twice', async () => {
+  const first = await uploadImage(ann, 'ch1', 'worlds/w/ann.webp');
+  const again = await uploadImage(ann, 'ch1', 'worlds/w/copy-of-ann.webp');
+  assert.equal(again.skipped, true);
+  assert.equal(uploads().length, 1);
+
+  // Another entity with the same bytes gets the uploaded URL
+  const shared = await uploadImage(bo, 'ch2', 'worlds/w/ann.webp');
+  assert.equal(shared.url, first.url);
+  assert.equal(uploads().length, 1);
+  assert.equal(fake.db.characters.get('ch2').image, first.url);
+
+  // A different file is uploaded
+  await uploadImage(bo, 'ch2', 'worlds/w/bo.webp');
+  assert.equal(uploads().length, 2);
+});
+
+test('unreadable files fail without contacting Archivist', async () => {
+  const res = await uploadImage(ann, 'ch1', 'worlds/w/missing.webp');
+  assert.equal(res.success, false);
+  assert.equal(fake.requests.length, 0);
+});
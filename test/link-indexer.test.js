@@ -0,0 +1,110 @@
+import {
+  makeJournalEntry,
+  resetWorld,
+  MODULE_ID,
+} from './helpers/foundry-stubs.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LinkIndexer } from '../scripts/modules/links/indexer.js';
+
+const sheet = (id, archivist) =>
+  makeJournalEntry({ id, name: id, flags: { [MODULE_ID]: { archivist } } });
+
+test('indexes sheets by journal id and Archivist id', () => {
+  resetWorld({
+    journals: [
+      sheet('j1', { sheetType: 'pc', archivistId: 'a1' }),
+      sheet('j2', { sheetType: 'item' }),
+      makeJournalEntry({ id: 'plain', name: 'Plain' }),
+    ],
+  });
+  const idx = new LinkIndexer();
+  idx.buildFromWorld();
+  assert.equal(idx.byJournalId.get('j1').archivistId, 'a1');
+  assert.deepEqual(idx.byArchivistId.get('a1').journalId, 'j1');
+  assert.ok(!idx.byArchivistId.has(undefined));
+  assert.ok(idx._built);
+});
+
+test('builds location children and ancestor chains', () => {
+  resetWorld({
+    journals: [
+      sheet('world', { sheetType: 'location', archivistId: 'L0' }),
+      sheet('city', {
+        sheetType: 'location',
+        archivistId: 'L1',
+        parentLocationId: 'L0',
+      }),
+      sheet('tavern', {
+        sheetType: 'location',
+        archivistId: 'L2',
+        parentLocationId: 'L1',
+        archivistRefs: { locationsAssociative: ['L9'] },
+      }),
+      // Local-only location keyed by its journal id
+      sheet('cellar', { sheetType: 'location', parentLocationId: 'L2' }),
+    ],
+  });
+  const idx = new LinkIndexer();
+  idx.buildFromWorld();
+  assert.deepEqual(idx.childrenByLocationId.get('L0'), ['L1']);
+  assert.deepEqual(idx.childrenByLocationId.get('L2'), ['cellar']);
+  assert.deepEqual(idx.ancestorsByLocationId.get('cellar'), ['L0', 'L1', 'L2']);
+  assert.deepEqual(idx.ancestorsByLocationId.get('L0'), []);
+  assert.deepEqual(idx.associatesByLocationId.get('L2'), ['L9']);
+});
+
+test('survives parent cycles', () => {
+  resetWorld({
+    journals: [
+      sheet('a', {
+        sheetType: 'location',
+        archivistId: 'A',
+        parentLocationId: 'B',
+      }),
+      sheet('b', {
+        sheetType: 'location',
+        archivistId: 'B',
+        parentLocationId: 'A',
+      }),
+    ],
+  });
+  const idx = new LinkIndexer();
+  idx.buildFromWorld();
+  assert.deepEqual(idx.ancestorsByLocationId.get('A'), ['A', 'B']);
+});
+
+test('prefers directional archivistOutbound over archivistRefs and dedupes', () => {
+  resetWorld({
+    journals: [
+      sheet('j1', {
+        sheetType: 'npc',
+        archivistId: 'c1',
+        archivistRefs: { items: ['ignored'] },
+        archivistOutbound: { items: ['i1', 'i1', 'i2'], factions: ['f1'] },
+      }),
+      sheet('j2', {
+        sheetType: 'npc',
+        archivistId: 'c2',
+        archivistRefs: { characters: ['c1'] },
+      }),
+    ],
+  });
+  const idx = new LinkIndexer();
+  idx.buildFromWorld();
+  assert.deepEqual(idx.outboundByFromId.get('c1').items, ['i1', 'i2']);
+  assert.deepEqual(idx.outboundByFromId.get('c1').factions, ['f1']);
+  assert.deepEqual(idx.outboundByFromId.get('c2').characters, ['c1']);
+});
+
+test('rebuilding clears previous state', () => {
+  resetWorld({
+    journals: [sheet('j1', { sheetType: 'pc', archivistId: 'a1' })],
+  });
+  const idx = new LinkIndexer();
+  idx.buildFromWorld();
+  resetWorld({ journals: [] });
+  idx.buildFromWorld();
+  assert.equal(idx.byJournalId.size, 0);
+  assert.equal(idx.byArchivistId.size, 0);
+});
@@ -0,0 +1,125 @@
+import { resetWorld, makeJournalEntry } from './helpers/foundry-stubs.js';
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { archivistApi } from '../scripts/services/archivist-api.js';
+import { FakeArchivist } from '../scripts/services/fake-archivist.js';
+import { WorldSetupDialog } from '../scripts/dialogs/world-setup-dialog.js';
+
+const links = [
+  {
+    id: 'l1',
+    from_id: 'a',
+    from_type: 'Character',
+    to_id: 'b',
+    to_type: 'Item',
+  },
+  {
+    id: 'l2',
+    from_id: 'a',
+    from_type: 'Character',
+    to_id: 'c',
+    to_type: 'Location',
+  },
+  {
+    id: 'l3',
+    from_id: 'b',
+    from_type: 'Item',
+    to_id: 'c',
+    to_type: 'Location',
+    alias: 'kept in',
+  },
+  {
+    id: 'l4',
+    from_id: 'x',
+    from_type: 'Character',
+    to_id: 'y',
+    to_type: 'Item',
+  },
+].map((l) => ({ ...l, campaign_id: 'c1' }));
+
+const fake = new FakeArchivist();
+
+beforeEach(() => {
+  fake.reset({ campaigns: [{ id: 'c1', title: 'Campaign' }], links });
+  archivistApi.setTransport(fake.transport);
+  resetWorld();
+});
+
+after(() => archivistApi.setTransport(null));
+
+const linkGets = () =>
+  fake.requests.filter(
+    (r) => r.method === 'GET' && r.path.startsWith('/campaigns/c1/links')
+  );
+
+test('queryLinks sends every filter to the server', async () => {
+  const res = await archivistApi.queryLinks('key', 'c1', {
+    from_id: 'a',
+    to_type: 'Location',
+    alias: '',
+  });
+  assert.deepEqual(
+    res.data.map((l) => l.id),
+    ['l2']
+  );
+  const [req] = linkGets();
+  assert.match(req.path, /\?from_id=a&to_type=Location&page=1/);
+
+  const aliased = await archivistApi.queryLinks('key', 'c1', {
+    alias: 'kept in',
+  });
+  assert.deepEqual(
+    aliased.data.map((l) => l.id),
+    ['l3']
+  );
+});
+
+test('queryLinks still filters when the server ignores a filter', async () => {
+  archivistApi.setTransport((url, init) =>
+    fake.transport(String(url).replace(/to_id=[^&]*&/, ''), init)
+  );
+  const res = await archivistApi.queryLinks('key', 'c1', {
+    from_id: 'a',
+    to_id: 'b',
+  });
+  assert.deepEqual(
+    res.data.map((l) => l.id),
+    ['l1']
+  );
+});
+
+test('listLinksByFromId is a from_id query', async () => {
+  const res = await archivistApi.listLinksByFromId('key', 'c1', 'b');
+  assert.deepEqual(
+    res.data.map((l) => l.id),
+    ['l3']
+  );
+});
+
+const journal = (id, archivistId, sheetType) =>
+  makeJournalEntry({
+    id,
+    name: id,
+    flags: { 'archivist-sync': { archivist: { archivistId, sheetType } } },
+  });
+
+test('wizard link hydration queries only the imported journals', async () => {
+  resetWorld({
+    journals: [
+      journal('ja', 'a', 'pc'),
+      journal('jb', 'b', 'item'),
+      journal('jc', 'c', 'location'),
+    ],
+  });
+  await new WorldSetupDialog()._hydrateLinksFromArchivist('key', 'c1');
+
+  const paths = linkGets().map((r) => r.path);
+  assert.equal(paths.length, 3);
+  assert.ok(paths.every((p) => /\?from_id=[abc]&/.test(p)));
+
+  const refs = (id) =>
+    game.journal.get(id).getFlag('archivist-sync', 'archivist').archivistRefs;
+  assert.deepEqual(refs('ja').items, ['b']);
+  assert.deepEqual(refs('jc').items, ['b']);
+  assert.deepEqual(refs('jc').characters, ['a']);
+});
@@ -0,0 +1,126 @@
+import './helpers/foundry-stubs.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import {
+  htmlToMarkdown,
+  markdownToHtml,
+} from '../scripts/modules/markdown/converter.js';
+
+// Foundry runs in a browser; Node needs a real DOMParser for HTML → Markdown
+globalThis.DOMParser = new JSDOM('').window.DOMParser;
+
+/** Markdown → HTML → Markdown must give back the same Markdown. */
+const roundTrip = (md) => htmlToMarkdown(markdownToHtml(md));
+
+test('structured Markdown survives a round-trip unchanged', () => {
+  const md = [
+    '# Ann the Bold',
+    'A **brave** ranger with *keen* eyes and ~~no~~ fear. Uses `bow`.',
+    '- Bow\n- Quiver\n  - 20 arrows\n- Cloak',
+    '3. Scout\n4. Report',
+    '> The forest remembers.',
+    '| Stat | Value |\n| --- | --- |\n| STR | 12 |\n| DEX | 18 |',
+    '```js\nconst a = 1;\n```',
+    '---',
+    'See [the map](https://example.com/map) or https://example.com.',
+  ].join('\n\n');
+  assert.equal(roundTrip(md), md);
+  assert.equal(roundTrip(roundTrip(md)), md);
+});
+
+test('literal Markdown characters are escaped and kept', () => {
+  const html = '<p>2 * 3 = 6, snake_case and a | pipe</p>';
+  const md = htmlToMarkdown(html);
+  assert.equal(md, '2 \\* 3 = 6, snake_case and a \\| pipe');
+  assert.equal(markdownToHtml(md), html);
+});
+
+test('wikilinks pass through unescaped in both directions', () => {
+  const html =
+    '<p>Met [[Some_Target|the *Baron*]] at [[Red_Keep]] with [[_Ann_]].</p>';
+  const md = htmlToMarkdown(html);
+  assert.equal(
+    md,
+    'Met [[Some_Target|the *Baron*]] at [[Red_Keep]] with [[_Ann_]].'
+  );
+  assert.equal(markdownToHtml(md), html);
+  assert.equal(roundTrip(md), md);
+});
+
+test('content links become @UUID tokens and stay verbatim', () => {
+  const html =
+    '<p>Ask <a class="content-link" data-uuid="Actor.abc123">Ann_Lee</a> about ' +
+    '@UUID[JournalEntry.x1]{The *Vault*}.</p>';
+  const md = htmlToMarkdown(html);
+  assert.equal(
+    md,
+    'Ask @UUID[Actor.abc123]{Ann_Lee} about @UUID[JournalEntry.x1]{The *Vault*}.'
+  );
+  assert.equal(
+    markdownToHtml(md),
+    '<p>Ask @UUID[Actor.abc123]{Ann_Lee} about @UUID[JournalEntry.x1]{The *Vault*}.</p>'
+  );
+});
+
+test('secret blocks keep their id and content', () => {
+  const html =
+    '<p>Public</p><section class="secret" id="secret-1"><p>The <strong>heir</strong> lives.</p><ul><li>Clue</li></ul></section>';
+  const md = htmlToMarkdown(html);
+  assert.equal(
+    md,
+    'Public\n\n:::secret secret-1\nThe **heir** lives.\n\n- Clue\n:::'
+  );
+  assert.equal(markdownToHtml(md), html);
+  assert.equal(roundTrip(md), md);
+});
+
+test('table cells escape pipes and lists keep their numbering', () => {
+  const html =
+    '<table><thead><tr><th>Name</th><th>Notes</th></tr></thead>' +
+    '<tbody><tr><td>Ann</td><td>a | b</td></tr></tbody></table>' +
+    '<ol start="2"><li>Second</li><li>Third</li></ol>';
+  const md = htmlToMarkdown(html);
+  assert.equal(
+    md,
+    '| Name | Notes |\n| --- | --- |\n| Ann | a \\| b |\n\n2. Second\n3. Third'
+  );
+  assert.equal(markdownToHtml(md), html);
+});
+
+test('wikilinks inside table cells keep their label', () => {
+  const md = htmlToMarkdown(
+    '<table><tbody><tr><td>Who</td></tr><tr><td>[[Ann|the ranger]]</td></tr></tbody></table>'
+  );
+  assert.equal(md, '| Who |\n| --- |\n| [[Ann\\|the ranger]] |');
+  assert.match(markdownToHtml(md), /<td>\[\[Ann\|the ranger\]\]<\/td>/);
+});
+
+test('links and images with unsafe schemes stay plain text', () => {
+  const unsafe = [
+    '[x](javascript:alert(1))',
+    '[x](JavaScript\\:alert(1))',
+    '[x](data:text/html,hi)',
+    '![x](vbscript:msgbox)',
+  ];
+  for (const md of unsafe) {
+    const html = markdownToHtml(md);
+    assert.doesNotMatch(html, /<(a|img)\b/, md);
+  }
+  assert.equal(
+    markdownToHtml('[x](javascript:alert(1))'),
+    '<p>[x](javascript:alert(1))</p>'
+  );
+
+  assert.equal(
+    markdownToHtml(
+      '[a](https://example.com) [b](mailto:gm@example.com) [c](notes/ann.md) [d](#top)'
+    ),
+    '<p><a href="https://example.com">a</a> <a href="mailto:gm@example.com">b</a> ' +
+      '<a href="notes/ann.md">c</a> <a href="#top">d</a></p>'
+  );
+  assert.equal(
+    markdownToHtml('![map](https://example.com/map.png)'),
+    '<p><img src="https://example.com/map.png" alt="map"></p>'
+  );
+});
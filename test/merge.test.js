@@ -0,0 +1,48 @@
+import './helpers/foundry-stubs.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  toArchivistBlock,
+  mergeArchivistSection,
+  mergeArchivistPlainSection,
+} from '../scripts/modules/projection/merge.js';
+
+const BLOCK_RE = /<section[^>]*data-archivist="true"[^>]*>/g;
+
+test('mergeArchivistSection returns just the block for an empty field', () => {
+  assert.equal(
+    mergeArchivistSection('', '<p>Hi</p>'),
+    toArchivistBlock('<p>Hi</p>')
+  );
+  assert.equal(
+    mergeArchivistSection(null, '<p>Hi</p>'),
+    toArchivistBlock('<p>Hi</p>')
+  );
+});
+
+test('mergeArchivistSection appends after existing content', () => {
+  const out = mergeArchivistSection('<p>Mine</p>', '<p>Theirs</p>');
+  assert.ok(out.startsWith('<p>Mine</p>\n<hr/>\n'));
+  assert.ok(out.endsWith(toArchivistBlock('<p>Theirs</p>')));
+});
+
+test('mergeArchivistSection replaces its own block on re-sync', () => {
+  const once = mergeArchivistSection('<p>Mine</p>', '<p>v1</p>');
+  const twice = mergeArchivistSection(once, '<p>v2</p>');
+  assert.equal(twice.match(BLOCK_RE).length, 1);
+  assert.ok(twice.includes('<p>Mine</p>'));
+  assert.ok(twice.includes('<p>v2</p>'));
+  assert.ok(!twice.includes('<p>v1</p>'));
+});
+
+test('mergeArchivistPlainSection strips HTML and wraps in markers', () => {
+  const out = mergeArchivistPlainSection('', '<p>Hello <b>there</b></p>');
+  assert.equal(out, '[Archivist]\nHello there\n[/Archivist]');
+});
+
+test('mergeArchivistPlainSection keeps existing text and replaces its block', () => {
+  const once = mergeArchivistPlainSection('GM notes', 'first');
+  assert.equal(once, 'GM notes\n\n[Archivist]\nfirst\n[/Archivist]');
+  const twice = mergeArchivistPlainSection(once, 'second');
+  assert.equal(twice, 'GM notes\n\n[Archivist]\nsecond\n[/Archivist]');
+});
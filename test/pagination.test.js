@@ -0,0 +1,89 @@
+import './helpers/foundry-stubs.js';
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { archivistApi } from '../scripts/services/archivist-api.js';
+import { FakeArchivist } from '../scripts/services/fake-archivist.js';
+import { FetchProgress } from '../scripts/services/fetch-progress.js';
+import { CancelledError } from '../scripts/services/api-error.js';
+
+const fake = new FakeArchivist();
+
+const characters = Array.from({ length: 25 }, (_, i) => ({
+  id: `ch${i}`,
+  character_name: `Character ${i}`,
+  campaign_id: 'c1',
+}));
+
+beforeEach(() => {
+  fake.reset({
+    characters,
+    items: [{ id: 'i1', name: 'Ring', campaign_id: 'c1' }],
+  });
+  fake.latencyMs = 0;
+  archivistApi.setTransport(fake.transport);
+});
+
+after(() => archivistApi.setTransport(null));
+
+test('paginate yields each page with running counts', async () => {
+  const pages = [];
+  for await (const page of archivistApi.paginate(
+    'key',
+    '/characters?campaign_id=c1',
+    { size: 10 }
+  )) {
+    pages.push(page);
+  }
+  assert.deepEqual(
+    pages.map((p) => [p.page, p.items.length, p.loaded, p.total, p.pages]),
+    [
+      [1, 10, 10, 25, 3],
+      [2, 10, 20, 25, 3],
+      [3, 5, 25, 25, 3],
+    ]
+  );
+});
+
+test('list methods report progress and still return every row', async () => {
+  const seen = [];
+  const res = await archivistApi.listCharacters('key', 'c1', {
+    size: 10,
+    onProgress: (p) => seen.push(p.loaded),
+  });
+  assert.equal(res.success, true);
+  assert.equal(res.data.length, 25);
+  assert.deepEqual(seen, [10, 20, 25]);
+});
+
+test('aborting the signal cancels the remaining pages', async () => {
+  fake.latencyMs = 5;
+  const controller = new AbortController();
+  const res = await archivistApi.listCharacters('key', 'c1', {
+    size: 10,
+    signal: controller.signal,
+    onProgress: () => controller.abort(),
+  });
+  assert.equal(res.success, false);
+  assert.ok(res.error instanceof CancelledError);
+  assert.equal(res.retryable, false);
+});
+
+test('FetchProgress sums parallel lists and cancels them together', async () => {
+  const snapshots = [];
+  const progress = new FetchProgress((s) => snapshots.push(s));
+  const [chars, items] = await Promise.all([
+    archivistApi.listCharacters('key', 'c1', {
+      ...progress.track('characters'),
+      size: 10,
+    }),
+    archivistApi.listItems('key', 'c1', progress.track('items')),
+  ]);
+  assert.equal(chars.data.length + items.data.length, 26);
+  assert.deepEqual(progress.snapshot, { loaded: 26, total: 26, percent: 100 });
+  assert.ok(snapshots.length >= 4);
+
+  progress.cancel();
+  const late = await archivistApi.listItems('key', 'c1', progress.track('x'));
+  assert.equal(progress.cancelled, true);
+  assert.ok(late.error instanceof CancelledError);
+});
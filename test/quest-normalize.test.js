@@ -0,0 +1,101 @@
+import './helpers/foundry-stubs.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { archivistApi } from '../scripts/services/archivist-api.js';
+
+test('_normalizeQuestPayload maps camelCase fields to the snake_case contract', () => {
+  const out = archivistApi._normalizeQuestPayload({
+    worldId: 'c1',
+    questName: 'Find the Relic',
+    questGiver: 'Elder',
+    questCategory: 'main',
+    status: 'active',
+    successDefinition: 'Relic recovered',
+    failureConditions: 'Relic destroyed',
+    nextAction: 'Visit the crypt',
+    resolution: '',
+  });
+  assert.deepEqual(out, {
+    campaign_id: 'c1',
+    quest_name: 'Find the Relic',
+    quest_giver: 'Elder',
+    quest_category: 'main',
+    status: 'active',
+    success_definition: 'Relic recovered',
+    failure_conditions: 'Relic destroyed',
+    next_action: 'Visit the crypt',
+    resolution: '',
+  });
+});
+
+test('_normalizeQuestPayload drops read-only and unknown fields', () => {
+  const out = archivistApi._normalizeQuestPayload({
+    questName: 'Q',
+    questGiverId: 'x',
+    progressLogEntries: [{ id: 1 }],
+    firstSession: 's1',
+    lastSession: 's2',
+    orderIndex: 3,
+    created_at: 'now',
+    somethingElse: true,
+  });
+  assert.deepEqual(out, { quest_name: 'Q' });
+  assert.ok(!('campaign_id' in out));
+});
+
+test('_normalizeQuestPayload cleans objectives and progress log', () => {
+  const out = archivistApi._normalizeQuestPayload({
+    objectives: [
+      ' Talk to the elder ',
+      { id: 'o1', order: 2, text: 'Open the gate', status: 'done' },
+      { text: '   ' },
+      '',
+    ],
+    progressLog: ['Met the elder', { text: 'Found a key' }, {}],
+  });
+  assert.deepEqual(out.objectives, [
+    { text: 'Talk to the elder', status: 'pending' },
+    { text: 'Open the gate', status: 'done' },
+  ]);
+  assert.deepEqual(out.progress_log, ['Met the elder', 'Found a key', '']);
+});
+
+test('_normalizeQuestPayload passes related lists and refs through', () => {
+  const refs = [{ entityType: 'character', entityId: 'c1' }];
+  const out = archivistApi._normalizeQuestPayload({
+    relatedCharacters: ['Bob'],
+    related_items: ['Sword'],
+    relatedEntityRefs: refs,
+  });
+  assert.deepEqual(out.related_characters, ['Bob']);
+  assert.deepEqual(out.related_items, ['Sword']);
+  assert.equal(out.related_entity_refs, refs);
+});
+
+test('_normalizeQuestResponse adds camelCase keys and keeps originals', () => {
+  const q = archivistApi._normalizeQuestResponse({
+    id: 'q1',
+    quest_name: 'Q',
+    quest_giver: 'Elder',
+    progress_log: ['a'],
+    related_entity_refs: [{ entityId: 'x' }],
+  });
+  assert.equal(q.id, 'q1');
+  assert.equal(q.quest_name, 'Q');
+  assert.equal(q.questName, 'Q');
+  assert.equal(q.questGiver, 'Elder');
+  assert.deepEqual(q.progressLog, ['a']);
+  assert.deepEqual(q.relatedEntityRefs, [{ entityId: 'x' }]);
+  assert.equal(q.questCategory, 'n/a');
+  assert.equal(q.questGiverId, null);
+  assert.deepEqual(q.relatedItems, []);
+});
+
+test('_normalizeQuestResponse prefers existing camelCase values', () => {
+  const q = archivistApi._normalizeQuestResponse({
+    questName: 'Camel',
+    quest_name: 'Snake',
+  });
+  assert.equal(q.questName, 'Camel');
+  assert.deepEqual(archivistApi._normalizeQuestResponse(null).questName, '');
+});
@@ -0,0 +1,37 @@
+import './helpers/foundry-stubs.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { RecentlyDeletedWindow } from '../scripts/dialogs/recently-deleted-window.js';
+
+const ID = 'archivist-recently-deleted';
+
+afterEach(() => foundry.applications.instances.clear());
+
+test('the open window is reused instead of building another', () => {
+  const first = RecentlyDeletedWindow.open();
+  let raised = 0;
+  first.bringToFront = () => (raised += 1);
+  // Foundry registers rendered applications by id
+  foundry.applications.instances.set(ID, first);
+
+  const second = RecentlyDeletedWindow.open();
+  assert.equal(second, first);
+  assert.equal(raised, 1);
+});
+
+test('the tombstone hook lives from first render until close', () => {
+  const app = new RecentlyDeletedWindow();
+  let renders = 0;
+  app.render = () => (renders += 1);
+
+  Hooks.callAll('archivistSyncTombstonesChanged', []);
+  assert.equal(renders, 0);
+
+  app._onFirstRender({}, {});
+  Hooks.callAll('archivistSyncTombstonesChanged', []);
+  assert.equal(renders, 1);
+
+  app._onClose({});
+  Hooks.callAll('archivistSyncTombstonesChanged', []);
+  assert.equal(renders, 1);
+});
@@ -0,0 +1,165 @@
+import { resetWorld, makeJournalEntry } from './helpers/foundry-stubs.js';
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { archivistApi } from '../scripts/services/archivist-api.js';
+import { FakeArchivist } from '../scripts/services/fake-archivist.js';
+import { remotePoller } from '../scripts/services/remote-poller.js';
+import { remoteVersion } from '../scripts/services/remote-version.js';
+import { writeCoalescer } from '../scripts/services/write-coalescer.js';
+
+const fake = new FakeArchivist();
+const rows = {
+  ch1: { id: 'ch1', character_name: 'Ann', description: 'Brave' },
+  ch2: { id: 'ch2', character_name: 'Bo', description: 'Quiet' },
+};
+let pulls;
+Hooks.on('archivistSyncRemotePull', (p) => pulls.push(p));
+
+/** A journal in sync with its Archivist character. */
+function sheet(row, name = row.character_name) {
+  return makeJournalEntry({
+    name,
+    flags: {
+      'archivist-sync': {
+        archivist: { archivistId: row.id, sheetType: 'npc' },
+        remoteVersion: remoteVersion.fingerprint('character', row),
+      },
+    },
+    pages: [
+      {
+        name,
+        type: 'text',
+        text: { content: `<p>${row.description}</p>`, format: 1 },
+      },
+    ],
+  });
+}
+
+/** Edit a character in Archivist. */
+const remoteEdit = (id, fields) =>
+  Object.assign(fake.db.characters.get(id), fields, {
+    updated_at: new Date(Date.now() + 1000).toISOString(),
+  });
+
+const journalFor = (id) =>
+  game.journal.contents.find(
+    (j) => j.getFlag('archivist-sync', 'archivist').archivistId === id
+  );
+
+beforeEach(() => {
+  fake.reset({
+    campaigns: [{ id: 'c1', title: 'Campaign' }],
+    characters: Object.values(rows).map((r) => ({ ...r, campaign_id: 'c1' })),
+  });
+  archivistApi.setTransport(fake.transport);
+  resetWorld({
+    journals: [sheet(rows.ch1), sheet(rows.ch2)],
+    settings: { apiKey: 'key', selectedWorldId: 'c1', autoPullEnabled: true },
+  });
+  remotePoller.review.clear();
+  pulls = [];
+});
+
+after(() => {
+  remotePoller.stop();
+  archivistApi.setTransport(null);
+});
+
+test('a poll applies remote edits to linked journals', async () => {
+  remoteEdit('ch1', { character_name: 'Anna', description: 'Braver' });
+  const res = await remotePoller.poll();
+
+  assert.deepEqual(
+    res.applied.map((d) => d.id),
+    ['ch1']
+  );
+  const j = journalFor('ch1');
+  assert.equal(j.name, 'Anna');
+  assert.match(j.pages.contents[0].text.content, /Braver/);
+  assert.equal(remoteVersion.get(j).base.character_name, 'Anna');
+  assert.equal(pulls.length, 1);
+});
+
+test('a journal edited since the last sync is held for review', async () => {
+  resetWorld({
+    journals: [sheet(rows.ch1, 'Ann the Bold'), sheet(rows.ch2)],
+    settings: { apiKey: 'key', selectedWorldId: 'c1' },
+  });
+  remoteEdit('ch1', { character_name: 'Anna' });
+  remoteEdit('ch2', { description: 'Loud' });
+  const res = await remotePoller.poll();
+
+  assert.deepEqual(
+    res.review.map((d) => d.id),
+    ['ch1']
+  );
+  assert.equal(journalFor('ch1').name, 'Ann the Bold');
+  assert.match(journalFor('ch2').pages.contents[0].text.content, /Loud/);
+
+  // The same held change is not announced again
+  const again = await remotePoller.poll();
+  assert.equal(again.review.length, 1);
+  assert.equal(pulls.length, 1);
+  assert.equal(pulls[0].review.length, 1);
+});
+
+test('polls that find nothing back off', async () => {
+  remotePoller.start();
+  const base = remotePoller.delayMs;
+  await remotePoller.poll();
+  await remotePoller.poll();
+  assert.equal(remotePoller.delayMs, base * 4);
+  for (let i = 0; i < 5; i++) await remotePoller.poll();
+  assert.equal(remotePoller.delayMs, base * 8);
+
+  remoteEdit('ch2', { description: 'Loud' });
+  await remotePoller.poll();
+  assert.equal(remotePoller.delayMs, base);
+  remotePoller.stop();
+});
+
+test('sheets without a synced version are held rather than overwritten', async () => {
+  const unversioned = sheet(rows.ch1, 'Ann the Bold');
+  await unversioned.unsetFlag('archivist-sync', 'remoteVersion');
+  resetWorld({
+    journals: [unversioned, sheet(rows.ch2)],
+    settings: { apiKey: 'key', selectedWorldId: 'c1' },
+  });
+  remoteEdit('ch1', { character_name: 'Anna' });
+  const res = await remotePoller.poll();
+
+  assert.deepEqual(
+    res.review.map((d) => d.id),
+    ['ch1']
+  );
+  assert.equal(journalFor('ch1').name, 'Ann the Bold');
+});
+
+test('sheets with unsent or rejected writes are held', async () => {
+  const rejected = sheet(rows.ch2);
+  await rejected.setFlag('archivist-sync', 'syncState', {
+    status: 'failed',
+    error: 'Description too long',
+  });
+  resetWorld({
+    journals: [sheet(rows.ch1), rejected],
+    settings: { apiKey: 'key', selectedWorldId: 'c1' },
+  });
+  // Keep the edit in the debounce for the whole poll
+  const { delayMs, maxWaitMs } = writeCoalescer;
+  writeCoalescer.delayMs = writeCoalescer.maxWaitMs = 60000;
+  const debounced = writeCoalescer.update({
+    type: 'character',
+    targetId: 'ch1',
+    payload: { description: 'Brave and tired' },
+  });
+  remoteEdit('ch1', { description: 'Braver' });
+  remoteEdit('ch2', { description: 'Loud' });
+  const res = await remotePoller.poll();
+
+  assert.deepEqual(res.review.map((d) => d.id).sort(), ['ch1', 'ch2']);
+  assert.match(journalFor('ch2').pages.contents[0].text.content, /Quiet/);
+  Object.assign(writeCoalescer, { delayMs, maxWaitMs });
+  await writeCoalescer.flush();
+  await debounced;
+});
@@ -0,0 +1,174 @@
+import { resetWorld, makeJournalEntry } from './helpers/foundry-stubs.js';
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { archivistApi } from '../scripts/services/archivist-api.js';
+import { FakeArchivist } from '../scripts/services/fake-archivist.js';
+import { writeQueue } from '../scripts/services/write-queue.js';
+import { remoteVersion } from '../scripts/services/remote-version.js';
+import { SyncDialog } from '../scripts/dialogs/sync-dialog.js';
+import {
+  mergeText,
+  hasConflictMarkers,
+} from '../scripts/modules/merge/three-way-merge.js';
+
+const fake = new FakeArchivist();
+const synced = {
+  id: 'ch1',
+  character_name: 'Ann',
+  description: 'Line one\nLine two\nLine three',
+  campaign_id: 'c1',
+  updated_at: '2026-01-01T00:00:00.000Z',
+};
+let journal;
+let announced;
+Hooks.on('archivistSyncWriteConflict', (c) => announced.push(c));
+
+beforeEach(async () => {
+  for (const { uid } of writeQueue.conflicts) {
+    await writeQueue.resolveConflict(uid, { discard: true });
+  }
+  fake.reset({
+    campaigns: [{ id: 'c1', title: 'Campaign' }],
+    characters: [{ ...synced }],
+  });
+  archivistApi.setTransport(fake.transport);
+  journal = makeJournalEntry({
+    name: 'Ann',
+    flags: {
+      'archivist-sync': {
+        archivist: { archivistId: 'ch1', sheetType: 'npc' },
+        remoteVersion: remoteVersion.fingerprint('character', synced),
+      },
+    },
+    pages: [{ name: 'Ann', type: 'text', text: { content: '', format: 1 } }],
+  });
+  resetWorld({
+    journals: [journal],
+    settings: { apiKey: 'key', selectedWorldId: 'c1' },
+  });
+  announced = [];
+});
+
+after(() => archivistApi.setTransport(null));
+
+/** Edit the character in Archivist behind Foundry's back. */
+const remoteEdit = (fields) =>
+  Object.assign(fake.db.characters.get('ch1'), fields, {
+    updated_at: '2026-03-01T00:00:00.000Z',
+  });
+
+const update = (payload) =>
+  writeQueue.submit({
+    action: 'update',
+    type: 'character',
+    targetId: 'ch1',
+    payload,
+    label: 'Ann',
+    docUuid: journal.uuid,
+  });
+
+const patches = () => fake.requests.filter((r) => r.method === 'PATCH');
+
+test('mergeText keeps edits to different lines', () => {
+  const res = mergeText('a\nb\nc', 'A\nb\nc', 'a\nb\nC');
+  assert.deepEqual(res, { text: 'A\nb\nC', conflicts: 0 });
+  assert.deepEqual(mergeText('a', 'b', 'b'), { text: 'b', conflicts: 0 });
+});
+
+test('mergeText marks lines changed on both sides', () => {
+  const res = mergeText('a\nb\nc', 'a\nmine\nc', 'a\ntheirs\nc');
+  assert.equal(res.conflicts, 1);
+  assert.equal(
+    res.text,
+    'a\n<<<<<<< Foundry\nmine\n=======\ntheirs\n>>>>>>> Archivist\nc'
+  );
+  assert.equal(hasConflictMarkers(res.text), true);
+});
+
+test('an update proceeds when Archivist has not changed', async () => {
+  const res = await update({ description: 'New text' });
+  assert.equal(res.success, true);
+  assert.equal(patches().length, 1);
+  assert.equal(announced.length, 0);
+  // The version moves on to what was just written
+  const stored = remoteVersion.get(journal);
+  assert.equal(stored.base.description, 'New text');
+  assert.equal(stored.updatedAt, fake.db.characters.get('ch1').updated_at);
+});
+
+test('a remote edit to another field does not block the update', async () => {
+  remoteEdit({ character_name: 'Anna' });
+  const res = await update({ description: 'New text' });
+  assert.equal(res.success, true);
+  assert.equal(fake.db.characters.get('ch1').character_name, 'Anna');
+});
+
+test('a remote edit to the same field holds the update', async () => {
+  remoteEdit({ description: 'Line one\nRemote two\nLine three' });
+  const res = await update({
+    description: 'Line one\nLocal two\nLine three',
+  });
+  assert.equal(res.held, true);
+  assert.equal(patches().length, 0);
+  assert.equal(announced.length, 1);
+
+  const [conflict] = announced[0].conflicts;
+  assert.equal(conflict.field, 'description');
+  assert.equal(conflict.clean, false);
+  assert.match(conflict.merged, /<<<<<<< Foundry\nLocal two\n=======/);
+
+  // Later edits wait behind the conflict and re-announce it
+  const again = await update({ character_name: 'Annie' });
+  assert.equal(again.held, true);
+  assert.equal(announced.length, 2);
+  assert.equal(writeQueue.conflicts.length, 1);
+});
+
+test('resolving a conflict sends the chosen text and records it', async () => {
+  remoteEdit({ description: 'Line one\nRemote two\nLine three' });
+  await update({ description: 'Line one\nLocal two\nLine three' });
+  const { uid } = writeQueue.conflicts[0];
+
+  const res = await writeQueue.resolveConflict(uid, {
+    values: { description: 'Merged' },
+  });
+  assert.equal(res.success, true);
+  assert.equal(fake.db.characters.get('ch1').description, 'Merged');
+  assert.equal(writeQueue.conflicts.length, 0);
+  assert.equal(remoteVersion.get(journal).base.description, 'Merged');
+});
+
+test('applyLocally writes resolved Markdown into the journal', async () => {
+  await remoteVersion.applyLocally(journal, 'character', {
+    character_name: 'Anna',
+    description: '**Bold**',
+  });
+  assert.equal(journal.name, 'Anna');
+  const page = journal.pages.contents[0];
+  assert.match(page.text.content, /<strong>Bold<\/strong>/);
+});
+
+test('pulls give unversioned sheets a base so their writes are checked', async () => {
+  await journal.unsetFlag('archivist-sync', 'remoteVersion');
+  await journal.pages.contents[0].update({
+    'text.content': '<p>Line one<br>Line two<br>Line three</p>',
+  });
+  const dialog = new SyncDialog();
+  await dialog._loadModel(true);
+  assert.equal(
+    remoteVersion.get(journal)?.updatedAt,
+    synced.updated_at,
+    'the matching sheet records the pulled version'
+  );
+
+  remoteEdit({ description: 'Line one\nRemote two\nLine three' });
+  const res = await update({ description: 'Line one\nLocal two\nLine three' });
+  assert.equal(res.held, true);
+  assert.equal(patches().length, 0);
+});
+
+test('a pulled version is not recorded over unsynced local text', async () => {
+  await journal.unsetFlag('archivist-sync', 'remoteVersion');
+  await remoteVersion.observe(journal, 'character', synced);
+  assert.equal(remoteVersion.get(journal), null);
+});
@@ -0,0 +1,123 @@
+import './helpers/foundry-stubs.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RequestScheduler } from '../scripts/services/request-scheduler.js';
+import { archivistApi } from '../scripts/services/archivist-api.js';
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** A task that records its label when it starts and resolves after `ms`. */
+function job(log, label, ms = 0) {
+  return async () => {
+    log.push(label);
+    await sleep(ms);
+    return label;
+  };
+}
+
+test('higher-priority lanes overtake queued bulk requests', async () => {
+  const scheduler = new RequestScheduler({ maxConcurrent: 1 });
+  const log = [];
+  const runs = [
+    scheduler.schedule(job(log, 'bulk-1', 10), { priority: 'bulk' }),
+    scheduler.schedule(job(log, 'bulk-2'), { priority: 'bulk' }),
+    scheduler.schedule(job(log, 'normal'), { priority: 'normal' }),
+    scheduler.schedule(job(log, 'edit'), { priority: 'interactive' }),
+  ];
+  await Promise.all(runs);
+  // bulk-1 was already running; the rest start by lane
+  assert.deepEqual(log, ['bulk-1', 'edit', 'normal', 'bulk-2']);
+});
+
+test('never runs more than maxConcurrent requests at once', async () => {
+  const scheduler = new RequestScheduler({
+    maxConcurrent: 2,
+    read: { capacity: 20, perSecond: 100 },
+  });
+  let running = 0;
+  let peak = 0;
+  const task = async () => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await sleep(5);
+    running -= 1;
+  };
+  await Promise.all(Array.from({ length: 6 }, () => scheduler.schedule(task)));
+  assert.equal(peak, 2);
+  assert.equal(scheduler.stats.completed, 6);
+  assert.equal(scheduler.stats.inFlight, 0);
+});
+
+test('an empty write bucket does not hold up reads', async () => {
+  const scheduler = new RequestScheduler({
+    write: { capacity: 1, perSecond: 1 },
+  });
+  const log = [];
+  const writes = [
+    scheduler.schedule(job(log, 'w1'), { kind: 'write' }),
+    scheduler.schedule(job(log, 'w2'), { kind: 'write' }),
+  ];
+  await scheduler.schedule(job(log, 'r1'));
+  // w2 waits about a second for a token; r1 finished long before
+  assert.deepEqual(log, ['w1', 'r1']);
+  await Promise.all(writes);
+  assert.deepEqual(log, ['w1', 'r1', 'w2']);
+});
+
+test('rateLimited pauses every lane and slows the refill rate', async () => {
+  const scheduler = new RequestScheduler();
+  const stats = [];
+  const onStats = (s) => stats.push(s);
+  Hooks.on('archivistSyncRequestStats', onStats);
+  try {
+    scheduler.rateLimited(60);
+    assert.equal(scheduler.stats.rateLimited, 1);
+    assert.equal(scheduler.stats.rates.read, 2.5);
+    assert.equal(scheduler.stats.rates.write, 1.5);
+    assert.ok(scheduler.stats.pausedMs > 0);
+
+    const started = Date.now();
+    await scheduler.schedule(async () => 'ok');
+    assert.ok(Date.now() - started >= 50);
+    // Each success wins back a tenth of the base rate
+    assert.equal(scheduler.stats.rates.read, 3);
+    assert.ok(stats.length > 0);
+  } finally {
+    Hooks.off('archivistSyncRequestStats', onStats);
+  }
+});
+
+test('failed tasks reject and are counted', async () => {
+  const scheduler = new RequestScheduler();
+  await assert.rejects(
+    scheduler.schedule(async () => {
+      throw new Error('boom');
+    }),
+    /boom/
+  );
+  assert.equal(scheduler.stats.failed, 1);
+  assert.equal(scheduler.stats.pending, 0);
+});
+
+test('withPriority views share the service scheduler and transport', () => {
+  const view = archivistApi.withPriority('bulk');
+  assert.equal(view._priority, 'bulk');
+  assert.equal(archivistApi._priority, 'normal');
+  assert.equal(view.scheduler, archivistApi.scheduler);
+  assert.equal(view.baseUrl, archivistApi.baseUrl);
+});
+
+test('aborting a queued job drops it without running the task', async () => {
+  const scheduler = new RequestScheduler({ maxConcurrent: 1 });
+  const log = [];
+  const controller = new AbortController();
+  const first = scheduler.schedule(job(log, 'first', 10));
+  const queued = scheduler.schedule(job(log, 'queued'), {
+    signal: controller.signal,
+  });
+  controller.abort();
+  await assert.rejects(queued, { name: 'AbortError' });
+  await first;
+  assert.deepEqual(log, ['first']);
+  assert.equal(scheduler.stats.pending, 0);
+});
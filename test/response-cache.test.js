@@ -0,0 +1,124 @@
+import './helpers/foundry-stubs.js';
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { archivistApi } from '../scripts/services/archivist-api.js';
+import { FakeArchivist } from '../scripts/services/fake-archivist.js';
+import { ResponseCache } from '../scripts/services/response-cache.js';
+
+const seed = {
+  campaigns: [{ id: 'c1', title: 'Campaign' }],
+  characters: [
+    { id: 'ch1', character_name: 'Aria', campaign_id: 'c1' },
+    { id: 'ch2', character_name: 'Bram', campaign_id: 'c1' },
+  ],
+  quests: [{ id: 'q1', quest_name: 'Find the map', campaign_id: 'c1' }],
+  links: [
+    { id: 'l1', from_id: 'ch1', to_id: 'ch2', campaign_id: 'c1' },
+    { id: 'l2', from_id: 'ch1', to_id: 'q1', campaign_id: 'c1' },
+  ],
+};
+
+let fake;
+
+beforeEach(() => {
+  fake = new FakeArchivist({ seed, etags: true });
+  archivistApi.setTransport(fake.transport);
+});
+
+after(() => archivistApi.setTransport(null));
+
+const gets = (prefix) =>
+  fake.requests.filter((r) => r.method === 'GET' && r.path.startsWith(prefix))
+    .length;
+
+test('reads within maxAgeMs are served without a request', async () => {
+  const opts = { maxAgeMs: 60000 };
+  const a = await archivistApi.listLinksByFromId('key', 'c1', 'ch1', opts);
+  const b = await archivistApi.listLinksByFromId('key', 'c1', 'ch1', opts);
+  assert.equal(a.data.length, 2);
+  assert.deepEqual(b.data, a.data);
+  assert.equal(gets('/campaigns/c1/links'), 1);
+
+  // Callers get copies; mutating one does not poison the cache
+  b.data.pop();
+  const c = await archivistApi.listLinksByFromId('key', 'c1', 'ch1', opts);
+  assert.equal(c.data.length, 2);
+});
+
+test('without a TTL the cached ETag revalidates with a 304', async () => {
+  await archivistApi.listQuests('key', 'c1');
+  const again = await archivistApi.listQuests('key', 'c1');
+  assert.equal(again.success, true);
+  assert.equal(again.data[0].quest_name, 'Find the map');
+  assert.equal(gets('/quests'), 2);
+  assert.equal(archivistApi.getCacheStats().revalidated, 1);
+});
+
+test('writes drop cached reads of the written type', async () => {
+  const opts = { maxAgeMs: 60000 };
+  await archivistApi.listQuests('key', 'c1', opts);
+  await archivistApi.listLinksByFromId('key', 'c1', 'ch1', opts);
+  await archivistApi.updateQuest('key', 'q1', { questName: 'Burn the map' });
+
+  const quests = await archivistApi.listQuests('key', 'c1', opts);
+  assert.equal(quests.data[0].quest_name, 'Burn the map');
+  assert.equal(gets('/quests'), 2);
+
+  // Links were not written, so they are still served from the cache
+  await archivistApi.listLinksByFromId('key', 'c1', 'ch1', opts);
+  assert.equal(gets('/campaigns/c1/links'), 1);
+});
+
+test('unlinking refreshes the cached link table', async () => {
+  const opts = { maxAgeMs: 60000 };
+  await archivistApi.listLinksByFromId('key', 'c1', 'ch1', opts);
+  await archivistApi.deleteLink('key', 'c1', 'l1');
+  const res = await archivistApi.listLinksByFromId('key', 'c1', 'ch1', opts);
+  assert.deepEqual(
+    res.data.map((l) => l.id),
+    ['l2']
+  );
+});
+
+test('deleting an entity also drops cached links', async () => {
+  const opts = { maxAgeMs: 60000 };
+  await archivistApi.listLinksByFromId('key', 'c1', 'ch1', opts);
+  await archivistApi.deleteCharacter('key', 'ch2');
+  const res = await archivistApi.listLinksByFromId('key', 'c1', 'ch1', opts);
+  assert.deepEqual(
+    res.data.map((l) => l.id),
+    ['l2']
+  );
+  assert.equal(gets('/campaigns/c1/links'), 2);
+});
+
+test('a 304 for an entry dropped in the meantime is fetched again', async () => {
+  let revalidations = 0;
+  archivistApi.setTransport((url, init = {}) => {
+    if (init.headers?.['If-None-Match']) {
+      revalidations += 1;
+      // A write to /characters lands while the revalidation is in flight
+      archivistApi.cache.invalidate('/characters/ch2', 'PATCH');
+    }
+    return fake.transport(url, init);
+  });
+  await archivistApi.getCharacter('key', 'ch1');
+
+  const res = await archivistApi.getCharacter('key', 'ch1');
+  assert.equal(res.success, true);
+  assert.equal(res.data.character_name, 'Aria');
+  assert.equal(revalidations, 1);
+  assert.equal(gets('/characters/ch1'), 3);
+});
+
+test('ResponseCache evicts the oldest entries past maxEntries', () => {
+  const cache = new ResponseCache({ maxEntries: 2 });
+  cache.store('a', '/items?x=1', [1], { keep: true });
+  cache.store('b', '/items?x=2', [2], { keep: true });
+  cache.store('c', '/items?x=3', [3], { keep: true });
+  assert.equal(cache.fresh('a', 1000), null);
+  assert.deepEqual(cache.fresh('c', 1000).data, [3]);
+  // Without an ETag or a TTL nothing is kept
+  cache.store('d', '/items?x=4', [4]);
+  assert.equal(cache.stats.entries, 2);
+});
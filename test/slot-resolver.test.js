@@ -0,0 +1,99 @@
+import { makeDocument, resetWorld } from './helpers/foundry-stubs.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { pickDescriptionSlot } from '../scripts/modules/projection/slot-resolver.js';
+
+beforeEach(() => resetWorld({ systemId: 'dnd5e' }));
+
+test('prefers the biography field for dnd5e actors', async () => {
+  const actor = makeDocument('Actor', {
+    type: 'npc',
+    system: {
+      details: { biography: { value: '' } },
+      description: { value: '' },
+    },
+  });
+  const slot = await pickDescriptionSlot(actor);
+  assert.deepEqual(slot, {
+    kind: 'field',
+    path: 'system.details.biography.value',
+    html: true,
+  });
+});
+
+test('a populated field outranks a slightly heavier empty one', async () => {
+  const actor = makeDocument('Actor', {
+    type: 'npc',
+    system: {
+      details: { biography: { value: '' } },
+      description: { value: '<p>Existing</p>' },
+    },
+  });
+  assert.equal(
+    (await pickDescriptionSlot(actor)).path,
+    'system.description.value'
+  );
+});
+
+test('uses publicNotes for pf2e NPCs and backstory for pf2e PCs', async () => {
+  resetWorld({ systemId: 'pf2e' });
+  const npc = makeDocument('Actor', {
+    type: 'npc',
+    system: { details: { publicNotes: '', biography: { value: '' } } },
+  });
+  assert.equal(
+    (await pickDescriptionSlot(npc)).path,
+    'system.details.publicNotes'
+  );
+  const pc = makeDocument('Actor', {
+    type: 'character',
+    system: {
+      details: { publicNotes: '', biography: { backstory: '', value: '' } },
+    },
+  });
+  assert.equal(
+    (await pickDescriptionSlot(pc)).path,
+    'system.details.biography.backstory'
+  );
+});
+
+test('only considers paths that exist on the document', async () => {
+  resetWorld({ systemId: 'pf2e' });
+  // PF2e NPCs have no backstory field; never pick a non-schema path
+  const npc = makeDocument('Actor', {
+    type: 'npc',
+    system: { details: { biography: { value: '' } } },
+  });
+  assert.equal(
+    (await pickDescriptionSlot(npc)).path,
+    'system.details.biography.value'
+  );
+});
+
+test('ignores non-string fields', async () => {
+  const item = makeDocument('Item', {
+    system: {
+      description: { value: { nested: true } },
+      details: { description: '' },
+    },
+  });
+  assert.equal(
+    (await pickDescriptionSlot(item)).path,
+    'system.details.description'
+  );
+});
+
+test('falls back to default heuristics for unknown systems', async () => {
+  resetWorld({ systemId: 'homebrew' });
+  const item = makeDocument('Item', { system: { description: { value: '' } } });
+  assert.deepEqual(await pickDescriptionSlot(item), {
+    kind: 'field',
+    path: 'system.description.value',
+    html: true,
+  });
+});
+
+test('returns kind none when no slot exists', async () => {
+  const item = makeDocument('Item', { system: {} });
+  assert.deepEqual(await pickDescriptionSlot(item), { kind: 'none' });
+});
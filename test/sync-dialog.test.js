@@ -0,0 +1,74 @@
+import './helpers/foundry-stubs.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SyncDialog } from '../scripts/dialogs/sync-dialog.js';
+
+const dialog = new SyncDialog();
+
+const local = {
+  status: 'active',
+  questGiver: 'Elder',
+  questCategory: 'main',
+  successDefinition: 'Relic recovered',
+  failureConditions: '',
+  nextAction: '',
+  resolution: '',
+  objectives: [{ id: 'o1', text: 'Open the gate', status: 'pending' }],
+  progressLog: [{ text: 'Met the elder' }],
+  relatedEntityRefs: [
+    { entityType: 'Character', entityId: 'c1', label: 'Bob' },
+    { entityType: 'item', entityId: 'i1', label: 'Sword' },
+  ],
+};
+
+const arch = {
+  status: 'active',
+  quest_giver: 'Elder',
+  quest_category: 'main',
+  success_definition: ' Relic recovered ',
+  objectives: [{ text: 'Open the gate', status: 'pending', order: 0 }],
+  progress_log: ['Met the elder'],
+  related_entity_refs: [
+    { entityType: 'item', entityId: 'i1', entityNameSnapshot: 'Sword' },
+    { entityType: 'character', entityId: 'c1', label: 'Bob' },
+  ],
+};
+
+test('equivalent local and Archivist quest data produce no changes', () => {
+  assert.deepEqual(dialog._diffQuestData(local, arch), {});
+});
+
+test('scalar field differences are reported with from/to', () => {
+  const changes = dialog._diffQuestData(local, {
+    ...arch,
+    status: 'completed',
+    next_action: 'Celebrate',
+  });
+  assert.deepEqual(changes.status, { from: 'active', to: 'completed' });
+  assert.deepEqual(changes.nextAction, { from: '', to: 'Celebrate' });
+  assert.deepEqual(Object.keys(changes).sort(), ['nextAction', 'status']);
+});
+
+test('missing Archivist values fall back to defaults', () => {
+  const changes = dialog._diffQuestData({}, {});
+  assert.deepEqual(changes.status, { from: undefined, to: 'planned' });
+  assert.deepEqual(changes.questCategory, { from: undefined, to: 'n/a' });
+  assert.ok(!('objectives' in changes));
+});
+
+test('objective, progress and ref changes are detected', () => {
+  const changes = dialog._diffQuestData(local, {
+    ...arch,
+    objectives: [{ text: 'Open the gate', status: 'done' }],
+    progress_log: ['Met the elder', 'Opened the gate'],
+    related_entity_refs: [
+      { entityType: 'item', entityId: 'i1', label: 'Sword' },
+    ],
+  });
+  assert.deepEqual(Object.keys(changes).sort(), [
+    'objectives',
+    'progressLog',
+    'relatedEntityRefs',
+  ]);
+  assert.equal(changes.objectives.to[0].status, 'done');
+});
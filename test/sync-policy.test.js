@@ -0,0 +1,110 @@
+import { resetWorld, makeJournalEntry } from './helpers/foundry-stubs.js';
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { archivistApi } from '../scripts/services/archivist-api.js';
+import { FakeArchivist } from '../scripts/services/fake-archivist.js';
+import { remotePoller } from '../scripts/services/remote-poller.js';
+import { remoteVersion } from '../scripts/services/remote-version.js';
+import { syncPolicy } from '../scripts/services/sync-policy.js';
+import { SyncDialog } from '../scripts/dialogs/sync-dialog.js';
+
+const fake = new FakeArchivist();
+const ann = { id: 'ch1', character_name: 'Ann', description: 'Brave' };
+let journal;
+
+beforeEach(() => {
+  fake.reset({
+    campaigns: [{ id: 'c1', title: 'Campaign' }],
+    characters: [{ ...ann, campaign_id: 'c1' }],
+    items: [{ id: 'it1', name: 'Sword', campaign_id: 'c1' }],
+  });
+  archivistApi.setTransport(fake.transport);
+  journal = makeJournalEntry({
+    name: 'Ann',
+    flags: {
+      'archivist-sync': {
+        archivist: { archivistId: 'ch1', sheetType: 'npc' },
+        remoteVersion: remoteVersion.fingerprint('character', ann),
+      },
+    },
+    pages: [{ name: 'Ann', type: 'text', text: { content: '<p>Brave</p>' } }],
+  });
+  resetWorld({
+    journals: [journal],
+    settings: { apiKey: 'key', selectedWorldId: 'c1', autoPullEnabled: true },
+  });
+});
+
+after(() => {
+  remotePoller.stop();
+  archivistApi.setTransport(null);
+});
+
+/** Edit the character in Archivist. */
+const remoteEdit = (fields) =>
+  Object.assign(fake.db.characters.get('ch1'), fields, {
+    updated_at: new Date(Date.now() + 1000).toISOString(),
+  });
+
+test('the defaults keep the historical sync behavior', () => {
+  assert.equal(syncPolicy.pushes('npc', 'create'), true);
+  assert.equal(syncPolicy.pushes('actor', 'create'), false);
+  assert.equal(syncPolicy.pulls('actor', 'create'), true);
+  assert.equal(syncPolicy.pushes('recap', 'create'), false);
+  assert.equal(syncPolicy.pushes('recap', 'description'), true);
+  assert.equal(syncPolicy.get('faction', 'parent'), 'off');
+
+  const payload = { character_name: 'Ann', description: 'Brave' };
+  assert.deepEqual(syncPolicy.filterPayload('character', payload), payload);
+});
+
+test('saved cells decide which payload fields are sent', async () => {
+  await syncPolicy.save({
+    character: { description: 'archivist', name: 'foundry' },
+    session: { create: 'foundry' }, // recaps cannot be created remotely
+  });
+  assert.deepEqual(game.settings.get('archivist-sync', 'syncPolicy'), {
+    character: { name: 'foundry', description: 'archivist' },
+  });
+
+  const sent = syncPolicy.filterPayload('character', {
+    character_name: 'Ann',
+    description: 'Brave',
+    campaign_id: 'c1',
+  });
+  assert.deepEqual(sent, { character_name: 'Ann', campaign_id: 'c1' });
+  assert.equal(syncPolicy.foundryWins('character', sent), true);
+  assert.equal(
+    syncPolicy.filterPayload('character', { description: 'x', type: 'NPC' }),
+    null
+  );
+
+  await syncPolicy.reset();
+  assert.equal(syncPolicy.get('character', 'description'), 'both');
+});
+
+test('the Sync dialog only lists what the policy pulls', async () => {
+  remoteEdit({ character_name: 'Anna', description: 'Braver' });
+  await syncPolicy.save({
+    character: { description: 'foundry' },
+    item: { create: 'off' },
+  });
+  const dialog = new SyncDialog();
+  await dialog._loadModel(true);
+
+  assert.deepEqual(Object.keys(dialog.model.diffs[0].changes), ['name']);
+  assert.deepEqual(dialog.model.imports, []);
+});
+
+test('background pulls overwrite local edits to Archivist-owned fields', async () => {
+  await journal.update({ name: 'Annie' });
+  remoteEdit({ character_name: 'Anna' });
+  let res = await remotePoller.poll();
+  assert.equal(res.review.length, 1);
+  assert.equal(journal.name, 'Annie');
+
+  await syncPolicy.save({ character: { name: 'archivist' } });
+  res = await remotePoller.poll();
+  assert.equal(res.applied.length, 1);
+  assert.equal(journal.name, 'Anna');
+});
@@ -0,0 +1,111 @@
+import {
+  resetWorld,
+  makeJournalEntry,
+  makeDocument,
+} from './helpers/foundry-stubs.js';
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { archivistApi } from '../scripts/services/archivist-api.js';
+import { FakeArchivist } from '../scripts/services/fake-archivist.js';
+import { remoteVersion } from '../scripts/services/remote-version.js';
+import { syncScope } from '../scripts/services/sync-scope.js';
+import { SyncDialog } from '../scripts/dialogs/sync-dialog.js';
+
+const fake = new FakeArchivist();
+const ann = { id: 'ch1', character_name: 'Ann', description: 'Brave' };
+const prep = { id: 'f1', name: 'GM Prep', folder: null };
+const spoilers = { id: 'f2', name: 'Spoilers', folder: prep };
+const party = { id: 'f3', name: 'Party', folder: null };
+let journal;
+
+beforeEach(() => {
+  fake.reset({
+    campaigns: [{ id: 'c1', title: 'Campaign' }],
+    characters: [{ ...ann, campaign_id: 'c1' }],
+  });
+  archivistApi.setTransport(fake.transport);
+  journal = makeJournalEntry({
+    name: 'Ann',
+    flags: {
+      'archivist-sync': {
+        archivist: { archivistId: 'ch1', sheetType: 'npc' },
+        remoteVersion: remoteVersion.fingerprint('character', ann),
+      },
+    },
+    pages: [{ name: 'Ann', type: 'text', text: { content: '<p>Brave</p>' } }],
+  });
+  resetWorld({
+    journals: [journal],
+    settings: { apiKey: 'key', selectedWorldId: 'c1' },
+  });
+});
+
+after(() => archivistApi.setTransport(null));
+
+test('excluded folders cover their subfolders; include folders narrow', async () => {
+  const villain = makeDocument('Actor', { name: 'Lich', folder: spoilers });
+  const hero = makeDocument('Actor', { name: 'Ann', folder: party });
+  const loose = makeDocument('Actor', { name: 'Bob', folder: null });
+
+  await syncScope.save({ excludeFolders: ['f1'] });
+  assert.equal(syncScope.allows(villain), false);
+  assert.match(syncScope.reason(villain), /GM Prep/);
+  assert.equal(syncScope.allows(hero), true);
+  assert.equal(syncScope.allows(loose), true);
+
+  await syncScope.save({
+    includeFolders: ['f3', 'f1'],
+    excludeFolders: ['f2'],
+  });
+  assert.equal(syncScope.allows(villain), false); // exclude wins
+  assert.equal(syncScope.allows(hero), true);
+  assert.equal(syncScope.allows(loose), false);
+});
+
+test('document types, actor types and player access', async () => {
+  const npc = makeDocument('Actor', { type: 'npc', ownership: { default: 0 } });
+  const pc = makeDocument('Actor', {
+    type: 'character',
+    ownership: { default: 0, player1: 3 },
+  });
+  const scene = makeDocument('Scene', { ownership: { default: 2 } });
+
+  await syncScope.save({
+    excludeDocumentTypes: ['Scene'],
+    excludeActorTypes: ['npc'],
+  });
+  assert.equal(syncScope.allows(scene), false);
+  assert.equal(syncScope.allows(npc), false);
+  assert.equal(syncScope.allows(pc), true);
+
+  await syncScope.save({ minPlayerAccess: 2 });
+  assert.equal(syncScope.allows(npc), false);
+  assert.equal(syncScope.allows(pc), true);
+  assert.equal(syncScope.allows(scene), true);
+});
+
+test('the "do not sync" flag excludes a document and its pages', async () => {
+  const page = journal.pages.contents[0];
+  assert.equal(syncScope.allows(page), true);
+
+  await syncScope.setExcluded(journal, true);
+  assert.equal(syncScope.allows(journal), false);
+  assert.equal(syncScope.allows(page), false);
+  assert.equal(journal.flags['archivist-sync'].op, 'syncScope');
+
+  await syncScope.setExcluded(journal, false);
+  assert.equal(syncScope.allows(page), true);
+});
+
+test('the Sync dialog skips out-of-scope sheets without offering imports', async () => {
+  Object.assign(fake.db.characters.get('ch1'), {
+    character_name: 'Anna',
+    updated_at: new Date(Date.now() + 1000).toISOString(),
+  });
+  await syncScope.setExcluded(journal, true);
+  const dialog = new SyncDialog();
+  await dialog._loadModel(true);
+
+  assert.deepEqual(dialog.model.diffs, []);
+  assert.deepEqual(dialog.model.imports, []);
+});
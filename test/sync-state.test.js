@@ -0,0 +1,103 @@
+import { resetWorld, makeJournalEntry } from './helpers/foundry-stubs.js';
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { archivistApi } from '../scripts/services/archivist-api.js';
+import { FakeArchivist } from '../scripts/services/fake-archivist.js';
+import { writeQueue } from '../scripts/services/write-queue.js';
+import { syncState, SYNC_STATES } from '../scripts/services/sync-state.js';
+import { createSyncBadge } from '../scripts/sidebar/sync-status-badges.js';
+import { JSDOM } from 'jsdom';
+
+const fake = new FakeArchivist();
+let journal;
+
+const update = (payload) =>
+  writeQueue.submit({
+    action: 'update',
+    type: 'character',
+    targetId: 'ch1',
+    payload,
+    label: 'Ann',
+    docUuid: journal.uuid,
+  });
+
+beforeEach(() => {
+  fake.reset({
+    campaigns: [{ id: 'c1', title: 'Campaign' }],
+    characters: [
+      { id: 'ch1', character_name: 'Ann', description: '', campaign_id: 'c1' },
+    ],
+  });
+  archivistApi.setTransport(fake.transport);
+  journal = makeJournalEntry({
+    name: 'Ann',
+    flags: {
+      'archivist-sync': { archivist: { archivistId: 'ch1', sheetType: 'npc' } },
+    },
+    pages: [{ id: 'p1', name: 'Ann', type: 'text' }],
+  });
+  resetWorld({
+    journals: [journal],
+    settings: { apiKey: 'key', selectedWorldId: 'c1' },
+  });
+});
+
+after(() => archivistApi.setTransport(null));
+
+test('linked documents start synced and others are untracked', () => {
+  assert.equal(syncState.get(journal).status, SYNC_STATES.SYNCED);
+  const draft = makeJournalEntry({
+    flags: { 'archivist-sync': { archivist: { sheetType: 'pc' } } },
+  });
+  assert.equal(syncState.get(draft).status, SYNC_STATES.UNLINKED);
+  assert.equal(syncState.get(makeJournalEntry({ name: 'Notes' })), null);
+});
+
+test('a rejected write is recorded as failed and can be retried', async () => {
+  fake.injectFault({ status: 422, method: 'PATCH', detail: 'Name too long' });
+  const res = await update({ character_name: 'Annabel' });
+  assert.equal(res.success, false);
+
+  const failed = syncState.get(journal);
+  assert.equal(failed.status, SYNC_STATES.FAILED);
+  assert.match(failed.error, /Name too long/);
+  assert.equal(failed.op.targetId, 'ch1');
+
+  const retried = await syncState.retry(journal);
+  assert.equal(retried.success, true);
+  assert.equal(syncState.get(journal).status, SYNC_STATES.SYNCED);
+  assert.equal(syncState.get(journal).error, null);
+  assert.equal(fake.db.characters.get('ch1').character_name, 'Annabel');
+});
+
+test('page writes are recorded on the journal entry', async () => {
+  const page = journal.pages.get('p1');
+  await syncState.set(page, SYNC_STATES.PENDING);
+  assert.equal(syncState.get(journal).status, SYNC_STATES.PENDING);
+  assert.equal(page.getFlag('archivist-sync', 'syncState'), undefined);
+  assert.equal(journal.getFlag('archivist-sync', 'op'), 'syncState');
+});
+
+test('nothing is retried for documents that are synced', async () => {
+  assert.equal(await syncState.retry(journal), null);
+  assert.equal(fake.requests.length, 0);
+});
+
+test('badge tooltips escape the error text', async () => {
+  fake.injectFault({
+    status: 422,
+    method: 'PATCH',
+    detail: '<img src=x onerror=alert(1)>',
+  });
+  await update({ character_name: 'Annabel' });
+  const stub = globalThis.document;
+  globalThis.document = new JSDOM('').window.document;
+  try {
+    const badge = createSyncBadge(journal);
+    assert.doesNotMatch(badge.dataset.tooltip, /<img/);
+    assert.match(badge.dataset.tooltip, /&lt;img src=x/);
+    assert.match(badge.getAttribute('aria-label'), /<img src=x/);
+  } finally {
+    globalThis.document = stub;
+  }
+});
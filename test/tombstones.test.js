@@ -0,0 +1,161 @@
+import {
+  resetWorld,
+  makeJournalEntry,
+  StubCollection,
+} from './helpers/foundry-stubs.js';
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { archivistApi } from '../scripts/services/archivist-api.js';
+import { FakeArchivist } from '../scripts/services/fake-archivist.js';
+import { tombstones } from '../scripts/services/tombstones.js';
+import { gmLeader } from '../scripts/services/gm-leader.js';
+
+const fake = new FakeArchivist();
+const deletes = () => fake.requests.filter((r) => r.method === 'DELETE');
+const MINUTE = 60 * 1000;
+let journal;
+
+/** Delete a sheet the way the preDelete hook does. */
+async function deleteSheet(doc) {
+  const held = tombstones.hold(doc, {
+    type: 'character',
+    targetId: 'ch1',
+    label: doc.name,
+  });
+  await doc.delete();
+  return held;
+}
+
+beforeEach(() => {
+  fake.reset({
+    campaigns: [{ id: 'c1', title: 'Campaign' }],
+    characters: [{ id: 'ch1', character_name: 'Ann', campaign_id: 'c1' }],
+  });
+  archivistApi.setTransport(fake.transport);
+  journal = makeJournalEntry({
+    id: 'j1',
+    name: 'Ann',
+    flags: {
+      'archivist-sync': { archivist: { archivistId: 'ch1', sheetType: 'npc' } },
+    },
+    pages: [{ id: 'p1', name: 'Ann', text: { content: '<p>Brave</p>' } }],
+  });
+  resetWorld({
+    journals: [journal],
+    settings: {
+      apiKey: 'key',
+      selectedWorldId: 'c1',
+      deleteGraceMinutes: 10,
+    },
+  });
+});
+
+after(() => {
+  tombstones.stop();
+  archivistApi.setTransport(null);
+});
+
+test('deleting a sheet holds the remote delete', async () => {
+  const tombstone = await deleteSheet(journal);
+  assert.equal(game.journal.get('j1'), undefined);
+  assert.equal(deletes().length, 0);
+  assert.equal(tombstones.has('ch1'), true);
+  assert.equal(tombstone.label, 'Ann');
+  assert.equal(tombstone.expiresAt - tombstone.deletedAt, 10 * MINUTE);
+
+  assert.equal(await tombstones.sweep(), 0);
+  assert.equal(deletes().length, 0);
+});
+
+test('restoring brings back the document with its id, flags and pages', async () => {
+  const { uid } = await deleteSheet(journal);
+  const res = await tombstones.restore(uid);
+
+  assert.equal(res.success, true);
+  const restored = game.journal.get('j1');
+  assert.equal(restored.uuid, journal.uuid);
+  assert.equal(
+    restored.getFlag('archivist-sync', 'archivist').archivistId,
+    'ch1'
+  );
+  assert.equal(restored.pages.get('p1').text.content, '<p>Brave</p>');
+  assert.equal(tombstones.has('ch1'), false);
+
+  await tombstones.sweep(Date.now() + 60 * MINUTE);
+  assert.equal(deletes().length, 0);
+  assert.equal(fake.db.characters.has('ch1'), true);
+});
+
+test('the delete is sent once the window has passed', async () => {
+  await deleteSheet(journal);
+  assert.equal(await tombstones.sweep(Date.now() + 11 * MINUTE), 1);
+  assert.deepEqual(
+    deletes().map((r) => r.path),
+    ['/characters/ch1']
+  );
+  assert.equal(tombstones.list.length, 0);
+});
+
+test('restoring a page needs its journal', async () => {
+  const page = journal.pages.get('p1');
+  const held = tombstones.hold(page, {
+    type: 'faction',
+    targetId: 'f1',
+    label: page.name,
+  });
+  await page.delete();
+  const { uid } = await held;
+  assert.equal(journal.pages.get('p1'), undefined);
+
+  assert.equal((await tombstones.restore(uid)).success, true);
+  assert.equal(journal.pages.get('p1').parent, journal);
+});
+
+test('a grace period of 0 deletes right away', async () => {
+  await game.settings.set('archivist-sync', 'deleteGraceMinutes', 0);
+  const res = await deleteSheet(journal);
+  assert.equal(res.success, true);
+  assert.equal(deletes().length, 1);
+  assert.equal(tombstones.list.length, 0);
+});
+
+test('player deletes are held by the sync leader', async () => {
+  const gm = { id: 'gm', name: 'GM', role: 4, isGM: true, active: true };
+  const player = { id: 'p1', name: 'Pat', role: 1, isGM: false, active: true };
+  const original = game.user;
+  const wire = [];
+  game.socket = { on() {}, emit: (_channel, message) => wire.push(message) };
+  game.users = new StubCollection([gm, player]);
+  gmLeader._gms.add(gm.id);
+  gmLeader._keyed.add(gm.id);
+  /** Hold as the player, let the GM answer, then delete. */
+  const playerDelete = async (targetId) => {
+    game.user = player;
+    const held = tombstones.hold(journal, { type: 'character', targetId });
+    game.user = gm;
+    for (const m of wire.splice(0)) await gmLeader._onMessage(m, m.from);
+    game.user = player;
+    for (const m of wire.splice(0)) await gmLeader._onMessage(m, m.from);
+    return held;
+  };
+  try {
+    // Not the player's sheet
+    assert.equal((await playerDelete('ch1')).success, false);
+    journal.ownership = { default: 0, p1: 3 };
+    // Their sheet, but another entity
+    assert.equal((await playerDelete('ch9')).success, false);
+    assert.equal(tombstones.list.length, 0);
+
+    const tombstone = await playerDelete('ch1');
+    await journal.delete();
+    assert.equal(tombstones.has('ch1'), true);
+    assert.equal(tombstone.data.pages[0].name, 'Ann');
+    assert.equal(deletes().length, 0);
+  } finally {
+    game.user = original;
+    delete game.socket;
+    game.users = new StubCollection([]);
+    gmLeader._gms.clear();
+    gmLeader._keyed.clear();
+  }
+});
@@ -0,0 +1,97 @@
+import { makeJournalEntry, resetWorld } from './helpers/foundry-stubs.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Utils } from '../scripts/modules/utils.js';
+
+const text = (content) => ({
+  name: 'Notes',
+  type: 'text',
+  text: { content, format: 1 },
+});
+
+const sheet = (id, name, archivistId, content) =>
+  makeJournalEntry({
+    id,
+    name,
+    flags: {
+      'archivist-sync': { archivist: { archivistId, sheetType: 'entry' } },
+    },
+    pages: [text(content)],
+  });
+
+const entities = [{ id: 'ch1', character_name: 'Aria Stormborn' }];
+
+beforeEach(() => {
+  resetWorld({
+    journals: [
+      sheet('j1', 'Aria', 'ch1', 'Travels with [[Aria Stormborn]].'),
+      sheet('j2', 'Blade', 'it1', 'A plain blade.'),
+      sheet('j3', 'Tavern', 'loc1', 'Nobody here knows [[Nobody]].'),
+      makeJournalEntry({ id: 'j4', name: 'Scratch', pages: [text('')] }),
+    ],
+  });
+});
+
+test('names resolve to content links with the wikilink label', () => {
+  const index = Utils.buildWikilinkIndex(entities);
+  assert.equal(
+    Utils.resolveWikilinks('Meet [[Aria Stormborn]].', index),
+    'Meet @UUID[JournalEntry.j1]{Aria Stormborn}.'
+  );
+  // Local sheet names and labels resolve too, ignoring case
+  assert.equal(
+    Utils.resolveWikilinks('[[ blade |the sword]]', index),
+    '@UUID[JournalEntry.j2]{the sword}'
+  );
+});
+
+test('unknown targets stay wikilinks', () => {
+  const index = Utils.buildWikilinkIndex(entities);
+  const s = 'Ask [[Nobody]] or [[Nobody|someone]] about [[Scratch]].';
+  assert.equal(Utils.resolveWikilinks(s, index), s);
+});
+
+test('content links map back to wikilinks by Archivist name', () => {
+  assert.equal(
+    Utils.contentLinksToWikilinks('@UUID[JournalEntry.j1]{aria}'),
+    '[[aria]]'
+  );
+  assert.equal(
+    Utils.contentLinksToWikilinks('@UUID[JournalEntry.j2]{the sword}'),
+    '[[Blade|the sword]]'
+  );
+  assert.equal(
+    Utils.contentLinksToWikilinks('@JournalEntry[j3]'),
+    '[[Tavern]]'
+  );
+  // Links to documents Archivist does not know keep only their label
+  assert.equal(
+    Utils.contentLinksToWikilinks('@UUID[JournalEntry.j4]{Scratch}'),
+    'Scratch'
+  );
+});
+
+test('only pages whose text changes are written', async () => {
+  const writes = [];
+  for (const j of game.journal.contents) {
+    for (const page of j.pages.contents) {
+      const update = page.update.bind(page);
+      page.update = (changes) => {
+        writes.push([j.id, changes]);
+        return update(changes);
+      };
+    }
+  }
+
+  const updated = await Utils.resolveWikilinksInWorld(entities);
+  assert.equal(updated, 1);
+  assert.deepEqual(writes, [
+    [
+      'j1',
+      {
+        'text.content': 'Travels with @UUID[JournalEntry.j1]{Aria Stormborn}.',
+        'flags.archivist-sync.op': 'wikilinks',
+      },
+    ],
+  ]);
+});
@@ -0,0 +1,39 @@
+import './helpers/foundry-stubs.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { WorldSetupDialog } from '../scripts/dialogs/world-setup-dialog.js';
+import { archivistApi } from '../scripts/services/archivist-api.js';
+import { FakeArchivist } from '../scripts/services/fake-archivist.js';
+
+after(() => archivistApi.setTransport(null));
+
+test('the API key is validated even when /health is unreachable', async () => {
+  const fake = new FakeArchivist({
+    seed: { campaigns: [{ id: 'c1', title: 'Campaign' }] },
+  });
+  fake.injectFault({ network: true, path: '/health', times: 5 });
+  archivistApi.setTransport(fake.transport);
+
+  const errors = [];
+  const notifications = ui.notifications;
+  ui.notifications = { ...notifications, error: (m) => errors.push(m) };
+  try {
+    const dialog = new WorldSetupDialog();
+    dialog.currentStep = 2;
+    dialog.element = { querySelector: () => ({ value: ' key ' }) };
+    await dialog._onValidateApiKey({ preventDefault() {} });
+    // Keep the auto-advance from rendering after the test
+    dialog.currentStep = 3;
+
+    assert.equal(dialog.serverHealth.ok, false);
+    assert.equal(dialog.setupData.apiKeyValid, true);
+    assert.equal(dialog.setupData.apiKey, 'key');
+    assert.deepEqual(
+      dialog.worlds.map((w) => w.id),
+      ['c1']
+    );
+    assert.deepEqual(errors, []);
+  } finally {
+    ui.notifications = notifications;
+  }
+});
@@ -0,0 +1,129 @@
+import { makeDocument } from './helpers/foundry-stubs.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WorldSetupDialog } from '../scripts/dialogs/world-setup-dialog.js';
+
+const dialog = new WorldSetupDialog();
+const build = (input) => dialog._buildReconciliationModel(input);
+
+test('matches Archivist characters to actors by case-insensitive name', () => {
+  const model = build({
+    archivist: {
+      characters: [
+        { id: 1, character_name: 'Aria', type: 'PC' },
+        { id: 2, character_name: 'Goblin Boss', type: 'NPC' },
+      ],
+    },
+    foundry: {
+      actors: [
+        makeDocument('Actor', { id: 'a1', name: 'aria ', type: 'character' }),
+        makeDocument('Actor', { id: 'a2', name: 'Goblin boss', type: 'npc' }),
+      ],
+    },
+  });
+  const byName = Object.fromEntries(
+    model.characters.archivist.map((c) => [c.name, c])
+  );
+  assert.equal(byName.Aria.match, 'a1');
+  assert.equal(byName.Aria.selected, true);
+  assert.equal(byName['Goblin Boss'].match, 'a2');
+  assert.equal(byName.Aria.id, '1');
+  const actor = model.characters.foundry.find((a) => a.id === 'a1');
+  assert.equal(actor.match, '1');
+});
+
+test('PCs only match character actors during the first pass', () => {
+  const model = build({
+    archivist: { characters: [{ id: 'c1', name: 'Vex', type: 'PC' }] },
+    foundry: {
+      actors: [
+        makeDocument('Actor', { id: 'n1', name: 'Vex', type: 'npc' }),
+        makeDocument('Actor', { id: 'p1', name: 'Vex', type: 'character' }),
+      ],
+    },
+  });
+  assert.equal(model.characters.archivist[0].match, 'p1');
+});
+
+test('actors without PC/NPC types are classified from Archivist types', () => {
+  const model = build({
+    archivist: {
+      characters: [
+        { id: 'c1', character_name: 'Hero', type: 'PC' },
+        { id: 'c2', character_name: 'Villain', type: 'NPC' },
+      ],
+    },
+    foundry: {
+      actors: [
+        makeDocument('Actor', { id: 'a1', name: 'Hero', type: 'base' }),
+        makeDocument('Actor', { id: 'a2', name: 'Villain', type: 'base' }),
+        makeDocument('Actor', { id: 'a3', name: 'Nobody', type: 'base' }),
+      ],
+    },
+  });
+  assert.equal(model.characters.foundry.length, 3);
+  const matches = model.characters.archivist.map((c) => c.match).sort();
+  assert.deepEqual(matches, ['a1', 'a2']);
+  assert.equal(
+    model.characters.foundry.find((a) => a.id === 'a3').selected,
+    false
+  );
+});
+
+test('items and locations match items and scenes; factions never auto-match', () => {
+  const model = build({
+    archivist: {
+      items: [
+        { id: 'i1', name: 'Sword' },
+        { id: 'i2', name: 'Shield' },
+      ],
+      locations: [{ id: 'l1', title: 'Harbor' }],
+      factions: [{ id: 'f1', name: 'Guild' }],
+    },
+    foundry: {
+      items: [makeDocument('Item', { id: 'fi1', name: 'sword' })],
+      scenes: [
+        makeDocument('Scene', { id: 's1', name: 'Harbor', thumb: 't.png' }),
+      ],
+    },
+  });
+  const sword = model.items.archivist.find((i) => i.id === 'i1');
+  assert.equal(sword.match, 'fi1');
+  assert.equal(model.items.archivist.find((i) => i.id === 'i2').match, null);
+  assert.equal(model.locations.archivist[0].match, 's1');
+  assert.equal(model.locations.foundry[0].img, 't.png');
+  assert.deepEqual(model.factions.foundry, []);
+  assert.equal(model.factions.archivist[0].match, null);
+});
+
+test('each Foundry document is matched at most once', () => {
+  const model = build({
+    archivist: {
+      items: [
+        { id: 'i1', name: 'Potion' },
+        { id: 'i2', name: 'Potion' },
+      ],
+    },
+    foundry: { items: [makeDocument('Item', { id: 'fi1', name: 'Potion' })] },
+  });
+  const matched = model.items.archivist.filter((i) => i.match);
+  assert.equal(matched.length, 1);
+});
+
+test('rows are sorted by name and empty input is tolerated', () => {
+  const model = build({
+    archivist: {
+      items: [
+        { id: 'b', name: 'Beta' },
+        { id: 'a', name: 'alpha' },
+      ],
+    },
+    foundry: {},
+  });
+  assert.deepEqual(
+    model.items.archivist.map((i) => i.name),
+    ['alpha', 'Beta']
+  );
+  const empty = build({});
+  assert.deepEqual(empty.characters, { archivist: [], foundry: [] });
+});
@@ -0,0 +1,89 @@
+import { resetWorld } from './helpers/foundry-stubs.js';
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { archivistApi } from '../scripts/services/archivist-api.js';
+import { FakeArchivist } from '../scripts/services/fake-archivist.js';
+import {
+  WriteCoalescer,
+  isFlagOnlyChange,
+} from '../scripts/services/write-coalescer.js';
+
+const fake = new FakeArchivist();
+const patches = () => fake.requests.filter((r) => r.method === 'PATCH');
+
+const update = (coalescer, targetId, payload) =>
+  coalescer.update({ action: 'update', type: 'character', targetId, payload });
+
+beforeEach(() => {
+  fake.reset({
+    campaigns: [{ id: 'c1', title: 'Campaign' }],
+    characters: [
+      { id: 'ch1', character_name: 'Ann', description: '', campaign_id: 'c1' },
+      { id: 'ch2', character_name: 'Bo', description: '', campaign_id: 'c1' },
+    ],
+  });
+  archivistApi.setTransport(fake.transport);
+  resetWorld({ settings: { apiKey: 'key', selectedWorldId: 'c1' } });
+});
+
+after(() => archivistApi.setTransport(null));
+
+test('updates to one entity within the window become one PATCH', async () => {
+  const coalescer = new WriteCoalescer({ delayMs: 20, maxWaitMs: 1000 });
+  const results = await Promise.all([
+    update(coalescer, 'ch1', { character_name: 'Anna' }),
+    update(coalescer, 'ch1', { description: 'Draft' }),
+    update(coalescer, 'ch1', { description: 'Final' }),
+  ]);
+
+  assert.equal(patches().length, 1);
+  assert.deepEqual(patches()[0].body, {
+    character_name: 'Anna',
+    description: 'Final',
+  });
+  assert.ok(results.every((r) => r.success && r === results[0]));
+  assert.equal(coalescer.size, 0);
+});
+
+test('each entity gets its own PATCH', async () => {
+  const coalescer = new WriteCoalescer({ delayMs: 20 });
+  await Promise.all([
+    update(coalescer, 'ch1', { description: 'A' }),
+    update(coalescer, 'ch2', { description: 'B' }),
+  ]);
+  assert.deepEqual(
+    patches()
+      .map((r) => r.path)
+      .sort(),
+    ['/characters/ch1', '/characters/ch2']
+  );
+});
+
+test('flush sends pending updates without waiting', async () => {
+  const coalescer = new WriteCoalescer({ delayMs: 60000 });
+  const pending = update(coalescer, 'ch1', { description: 'Now' });
+  update(coalescer, 'ch2', { description: 'Later' });
+  await coalescer.flush({ type: 'character', targetId: 'ch1' });
+
+  assert.equal((await pending).success, true);
+  assert.equal(patches().length, 1);
+  assert.equal(coalescer.size, 1);
+  await coalescer.flush();
+  assert.equal(patches().length, 2);
+});
+
+test('flag-only changes are recognized', () => {
+  const flags = { 'archivist-sync': { op: 'projection' } };
+  assert.equal(isFlagOnlyChange({ _id: 'j1', flags }), true);
+  assert.equal(
+    isFlagOnlyChange({
+      _id: 'j1',
+      _stats: { modifiedTime: 1 },
+      flags: { 'archivist-sync': { lastProjectionAt: 1 } },
+    }),
+    true
+  );
+  assert.equal(isFlagOnlyChange({ _id: 'j1', name: 'Ann', flags }), false);
+  assert.equal(isFlagOnlyChange({ _id: 'p1', text: { content: 'x' } }), false);
+  assert.equal(isFlagOnlyChange({}), false);
+});
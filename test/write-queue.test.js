@@ -0,0 +1,184 @@
+import { resetWorld, makeJournalEntry } from './helpers/foundry-stubs.js';
+import { test, beforeEach, afterEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { archivistApi } from '../scripts/services/archivist-api.js';
+import { FakeArchivist } from '../scripts/services/fake-archivist.js';
+import { writeQueue } from '../scripts/services/write-queue.js';
+
+const fake = new FakeArchivist();
+let journal;
+let gate = null;
+
+/** Hold the next matching request until the returned release is called. */
+function holdNext(method) {
+  let release;
+  const blocked = new Promise((r) => (release = r));
+  gate = { method, blocked };
+  return release;
+}
+
+const rename = (character_name) =>
+  writeQueue.submit({
+    action: 'update',
+    type: 'character',
+    targetId: 'ch1',
+    payload: { character_name },
+    label: character_name,
+  });
+
+beforeEach(() => {
+  fake.reset({
+    campaigns: [{ id: 'c1', title: 'Campaign' }],
+    characters: [
+      { id: 'ch1', character_name: 'Ann', description: '', campaign_id: 'c1' },
+    ],
+  });
+  fake.clearFaults();
+  gate = null;
+  archivistApi.setTransport(async (url, init = {}) => {
+    const g = gate;
+    if (g && String(init.method || 'GET').toUpperCase() === g.method) {
+      gate = null;
+      await g.blocked;
+    }
+    return fake.transport(url, init);
+  });
+  journal = makeJournalEntry({
+    name: 'Ann',
+    flags: { 'archivist-sync': { archivist: { sheetType: 'npc' } } },
+  });
+  resetWorld({
+    journals: [journal],
+    settings: { apiKey: 'key', selectedWorldId: 'c1' },
+  });
+});
+
+afterEach(async () => {
+  delete globalThis.navigator;
+  await writeQueue.clear();
+});
+
+after(() => archivistApi.setTransport(null));
+
+const patches = () => fake.requests.filter((r) => r.method === 'PATCH');
+
+/** Simulate the browser going offline (Node has no navigator.onLine). */
+const setOnline = (onLine) => {
+  globalThis.navigator = { onLine };
+};
+
+test('queued updates to one entity collapse into a single write', async () => {
+  setOnline(false);
+  const first = await rename('Anna');
+  assert.equal(first.queued, true);
+  await writeQueue.submit({
+    action: 'update',
+    type: 'character',
+    targetId: 'ch1',
+    payload: { description: 'Brave' },
+  });
+  await rename('Annabel');
+  assert.equal(writeQueue.depth, 1);
+  assert.deepEqual(writeQueue.pending[0].payload, {
+    character_name: 'Annabel',
+    description: 'Brave',
+  });
+
+  setOnline(true);
+  await writeQueue.flush();
+  assert.equal(writeQueue.depth, 0);
+  assert.equal(patches().length, 1);
+  const rec = fake.db.characters.get('ch1');
+  assert.equal(rec.character_name, 'Annabel');
+  assert.equal(rec.description, 'Brave');
+});
+
+test('writes made offline are replayed in order once reachable', async () => {
+  setOnline(false);
+  const res = await writeQueue.submit({
+    action: 'create',
+    type: 'character',
+    docUuid: journal.uuid,
+    sheetType: 'npc',
+    payload: { character_name: 'Bob', campaign_id: 'c1' },
+    label: 'Bob',
+  });
+  assert.equal(res.queued, true);
+  await writeQueue.submit({
+    action: 'update',
+    type: 'character',
+    docUuid: journal.uuid,
+    payload: { description: 'Grumpy' },
+  });
+  await rename('Anna');
+  assert.equal(writeQueue.depth, 2);
+
+  // A server error keeps the queue intact for the next attempt
+  setOnline(true);
+  fake.injectFault({ status: 503, method: 'POST' });
+  await writeQueue.flush();
+  assert.equal(writeQueue.depth, 2);
+  await writeQueue.flush();
+
+  assert.equal(writeQueue.depth, 0);
+  const bob = fake.all('characters').find((c) => c.character_name === 'Bob');
+  assert.equal(bob.description, 'Grumpy');
+  assert.equal(
+    journal.getFlag('archivist-sync', 'archivist').archivistId,
+    bob.id
+  );
+  assert.equal(fake.db.characters.get('ch1').character_name, 'Anna');
+});
+
+test('an edit made while the queue head is in flight is sent afterwards', async () => {
+  setOnline(false);
+  await rename('Anna');
+  setOnline(true);
+  const release = holdNext('PATCH');
+  const replay = writeQueue.flush();
+  await new Promise((r) => setTimeout(r, 0));
+
+  const second = await rename('Annabel');
+  assert.equal(second.queued, true);
+  release();
+  await replay;
+  await writeQueue.flush();
+
+  assert.equal(writeQueue.depth, 0);
+  assert.deepEqual(
+    patches().map((r) => r.body.character_name),
+    ['Anna', 'Annabel']
+  );
+  assert.equal(fake.db.characters.get('ch1').character_name, 'Annabel');
+});
+
+test('a delete during an in-flight create waits for the new id', async () => {
+  const release = holdNext('POST');
+  const created = writeQueue.submit({
+    action: 'create',
+    type: 'character',
+    docUuid: journal.uuid,
+    sheetType: 'npc',
+    payload: { character_name: 'Bob', campaign_id: 'c1' },
+    label: 'Bob',
+  });
+  await new Promise((r) => setTimeout(r, 0));
+  assert.equal(writeQueue.hasPendingCreate(journal.uuid), true);
+
+  const deleted = await writeQueue.submit({
+    action: 'delete',
+    type: 'character',
+    docUuid: journal.uuid,
+    label: 'Bob',
+  });
+  assert.equal(deleted.queued, true);
+  release();
+  assert.equal((await created).success, true);
+  await writeQueue.flush();
+
+  assert.equal(writeQueue.depth, 0);
+  assert.equal(
+    fake.all('characters').some((c) => c.character_name === 'Bob'),
+    false
+  );
+});